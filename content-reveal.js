@@ -4,62 +4,581 @@
  * Handles smooth, progressive reveal of content when user interacts
  * with the page. Features:
  * - Click/tap anywhere to reveal
+ * - Touch gestures: swipe up to reveal, swipe down or pinch to dismiss,
+ *   with the overlay following the finger (see src/motion/gesture.js)
  * - Staggered animations for list items
  * - Backdrop blur effect
  * - Spring-based easing with GSAP
  * - Toggle on/off functionality
+ * - Drill-down from a discipline to its projects, and to a contact form
+ *   (src/contact/) whose states enter on the same stagger
+ * - A link on to the writing pages (/writing, see writing.js)
+ * - State lives in the URL (/about, /work/<slug>, /contact) so views can
+ *   be linked
+ * - Modal dialog semantics: focus trapped while open, Escape or a
+ *   backdrop click closes, focus returns to the trigger
+ * - Copy in the active language (src/i18n/), retold in place when the
+ *   language switcher changes it
+ * - Reports the hint, reveals, hides and item clicks to analytics
+ *   (src/analytics/events.js)
+ * - destroy() removes every listener and the rendered content
  */
 
 import gsap from 'gsap';
+import AnimatedWordmark from './vanilla-animation.js';
+import { getRouter } from './src/router.js';
+import { createFocusTrap } from './src/focusTrap.js';
+import { createPointerTracker } from './src/pointerTracker.js';
+import { projectElement, emptyProjectsElement } from './src/projectElement.js';
+import {
+  contactFormElement,
+  contactResultElement,
+  contactValues,
+  showContactErrors,
+  setContactPending,
+} from './src/contactElement.js';
+import { submitContact, validateContact } from './src/contact/form.js';
+import { createSpamGuard } from './src/contact/guard.js';
+import { getContactAdapter } from './src/contact/adapters.js';
+import { reveal, gesture } from './src/motion/tokens.js';
+import { getMotionPreference, timingForMode } from './src/motion/preference.js';
+import { easeOutExpo, itemsEnter, itemsExit } from './src/motion/gsap.js';
+import {
+  dragProgress,
+  pinchProgress,
+  progressVelocity,
+  releaseTarget,
+  releaseDuration,
+  overlayFrame,
+} from './src/motion/gesture.js';
+import { getThemePreference } from './src/theme/preference.js';
+import { getTheme } from './src/theme/themes.js';
+import { registerTimeline } from './src/dev/timelines.js';
+import { flattenParams, expandParams } from './src/dev/tuning.js';
+import { getLocalePreference } from './src/i18n/preference.js';
+import { getLocale, localizeDisciplines } from './src/i18n/locales.js';
+import { getAnalytics } from './src/analytics/analytics.js';
+import { revealEvents } from './src/analytics/events.js';
+
+// Level of the overlay for the contact form
+const CONTACT = Object.freeze({ name: 'contact' });
+
+// Level a route shows: a discipline for /work/<slug>, CONTACT, or null
+// for the disciplines list
+const routeLevel = (route, disciplines) => {
+  if (route.name === 'contact') return CONTACT;
+  return route.name === 'work'
+    ? disciplines.find((entry) => entry.slug === route.slug) || null
+    : null;
+};
+
+// Disciplines are rebuilt per locale, so levels compare by slug
+const levelKey = (level) => (level === CONTACT ? CONTACT : level?.slug ?? null);
 
 class ContentReveal {
-  constructor() {
-    this.overlay = document.querySelector('.content-overlay');
-    this.main = document.querySelector('main');
-    this.tapHint = document.querySelector('.tap-hint');
+  /**
+   * @param {object} [options]
+   * @param {AnimatedWordmark} [options.wordmark] - interaction is enabled
+   *   when this wordmark completes; without one, after reveal.hintDelay
+   * @param {Document|ShadowRoot|Element} [options.root] - where to find
+   *   .content-overlay, .tap-hint and .click-capture (default: document)
+   * @param {Element} [options.main] - content faded out behind the overlay
+   *   (default: the root's <main>)
+   * @param {object} [options.router] - defaults to the shared page router
+   * @param {object} [options.analytics] - defaults to the shared page analytics
+   * @param {object} [options.contactAdapter] - where the contact form sends
+   *   (src/contact/adapters.js) - defaults to content/portfolio.json's
+   * @param {Function} [options.onToggle] - called with isRevealed on every change
+   */
+  constructor(options = {}) {
+    const root = options.root || document;
+
+    this.wordmark = options.wordmark;
+    this.onToggle = options.onToggle;
+    this.overlay = root.querySelector('.content-overlay');
+    this.main = options.main || root.querySelector('main');
+    this.tapHint = root.querySelector('.tap-hint');
+    this.trigger = root.querySelector('.click-capture');
     this.isRevealed = false;
     this.animationInProgress = false;
+    this.activeDiscipline = null;
+    this.contactShown = false;
+    this.contact = null; // { status, values, guard } while the contact form shows
+    this.pendingRoute = null;
+    this.tuning = {}; // reveal token overrides from the timeline inspector
+    this.router = options.router || getRouter();
+    this.preference = getMotionPreference();
+    this.locales = getLocalePreference();
+    this.events = revealEvents(options.analytics || getAnalytics());
+    this.contactAdapter = options.contactAdapter || getContactAdapter();
+    this.via = null; // what started the next reveal or hide, for analytics
+
+    // The overlay is a modal dialog: Tab stays inside, Escape closes
+    this.focusTrap = createFocusTrap(this.overlay, {
+      onEscape: () => {
+        this.via = 'escape';
+        this.router.navigate('/');
+      },
+      returnFocus: this.trigger,
+    });
 
-    // Animation timing configuration
-    this.staggerDelay = 0.06; // seconds between list items
-    this.itemDuration = 0.4; // seconds per item
+    // Animation timing configuration (see src/motion/tokens.js)
+    this.staggerDelay = reveal.itemStagger; // seconds between list items
+    this.itemDuration = reveal.itemDuration; // seconds per item
 
     this.init();
+
+    // Dev server only - lists the timeline in timeline-inspector.js
+    if (import.meta.env.DEV) {
+      this.unregisterTimeline = registerTimeline({
+        name: 'ContentReveal',
+        group: 'reveal',
+        timeline: () => this.timeline,
+        params: () => flattenParams({ ...reveal, ...this.tuning }),
+        setParams: (params) => {
+          this.tuning = expandParams({ ...flattenParams(reveal), ...params });
+          this.staggerDelay = this.tuning.itemStagger;
+          this.itemDuration = this.tuning.itemDuration;
+        },
+        replay: () => this.replayReveal(),
+      });
+    }
   }
 
   init() {
+    this.renderContent();
+
+    // The URL drives the overlay: clicks navigate, back/forward replay
+    this.unsubscribeRouter = this.router.subscribe((route) => this.applyRoute(route));
+    this.unsubscribeLocale = this.locales.subscribe(() => this.applyLocale());
+
+    // Deep links (/about, /work/<slug>) open straight into their view -
+    // a page pre-rendered open (scripts/prerender.js) already shows it
+    const route = this.router.current();
+    if (route.name !== 'home' && this.overlay.classList.contains('visible')) {
+      this.restoreRevealed(route);
+    } else if (route.name !== 'home') {
+      this.applyRoute(route);
+    }
+
     // Wait for wordmark animation to complete before enabling interaction
-    setTimeout(() => {
+    const wordmarkFinished = this.wordmark
+      ? this.wordmark.finished
+      : new Promise((resolve) => {
+        this.hintTimer = setTimeout(resolve, this.timing.hintDelay * 1000);
+      });
+
+    wordmarkFinished.then(() => {
+      if (this.isDestroyed) return;
       this.setupInteraction();
-      this.showTapHint();
-    }, 2500); // After wordmark animation
+      if (!this.isRevealed) this.showTapHint();
+    });
+  }
+
+  /**
+   * Reveal tokens adjusted for the current motion preference
+   */
+  get timing() {
+    return timingForMode({ ...reveal, ...this.tuning }, this.preference.mode);
+  }
+
+  /**
+   * Copy for the active language (src/i18n/locales.js)
+   */
+  get locale() {
+    return getLocale(this.locales.locale);
+  }
+
+  get disciplines() {
+    return localizeDisciplines(this.locale);
+  }
+
+  renderContent() {
+    // Build the disciplines list from the shared portfolio content
+    this.list = this.overlay.querySelector('.content-list');
+    if (!this.list) return;
+
+    this.renderLabels();
+    this.list.replaceChildren(...this.disciplines.map((discipline) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'content-link';
+      button.textContent = discipline.title;
+      button.addEventListener('click', () => {
+        this.events.itemClicked(discipline.slug);
+        this.router.navigate({ name: 'work', slug: discipline.slug });
+      });
+
+      item.dataset.slug = discipline.slug;
+      item.appendChild(button);
+      return item;
+    }), this.contactItem(), this.writingItem());
+
+    // Second level lives next to the list and is swapped in on drill-down.
+    // Pre-rendered pages may have it already.
+    this.detail = this.overlay.querySelector('.content-detail');
+    if (!this.detail) {
+      this.detail = document.createElement('div');
+      this.detail.className = 'content-detail';
+      this.list.after(this.detail);
+    }
+    this.detail.hidden = true;
+  }
+
+  /**
+   * Text outside the overlay content. The hint follows the language
+   * when it asks to, with data-i18n="tapHint".
+   */
+  renderLabels() {
+    const locale = this.locale;
+    const key = this.tapHint?.dataset.i18n;
+    if (key) this.tapHint.textContent = locale[key];
+    this.trigger?.setAttribute('aria-label', locale.about);
+  }
+
+  /**
+   * Last row of the disciplines list, opening the contact form
+   */
+  contactItem() {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'content-link';
+    button.textContent = this.locale.contact.title;
+    button.addEventListener('click', () => {
+      this.events.itemClicked('contact');
+      this.router.navigate({ name: 'contact' });
+    });
+
+    item.dataset.level = 'contact';
+    item.appendChild(button);
+    return item;
+  }
+
+  /**
+   * Link to the writing pages (/writing) after the contact row - a page
+   * of its own rather than a level of the overlay
+   */
+  writingItem() {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.className = 'content-link';
+    link.href = '/writing';
+    link.textContent = this.locale.writing.title;
+    link.addEventListener('click', () => this.events.itemClicked('writing'));
+
+    item.dataset.level = 'writing';
+    item.appendChild(link);
+    return item;
+  }
+
+  /**
+   * Back action and heading that start every second-level view
+   */
+  renderHeading(title) {
+    const back = document.createElement('button');
+    back.type = 'button';
+    back.className = 'content-back';
+    back.textContent = this.locale.back;
+    back.addEventListener('click', () => this.router.navigate('/about'));
+
+    const header = document.createElement('h2');
+    header.className = 'content-header';
+    header.textContent = title;
+
+    return [back, header];
+  }
+
+  renderDetail(discipline) {
+    const rows = discipline.projects.length
+      ? discipline.projects.map(projectElement)
+      : [emptyProjectsElement(this.locale.projectsComingSoon)];
+
+    this.detail.replaceChildren(...this.renderHeading(discipline.title), ...rows);
+  }
+
+  /**
+   * The contact view: heading, then the form or the result it ended in
+   */
+  renderContact() {
+    const copy = this.locale.contact;
+    this.detail.replaceChildren(...this.renderHeading(copy.title), this.renderContactBody());
+  }
+
+  renderContactBody() {
+    const copy = this.locale.contact;
+    const { status, values } = this.contact;
+
+    if (status !== 'idle') {
+      return contactResultElement(copy, status, { onRetry: () => this.swapContactBody('idle') });
+    }
+
+    const form = contactFormElement(copy, this.contactAdapter, values);
+    form.addEventListener('submit', (event) => this.sendContact(event));
+
+    // The spam guard times from the first input. Once a send was tried,
+    // errors follow the typing.
+    form.addEventListener('input', () => {
+      this.contact.guard.start();
+      if (this.contact.checked) showContactErrors(form, validateContact(contactValues(form)), copy);
+    });
+
+    if (this.contact.checked) showContactErrors(form, validateContact(values), copy);
+    return form;
+  }
+
+  async sendContact(event) {
+    event.preventDefault();
+    const form = event.currentTarget;
+    const { contact } = this;
+    if (contact.sending) return;
+
+    const values = contactValues(form);
+    contact.sending = true;
+    setContactPending(form, this.locale.contact, { sending: true });
+
+    const { status, errors } = await submitContact(values, {
+      adapter: this.contactAdapter,
+      guard: contact.guard,
+    });
+    contact.sending = false;
+
+    // The form may have been left, or rebuilt in another language, meanwhile
+    const current = this.contactShown && this.detail.querySelector('.contact-form');
+    if (this.isDestroyed || contact !== this.contact || !current) return;
+
+    // Asked to wait, or to send again: the form stays, with a notice
+    const latest = this.locale.contact;
+    const notice = status === 'rateLimited' || status === 'tooQuick';
+    setContactPending(current, latest, { notice: notice ? latest[status] : null });
+
+    if (status === 'invalid') {
+      this.contact.checked = true;
+      showContactErrors(current, errors, latest)?.focus();
+      return;
+    }
+
+    if (notice) return;
+
+    // A failed message stays as a draft for the retry
+    this.contact.values = status === 'failed' ? values : {};
+    this.contact.checked = false;
+    this.swapContactBody(status);
+  }
+
+  /**
+   * Exit the form or result, enter the next state on the same stagger,
+   * and move focus with it
+   */
+  swapContactBody(status) {
+    if (this.animationInProgress) return;
+    this.animationInProgress = true;
+
+    const current = this.detail.lastElementChild;
+    this.animateItemsOut(this.contactRows(current)).then(() => {
+      this.contact.status = status;
+      const next = this.renderContactBody();
+      current.replaceWith(next);
+
+      (status === 'idle' ? next.querySelector('.contact-send') : next.firstElementChild).focus();
+      this.animateItemsIn(this.contactRows(next)).then(() => this.finishAnimation());
+    });
+  }
+
+  /**
+   * Animated rows of the form or result - the honeypot stays put
+   */
+  contactRows(body) {
+    return Array.from(body.children).filter((row) => !row.classList.contains('contact-honeypot'));
+  }
+
+  /**
+   * Retell everything in a new language. The list changes in place;
+   * an open detail or contact view is rebuilt where its entrance left
+   * it, keeping what was typed. Waits for a running transition to finish.
+   */
+  applyLocale() {
+    if (this.animationInProgress) {
+      this.pendingLocale = true;
+      return;
+    }
+
+    const disciplines = this.disciplines;
+    this.renderLabels();
+
+    this.list.querySelectorAll('li[data-slug]').forEach((item) => {
+      const { title } = disciplines.find(({ slug }) => slug === item.dataset.slug);
+      item.querySelector('.content-link').textContent = title;
+    });
+    this.list.querySelector('[data-level="contact"] .content-link').textContent = this.locale.contact.title;
+    this.list.querySelector('[data-level="writing"] .content-link').textContent = this.locale.writing.title;
+
+    // Focus inside the detail view moves to its rebuilt back button
+    const active = this.contactShown
+      ? CONTACT
+      : this.activeDiscipline && disciplines.find(({ slug }) => slug === this.activeDiscipline.slug);
+    const hadFocus = this.detail.contains(this.overlay.getRootNode().activeElement);
+    const form = this.contactShown && this.detail.querySelector('.contact-form');
+    if (form) this.contact.values = contactValues(form);
+    this.showLevel(active || null);
+
+    if (active && this.isRevealed) gsap.set(this.getVisibleItems(), { opacity: 1, y: 0 });
+    if (active && hadFocus) this.detail.querySelector('.content-back').focus();
   }
 
   setupInteraction() {
-    // Click anywhere to toggle content
-    document.body.addEventListener('click', (e) => {
+    // The full-screen trigger is a real button, so Space/Enter
+    // work on it without any page-wide key handling
+    this.handleTriggerClick = () => {
       // Prevent double-triggering during animation
       if (this.animationInProgress) return;
+      this.via = this.isRevealed ? 'backdrop' : 'tap';
+      this.toggleContent();
+    };
 
+    // Clicking the backdrop closes; clicks inside the content drive
+    // the drill-down instead
+    this.handleOverlayClick = (e) => {
+      if (this.animationInProgress || !this.isRevealed) return;
+      if (e.target.closest('.content-text')) return;
+      this.via = 'backdrop';
       this.toggleContent();
+    };
+
+    // Trackers first: their capture listeners swallow the click after a drag
+    this.setupGestures();
+    this.trigger?.addEventListener('click', this.handleTriggerClick);
+    this.overlay.addEventListener('click', this.handleOverlayClick);
+  }
+
+  /**
+   * Swipes start on the trigger while closed and on the overlay while
+   * open - whichever is on top
+   */
+  setupGestures() {
+    const handlers = {
+      slop: gesture.tapSlop,
+      onStart: (state) => this.startGesture(state),
+      onMove: (state) => this.moveGesture(state),
+      onEnd: (state) => this.endGesture(state),
+    };
+
+    this.trackers = [this.trigger, this.overlay]
+      .filter(Boolean)
+      .map((element) => createPointerTracker(element, handlers));
+  }
+
+  startGesture(state) {
+    if (this.animationInProgress) return false;
+
+    if (this.isRevealed) {
+      // Swipes on the content scroll it; pinches close from anywhere
+      const swipe = state.pointers === 1;
+      if (swipe && (state.dy < 0 || state.target.closest('.content-text'))) return false;
+    } else if (state.pointers > 1 || state.dy > 0) {
+      // Closed, only a swipe up opens
+      return false;
+    }
+
+    this.animationInProgress = true;
+    this.gesture = {
+      from: this.isRevealed ? 1 : 0,
+      progress: this.isRevealed ? 1 : 0,
+      via: state.pointers > 1 ? 'pinch' : 'swipe',
+    };
+    return true;
+  }
+
+  moveGesture(state) {
+    if (state.pointers > 1) this.gesture.via = 'pinch';
+    this.gesture.progress = state.pointers > 1
+      ? pinchProgress(state.scale)
+      : dragProgress(this.gesture.from, state.dy);
+    this.renderGesture();
+  }
+
+  /**
+   * Finish or spring back from wherever the finger let go, carrying
+   * its velocity into the settle
+   */
+  endGesture(state) {
+    const { progress } = this.gesture;
+    const timing = timingForMode(gesture, this.preference.mode);
+    const velocity = progressVelocity(state.velocity);
+    const target = releaseTarget(progress, velocity);
+
+    this.gestureTween = gsap.to(this.gesture, {
+      progress: target,
+      duration: releaseDuration(progress, target, velocity, timing),
+      ease: 'power2.out',
+      onUpdate: () => this.renderGesture(),
+      onComplete: () => this.settleGesture(target === 1),
     });
+  }
 
-    // Also support keyboard interaction (Space/Enter)
-    document.body.addEventListener('keydown', (e) => {
-      if (e.code === 'Space' || e.code === 'Enter') {
-        if (this.animationInProgress) return;
-        e.preventDefault();
-        this.toggleContent();
-      }
+  renderGesture() {
+    const theme = getTheme(getThemePreference().theme);
+    const { opacity, blur } = overlayFrame(this.gesture.progress, {
+      motion: this.preference.mode,
+      theme,
+    });
+
+    // Inline styles win over .visible and its transition while dragging
+    Object.assign(this.overlay.style, {
+      transition: 'none',
+      opacity: String(opacity),
+      backdropFilter: `blur(${blur}px)`,
+      webkitBackdropFilter: `blur(${blur}px)`,
     });
   }
 
+  clearGestureStyles() {
+    ['transition', 'opacity', 'backdrop-filter', '-webkit-backdrop-filter']
+      .forEach((property) => this.overlay.style.removeProperty(property));
+  }
+
+  /**
+   * Hand the overlay back to its class, then let the route run the rest
+   * of the reveal or hide
+   */
+  settleGesture(open) {
+    if (open !== this.isRevealed) this.via = this.gesture.via;
+    this.gesture = null;
+    this.gestureTween = null;
+
+    // Same state on both sides of the swap, so no transition runs
+    this.overlay.classList.toggle('visible', open);
+    this.clearGestureStyles();
+
+    this.finishAnimation();
+    if (open !== this.isRevealed && !this.animationInProgress) this.toggleContent();
+  }
+
+  /**
+   * Open or close the dialog for assistive tech and the keyboard:
+   * inert while closed, focus trapped while open
+   */
+  setDialogOpen(open) {
+    this.overlay.toggleAttribute('inert', !open);
+    this.overlay.setAttribute('aria-hidden', String(!open));
+
+    if (this.trigger) {
+      this.trigger.setAttribute('aria-expanded', String(open));
+      this.trigger.tabIndex = open ? -1 : 0;
+    }
+
+    if (open) this.focusTrap.activate();
+    else this.focusTrap.deactivate();
+  }
+
   showTapHint() {
     // Fade in the tap hint
     if (this.tapHint) {
+      this.events.hintShown();
       gsap.to(this.tapHint, {
-        opacity: 0.4,
-        duration: 0.3,
+        opacity: this.timing.hintOpacity,
+        duration: this.timing.hintDuration,
         ease: 'power2.out'
       });
     }
@@ -69,116 +588,300 @@ class ContentReveal {
     if (this.tapHint) {
       gsap.to(this.tapHint, {
         opacity: 0,
-        duration: 0.3,
+        duration: this.timing.hintDuration,
         ease: 'power2.out'
       });
     }
   }
 
   toggleContent() {
-    if (this.isRevealed) {
-      this.hideContent();
-    } else {
+    this.router.navigate(this.isRevealed ? '/' : '/about');
+  }
+
+  /**
+   * What started the transition about to run, for analytics - 'link'
+   * unless the visitor's own input set it
+   */
+  takeVia() {
+    const via = this.via || 'link';
+    this.via = null;
+    return via;
+  }
+
+  /**
+   * Bring the overlay in line with a route, running the matching
+   * transition. Routes arriving mid-transition are applied once it
+   * finishes - only the latest one is kept.
+   */
+  applyRoute(route) {
+    if (this.animationInProgress) {
+      this.pendingRoute = route;
+      return;
+    }
+
+    const level = routeLevel(route, this.disciplines);
+
+    if (route.name === 'home') {
+      if (this.isRevealed) this.hideContent();
+    } else if (!this.isRevealed) {
+      this.showLevel(level);
       this.revealContent();
+    } else if (levelKey(level) !== levelKey(this.activeLevel)) {
+      this.swapLevel(level);
+    }
+  }
+
+  /**
+   * Take over an overlay pre-rendered open, in the state the reveal
+   * ends in, instead of playing the reveal over it
+   */
+  restoreRevealed(route) {
+    this.isRevealed = true;
+    this.events.revealed(this.takeVia());
+    this.hideTapHint();
+    this.showLevel(routeLevel(route, this.disciplines));
+    this.setDialogOpen(true);
+    this.onToggle?.(true);
+
+    gsap.set(this.main, { opacity: 0, scale: this.timing.mainScale });
+    gsap.set(this.getVisibleItems(), { opacity: 1, y: 0 });
+  }
+
+  finishAnimation() {
+    this.animationInProgress = false;
+
+    if (this.pendingLocale) {
+      this.pendingLocale = false;
+      this.applyLocale();
+    }
+
+    if (this.pendingRoute) {
+      const route = this.pendingRoute;
+      this.pendingRoute = null;
+      this.applyRoute(route);
     }
   }
 
   revealContent() {
     this.animationInProgress = true;
     this.isRevealed = true;
+    this.events.revealed(this.takeVia());
     this.hideTapHint();
+    this.setDialogOpen(true);
+    this.onToggle?.(true);
+
+    const timing = this.timing;
+    const phases = timing.revealPhases;
 
     // Create master timeline for coordinated animation
-    const tl = gsap.timeline({
-      onComplete: () => {
-        this.animationInProgress = false;
-      }
+    const tl = this.timeline = gsap.timeline({
+      onComplete: () => this.finishAnimation()
     });
 
     // Phase 1: Fade out main content (wordmark)
     tl.to(this.main, {
       opacity: 0,
-      scale: 0.95,
-      duration: 0.4,
-      ease: 'expo.out'
-    }, 0);
+      scale: timing.mainScale,
+      duration: timing.mainDuration,
+      ease: easeOutExpo
+    }, phases.main);
 
     // Phase 2: Show overlay with backdrop blur (slight delay)
     tl.add(() => {
       this.overlay.classList.add('visible');
-    }, 0.2);
+    }, phases.overlay);
+
+    // Phase 3: Progressive reveal of content - nested, so seeking the
+    // timeline moves the items too
+    tl.add(this.animateContentIn(), phases.content);
+  }
+
+  /**
+   * Run the reveal again from closed, for tuning. An open overlay
+   * snaps shut first; a closed one opens through the router.
+   */
+  replayReveal() {
+    if (!this.isRevealed) {
+      this.router.navigate('/about');
+      return;
+    }
+
+    this.timeline?.kill();
+    this.overlay.classList.remove('visible');
+    gsap.set(this.main, { opacity: 1, scale: 1 });
+    this.animationInProgress = false;
+    this.pendingRoute = null;
+    this.revealContent();
+  }
 
-    // Phase 3: Progressive reveal of content
-    tl.add(() => this.animateContentIn(), 0.4);
+  /**
+   * Rows of whichever level is showing - the disciplines list, the
+   * active discipline's detail view, or the contact form and its heading
+   */
+  getVisibleItems() {
+    if (this.contactShown) {
+      const [back, header, body] = this.detail.children;
+      return [back, header, ...this.contactRows(body)];
+    }
+
+    return this.activeDiscipline
+      ? Array.from(this.detail.children)
+      : Array.from(this.overlay.querySelectorAll('.content-list li'));
   }
 
   animateContentIn() {
-    const listItems = this.overlay.querySelectorAll('.content-list li');
+    return this.animateItemsIn(this.getVisibleItems());
+  }
 
-    // Stagger animate list items using GSAP's built-in stagger
-    gsap.fromTo(listItems,
-      {
-        opacity: 0,
-        y: 15
-      },
-      {
-        opacity: 1,
-        y: 0,
-        duration: this.itemDuration,
-        stagger: this.staggerDelay,
-        ease: 'expo.out', // Apple-style spring easing
-        delay: 0.2
+  animateItemsIn(items) {
+    // Staggered entrance on the shared schedule
+    return itemsEnter(items, {
+      ...this.tuning,
+      motion: this.preference.mode,
+      itemStagger: this.staggerDelay,
+      itemDuration: this.itemDuration,
+    });
+  }
+
+  animateItemsOut(items) {
+    // Reverse animation - fade out all elements quickly with stagger
+    return itemsExit(items, { ...this.tuning, motion: this.preference.mode });
+  }
+
+  /**
+   * The discipline or CONTACT showing, or null for the list
+   */
+  get activeLevel() {
+    return this.contactShown ? CONTACT : this.activeDiscipline;
+  }
+
+  /**
+   * Show the disciplines list (null), a discipline's detail or the
+   * contact form (CONTACT). The form starts empty each time it opens.
+   */
+  showLevel(level) {
+    const contact = level === CONTACT;
+    if (contact && !this.contactShown) {
+      this.contact = { status: 'idle', values: {}, checked: false, guard: createSpamGuard() };
+    }
+
+    this.activeDiscipline = contact ? null : level;
+    this.contactShown = contact;
+    if (contact) this.renderContact();
+    else if (level) this.renderDetail(level);
+
+    this.list.hidden = Boolean(level);
+    this.detail.hidden = !level;
+    this.overlay.setAttribute('aria-label', (contact && this.locale.contact.title) || level?.title || this.locale.about);
+  }
+
+  /**
+   * Exit the current level, swap the DOM, enter the new level.
+   * Mirrors AnimatePresence mode="wait" in the React component.
+   */
+  swapLevel(level) {
+    this.animationInProgress = true;
+    const previous = this.activeLevel;
+
+    this.animateItemsOut(this.getVisibleItems()).then(() => {
+      this.showLevel(level);
+
+      // Keep keyboard focus with the level the visitor moved to
+      if (level) {
+        this.detail.querySelector('.content-back').focus();
+      } else if (previous) {
+        const item = previous === CONTACT ? '[data-level="contact"]' : `[data-slug="${previous.slug}"]`;
+        this.list.querySelector(`${item} button`)?.focus();
       }
-    );
+
+      this.animateItemsIn(this.getVisibleItems()).then(() => this.finishAnimation());
+    });
   }
 
   hideContent() {
     this.animationInProgress = true;
     this.isRevealed = false;
+    this.events.hidden(this.takeVia());
+    this.setDialogOpen(false);
+    this.onToggle?.(false);
 
-    const listItems = this.overlay.querySelectorAll('.content-list li');
+    const listItems = this.getVisibleItems();
+    const timing = this.timing;
+    const phases = timing.hidePhases;
 
     // Create timeline for hide animation
-    const tl = gsap.timeline({
-      onComplete: () => {
-        this.animationInProgress = false;
-      }
+    const tl = this.timeline = gsap.timeline({
+      onComplete: () => this.finishAnimation()
     });
 
     // Reverse animation - fade out all elements quickly with stagger
-    tl.to(listItems, {
-      opacity: 0,
-      y: -10,
-      duration: 0.3,
-      stagger: 0.02, // Faster reverse stagger
-      ease: 'power2.in'
-    }, 0);
+    tl.add(this.animateItemsOut(listItems), phases.content);
 
-    // Hide overlay
+    // Hide overlay and reset to the top level for next time
     tl.add(() => {
       this.overlay.classList.remove('visible');
-    }, 0.4);
+      this.showLevel(null);
+    }, phases.overlay);
 
     // Fade main content back in
     tl.to(this.main, {
       opacity: 1,
       scale: 1,
-      duration: 0.4,
-      ease: 'expo.out'
-    }, 0.4);
+      duration: timing.mainDuration,
+      ease: easeOutExpo
+    }, phases.main);
 
     // Show tap hint again
-    tl.add(() => this.showTapHint(), 0.6);
+    tl.add(() => this.showTapHint(), phases.hint);
+  }
+
+  /**
+   * Remove every listener, stop running animations and clear the
+   * rendered content. Safe to call more than once.
+   */
+  destroy() {
+    if (this.isDestroyed) return;
+    this.isDestroyed = true;
+
+    clearTimeout(this.hintTimer);
+    this.unsubscribeRouter();
+    this.unsubscribeLocale();
+    this.trigger?.removeEventListener('click', this.handleTriggerClick);
+    this.overlay.removeEventListener('click', this.handleOverlayClick);
+    this.trackers?.forEach((tracker) => tracker.destroy());
+    this.unregisterTimeline?.();
+
+    this.timeline?.kill();
+    this.gestureTween?.kill();
+    this.clearGestureStyles();
+    gsap.killTweensOf([this.main, this.tapHint, ...this.getVisibleItems()].filter(Boolean));
+    gsap.set([this.main, this.tapHint].filter(Boolean), { clearProps: 'all' });
+
+    // Back to the closed, empty markup the page shipped with
+    this.overlay.classList.remove('visible');
+    this.setDialogOpen(false);
+    this.list?.replaceChildren();
+    this.detail?.remove();
   }
 }
 
-// Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    new ContentReveal();
+// Auto-initialize when DOM is ready, after the wordmark has initialized
+const autoInit = () => {
+  if (!document.querySelector('.content-overlay')) return;
+
+  const wordmarkElement = document.querySelector('[data-animated-wordmark]');
+  new ContentReveal({
+    wordmark: wordmarkElement && AnimatedWordmark.for(wordmarkElement)
   });
-} else {
-  new ContentReveal();
+};
+
+// Nothing to do without a DOM: the library entry imported under SSR or in Node
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', autoInit);
+  } else {
+    autoInit();
+  }
 }
 
 /**
@@ -186,14 +889,17 @@ if (document.readyState === 'loading') {
  *
  * This script creates an Apple-style progressive disclosure experience:
  * 1. User sees animated wordmark first
- * 2. "Tap anywhere" hint appears
+ * 2. "Tap anywhere" hint appears once the wordmark completes
  * 3. On tap/click, wordmark fades out with subtle scale
  * 4. Content overlay fades in with backdrop blur
  * 5. Content reveals progressively with stagger
  * 6. Click again to reverse and return to wordmark
+ * 7. Each view has its own URL, so back/forward and deep links work
+ * 8. On touch screens, swipe up to reveal and swipe down or pinch to
+ *    dismiss - release past halfway, or flick, to finish
  *
  * Motion characteristics powered by GSAP:
- * - Spring-inspired easing (expo.out)
+ * - Spring-inspired easing (ease-out-expo, shared with the React build)
  * - 60ms stagger between list items
  * - Backdrop blur for depth
  * - Subtle scale transforms
@@ -0,0 +1,406 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { reveal, gesture } from './src/motion/tokens.js';
+import { wordmarkSchedule } from './src/motion/schedule.js';
+import { getRouter } from './src/router.js';
+import { disciplines } from './src/portfolio.js';
+import { getLocalePreference } from './src/i18n/preference.js';
+import { getLocale } from './src/i18n/locales.js';
+import { createAnalytics } from './src/analytics/analytics.js';
+import { installFakeTicker, flushPromises } from './test/gsapTicker.js';
+import { loadPage } from './test/page.js';
+
+// Long enough for any reveal, hide or level swap to finish
+const SETTLE = 3;
+
+let ticker;
+let ContentReveal;
+let trigger;
+let overlay;
+
+const press = (key, target = document.activeElement) => {
+  const event = new KeyboardEvent('keydown', { key, code: key, bubbles: true, cancelable: true });
+  target.dispatchEvent(event);
+  return event;
+};
+
+describe('ContentReveal (vanilla)', () => {
+  beforeAll(async () => {
+    ticker = installFakeTicker();
+    loadPage();
+
+    // Both scripts auto-initialise on the page markup
+    ({ default: ContentReveal } = await import('./content-reveal.js'));
+
+    trigger = document.querySelector('.click-capture');
+    overlay = document.querySelector('.content-overlay');
+  });
+
+  afterAll(() => ticker.uninstall());
+
+  it('ignores clicks until the wordmark has finished', async () => {
+    trigger.click();
+    await flushPromises();
+    expect(window.location.pathname).toBe('/');
+
+    ticker.advance(wordmarkSchedule('goutham'.length).revealedAt);
+    await flushPromises();
+
+    trigger.click();
+    expect(window.location.pathname).toBe('/about');
+  });
+
+  it('opens the overlay as a dialog', () => {
+    ticker.advance(reveal.revealPhases.overlay + 0.01);
+
+    expect(overlay.classList.contains('visible')).toBe(true);
+    expect(overlay.hasAttribute('inert')).toBe(false);
+    expect(trigger.getAttribute('aria-expanded')).toBe('true');
+    expect(document.activeElement.className).toBe('content-link');
+  });
+
+  it('locks out toggles while a transition runs', () => {
+    // The reveal is still running - a backdrop click must not close it
+    overlay.click();
+    expect(window.location.pathname).toBe('/about');
+
+    ticker.advance(SETTLE);
+    overlay.click();
+    expect(window.location.pathname).toBe('/');
+
+    ticker.advance(SETTLE);
+    expect(overlay.classList.contains('visible')).toBe(false);
+    expect(trigger.getAttribute('aria-expanded')).toBe('false');
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  it('leaves Space and Enter to the focused element', () => {
+    expect(press(' ', document.body).defaultPrevented).toBe(false);
+    expect(press('Enter', document.body).defaultPrevented).toBe(false);
+    expect(window.location.pathname).toBe('/');
+  });
+
+  it('traps Tab inside the dialog and closes on Escape', () => {
+    trigger.click();
+    ticker.advance(SETTLE);
+
+    const links = Array.from(overlay.querySelectorAll('.content-link'));
+    links[links.length - 1].focus();
+    expect(press('Tab').defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(links[0]);
+
+    press('Escape');
+    expect(window.location.pathname).toBe('/');
+    ticker.advance(SETTLE);
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  it('drills into a discipline and back', async () => {
+    // Level swaps chain on timeline promises, so let those settle too
+    const settle = async () => {
+      ticker.advance(SETTLE);
+      await flushPromises();
+      ticker.advance(SETTLE);
+      await flushPromises();
+    };
+
+    trigger.click();
+    await settle();
+
+    const first = overlay.querySelector('.content-link');
+    first.click();
+    await settle();
+    expect(window.location.pathname).toMatch(/^\/work\//);
+    expect(document.activeElement.className).toBe('content-back');
+    expect(overlay.getAttribute('aria-label')).toBe(first.textContent);
+
+    document.activeElement.click();
+    await settle();
+    expect(window.location.pathname).toBe('/about');
+    expect(document.activeElement).toBe(overlay.querySelector('.content-link'));
+  });
+
+  it('retells the open overlay in a new language', async () => {
+    const locales = getLocalePreference();
+    const [first] = disciplines;
+    const arabic = getLocale('ar');
+
+    getRouter().navigate({ name: 'work', slug: first.slug });
+    ticker.advance(SETTLE);
+    await flushPromises();
+    ticker.advance(SETTLE);
+    await flushPromises();
+    overlay.querySelector('.content-back').focus();
+
+    locales.setOverride('ar');
+    expect(document.documentElement.dir).toBe('rtl');
+    expect(overlay.getAttribute('aria-label')).toBe(arabic.disciplines[first.slug]);
+    expect(overlay.querySelector('.content-header').textContent).toBe(arabic.disciplines[first.slug]);
+    expect(document.activeElement.textContent).toBe(arabic.back);
+    expect(overlay.querySelector(`[data-slug="${first.slug}"] button`).textContent)
+      .toBe(arabic.disciplines[first.slug]);
+    expect(overlay.querySelector('[data-level="writing"] a').textContent).toBe(arabic.writing.title);
+    expect(document.querySelector('.tap-hint').textContent).toBe(arabic.tapHint);
+    expect(trigger.getAttribute('aria-label')).toBe(arabic.about);
+
+    locales.setOverride(null);
+    expect(document.documentElement.dir).toBe('ltr');
+    expect(overlay.querySelector('.content-header').textContent).toBe(first.title);
+
+    getRouter().navigate('/about');
+    ticker.advance(SETTLE);
+    await flushPromises();
+    ticker.advance(SETTLE);
+    await flushPromises();
+  });
+
+  it('mounts and tears down repeatedly without leaking', async () => {
+    getRouter().navigate('/');
+    ticker.advance(SETTLE);
+
+    // Fresh markup, away from the auto-initialised instance
+    loadPage();
+    trigger = document.querySelector('.click-capture');
+    overlay = document.querySelector('.content-overlay');
+    const wordmark = { finished: Promise.resolve() };
+
+    for (let run = 0; run < 3; run++) {
+      const instance = new ContentReveal({ wordmark });
+      await flushPromises();
+      instance.destroy();
+      instance.destroy();
+    }
+
+    expect(overlay.querySelectorAll('.content-link')).toHaveLength(0);
+    expect(overlay.querySelector('.content-detail')).toBeNull();
+
+    // One live instance renders once and answers a click once
+    const instance = new ContentReveal({ wordmark });
+    await flushPromises();
+    expect(overlay.querySelectorAll('.content-link')).toHaveLength(disciplines.length + 2);
+    expect(overlay.querySelectorAll('.content-detail')).toHaveLength(1);
+
+    trigger.click();
+    expect(window.location.pathname).toBe('/about');
+
+    instance.destroy();
+    expect(overlay.classList.contains('visible')).toBe(false);
+    expect(overlay.hasAttribute('inert')).toBe(true);
+
+    getRouter().navigate('/');
+    trigger.click();
+    expect(window.location.pathname).toBe('/');
+  });
+
+  it('sends the contact form, with errors and results on the same stagger', async () => {
+    const settle = async () => {
+      ticker.advance(SETTLE);
+      await flushPromises();
+      ticker.advance(SETTLE);
+      await flushPromises();
+    };
+    const submit = async (form) => {
+      form.querySelector('.contact-send').click();
+      await flushPromises();
+    };
+
+    // Past the guard's minimum time to fill the form in
+    vi.useFakeTimers({ toFake: ['Date'] });
+    localStorage.removeItem('contact-sent');
+    loadPage();
+    overlay = document.querySelector('.content-overlay');
+    const copy = getLocale('en').contact;
+    const contactAdapter = {
+      action: '/__contact',
+      method: 'post',
+      enctype: 'application/x-www-form-urlencoded',
+      send: vi.fn().mockRejectedValueOnce(new Error('offline')).mockResolvedValue('sent'),
+    };
+    const instance = new ContentReveal({ wordmark: { finished: Promise.resolve() }, contactAdapter });
+    await flushPromises();
+
+    getRouter().navigate('/contact');
+    await settle();
+    expect(overlay.getAttribute('aria-label')).toBe(copy.title);
+    expect(document.activeElement.className).toBe('content-back');
+
+    let form = overlay.querySelector('.contact-form');
+    await submit(form);
+    expect(contactAdapter.send).not.toHaveBeenCalled();
+    expect(document.activeElement).toBe(form.elements.name);
+    expect(form.elements.name.getAttribute('aria-invalid')).toBe('true');
+    expect(form.querySelector('#contact-email-error').textContent).toBe(copy.required);
+
+    form.elements.name.value = 'Ada';
+    form.elements.email.value = 'ada@example.com';
+    form.elements.message.value = 'Hello there';
+    form.elements.message.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(form.querySelector('.contact-error:not([hidden])')).toBeNull();
+
+    // Straight after the first input: the form stays, asking for another go
+    await submit(form);
+    expect(contactAdapter.send).not.toHaveBeenCalled();
+    expect(overlay.querySelector('.contact-form')).toBe(form);
+    expect(form.querySelector('.contact-actions .contact-error').textContent).toBe(copy.tooQuick);
+
+    vi.setSystemTime(Date.now() + 5000);
+    await submit(form);
+    await settle();
+    expect(document.activeElement.textContent).toBe(copy.failed);
+    expect(document.activeElement.getAttribute('role')).toBe('alert');
+
+    // The retry brings the draft back
+    overlay.querySelector('.contact-result .contact-send').click();
+    await settle();
+    form = overlay.querySelector('.contact-form');
+    expect(form.elements.message.value).toBe('Hello there');
+    expect(document.activeElement).toBe(form.querySelector('.contact-send'));
+
+    await submit(form);
+    await settle();
+    expect(contactAdapter.send).toHaveBeenLastCalledWith({
+      name: 'Ada', email: 'ada@example.com', message: 'Hello there',
+    });
+    expect(document.activeElement.textContent).toBe(copy.sent);
+
+    instance.destroy();
+    vi.useRealTimers();
+    getRouter().navigate('/');
+  });
+});
+
+describe('ContentReveal (vanilla) touch gestures', () => {
+  let instance;
+  let clock = 0;
+  const events = [];
+  const analytics = createAnalytics({ sinks: [{ send: (event) => events.push(event) }], enabled: true });
+
+  // jsdom has no PointerEvent - a MouseEvent carries the same fields
+  const pointer = (target, type, { id = 1, x = 200, y }) => {
+    const event = new MouseEvent(type, { bubbles: true, cancelable: true, clientX: x, clientY: y });
+    Object.defineProperties(event, {
+      pointerId: { value: id },
+      pointerType: { value: 'touch' },
+      timeStamp: { value: clock },
+    });
+    target.dispatchEvent(event);
+  };
+
+  // One finger from y to each of the stops, a frame apart, then lifted
+  // after `hold` ms without moving
+  const swipe = (target, y, stops, { hold = 0 } = {}) => {
+    pointer(target, 'pointerdown', { y });
+    stops.forEach((stop) => {
+      clock += 16;
+      pointer(target, 'pointermove', { y: stop });
+    });
+    clock += hold;
+    pointer(target, 'pointerup', { y: stops[stops.length - 1] });
+  };
+
+  beforeAll(async () => {
+    getRouter().navigate('/');
+    ticker.advance(SETTLE);
+
+    loadPage();
+    trigger = document.querySelector('.click-capture');
+    overlay = document.querySelector('.content-overlay');
+    instance = new ContentReveal({ wordmark: { finished: Promise.resolve() }, analytics });
+    await flushPromises();
+  });
+
+  afterAll(() => instance.destroy());
+
+  it('follows a swipe up and opens once released past halfway', () => {
+    const { swipeDistance } = gesture;
+
+    pointer(trigger, 'pointerdown', { y: 500 });
+    clock += 16;
+    pointer(trigger, 'pointermove', { y: 500 - 0.3 * swipeDistance });
+    expect(Number(overlay.style.opacity)).toBeCloseTo(0.3);
+
+    clock += 16;
+    pointer(trigger, 'pointermove', { y: 500 - 0.6 * swipeDistance });
+    clock += 200;
+    pointer(trigger, 'pointerup', { y: 500 - 0.6 * swipeDistance });
+
+    // The click the browser sends after the swipe is swallowed
+    trigger.click();
+
+    ticker.advance(SETTLE);
+    expect(window.location.pathname).toBe('/about');
+    expect(overlay.classList.contains('visible')).toBe(true);
+    expect(overlay.style.opacity).toBe('');
+  });
+
+  it('springs back from a short, slow swipe down', () => {
+    swipe(overlay, 300, [320, 300 + 0.3 * gesture.swipeDistance], { hold: 200 });
+    expect(Number(overlay.style.opacity)).toBeLessThan(1);
+
+    ticker.advance(SETTLE);
+    expect(window.location.pathname).toBe('/about');
+    expect(overlay.classList.contains('visible')).toBe(true);
+    expect(overlay.style.opacity).toBe('');
+  });
+
+  it('closes on a flick, however short', () => {
+    swipe(overlay, 300, [315, 330, 345]);
+    overlay.click();
+
+    ticker.advance(SETTLE);
+    expect(window.location.pathname).toBe('/');
+    expect(overlay.classList.contains('visible')).toBe(false);
+    expect(overlay.style.opacity).toBe('');
+  });
+
+  it('closes on a pinch', () => {
+    trigger.click();
+    ticker.advance(SETTLE);
+    expect(window.location.pathname).toBe('/about');
+
+    pointer(overlay, 'pointerdown', { id: 1, x: 100, y: 300 });
+    pointer(overlay, 'pointerdown', { id: 2, x: 300, y: 300 });
+    clock += 16;
+    pointer(overlay, 'pointermove', { id: 2, x: 100 + 200 * gesture.pinchScale, y: 300 });
+    expect(Number(overlay.style.opacity)).toBeCloseTo(0);
+
+    pointer(overlay, 'pointerup', { id: 2, x: 100 + 200 * gesture.pinchScale, y: 300 });
+    pointer(overlay, 'pointerup', { id: 1, x: 100, y: 300 });
+
+    ticker.advance(SETTLE);
+    expect(window.location.pathname).toBe('/');
+  });
+
+  it('ignores swipes the wrong way and swallows the click after them', () => {
+    swipe(trigger, 300, [320, 340]);
+    trigger.click();
+
+    ticker.advance(SETTLE);
+    expect(window.location.pathname).toBe('/');
+    expect(overlay.style.opacity).toBe('');
+
+    // A plain tap still opens
+    trigger.click();
+    expect(window.location.pathname).toBe('/about');
+    ticker.advance(SETTLE);
+  });
+
+  it('reports what started each reveal and hide', () => {
+    trigger.click();
+    ticker.advance(SETTLE);
+
+    expect(events.map(({ name, props }) => [name, props.via ?? props.count])).toEqual([
+      ['hint_shown', 1],
+      ['first_tap', 'swipe'],
+      ['reveal', 'swipe'],
+      ['hide', 'swipe'],
+      ['hint_shown', 2],
+      ['reveal', 'tap'],
+      ['hide', 'pinch'],
+      ['hint_shown', 3],
+      ['reveal', 'tap'],
+      ['hide', 'backdrop'],
+      ['hint_shown', 4],
+    ]);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Locale Toggle - language switcher
+ *
+ * Turns any button with a data-locale-toggle attribute into a toggle
+ * that cycles Auto → each language in content/locales/. The choice
+ * persists; the wordmark, content reveal and scroll story retell
+ * themselves in the new language.
+ *
+ * Usage:
+ * <button class="locale-toggle" type="button" data-locale-toggle>Language</button>
+ */
+
+import { getLocalePreference } from './src/i18n/preference.js';
+import { cycleLocale, toggleLabel } from './src/i18n/toggle.js';
+import { PreferenceToggle } from './src/preferenceToggle.js';
+
+class LocaleToggle extends PreferenceToggle {
+  constructor(button, preference = getLocalePreference()) {
+    super(button, preference, { cycle: cycleLocale, label: toggleLabel, locales: preference });
+  }
+}
+
+// Auto-initialize when DOM is ready
+const autoInit = () => {
+  document.querySelectorAll('[data-locale-toggle]').forEach((button) => {
+    new LocaleToggle(button);
+  });
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', autoInit);
+} else {
+  autoInit();
+}
+
+export default LocaleToggle;
@@ -0,0 +1,101 @@
+/**
+ * Motion Debug Panel - live animation telemetry
+ *
+ * Open any page with ?debug=motion to get a panel with the frame rate,
+ * dropped frames, long tasks, layout shifts and running GSAP tweens
+ * (see src/debug/telemetry.js). Wordmark events and route changes are
+ * marked on the trace, and "Export trace" saves it all as JSON for
+ * comparing devices. Without the query this script does nothing.
+ */
+
+import AnimatedWordmark from './vanilla-animation.js';
+import { getMotionTelemetry, markRoutes } from './src/debug/telemetry.js';
+import { trackGsap } from './src/debug/gsap.js';
+import {
+  reportRows,
+  downloadTrace,
+  panelStyle,
+  rowStyle,
+  valueStyle,
+  buttonStyle,
+} from './src/debug/report.js';
+
+class MotionDebugPanel {
+  /**
+   * @param {object} telemetry - from createMotionTelemetry()
+   * @param {Element} [container] - where the panel goes (default: <body>)
+   */
+  constructor(telemetry, container = document.body) {
+    this.telemetry = telemetry;
+
+    this.element = document.createElement('aside');
+    this.element.className = 'motion-debug';
+    this.element.setAttribute('aria-label', 'Motion telemetry');
+    Object.assign(this.element.style, panelStyle);
+
+    this.list = document.createElement('dl');
+    this.list.style.margin = '0';
+
+    this.exportButton = document.createElement('button');
+    this.exportButton.type = 'button';
+    this.exportButton.textContent = 'Export trace';
+    Object.assign(this.exportButton.style, buttonStyle);
+    this.handleExport = () => downloadTrace(this.telemetry.trace());
+    this.exportButton.addEventListener('click', this.handleExport);
+
+    this.element.append(this.list, this.exportButton);
+    container.appendChild(this.element);
+
+    this.unsubscribe = telemetry.subscribe((snapshot) => this.render(snapshot));
+    this.render(telemetry.snapshot());
+  }
+
+  render(snapshot) {
+    this.list.replaceChildren(...reportRows(snapshot).map(([label, value]) => {
+      const row = document.createElement('div');
+      Object.assign(row.style, rowStyle);
+
+      const term = document.createElement('dt');
+      term.textContent = label;
+
+      const detail = document.createElement('dd');
+      Object.assign(detail.style, valueStyle);
+      detail.textContent = value;
+
+      row.append(term, detail);
+      return row;
+    }));
+  }
+
+  destroy() {
+    this.unsubscribe();
+    this.exportButton.removeEventListener('click', this.handleExport);
+    this.element.remove();
+  }
+}
+
+// Auto-initialize when DOM is ready, after the wordmark has initialized
+const autoInit = () => {
+  const telemetry = getMotionTelemetry();
+  if (!telemetry) return;
+
+  trackGsap(telemetry);
+  markRoutes(telemetry);
+
+  const wordmarkElement = document.querySelector('[data-animated-wordmark]');
+  const wordmark = wordmarkElement && AnimatedWordmark.for(wordmarkElement);
+  if (wordmark) {
+    wordmark.on('start', () => telemetry.mark('wordmark:start'));
+    wordmark.on('complete', () => telemetry.mark('wordmark:complete'));
+  }
+
+  new MotionDebugPanel(telemetry);
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', autoInit);
+} else {
+  autoInit();
+}
+
+export default MotionDebugPanel;
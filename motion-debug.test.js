@@ -0,0 +1,53 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import MotionDebugPanel from './motion-debug.js';
+import { createMotionTelemetry } from './src/debug/telemetry.js';
+
+// Telemetry that never runs a frame, so the test drives it
+const idleTelemetry = () => createMotionTelemetry({
+  now: () => 0,
+  requestFrame: () => 1,
+  cancelFrame: () => {},
+  Observer: null,
+});
+
+// jsdom's Blob has no text()
+const readBlob = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+afterEach(() => vi.restoreAllMocks());
+
+describe('MotionDebugPanel (vanilla)', () => {
+  it('stays out of the page without ?debug=motion', () => {
+    expect(document.querySelector('.motion-debug')).toBeNull();
+  });
+
+  it('lists the telemetry and exports the trace as JSON', async () => {
+    const telemetry = idleTelemetry();
+    telemetry.mark('wordmark:complete');
+    const panel = new MotionDebugPanel(telemetry);
+
+    const rows = Array.from(panel.element.querySelectorAll('dt'), (term) => term.textContent);
+    expect(rows).toEqual(expect.arrayContaining(['FPS', 'Dropped frames', 'Long tasks', 'Layout shift']));
+
+    // jsdom has no object URLs
+    let blob;
+    URL.createObjectURL = vi.fn((value) => {
+      blob = value;
+      return 'blob:trace';
+    });
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    panel.element.querySelector('button').click();
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(await readBlob(blob)).marks).toEqual([{ t: 0, name: 'wordmark:complete' }]);
+
+    panel.destroy();
+    telemetry.destroy();
+    expect(document.querySelector('.motion-debug')).toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Motion Toggle - visitor override for the motion preference
+ *
+ * Turns any button with a data-motion-toggle attribute into a toggle
+ * that cycles Auto → Full → Reduced → Off. The choice persists and
+ * every animated widget on the page follows it.
+ *
+ * Usage:
+ * <button class="motion-toggle" type="button" data-motion-toggle>Motion</button>
+ */
+
+import { getMotionPreference } from './src/motion/preference.js';
+import { cycleMotion, toggleLabel } from './src/motion/toggle.js';
+import { PreferenceToggle } from './src/preferenceToggle.js';
+
+class MotionToggle extends PreferenceToggle {
+  constructor(button, preference = getMotionPreference()) {
+    super(button, preference, { cycle: cycleMotion, label: toggleLabel });
+  }
+}
+
+// Auto-initialize when DOM is ready
+const autoInit = () => {
+  document.querySelectorAll('[data-motion-toggle]').forEach((button) => {
+    new MotionToggle(button);
+  });
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', autoInit);
+} else {
+  autoInit();
+}
+
+export default MotionToggle;
@@ -0,0 +1,102 @@
+/**
+ * Library build
+ *
+ * Bundles the wordmark and reveal modules for other sites, next to
+ * (not instead of) the portfolio app build:
+ *
+ *   npm run build:lib
+ *
+ * lib/
+ *   vanilla.js, vanilla.umd.cjs, vanilla.d.ts  - GSAP classes (global GouthamWordmark)
+ *   react.js, react.umd.cjs, react.d.ts        - React components (global GouthamWordmarkReact)
+ *   elements.js, elements.umd.cjs, elements.d.ts - custom elements (global GouthamWordmarkElements)
+ *   style.css                                  - React component styles
+ *
+ * gsap, react, react-dom and framer-motion stay external - they are
+ * peer dependencies of the package. The custom elements bundle gsap in
+ * instead, so a page without a bundler can load them from one file.
+ */
+
+import { copyFileSync, rmSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { build } from 'vite';
+import react from '@vitejs/plugin-react';
+import { validateContent } from './validate-content.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const outDir = path.join(root, 'lib');
+
+const ENTRIES = [
+  { name: 'vanilla', global: 'GouthamWordmark' },
+  { name: 'react', global: 'GouthamWordmarkReact' },
+  { name: 'elements', global: 'GouthamWordmarkElements', standalone: true },
+];
+
+const PEERS = ['gsap', 'react', 'react-dom', 'framer-motion'];
+
+const GLOBALS = {
+  gsap: 'gsap',
+  'gsap/ScrollTrigger': 'ScrollTrigger',
+  react: 'React',
+  'react-dom': 'ReactDOM',
+  'framer-motion': 'Motion',
+};
+
+// Peers and their subpaths (e.g. gsap/ScrollTrigger)
+const isPeer = (id) => PEERS.some((peer) => id === peer || id.startsWith(`${peer}/`));
+
+export async function buildLib() {
+  // The portfolio content is bundled in, so it must be valid
+  const errors = validateContent();
+  if (errors.length) {
+    throw new Error(`Portfolio content is invalid:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  rmSync(outDir, { recursive: true, force: true });
+
+  for (const { name, global, standalone = false } of ENTRIES) {
+    const entry = path.join(root, 'src/lib', `${name}.js`);
+
+    await build({
+      root,
+      configFile: false,
+      logLevel: 'warn',
+      // Classic runtime: the UMD bundle only needs the React global
+      plugins: [react({ jsxRuntime: 'classic' })],
+      build: {
+        outDir,
+        emptyOutDir: false,
+        sourcemap: true,
+        lib: {
+          entry,
+          name: global,
+          formats: ['es', 'umd'],
+          fileName: (format) => (format === 'es' ? `${name}.js` : `${name}.umd.cjs`),
+        },
+        rollupOptions: {
+          external: standalone ? [] : isPeer,
+          output: {
+            globals: GLOBALS,
+            // gsap's CommonJS build marks itself __esModule, its browser
+            // globals don't - 'auto' finds the default export in both
+            interop: 'auto',
+          },
+        },
+      },
+    });
+
+    copyFileSync(path.join(root, 'src/lib', `${name}.d.ts`), path.join(outDir, `${name}.d.ts`));
+  }
+}
+
+// CLI usage
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  buildLib().then(
+    () => console.log(`Library built to ${path.relative(root, outDir)}/`),
+    (error) => {
+      console.error(error.message);
+      process.exit(1);
+    },
+  );
+}
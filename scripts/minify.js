@@ -0,0 +1,14 @@
+/**
+ * Minifier options for the app build (see vite.config.js)
+ *
+ * Stray console calls and debugger statements go; console.info stays,
+ * as the one call the site makes on purpose - the ?debug=analytics sink
+ * (src/analytics/sinks.js) logs with it on the deployed site.
+ */
+
+export const terserOptions = {
+  compress: {
+    pure_funcs: ['log', 'debug', 'warn', 'error', 'trace', 'table', 'dir'].map((method) => `console.${method}`),
+    drop_debugger: true,
+  },
+};
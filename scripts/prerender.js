@@ -0,0 +1,92 @@
+/**
+ * Static pre-render
+ *
+ * Runs after `vite build` (see the build script) and turns the built
+ * pages into complete HTML, so crawlers, link previews and visitors
+ * without JavaScript get the content:
+ *
+ *   npm run build
+ *
+ * dist/
+ *   index.html, about.html, work/<slug>.html - the GSAP page, one per
+ *     route, overlay content in place (GitHub Pages serves /about from
+ *     about.html)
+ *   index-vanilla.html, index-scroll.html - the other GSAP pages, with the
+ *     overlay content and the story sections in place
+ *   index-react.html - the React app rendered to HTML, hydrated by main.jsx
+ *   sitemap.xml, robots.txt - the sitemap lists the writing pages too,
+ *     which the markdown-posts plugin has already written (vite.config.js)
+ *
+ * The markup and metadata come from src/prerender/, bundled together
+ * with the React app through src/entry-server.jsx.
+ */
+
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import path from 'node:path';
+import { build } from 'vite';
+import react from '@vitejs/plugin-react';
+import { readPosts, postPath, WRITING_PATH } from '../src/posts/load.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const outDir = path.join(root, 'dist');
+
+// Inside node_modules, so the bundle resolves react and friends
+const serverDir = path.join(root, 'node_modules/.cache/prerender');
+
+const write = (file, contents) => {
+  const target = path.join(outDir, file);
+  mkdirSync(path.dirname(target), { recursive: true });
+  writeFileSync(target, contents);
+};
+
+/**
+ * File a route's page is written to: / → index.html, /about → about.html
+ */
+const pageFile = (routePath) => (routePath === '/' ? 'index.html' : `${routePath.slice(1)}.html`);
+
+export async function prerender() {
+  await build({
+    root,
+    configFile: false,
+    logLevel: 'warn',
+    plugins: [react()],
+    build: {
+      ssr: 'src/entry-server.jsx',
+      outDir: serverDir,
+      emptyOutDir: true,
+    },
+  });
+
+  const server = await import(pathToFileURL(path.join(serverDir, 'entry-server.js')).href);
+  const template = (file) => readFileSync(path.join(outDir, file), 'utf8');
+  const vanilla = template('index.html');
+
+  const routes = server.prerenderRoutes();
+  routes.forEach((route) => {
+    write(pageFile(server.routeToPath(route)), server.vanillaPage(vanilla, route));
+  });
+
+  // The other pages route by hash or not at all, which never reaches the server
+  write('index-vanilla.html', server.vanillaPage(template('index-vanilla.html'), { name: 'home' }));
+  write('index-scroll.html', server.scrollPage(template('index-scroll.html')));
+  write('index-react.html', server.reactPage(template('index-react.html'), { name: 'home' }, server.render('/')));
+
+  const writing = [WRITING_PATH, ...readPosts().map(({ slug }) => postPath(slug))];
+  write('sitemap.xml', server.sitemapXml(routes, writing));
+  write('robots.txt', server.robotsTxt());
+
+  rmSync(serverDir, { recursive: true, force: true });
+  return routes.length;
+}
+
+// CLI usage
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  prerender().then(
+    (count) => console.log(`Pre-rendered ${count} routes to ${path.relative(root, outDir)}/`),
+    (error) => {
+      console.error(error.message);
+      process.exit(1);
+    },
+  );
+}
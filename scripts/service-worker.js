@@ -0,0 +1,70 @@
+/**
+ * Service worker build
+ *
+ * Runs last in the build script, once dist/ holds everything a visit
+ * needs, and writes dist/sw.js from src/pwa/sw.js with the list of files
+ * to precache:
+ *
+ *   npm run build
+ *
+ * The precache version is a hash of those files, so every deploy that
+ * changes one of them installs a new worker, and the update prompt
+ * appears for visitors on the old one.
+ */
+
+import { createHash } from 'node:crypto';
+import { readdirSync, readFileSync, statSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { build } from 'vite';
+import { precacheFiles } from '../src/pwa/precache.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const outDir = path.join(root, 'dist');
+
+export async function buildServiceWorker() {
+  const paths = readdirSync(outDir, { recursive: true })
+    .filter((file) => statSync(path.join(outDir, file)).isFile());
+  const files = precacheFiles(paths);
+
+  const hash = createHash('sha256');
+  files.forEach((url) => {
+    hash.update(url);
+    hash.update(readFileSync(path.join(outDir, url)));
+  });
+  const version = hash.digest('hex').slice(0, 12);
+
+  await build({
+    root,
+    configFile: false,
+    logLevel: 'warn',
+    define: {
+      __PRECACHE__: JSON.stringify({ version, files }),
+    },
+    build: {
+      outDir,
+      emptyOutDir: false,
+      copyPublicDir: false,
+      minify: 'terser',
+      lib: {
+        entry: 'src/pwa/sw.js',
+        formats: ['iife'],
+        name: 'sw',
+        fileName: () => 'sw.js',
+      },
+    },
+  });
+
+  return { version, count: files.length };
+}
+
+// CLI usage
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  buildServiceWorker().then(
+    ({ version, count }) => console.log(`Service worker ${version} precaches ${count} files`),
+    (error) => {
+      console.error(error.message);
+      process.exit(1);
+    },
+  );
+}
@@ -0,0 +1,97 @@
+/**
+ * Portfolio content validator
+ *
+ * Checks content/portfolio.json against content/portfolio.schema.json,
+ * every locale in content/locales/ against content/locale.schema.json,
+ * and the frontmatter of every post in content/posts/ (src/posts/load.js).
+ * Used by the Vite build (see vite.config.js) and runnable on its own:
+ *
+ *   npm run validate:content
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import Ajv from 'ajv';
+import { validatePosts } from '../src/posts/load.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const CONTENT_FILE = path.join(root, 'content/portfolio.json');
+export const SCHEMA_FILE = path.join(root, 'content/portfolio.schema.json');
+export const LOCALES_DIR = path.join(root, 'content/locales');
+export const LOCALE_SCHEMA_FILE = path.join(root, 'content/locale.schema.json');
+
+const readJson = (file) => JSON.parse(readFileSync(file, 'utf8'));
+
+/**
+ * Validate the locale files against their schema and the portfolio's
+ * discipline slugs. Messages start with the file name.
+ */
+export function validateLocales(localesDir = LOCALES_DIR, content = readJson(CONTENT_FILE)) {
+  const ajv = new Ajv({ allErrors: true });
+  const validate = ajv.compile(readJson(LOCALE_SCHEMA_FILE));
+  const slugs = new Set((content.disciplines || []).map(({ slug }) => slug));
+  const errors = [];
+
+  readdirSync(localesDir).filter((file) => file.endsWith('.json')).forEach((file) => {
+    const locale = readJson(path.join(localesDir, file));
+    const name = `locales/${file}`;
+
+    if (!validate(locale)) {
+      validate.errors.forEach(({ instancePath, message }) => errors.push(`${name}: ${instancePath || '/'} ${message}`));
+    }
+
+    Object.keys(locale.disciplines || {}).forEach((slug) => {
+      if (!slugs.has(slug)) errors.push(`${name}: unknown discipline slug "${slug}"`);
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Validate the portfolio content file, the locales and the posts.
+ * Returns a list of human-readable error messages (empty when valid).
+ */
+export function validateContent(contentFile = CONTENT_FILE) {
+  const ajv = new Ajv({ allErrors: true });
+  const validate = ajv.compile(readJson(SCHEMA_FILE));
+  const content = readJson(contentFile);
+
+  const errors = validate(content)
+    ? []
+    : validate.errors.map(({ instancePath, message }) => `${instancePath || '/'} ${message}`);
+
+  // Slugs become URL segments, so they must be unique at each level
+  const seen = new Set();
+  (content.disciplines || []).forEach((discipline) => {
+    if (seen.has(discipline.slug)) {
+      errors.push(`duplicate discipline slug "${discipline.slug}"`);
+    }
+    seen.add(discipline.slug);
+
+    const projectSlugs = new Set();
+    (discipline.projects || []).forEach((project) => {
+      if (projectSlugs.has(project.slug)) {
+        errors.push(`duplicate project slug "${project.slug}" in "${discipline.slug}"`);
+      }
+      projectSlugs.add(project.slug);
+    });
+  });
+
+  return [...errors, ...validateLocales(LOCALES_DIR, content), ...validatePosts()];
+}
+
+// CLI usage
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const errors = validateContent();
+
+  if (errors.length) {
+    console.error('Portfolio content is invalid:');
+    errors.forEach((error) => console.error(`  - ${error}`));
+    process.exit(1);
+  }
+
+  console.log('Portfolio content is valid');
+}
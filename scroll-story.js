@@ -0,0 +1,243 @@
+/**
+ * Scroll Story - scroll-driven alternative to ContentReveal
+ *
+ * Instead of tapping to open the overlay, the visitor scrolls: the
+ * wordmark stays pinned and scrubs out, then each discipline pins in
+ * turn while its projects enter. Same content (src/portfolio.js),
+ * tokens and easing as ContentReveal. Features:
+ * - GSAP ScrollTrigger pins and scrubs every section
+ * - Snaps to the start or end of the nearest pin
+ * - Scroll hint once the wordmark completes, gone on the first scroll
+ * - With motion off nothing is pinned - the story is a plain page
+ * - Rebuilds when the motion preference changes
+ * - Copy in the active language (src/i18n/), retold in place when the
+ *   language switcher changes it
+ * - destroy() removes every trigger and the rendered sections
+ *
+ * A page opts in with this markup in place of the overlay's:
+ *
+ * <main class="scroll-story">
+ *   <section class="story-intro">
+ *     <h1 class="wordmark" data-animated-wordmark>goutham</h1>
+ *   </section>
+ * </main>
+ * <div class="scroll-hint" data-i18n="scrollHint">Scroll</div>
+ */
+
+import gsap from 'gsap';
+import ScrollTrigger from 'gsap/ScrollTrigger';
+import AnimatedWordmark from './vanilla-animation.js';
+import { projectElement, emptyProjectsElement } from './src/projectElement.js';
+import { reveal, story } from './src/motion/tokens.js';
+import { getMotionPreference, timingForMode } from './src/motion/preference.js';
+import { easeOutExpo, storyItemsEnter } from './src/motion/gsap.js';
+import { getLocalePreference } from './src/i18n/preference.js';
+import { getLocale, localizeDisciplines } from './src/i18n/locales.js';
+
+gsap.registerPlugin(ScrollTrigger);
+
+class ScrollStory {
+  /**
+   * @param {object} [options]
+   * @param {AnimatedWordmark} [options.wordmark] - the hint waits for this
+   *   wordmark to complete; without one, for reveal.hintDelay
+   * @param {Document|Element} [options.root] - where to find .scroll-story
+   *   and .scroll-hint (default: document)
+   * @param {object} [options.preference] - defaults to the shared motion preference
+   */
+  constructor(options = {}) {
+    const root = options.root || document;
+
+    this.wordmark = options.wordmark;
+    this.container = root.querySelector('.scroll-story');
+    this.intro = this.container.querySelector('.story-intro');
+    this.hint = root.querySelector('.scroll-hint');
+    this.preference = options.preference || getMotionPreference();
+    this.locales = getLocalePreference();
+    this.sections = [];
+
+    this.init();
+  }
+
+  init() {
+    this.renderSections();
+    this.applyLocale();
+    this.build();
+    this.unsubscribeLocale = this.locales.subscribe(() => this.applyLocale());
+
+    // Pins and scrubs depend on the mode - start over when it changes
+    this.unsubscribePreference = this.preference.subscribe(() => {
+      this.teardown();
+      this.build();
+    });
+
+    // The hint only helps before the visitor has found the scroll
+    this.handleScroll = () => {
+      this.hasScrolled = true;
+      this.hideScrollHint();
+    };
+    window.addEventListener('scroll', this.handleScroll, { once: true, passive: true });
+
+    const wordmarkFinished = this.wordmark
+      ? this.wordmark.finished
+      : new Promise((resolve) => {
+        this.hintTimer = setTimeout(resolve, this.timing.hintDelay * 1000);
+      });
+
+    wordmarkFinished.then(() => {
+      if (this.isDestroyed || this.hasScrolled) return;
+      this.showScrollHint();
+    });
+  }
+
+  /**
+   * Reveal and story tokens adjusted for the current motion preference
+   */
+  get timing() {
+    return timingForMode({ ...reveal, ...story }, this.preference.mode);
+  }
+
+  renderSections() {
+    // One section per discipline, from the shared portfolio content
+    const locale = getLocale(this.locales.locale);
+
+    this.sections = localizeDisciplines(locale).map((discipline) => {
+      const section = document.createElement('section');
+      section.className = 'story-section';
+      section.setAttribute('aria-labelledby', `story-${discipline.slug}`);
+
+      const header = document.createElement('h2');
+      header.className = 'content-header';
+      header.id = `story-${discipline.slug}`;
+      header.textContent = discipline.title;
+
+      const rows = discipline.projects.length
+        ? discipline.projects.map(projectElement)
+        : [emptyProjectsElement(locale.projectsComingSoon)];
+
+      section.dataset.slug = discipline.slug;
+      section.replaceChildren(header, ...rows);
+      return section;
+    });
+
+    // In place of the pre-rendered ones (src/prerender/page.js), if any
+    this.container.querySelectorAll('.story-section').forEach((section) => section.remove());
+    this.container.append(...this.sections);
+  }
+
+  build() {
+    const motion = this.preference.mode;
+    const timing = this.timing;
+
+    // Everything created here is undone by context.revert()
+    this.context = gsap.context(() => {
+      if (motion === 'none') return;
+
+      const snap = { snapTo: 1, duration: timing.snapDuration, ease: easeOutExpo };
+      const pinned = (trigger, length) => ({
+        trigger,
+        start: 'top top',
+        end: `+=${length * 100}%`,
+        pin: true,
+        scrub: true,
+        snap,
+      });
+
+      // Intro: the wordmark holds the screen, then fades and shrinks away.
+      // Its children move, not the pinned section itself.
+      gsap.timeline({ scrollTrigger: pinned(this.intro, timing.introLength) })
+        .to(this.intro.children, { opacity: 0, scale: timing.mainScale, ease: easeOutExpo });
+
+      // Each discipline: its rows enter on the shared stagger as it scrolls
+      this.sections.forEach((section) => {
+        const tl = gsap.timeline({ scrollTrigger: pinned(section, timing.sectionLength) });
+        storyItemsEnter(tl, Array.from(section.children), { motion });
+      });
+    });
+  }
+
+  teardown() {
+    this.context.revert();
+
+    // revert() can leave the scrubbed intro values inline
+    gsap.set(this.intro.children, { clearProps: 'opacity,transform' });
+  }
+
+  showScrollHint() {
+    if (this.hint) {
+      gsap.to(this.hint, {
+        opacity: this.timing.hintOpacity,
+        duration: this.timing.hintDuration,
+        ease: 'power2.out'
+      });
+    }
+  }
+
+  /**
+   * Retell the hint and sections in the active language, in place -
+   * pins and scrubs keep running
+   */
+  applyLocale() {
+    const locale = getLocale(this.locales.locale);
+    const key = this.hint?.dataset.i18n;
+    if (key) this.hint.textContent = locale[key];
+
+    localizeDisciplines(locale).forEach(({ slug, title }) => {
+      const section = this.sections.find((entry) => entry.dataset.slug === slug);
+      section.querySelector('.content-header').textContent = title;
+      section.querySelector('.project-empty')?.replaceChildren(locale.projectsComingSoon);
+    });
+  }
+
+  hideScrollHint() {
+    if (this.hint) {
+      gsap.to(this.hint, {
+        opacity: 0,
+        duration: this.timing.hintDuration,
+        ease: 'power2.out'
+      });
+    }
+  }
+
+  /**
+   * Remove the triggers, pins and sections. The page is left with its
+   * original markup.
+   */
+  destroy() {
+    this.isDestroyed = true;
+    clearTimeout(this.hintTimer);
+    this.unsubscribePreference();
+    this.unsubscribeLocale();
+    window.removeEventListener('scroll', this.handleScroll);
+
+    this.teardown();
+    if (this.hint) {
+      gsap.killTweensOf(this.hint);
+      gsap.set(this.hint, { clearProps: 'opacity' });
+    }
+
+    this.sections.forEach((section) => section.remove());
+    this.sections = [];
+  }
+}
+
+// Auto-initialize when DOM is ready, after the wordmark has initialized
+const autoInit = () => {
+  if (!document.querySelector('.scroll-story')) return;
+
+  const wordmarkElement = document.querySelector('[data-animated-wordmark]');
+  new ScrollStory({
+    wordmark: wordmarkElement && AnimatedWordmark.for(wordmarkElement)
+  });
+};
+
+// Nothing to do without a DOM: the library entry imported under SSR or in Node
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', autoInit);
+  } else {
+    autoInit();
+  }
+}
+
+export default ScrollStory;
@@ -0,0 +1,93 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { wordmarkSchedule } from './src/motion/schedule.js';
+import { getMotionPreference } from './src/motion/preference.js';
+import { disciplines } from './src/portfolio.js';
+import { installFakeTicker, flushPromises } from './test/gsapTicker.js';
+import { loadPage } from './test/page.js';
+
+let ticker;
+let story;
+let hint;
+
+describe('ScrollStory (vanilla)', () => {
+  beforeAll(async () => {
+    // jsdom has no matchMedia (needed to register ScrollTrigger) or scrollTo
+    window.scrollTo = () => {};
+    window.matchMedia ??= (media) => ({
+      media,
+      matches: false,
+      addListener() {},
+      removeListener() {},
+      addEventListener() {},
+      removeEventListener() {},
+    });
+
+    ticker = installFakeTicker();
+
+    // Imported before the markup exists, so nothing auto-initialises
+    const { default: AnimatedWordmark } = await import('./vanilla-animation.js');
+    const { default: ScrollStory } = await import('./scroll-story.js');
+    loadPage('index-scroll.html');
+
+    const wordmark = new AnimatedWordmark(document.querySelector('[data-animated-wordmark]'));
+    story = new ScrollStory({ wordmark });
+    hint = document.querySelector('.scroll-hint');
+  });
+
+  afterAll(() => {
+    story.destroy();
+    getMotionPreference().setOverride(null);
+    ticker.uninstall();
+  });
+
+  it('renders one labelled section per discipline', () => {
+    const sections = document.querySelectorAll('.story-section');
+    expect(sections).toHaveLength(disciplines.length);
+
+    sections.forEach((section, index) => {
+      const heading = section.querySelector('h2');
+      expect(heading.textContent).toBe(disciplines[index].title);
+      expect(section.getAttribute('aria-labelledby')).toBe(heading.id);
+      expect(section.querySelectorAll('.project, .project-empty').length)
+        .toBe(disciplines[index].projects.length || 1);
+    });
+  });
+
+  it('pins the intro and every section', () => {
+    const pinned = ScrollTrigger.getAll().filter((trigger) => trigger.pin);
+    expect(pinned.map((trigger) => trigger.pin)).toEqual([
+      document.querySelector('.story-intro'),
+      ...document.querySelectorAll('.story-section'),
+    ]);
+  });
+
+  it('shows the scroll hint once the wordmark has finished', async () => {
+    ticker.advance(wordmarkSchedule('goutham'.length).revealedAt);
+    await flushPromises();
+    ticker.advance(1);
+
+    expect(Number(hint.style.opacity)).toBeGreaterThan(0);
+  });
+
+  it('lays the story out as a plain page with motion off', () => {
+    getMotionPreference().setOverride('none');
+
+    expect(ScrollTrigger.getAll()).toHaveLength(0);
+    document.querySelectorAll('.story-section > *').forEach((row) => {
+      expect(row.style.opacity).toBe('');
+    });
+
+    getMotionPreference().setOverride(null);
+    expect(ScrollTrigger.getAll()).toHaveLength(disciplines.length + 1);
+  });
+
+  it('removes its triggers and sections on destroy', () => {
+    story.destroy();
+
+    expect(ScrollTrigger.getAll()).toHaveLength(0);
+    expect(document.querySelectorAll('.story-section')).toHaveLength(0);
+    expect(document.querySelector('.story-intro h1').style.opacity).toBe('');
+  });
+});
@@ -1,5 +1,14 @@
-import React, { useState, useEffect } from 'react';
-import { motion, useAnimation } from 'framer-motion';
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, useAnimation, animate } from 'framer-motion';
+import { wordmarkSchedule, sequenceSchedule } from './motion/schedule';
+import { wordmarkCharVariants, cursorVariants as buildCursorVariants } from './motion/framer';
+import { getEffect } from './motion/effects';
+import useMotionPreference from './useMotionPreference';
+import useAnimationTelemetry from './useAnimationTelemetry';
+import { visuallyHidden, wordmarkLabel, revealAnnouncement } from './a11y';
+import { splitGraphemes, joinGraphemes, textDirection } from './i18n/graphemes';
+import { getAnalytics } from './analytics/analytics';
+import { wordmarkRun } from './analytics/events';
 
 /**
  * AnimatedWordmark Component
@@ -10,47 +19,127 @@ import { motion, useAnimation } from 'framer-motion';
  * - Animated cursor tracking
  * - GPU-accelerated transforms
  *
- * Motion choices:
+ * Motion choices (values live in motion/tokens.js):
  * - Spring physics (stiffness: 70, damping: 15) for natural, premium feel
  * - 150ms stagger creates deliberate, unhurried pacing
  * - translateY + opacity for subtle depth without distraction
  * - Cursor follows last revealed character for authentic typing feel
+ *
+ * Effects (motion/effects/): typewriter (default), scramble, mask,
+ * blur, flip, weight - via the `effect` prop.
+ *
+ * Sequence mode: pass `phrases` (e.g. ['goutham', 'designer', 'engineer'])
+ * to type each phrase, hold it, backspace it and type the next.
+ * `loop={false}` stops on the last phrase. Phrases may be objects with
+ * per-phrase timing: { text, staggerDelay, phraseHold, deleteStagger }.
+ *
+ * Motion preference (motion/preference.js): 'reduced' turns every effect
+ * into a crossfade, 'none' shows the text at once. The cursor only
+ * appears with full motion. A preference change mid-reveal restarts the
+ * reveal in the new mode.
+ *
+ * Scripts (i18n/graphemes.js): one span per grapheme cluster, so emoji,
+ * combining marks and scripts like Devanagari or Tamil stay whole.
+ * Right-to-left text types from the right, the cursor on its left.
+ * Give the component a new `key` to retype a new text.
+ *
+ * Analytics (analytics/): the reveal reports whether it completed or
+ * was interrupted - by unmounting or the visitor leaving.
+ *
+ * Accessibility (a11y.js): the full text is exposed once through a
+ * visually hidden label; character spans and the cursor are aria-hidden.
+ * A polite status region after the wordmark announces the finished reveal.
+ *
+ * Lifecycle props (mirror the vanilla class events):
+ * - onCharReveal({ index, char, phrase }) as each character starts revealing
+ * - onComplete() once every character is revealed
+ *   (in a looping sequence, once the first phrase is typed)
+ */
+
+const phraseText = (phrase) => (typeof phrase === 'string' ? phrase : phrase.text);
+
+/**
+ * Text for presets that change characters mid-reveal (e.g. scramble).
+ * Runs the preset's text() over the same delay and duration as the
+ * character's own variant.
  */
+const EffectText = ({ char, effect, delay, duration }) => {
+  const [display, setDisplay] = useState(() => effect.text(0, char));
+
+  useEffect(() => {
+    const controls = animate(0, 1, {
+      delay,
+      duration,
+      onUpdate: (progress) => setDisplay(effect.text(progress, char)),
+      onComplete: () => setDisplay(char),
+    });
+
+    return () => controls.stop();
+  }, [char, effect, delay, duration]);
+
+  return display;
+};
 
 const AnimatedWordmark = ({
   text = "goutham",
-  className = ""
+  className = "",
+  effect,
+  phrases,
+  loop = true,
+  onCharReveal,
+  onComplete,
+  analytics = getAnalytics(),
 }) => {
   const [cursorIndex, setCursorIndex] = useState(-1);
   const [animationComplete, setAnimationComplete] = useState(false);
   const controls = useAnimation();
+  const motionMode = useMotionPreference();
+  const telemetry = useAnimationTelemetry('wordmark');
+  const showCursor = motionMode === 'full';
 
-  // Split text into individual characters for stagger animation
-  const characters = text.split('');
-
-  // Configuration constants
-  const STAGGER_DELAY = 0.15; // 150ms between characters - matches lovefrom.com pacing
-  const CHAR_DURATION = 0.5;  // 500ms per character
-  const INITIAL_DELAY = 0.3;  // 300ms before animation starts
-  const CURSOR_BLINK_DURATION = 0.53; // 530ms - natural blink rate
-
-  // Spring configuration for premium, physics-based motion
-  // Lower stiffness (70) creates gentle acceleration
-  // Lower damping (15) allows subtle overshoot for "alive" feel
-  const springTransition = {
-    type: "spring",
-    stiffness: 70,
-    damping: 15,
-  };
+  // Sequence mode state: active phrase, characters not yet backspaced,
+  // and a counter that remounts the characters each time a phrase starts
+  const isSequence = Boolean(phrases?.length);
+  const [phraseIndex, setPhraseIndex] = useState(0);
+  const [visibleCount, setVisibleCount] = useState(Infinity);
+  const [phraseRun, setPhraseRun] = useState(0);
 
-  // Alternative: Sophisticated cubic-bezier for more control
-  const easingTransition = {
-    duration: CHAR_DURATION,
-    ease: [0.16, 1, 0.3, 1], // ease-out-expo: slow start, fast end, gentle settle
-  };
+  // Latest callbacks, so new handler identities don't restart the animation
+  const callbacks = useRef({});
+  callbacks.current = { onCharReveal, onComplete };
+
+  // The text whose reveal has finished. A motion preference change
+  // restarts an unfinished (or looping) reveal in the new mode, as
+  // vanilla-animation.js does, and leaves a finished one be
+  const phrasesKey = isSequence ? JSON.stringify(phrases) : '';
+  const revealKey = isSequence ? phrasesKey : text;
+  const revealed = useRef(null);
+  const lastMotion = useRef(motionMode);
+
+  // Shared schedule - same pacing as vanilla-animation.js (see motion/tokens.js)
+  const schedule = isSequence
+    ? sequenceSchedule(phrases, { loop, motion: motionMode })
+    : wordmarkSchedule(splitGraphemes(text).length, { motion: motionMode });
+
+  // Accessible name - the character spans are hidden from assistive tech
+  const label = wordmarkLabel(text, phrases);
 
-  // Use spring for final implementation (more premium feel)
-  const transition = springTransition;
+  // Split text into visible characters (grapheme clusters) for stagger
+  // animation - glyphs are what each span shows (see i18n/graphemes.js)
+  const activeText = isSequence ? phraseText(phrases[phraseIndex]) : text;
+  const characters = splitGraphemes(activeText).slice(0, visibleCount);
+  const glyphs = joinGraphemes(characters);
+  const dir = textDirection(activeText);
+
+  // Character timing - sequence phrases mount when they start, so their
+  // delays are relative to the phrase start
+  const activePhrase = isSequence && schedule.phrases[phraseIndex];
+  const charSchedule = activePhrase
+    ? {
+      ...schedule,
+      chars: activePhrase.chars.map((char) => ({ ...char, start: char.start - activePhrase.start })),
+    }
+    : schedule;
 
   // Container variants - subtle initial fade
   const containerVariants = {
@@ -60,87 +149,148 @@ const AnimatedWordmark = ({
     visible: {
       opacity: 1,
       transition: {
-        duration: 0.3,
+        duration: schedule.timing.containerDuration,
         ease: "easeOut",
         when: "beforeChildren",
       }
     }
   };
 
-  // Character variants - staggered reveal
-  // Using opacity + translateY for depth without being heavy-handed
-  const characterVariants = {
-    hidden: {
-      opacity: 0,
-      y: 8, // Subtle 8px vertical offset
-    },
-    visible: (i) => ({
-      opacity: 1,
-      y: 0,
-      transition: {
-        ...transition,
-        delay: INITIAL_DELAY + (i * STAGGER_DELAY),
-      }
-    })
-  };
+  // Character variants - staggered reveal with the chosen effect preset
+  const preset = getEffect(effect);
+  const characterVariants = wordmarkCharVariants(charSchedule, preset, dir);
 
   // Cursor variants - tracks the last revealed character
-  const cursorVariants = {
-    hidden: {
-      opacity: 0,
-      scale: 0.8,
-    },
-    visible: {
-      opacity: 1,
-      scale: 1,
-      transition: {
-        duration: 0.2,
-        ease: "easeOut",
-      }
-    },
-    blink: {
-      opacity: [1, 0, 1],
-      transition: {
-        duration: CURSOR_BLINK_DURATION,
-        repeat: Infinity,
-        ease: "easeInOut",
-      }
-    }
-  };
+  const cursorVariants = buildCursorVariants(schedule.timing);
+
+  // Analytics for the reveal. It starts from a timer, so the extra
+  // mount StrictMode rehearses in development never reports.
+  const runRef = useRef(null);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      runRef.current = wordmarkRun(analytics, {
+        effect: preset.name,
+        motion: motionMode,
+        chars: splitGraphemes(isSequence ? phraseText(phrases[0]) : text).length,
+      });
+    });
+
+    return () => {
+      clearTimeout(timer);
+      runRef.current?.interrupt('unmount');
+      runRef.current = null;
+    };
+  }, []);
 
   // Update cursor position as characters are revealed
   useEffect(() => {
-    const totalAnimationTime = INITIAL_DELAY + (characters.length * STAGGER_DELAY) + CHAR_DURATION;
+    if (isSequence) return;
+
+    // Only the motion mode changed: nothing left to reveal, and the
+    // lingering cursor goes with the old mode
+    if (revealed.current === revealKey) {
+      setCursorIndex(characters.length);
+      return;
+    }
+
+    // Mid-reveal: the characters start over too, on the new schedule
+    if (lastMotion.current !== motionMode) {
+      lastMotion.current = motionMode;
+      setPhraseRun((run) => run + 1);
+    }
+
+    const timers = [];
+    const at = (time, callback) => timers.push(setTimeout(callback, time * 1000));
 
     // Start cursor at position -1 (before first character)
     setCursorIndex(-1);
 
     // Move cursor after each character is revealed
-    characters.forEach((_, index) => {
-      const revealTime = (INITIAL_DELAY + (index * STAGGER_DELAY)) * 1000;
+    schedule.chars.forEach(({ index, start }) => at(start, () => {
+      setCursorIndex(index);
+      runRef.current?.reveal(index);
+      callbacks.current.onCharReveal?.({ index, char: characters[index] });
+    }));
 
-      setTimeout(() => {
-        setCursorIndex(index);
-      }, revealTime);
+    // Mark animation as complete, then hide cursor once it has lingered
+    at(schedule.revealedAt, () => {
+      revealed.current = revealKey;
+      setAnimationComplete(true);
+      runRef.current?.complete();
+      callbacks.current.onComplete?.();
     });
 
-    // Mark animation as complete and hide cursor
-    setTimeout(() => {
-      setAnimationComplete(true);
-      setTimeout(() => {
-        setCursorIndex(characters.length); // Move cursor past last character to hide
-      }, 1000);
-    }, totalAnimationTime * 1000);
+    at(schedule.cursor.hideAt, () => {
+      setCursorIndex(characters.length); // Move cursor past last character to hide
+    });
 
-    return () => {
-      // Cleanup timeouts if component unmounts
+    // Unmounting, a new text or a new motion mode cancels everything
+    // still pending
+    return () => timers.forEach(clearTimeout);
+  }, [isSequence, characters.length, motionMode]);
+
+  // Sequence mode - type, hold, backspace, next phrase
+  useEffect(() => {
+    if (!isSequence) return;
+
+    if (!loop && revealed.current === revealKey) {
+      setCursorIndex(Infinity);
+      return;
+    }
+
+    const timers = [];
+    const at = (time, callback) => timers.push(setTimeout(callback, time * 1000));
+
+    const runCycle = () => {
+      schedule.phrases.forEach((phrase) => {
+        const chars = splitGraphemes(phraseText(phrases[phrase.index]));
+
+        at(phrase.start, () => {
+          setPhraseIndex(phrase.index);
+          setVisibleCount(Infinity);
+          setPhraseRun((run) => run + 1);
+          setCursorIndex(-1);
+        });
+
+        phrase.chars.forEach(({ index, start }) => at(start, () => {
+          setCursorIndex(index);
+          if (phrase.index === 0) runRef.current?.reveal(index);
+          callbacks.current.onCharReveal?.({ index, char: chars[index], phrase: phrase.index });
+        }));
+
+        phrase.deletes.forEach(({ index, at: time }) => at(time, () => {
+          setVisibleCount(index);
+          setCursorIndex(index - 1);
+        }));
+      });
+
+      at(schedule.revealedAt, () => {
+        if (revealed.current === revealKey) return;
+        revealed.current = revealKey;
+        setAnimationComplete(true);
+        runRef.current?.complete();
+        callbacks.current.onComplete?.();
+      });
+
+      if (schedule.loop) {
+        at(schedule.duration, runCycle);
+      } else {
+        at(schedule.cursor.hideAt, () => setCursorIndex(Infinity));
+      }
     };
-  }, [characters.length]);
+
+    setCursorIndex(-1);
+    runCycle();
+
+    return () => timers.forEach(clearTimeout);
+  }, [isSequence, phrasesKey, loop, motionMode]);
 
   // Cursor component
   const Cursor = () => (
     <motion.span
       className="cursor"
+      aria-hidden="true"
       variants={cursorVariants}
       initial="hidden"
       animate="blink"
@@ -160,43 +310,65 @@ const AnimatedWordmark = ({
   );
 
   return (
-    <motion.div
-      className={`wordmark-container ${className}`}
-      variants={containerVariants}
-      initial="hidden"
-      animate="visible"
-      style={{
-        display: 'inline-flex',
-        position: 'relative',
-        // Force GPU acceleration for entire container
-        willChange: 'transform, opacity',
-      }}
-    >
-      {characters.map((char, index) => (
-        <React.Fragment key={`${char}-${index}`}>
-          {/* Show cursor before first character if cursorIndex is -1 */}
-          {index === 0 && cursorIndex === -1 && <Cursor />}
-
-          {/* Render character */}
-          <motion.span
-            custom={index}
-            variants={characterVariants}
-            style={{
-              display: 'inline-block',
-              // Force GPU layer per character for smooth animation
-              willChange: 'transform, opacity',
-              // Prevent layout shift during animation
-              minWidth: char === ' ' ? '0.25em' : 'auto',
-            }}
-          >
-            {char}
-          </motion.span>
-
-          {/* Show cursor after this character if it matches cursorIndex */}
-          {cursorIndex === index && <Cursor />}
-        </React.Fragment>
-      ))}
-    </motion.div>
+    <>
+      <motion.div
+        className={`wordmark-container ${className}`}
+        dir={dir}
+        variants={containerVariants}
+        initial="hidden"
+        animate="visible"
+        {...telemetry}
+        style={{
+          display: 'inline-flex',
+          position: 'relative',
+          // Force GPU acceleration for entire container
+          willChange: 'transform, opacity',
+        }}
+      >
+        <span style={visuallyHidden}>{label}</span>
+
+        {/* Show cursor before first character if cursorIndex is -1 */}
+        {showCursor && cursorIndex === -1 && <Cursor />}
+
+        {characters.map((char, index) => (
+          <React.Fragment key={`${phraseRun}-${char}-${index}`}>
+            {/* Render character - sequence phrases, and a reveal restarted
+                in a new motion mode, animate on mount */}
+            <motion.span
+              aria-hidden="true"
+              custom={index}
+              variants={characterVariants}
+              {...((isSequence || phraseRun > 0) && { initial: 'hidden', animate: 'visible' })}
+              style={{
+                display: 'inline-block',
+                // Force GPU layer per character for smooth animation
+                willChange: 'transform, opacity',
+                // Prevent layout shift during animation
+                minWidth: char === ' ' ? '0.25em' : 'auto',
+                ...preset.style,
+              }}
+            >
+              {preset.text ? (
+                <EffectText
+                  char={glyphs[index]}
+                  effect={preset}
+                  delay={charSchedule.chars[index].start}
+                  duration={charSchedule.chars[index].duration}
+                />
+              ) : glyphs[index]}
+            </motion.span>
+
+            {/* Show cursor after this character if it matches cursorIndex */}
+            {showCursor && cursorIndex === index && <Cursor />}
+          </React.Fragment>
+        ))}
+      </motion.div>
+
+      {/* Live region - outside the wordmark so it isn't part of its name */}
+      <span role="status" aria-live="polite" style={visuallyHidden}>
+        {animationComplete ? revealAnnouncement(label) : ''}
+      </span>
+    </>
   );
 };
 
@@ -213,6 +385,13 @@ export default AnimatedWordmark;
  *       <AnimatedWordmark
  *         text="goutham"
  *         className="wordmark"
+ *         effect="blur"
+ *         onComplete={() => console.log('revealed')}
+ *       />
+ *
+ *       <AnimatedWordmark
+ *         phrases={['goutham', 'designer', 'engineer']}
+ *         loop={false}
  *       />
  *     </div>
  *   );
@@ -0,0 +1,130 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, afterEach, beforeEach, vi } from 'vitest';
+import { render, cleanup, act } from '@testing-library/react';
+import AnimatedWordmark from './AnimatedWordmark';
+import { wordmarkSchedule } from './motion/schedule';
+import { createAnalytics } from './analytics/analytics';
+import { getMotionPreference } from './motion/preference';
+
+const schedule = wordmarkSchedule('goutham'.length);
+
+beforeEach(() => vi.useFakeTimers());
+
+afterEach(() => {
+  cleanup();
+  vi.useRealTimers();
+  act(() => getMotionPreference().setOverride(null));
+});
+
+const advance = (seconds) => act(() => vi.advanceTimersByTime(seconds * 1000));
+
+describe('AnimatedWordmark (React)', () => {
+  it('renders one span per character', () => {
+    const { container } = render(<AnimatedWordmark text="goutham" />);
+    const spans = container.querySelectorAll('.wordmark-container > span[aria-hidden="true"]:not(.cursor)');
+
+    expect(Array.from(spans, (span) => span.textContent)).toEqual('goutham'.split(''));
+  });
+
+  it('renders grapheme clusters, right-to-left text from the right', () => {
+    const chars = (container) => Array.from(
+      container.querySelectorAll('.wordmark-container > span[aria-hidden="true"]:not(.cursor)'),
+      (span) => span.textContent,
+    );
+
+    const tamil = render(<AnimatedWordmark text="கௌதம்" />);
+    expect(chars(tamil.container)).toEqual(['கௌ', 'த', 'ம்']);
+    expect(tamil.container.querySelector('.wordmark-container').getAttribute('dir')).toBe('ltr');
+    cleanup();
+
+    const arabic = render(<AnimatedWordmark text="غوتام" />);
+    expect(chars(arabic.container)).toEqual(['غ\u200D', '\u200Dو', 'ت\u200D', '\u200Dا', 'م']);
+    expect(arabic.container.querySelector('.wordmark-container').getAttribute('dir')).toBe('rtl');
+  });
+
+  it('moves the cursor after each revealed character', () => {
+    const { container } = render(<AnimatedWordmark text="goutham" />);
+    const cursor = () => container.querySelector('.cursor');
+
+    // Before the first character
+    expect(cursor().nextElementSibling.textContent).toBe('g');
+
+    advance(schedule.chars[3].start);
+    expect(cursor().previousElementSibling.textContent).toBe('t');
+
+    // Gone once it has lingered past the reveal
+    advance(schedule.cursor.hideAt);
+    expect(cursor()).toBeNull();
+  });
+
+  it('calls onCharReveal and onComplete on schedule', () => {
+    const onCharReveal = vi.fn();
+    const onComplete = vi.fn();
+    render(<AnimatedWordmark text="hey" onCharReveal={onCharReveal} onComplete={onComplete} />);
+    const { chars, revealedAt } = wordmarkSchedule(3);
+
+    advance(chars[1].start);
+    expect(onCharReveal.mock.calls.map(([event]) => event.char)).toEqual(['h', 'e']);
+    expect(onComplete).not.toHaveBeenCalled();
+
+    advance(revealedAt);
+    expect(onCharReveal).toHaveBeenCalledTimes(3);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it('cancels pending callbacks on unmount', () => {
+    const onCharReveal = vi.fn();
+    const onComplete = vi.fn();
+
+    for (let mount = 0; mount < 3; mount++) {
+      const { unmount } = render(<AnimatedWordmark text="hey" onCharReveal={onCharReveal} onComplete={onComplete} />);
+      unmount();
+    }
+
+    expect(vi.getTimerCount()).toBe(0);
+    advance(wordmarkSchedule(3).duration + 1);
+    expect(onCharReveal).not.toHaveBeenCalled();
+    expect(onComplete).not.toHaveBeenCalled();
+  });
+
+  it('restarts an unfinished reveal in a new motion mode and leaves a finished one', () => {
+    const onComplete = vi.fn();
+    const { container } = render(<AnimatedWordmark text="hey" onComplete={onComplete} />);
+    const { chars, revealedAt } = wordmarkSchedule(3);
+
+    // Off mid-reveal: no cursor, and done at once rather than on the old timers
+    advance(chars[1].start);
+    act(() => getMotionPreference().setOverride('none'));
+    expect(container.querySelector('.cursor')).toBeNull();
+    advance(wordmarkSchedule(3, { motion: 'none' }).revealedAt);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+
+    // Back to full once finished: no second reveal, no cursor
+    act(() => getMotionPreference().setOverride('full'));
+    advance(revealedAt);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(container.querySelector('.cursor')).toBeNull();
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it('reports whether the reveal completed or was interrupted', () => {
+    const events = [];
+    const analytics = createAnalytics({ sinks: [{ send: (event) => events.push(event) }], enabled: true });
+    const { chars, revealedAt } = wordmarkSchedule(3);
+
+    render(<AnimatedWordmark text="hey" analytics={analytics} />);
+    advance(revealedAt);
+    cleanup();
+
+    const { unmount } = render(<AnimatedWordmark text="hey" effect="blur" analytics={analytics} />);
+    advance(chars[1].start);
+    unmount();
+
+    expect(events.map(({ name, props }) => [name, props.revealed, props.reason])).toEqual([
+      ['wordmark_complete', undefined, undefined],
+      ['wordmark_interrupted', 2, 'unmount'],
+    ]);
+    expect(events[1].props).toMatchObject({ effect: 'blur', motion: 'full', chars: 3 });
+  });
+});
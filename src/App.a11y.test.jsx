@@ -0,0 +1,54 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, afterEach } from 'vitest';
+import { render, screen, cleanup, waitFor } from '@testing-library/react';
+import axe from 'axe-core';
+import App from './App';
+import AnimatedWordmark from './AnimatedWordmark';
+import { wordmarkSchedule } from './motion/schedule';
+
+// jsdom can't compute colours, so contrast is checked by hand
+const AXE_OPTIONS = {
+  runOnly: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'],
+  rules: { 'color-contrast': { enabled: false } },
+};
+
+afterEach(cleanup);
+
+describe('React entry point accessibility', () => {
+  it('has no axe violations', async () => {
+    const { container } = render(<App />);
+    const results = await axe.run(container, AXE_OPTIONS);
+    expect(results.violations).toEqual([]);
+  });
+
+  it('exposes the wordmark text once and hides the character spans', () => {
+    const { container } = render(<AnimatedWordmark text="goutham" />);
+
+    expect(screen.getAllByText('goutham')).toHaveLength(1);
+
+    // Everything but the label is decoration: seven characters and the cursor
+    const spans = Array.from(container.querySelector('.wordmark-container').children);
+    const exposed = spans.filter((span) => span.getAttribute('aria-hidden') !== 'true');
+    expect(exposed.map((span) => span.textContent)).toEqual(['goutham']);
+    expect(spans.length).toBe('goutham'.length + 2);
+  });
+
+  it('labels a sequence with every phrase', () => {
+    render(<AnimatedWordmark phrases={['goutham', 'designer']} />);
+    expect(screen.getByText('goutham, designer')).toBeTruthy();
+  });
+
+  it('announces the finished reveal politely', async () => {
+    render(<AnimatedWordmark text="hi" />);
+    const status = screen.getByRole('status');
+
+    expect(status.getAttribute('aria-live')).toBe('polite');
+    expect(status.textContent).toBe('');
+
+    const { revealedAt } = wordmarkSchedule(2);
+    await waitFor(() => expect(status.textContent).toBe('hi revealed'), {
+      timeout: revealedAt * 1000 + 1000,
+    });
+  });
+});
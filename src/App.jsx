@@ -1,53 +1,92 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import AnimatedWordmark from './AnimatedWordmark';
 import ContentReveal from './ContentReveal';
+import ScrollStory from './ScrollStory';
+import MotionToggle from './MotionToggle';
+import ThemeToggle from './ThemeToggle';
+import LocaleToggle from './LocaleToggle';
+import UpdatePrompt from './UpdatePrompt';
+import MotionDebugPanel from './MotionDebugPanel';
+import useMotionPreference from './useMotionPreference';
+import useLocale from './useLocale';
+import useAnimationTelemetry from './useAnimationTelemetry';
+import { getMotionTelemetry } from './debug/telemetry';
+import { mainVariants as buildMainVariants } from './motion/framer';
+import { followTheme } from './theme/framer';
 import './App.css';
 
 /**
  * Main App Component
  *
  * Minimalist portfolio featuring premium animated wordmark
- * with Apple-style progressive content reveal
+ * with Apple-style progressive content reveal. Opening the page with
+ * ?debug=motion adds the animation telemetry panel. The wordmark and
+ * copy follow the language switcher (see useLocale).
+ *
+ * Props:
+ * - reveal: 'tap' (default) opens the content overlay on tap,
+ *   'scroll' tells the same content as a scroll story
+ * - router: for ContentReveal - defaults to the shared page router
  */
 
-function App() {
+function App({ reveal = 'tap', router }) {
   const [isContentRevealed, setIsContentRevealed] = useState(false);
+  const [isWordmarkComplete, setIsWordmarkComplete] = useState(false);
+
+  const motionMode = useMotionPreference();
+  const locale = useLocale();
+  const mainVariants = buildMainVariants({ motion: motionMode });
+  const telemetry = getMotionTelemetry();
+  const mainTelemetry = useAnimationTelemetry('main');
+
+  // Apply the active theme and crossfade when it changes
+  useEffect(() => followTheme(), []);
 
-  const mainVariants = {
-    visible: {
-      opacity: 1,
-      scale: 1,
-      transition: {
-        duration: 0.4,
-        ease: [0.16, 1, 0.3, 1],
-      }
-    },
-    hidden: {
-      opacity: 0,
-      scale: 0.95,
-      transition: {
-        duration: 0.4,
-        ease: [0.16, 1, 0.3, 1],
-      }
-    }
-  };
+  // A new key retypes the wordmark in a new language
+  const wordmark = (
+    <AnimatedWordmark
+      key={locale.code}
+      text={locale.wordmark}
+      className="wordmark"
+      onComplete={() => {
+        telemetry?.mark('wordmark:complete');
+        setIsWordmarkComplete(true);
+      }}
+    />
+  );
 
   return (
     <div className="app">
-      <motion.main
-        className="main"
-        variants={mainVariants}
-        initial="visible"
-        animate={isContentRevealed ? 'hidden' : 'visible'}
-      >
-        <AnimatedWordmark
-          text="goutham"
-          className="wordmark"
-        />
-      </motion.main>
-
-      <ContentReveal onToggle={setIsContentRevealed} />
+      {reveal === 'scroll' ? (
+        <ScrollStory ready={isWordmarkComplete}>
+          {wordmark}
+        </ScrollStory>
+      ) : (
+        <>
+          <motion.main
+            className="main"
+            variants={mainVariants}
+            initial="visible"
+            animate={isContentRevealed ? 'hidden' : 'visible'}
+            {...mainTelemetry}
+          >
+            {wordmark}
+          </motion.main>
+
+          <ContentReveal
+            ready={isWordmarkComplete}
+            onToggle={setIsContentRevealed}
+            router={router}
+          />
+        </>
+      )}
+
+      <MotionToggle />
+      <ThemeToggle />
+      <LocaleToggle />
+      <UpdatePrompt />
+      {telemetry && <MotionDebugPanel telemetry={telemetry} />}
     </div>
   );
 }
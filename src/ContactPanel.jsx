@@ -0,0 +1,213 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FIELDS, HONEYPOT, MAX_LENGTH, validateContact, submitContact } from './contact/form';
+import { createSpamGuard } from './contact/guard';
+import { getContactAdapter } from './contact/adapters';
+import useAnimationTelemetry from './useAnimationTelemetry';
+import useLocale from './useLocale';
+
+/**
+ * ContactPanel Component
+ *
+ * Second level of the content overlay at /contact: a form that sends
+ * through a contact adapter (contact/adapters.js). Rows enter and exit
+ * on the same stagger as the disciplines list, and so do the success
+ * and error states that replace the form. Mirrors the contact view in
+ * content-reveal.js.
+ *
+ * Props:
+ * - itemVariants, onBack: as for DisciplineDetail
+ * - adapter: defaults to the page's adapter from content/portfolio.json
+ * - guard: spam guard (contact/guard.js) - one per panel by default
+ */
+
+const EMPTY = { name: '', email: '', message: '', [HONEYPOT]: '' };
+
+// The result takes focus from the form it replaces, and is announced
+const focusResult = (element) => element?.focus();
+
+const ContactPanel = ({
+  itemVariants,
+  onBack,
+  adapter = getContactAdapter(),
+  guard: guardProp,
+}) => {
+  const telemetry = useAnimationTelemetry('detail');
+  const { back, contact: copy } = useLocale();
+  const [guard] = useState(() => guardProp || createSpamGuard());
+  const [values, setValues] = useState(EMPTY);
+  const [showErrors, setShowErrors] = useState(false);
+  const [status, setStatus] = useState('idle');
+  const fieldRefs = useRef({});
+  const retryingRef = useRef(false);
+  const mountedRef = useRef(true);
+
+  useEffect(() => () => {
+    mountedRef.current = false;
+  }, []);
+
+  // Errors show once a send was tried, then follow the typing
+  const errors = showErrors ? validateContact(values) : {};
+  const sending = status === 'sending';
+  const result = ['sent', 'handoff', 'failed'].includes(status);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    // The spam guard times from the first input
+    guard.start();
+    setValues((current) => ({ ...current, [name]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (sending) return;
+
+    setStatus('sending');
+    const outcome = await submitContact(values, { adapter, guard });
+    if (!mountedRef.current) return;
+
+    if (outcome.status === 'invalid') {
+      setShowErrors(true);
+      setStatus('idle');
+      fieldRefs.current[FIELDS.find((field) => outcome.errors[field])]?.focus();
+      return;
+    }
+
+    if (!['failed', 'rateLimited', 'tooQuick'].includes(outcome.status)) setValues(EMPTY);
+    setStatus(outcome.status);
+  };
+
+  // A retry lands on Send once the form is back
+  const focusSend = (element) => {
+    if (!element || !retryingRef.current) return;
+    retryingRef.current = false;
+    element.focus();
+  };
+
+  const retry = () => {
+    retryingRef.current = true;
+    setStatus('idle');
+  };
+
+  const field = (name, index) => {
+    const Control = name === 'message' ? 'textarea' : 'input';
+    const id = `contact-${name}`;
+
+    return (
+      <motion.div key={name} className="contact-field" custom={index} variants={itemVariants}>
+        <label htmlFor={id}>{copy[name]}</label>
+        <Control
+          ref={(element) => {
+            fieldRefs.current[name] = element;
+          }}
+          id={id}
+          name={name}
+          type={name === 'email' ? 'email' : name === 'name' ? 'text' : undefined}
+          autoComplete={name === 'message' ? undefined : name}
+          rows={name === 'message' ? 5 : undefined}
+          maxLength={MAX_LENGTH[name]}
+          value={values[name]}
+          onChange={handleChange}
+          aria-invalid={errors[name] ? true : undefined}
+          aria-describedby={errors[name] ? `${id}-error` : undefined}
+        />
+        {errors[name] && (
+          <p id={`${id}-error`} className="contact-error">{copy[errors[name]]}</p>
+        )}
+      </motion.div>
+    );
+  };
+
+  return (
+    <motion.div
+      className="content-detail content-contact"
+      initial="hidden"
+      animate="visible"
+      exit="exit"
+      {...telemetry}
+    >
+      <motion.button
+        type="button"
+        className="content-back"
+        custom={0}
+        variants={itemVariants}
+        onClick={onBack}
+        autoFocus
+      >
+        {back}
+      </motion.button>
+
+      <motion.h2 className="content-header" custom={1} variants={itemVariants}>
+        {copy.title}
+      </motion.h2>
+
+      <AnimatePresence mode="wait">
+        {result ? (
+          <motion.div
+            key={status}
+            className="contact-result"
+            initial="hidden"
+            animate="visible"
+            exit="exit"
+          >
+            <motion.p
+              ref={focusResult}
+              className={status === 'failed' ? 'contact-status contact-failed' : 'contact-status'}
+              role={status === 'failed' ? 'alert' : 'status'}
+              tabIndex={-1}
+              custom={0}
+              variants={itemVariants}
+            >
+              {copy[status]}
+            </motion.p>
+            {status === 'failed' && (
+              <motion.button
+                type="button"
+                className="contact-send"
+                custom={1}
+                variants={itemVariants}
+                onClick={retry}
+              >
+                {copy.retry}
+              </motion.button>
+            )}
+          </motion.div>
+        ) : (
+          <motion.form
+            key="form"
+            className="contact-form"
+            action={adapter.action}
+            method={adapter.method}
+            encType={adapter.enctype}
+            noValidate
+            onSubmit={handleSubmit}
+            initial="hidden"
+            animate="visible"
+            exit="exit"
+          >
+            {FIELDS.map((name, index) => field(name, index + 2))}
+
+            {/* Spam guard - out of sight and out of the tab order */}
+            <div className="contact-honeypot" aria-hidden="true">
+              <label>
+                Website
+                <input name={HONEYPOT} tabIndex={-1} autoComplete="off" value={values[HONEYPOT]} onChange={handleChange} />
+              </label>
+            </div>
+
+            <motion.div className="contact-actions" custom={FIELDS.length + 2} variants={itemVariants}>
+              <button ref={focusSend} type="submit" className="contact-send" disabled={sending}>
+                {sending ? copy.sending : copy.send}
+              </button>
+              {(status === 'rateLimited' || status === 'tooQuick') && (
+                <p className="contact-error" role="alert">{copy[status]}</p>
+              )}
+            </motion.div>
+          </motion.form>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+};
+
+export default ContactPanel;
@@ -1,176 +1,423 @@
-import React, { useState, useEffect } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence, animate, useDragControls, useMotionValue } from 'framer-motion';
+import DisciplineDetail from './DisciplineDetail';
+import ContactPanel from './ContactPanel';
+import { getRouter } from './router';
+import useRoute from './useRoute';
+import { createPointerTracker } from './pointerTracker';
+import { reveal, gesture, SPRING } from './motion/tokens';
+import { timingForMode } from './motion/preference';
+import {
+  dragProgress,
+  pinchProgress,
+  progressVelocity,
+  releaseTarget,
+  overlayFrame,
+} from './motion/gesture';
+import useMotionPreference from './useMotionPreference';
+import useTheme from './useTheme';
+import useLocale from './useLocale';
+import { localizeDisciplines } from './i18n/locales';
+import useFocusTrap from './useFocusTrap';
+import useAnimationTelemetry from './useAnimationTelemetry';
+import { getAnalytics } from './analytics/analytics';
+import { revealEvents } from './analytics/events';
+import { getContactAdapter } from './contact/adapters';
+import {
+  itemVariants as buildItemVariants,
+  overlayVariants as buildOverlayVariants,
+} from './motion/framer';
 import './ContentReveal.css';
 
 /**
  * ContentReveal Component - Apple-style Progressive Disclosure
  *
  * Features:
- * - Click/tap anywhere to reveal content
+ * - Click/tap anywhere (a full-screen trigger button) to reveal content
+ * - Touch gestures: swipe up to reveal, swipe down or pinch to dismiss.
+ *   The overlay follows the finger and springs on from the release
+ *   velocity (see motion/gesture.js)
  * - Staggered animations with spring physics
  * - Backdrop blur effect
  * - Toggle functionality
- * - Accessible keyboard navigation
+ * - Drill-down from a discipline to its projects, and to a contact form
+ *   (see ContactPanel)
+ * - State lives in the URL (/about, /work/<slug>, /contact) so views can
+ *   be linked
+ * - Modal dialog semantics: focus trapped while open, Escape or a
+ *   backdrop click closes, focus returns to the trigger
+ * - Copy in the active language (see useLocale)
+ * - Reports the hint, reveals, hides and item clicks to analytics,
+ *   like content-reveal.js (see analytics/events.js)
+ *
+ * Props:
+ * - ready: interaction and the tap hint wait for this to turn true
+ *   (e.g. from AnimatedWordmark onComplete). Omit it to fall back
+ *   to a fixed reveal.hintDelay.
+ * - onToggle(isRevealed)
+ * - router: defaults to the shared page router
+ * - analytics: defaults to the shared page analytics
+ * - contactAdapter: where the contact form sends (contact/adapters.js) -
+ *   defaults to the one content/portfolio.json configures
  */
 
-const ContentReveal = ({ onToggle }) => {
-  const [isRevealed, setIsRevealed] = useState(false);
+const ContentReveal = ({
+  ready,
+  onToggle,
+  router = getRouter(),
+  analytics = getAnalytics(),
+  contactAdapter = getContactAdapter(),
+}) => {
+  const route = useRoute(router);
+  const motionMode = useMotionPreference();
+  const theme = useTheme();
+  const locale = useLocale();
+  const disciplines = localizeDisciplines(locale);
+  const timing = timingForMode(reveal, motionMode);
   const [showHint, setShowHint] = useState(false);
+  const [fallbackReady, setFallbackReady] = useState(false);
+  const triggerRef = useRef(null);
+  const overlayRef = useRef(null);
+  const isReady = ready ?? fallbackReady;
 
-  // Show tap hint after wordmark animation completes
+  // Analytics: what started the next reveal or hide ('link' if unset)
+  const [events] = useState(() => revealEvents(analytics));
+  const viaRef = useRef(null);
+  const wasRevealedRef = useRef(false);
+
+  // Gesture state: the overlay is mounted while a swipe opens it, and
+  // its opacity and blur are motion values the variants animate too
+  const dragControls = useDragControls();
+  const overlayOpacity = useMotionValue(0);
+  const overlayFilter = useMotionValue('blur(0px)');
+  const overlayWebkitFilter = useMotionValue('blur(0px)');
+  const gestureRef = useRef(null);
+  const settleRef = useRef(null);
+  const draggedRef = useRef(false);
+  const [isOpening, setIsOpening] = useState(false);
+
+  // Reported to the debug panel under ?debug=motion
+  const overlayTelemetry = useAnimationTelemetry('overlay');
+  const listTelemetry = useAnimationTelemetry('list');
+
+  // Overlay and detail state are derived from the current route
+  const isRevealed = route.name !== 'home';
+  const activeDiscipline = route.name === 'work'
+    ? disciplines.find(({ slug }) => slug === route.slug)
+    : undefined;
+  const isContact = route.name === 'contact';
+
+  // Without a ready signal, assume the wordmark settles after hintDelay
   useEffect(() => {
+    if (ready !== undefined) return;
+
     const timer = setTimeout(() => {
-      setShowHint(true);
-    }, 2500);
+      setFallbackReady(true);
+    }, timing.hintDelay * 1000);
 
     return () => clearTimeout(timer);
-  }, []);
+  }, [ready]);
+
+  // Show tap hint after wordmark animation completes
+  useEffect(() => {
+    if (isReady) setShowHint(true);
+  }, [isReady]);
+
+  // Each time the hint appears, for analytics
+  const hintVisible = showHint && !isRevealed;
+  useEffect(() => {
+    if (hintVisible) events.hintShown();
+  }, [hintVisible]);
+
+  // Report every reveal change, including ones from back/forward
+  useEffect(() => {
+    if (onToggle) onToggle(isRevealed);
+
+    if (isRevealed !== wasRevealedRef.current) {
+      wasRevealedRef.current = isRevealed;
+      const via = viaRef.current || 'link';
+      viaRef.current = null;
+
+      if (isRevealed) events.revealed(via);
+      else events.hidden(via);
+    }
+  }, [isRevealed]);
 
   const toggleContent = () => {
-    setIsRevealed(!isRevealed);
-    if (onToggle) onToggle(!isRevealed);
+    if (!isReady) return;
+
+    // The click that ends a swipe on the trigger is not a tap
+    if (draggedRef.current) {
+      draggedRef.current = false;
+      return;
+    }
+
+    viaRef.current = isRevealed ? 'backdrop' : 'tap';
+    router.navigate(isRevealed ? '/' : '/about');
     if (showHint) setShowHint(false);
   };
 
-  // Handle keyboard interaction
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-      if (e.code === 'Space' || e.code === 'Enter') {
-        e.preventDefault();
-        toggleContent();
-      }
-    };
-
-    document.addEventListener('keydown', handleKeyDown);
-    return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [isRevealed]);
+  const setProgress = (progress) => {
+    const { opacity, blur } = overlayFrame(progress, { motion: motionMode, theme });
+    gestureRef.current.progress = progress;
+    overlayOpacity.set(opacity);
+    overlayFilter.set(`blur(${blur}px)`);
+    overlayWebkitFilter.set(`blur(${blur}px)`);
+  };
+
+  const beginGesture = () => {
+    if (!isReady || gestureRef.current || settleRef.current) return null;
 
-  // Spring physics configuration
-  const springTransition = {
-    type: "spring",
-    stiffness: 70,
-    damping: 15,
+    const from = isRevealed ? 1 : 0;
+    gestureRef.current = { from, progress: from, pinching: false };
+    overlayOpacity.stop();
+    overlayFilter.stop();
+    overlayWebkitFilter.stop();
+    if (!isRevealed) setIsOpening(true);
+    return gestureRef.current;
   };
 
-  // Smooth ease-out-expo
-  const smoothTransition = {
-    duration: 0.4,
-    ease: [0.16, 1, 0.3, 1],
+  const settleGesture = (target) => {
+    const { from, pinching } = gestureRef.current;
+    gestureRef.current = null;
+    settleRef.current = null;
+    setIsOpening(false);
+
+    if (target !== from) {
+      viaRef.current = pinching ? 'pinch' : 'swipe';
+      router.navigate(target ? '/about' : '/');
+      setShowHint(false);
+    }
   };
 
-  // Overlay variants
-  const overlayVariants = {
-    hidden: {
-      opacity: 0,
-      backdropFilter: 'blur(0px)',
-      WebkitBackdropFilter: 'blur(0px)',
-    },
-    visible: {
-      opacity: 1,
-      backdropFilter: 'blur(20px)',
-      WebkitBackdropFilter: 'blur(20px)',
-      transition: {
-        duration: 0.6,
-        ease: [0.16, 1, 0.3, 1],
-      }
-    },
-    exit: {
-      opacity: 0,
-      backdropFilter: 'blur(0px)',
-      WebkitBackdropFilter: 'blur(0px)',
-      transition: {
-        duration: 0.4,
-        ease: 'easeIn',
-      }
+  // Finish or spring back, starting at the release velocity
+  const releaseGesture = (velocity) => {
+    const { progress } = gestureRef.current;
+    const target = releaseTarget(progress, velocity);
+
+    if (motionMode === 'none') {
+      setProgress(target);
+      settleGesture(target);
+      return;
     }
+
+    settleRef.current = animate(progress, target, {
+      type: 'spring',
+      ...SPRING,
+      velocity,
+      onUpdate: setProgress,
+      onComplete: () => settleGesture(target),
+    });
+  };
+
+  // Swipes start on the trigger - the page while closed, the backdrop
+  // while open. Framer tracks the finger through an invisible handle.
+  const startDrag = (event) => {
+    draggedRef.current = false;
+    if (isReady && !gestureRef.current) dragControls.start(event);
   };
 
-  // Content item variants with stagger
-  const itemVariants = {
-    hidden: {
-      opacity: 0,
-      y: 15,
+  const handleDragStart = (event, info) => {
+    draggedRef.current = true;
+
+    // Closed, only a swipe up opens; open, only a swipe down closes
+    if ((info.offset.y < 0) === isRevealed) return;
+    beginGesture();
+  };
+
+  const handleDrag = (event, info) => {
+    const current = gestureRef.current;
+    if (!current || current.pinching) return;
+    setProgress(dragProgress(current.from, info.offset.y));
+  };
+
+  const handleDragEnd = (event, info) => {
+    const current = gestureRef.current;
+    if (!current || current.pinching || settleRef.current) return;
+    releaseGesture(progressVelocity(info.velocity.y));
+  };
+
+  // Pinches close the open overlay from anywhere on the page. The
+  // tracker outlives renders, so it calls the latest handlers.
+  const pinchRef = useRef(null);
+  pinchRef.current = {
+    onStart: (state) => {
+      if (state.pointers < 2) return false;
+
+      const current = gestureRef.current || beginGesture();
+      if (!current) return false;
+      current.pinching = true;
+      return true;
     },
-    visible: (i) => ({
-      opacity: 1,
-      y: 0,
-      transition: {
-        ...smoothTransition,
-        delay: 0.2 + (i * 0.06), // 60ms stagger, starting at 200ms
-      }
-    }),
-    exit: (i) => ({
-      opacity: 0,
-      y: -10,
-      transition: {
-        duration: 0.3,
-        delay: i * 0.02, // Faster reverse
-        ease: 'easeIn',
-      }
-    })
+    onMove: (state) => setProgress(pinchProgress(state.scale)),
+    onEnd: () => releaseGesture(0),
   };
 
-  const disciplines = [
-    'Design',
-    'Architect',
-    'Engineer',
-  ];
+  useEffect(() => {
+    if (!isRevealed) return;
+
+    const tracker = createPointerTracker(document, {
+      slop: gesture.tapSlop,
+      onStart: (state) => pinchRef.current.onStart(state),
+      onMove: (state) => pinchRef.current.onMove(state),
+      onEnd: (state) => pinchRef.current.onEnd(state),
+    });
+
+    return () => tracker.destroy();
+  }, [isRevealed]);
+
+  // A settle still running on unmount would navigate afterwards
+  useEffect(() => () => settleRef.current?.stop(), []);
+
+  // Keep keyboard focus inside the overlay while it is open
+  useFocusTrap(overlayRef, isRevealed, {
+    onEscape: () => {
+      viaRef.current = 'escape';
+      router.navigate('/');
+    },
+    returnFocusRef: triggerRef,
+  });
+
+  // Shared variants - same pacing as content-reveal.js (see motion/tokens.js)
+  const overlayVariants = buildOverlayVariants({ motion: motionMode, theme });
+  const itemVariants = buildItemVariants({ motion: motionMode });
 
   return (
     <>
       {/* Tap hint */}
       <AnimatePresence>
-        {showHint && !isRevealed && (
+        {hintVisible && (
           <motion.div
             className="tap-hint"
             initial={{ opacity: 0 }}
-            animate={{ opacity: 0.4 }}
+            animate={{ opacity: timing.hintOpacity }}
             exit={{ opacity: 0 }}
-            transition={{ duration: 0.3 }}
+            transition={{ duration: timing.hintDuration }}
           >
-            Tap anywhere
+            {locale.tapHint}
           </motion.div>
         )}
       </AnimatePresence>
 
-      {/* Click capture overlay */}
-      <div
+      {/* Full-screen trigger - opens the overlay, and closes it from the backdrop */}
+      <button
+        ref={triggerRef}
+        type="button"
         className="click-capture"
+        aria-label={locale.about}
+        aria-haspopup="dialog"
+        aria-expanded={isRevealed}
+        aria-controls="content-overlay"
+        tabIndex={isRevealed ? -1 : 0}
         onClick={toggleContent}
-        style={{
-          position: 'fixed',
-          inset: 0,
-          cursor: 'pointer',
-          zIndex: isRevealed ? 100 : 10,
-        }}
+        onPointerDown={startDrag}
+        style={{ zIndex: isRevealed ? 100 : 10 }}
+      />
+
+      {/* Drag handle - never seen, its drag is the finger's travel */}
+      <motion.div
+        className="gesture-handle"
+        aria-hidden="true"
+        drag="y"
+        dragControls={dragControls}
+        dragListener={false}
+        dragMomentum={false}
+        dragSnapToOrigin
+        onDragStart={handleDragStart}
+        onDrag={handleDrag}
+        onDragEnd={handleDragEnd}
       />
 
       {/* Content overlay */}
       <AnimatePresence>
-        {isRevealed && (
+        {(isRevealed || isOpening) && (
           <motion.div
+            ref={overlayRef}
+            id="content-overlay"
             className="content-overlay"
+            role="dialog"
+            aria-modal="true"
+            aria-label={activeDiscipline?.title || (isContact ? locale.contact.title : locale.about)}
+            tabIndex={-1}
             variants={overlayVariants}
             initial="hidden"
-            animate="visible"
+            animate={isRevealed ? 'visible' : undefined}
             exit="exit"
+            {...overlayTelemetry}
+            style={{
+              opacity: overlayOpacity,
+              backdropFilter: overlayFilter,
+              WebkitBackdropFilter: overlayWebkitFilter,
+            }}
           >
             <div className="content-text">
-              {/* Disciplines list */}
-              <ul className="content-list">
-                {disciplines.map((discipline, index) => (
-                  <motion.li
-                    key={discipline}
-                    custom={index}
-                    variants={itemVariants}
+              <AnimatePresence mode="wait">
+                {activeDiscipline ? (
+                  <DisciplineDetail
+                    key={activeDiscipline.slug}
+                    discipline={activeDiscipline}
+                    itemVariants={itemVariants}
+                    onBack={() => router.navigate('/about')}
+                  />
+                ) : isContact ? (
+                  <ContactPanel
+                    key="contact"
+                    itemVariants={itemVariants}
+                    adapter={contactAdapter}
+                    onBack={() => router.navigate('/about')}
+                  />
+                ) : (
+                  /* Disciplines list */
+                  <motion.ul
+                    key="disciplines"
+                    className="content-list"
                     initial="hidden"
                     animate="visible"
                     exit="exit"
+                    {...listTelemetry}
                   >
-                    {discipline}
-                  </motion.li>
-                ))}
-              </ul>
+                    {disciplines.map((discipline, index) => (
+                      <motion.li
+                        key={discipline.slug}
+                        custom={index}
+                        variants={itemVariants}
+                      >
+                        <button
+                          type="button"
+                          className="content-link"
+                          onClick={() => {
+                            events.itemClicked(discipline.slug);
+                            router.navigate({ name: 'work', slug: discipline.slug });
+                          }}
+                        >
+                          {discipline.title}
+                        </button>
+                      </motion.li>
+                    ))}
+                    <motion.li custom={disciplines.length} variants={itemVariants}>
+                      <button
+                        type="button"
+                        className="content-link"
+                        onClick={() => {
+                          events.itemClicked('contact');
+                          router.navigate({ name: 'contact' });
+                        }}
+                      >
+                        {locale.contact.title}
+                      </button>
+                    </motion.li>
+                    <motion.li custom={disciplines.length + 1} variants={itemVariants}>
+                      <a
+                        className="content-link"
+                        href="/writing"
+                        onClick={() => events.itemClicked('writing')}
+                      >
+                        {locale.writing.title}
+                      </a>
+                    </motion.li>
+                  </motion.ul>
+                )}
+              </AnimatePresence>
             </div>
           </motion.div>
         )}
@@ -0,0 +1,238 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen, cleanup, fireEvent, waitFor, act } from '@testing-library/react';
+import ContentReveal from './ContentReveal';
+import { createRouter } from './router';
+import { getMotionPreference } from './motion/preference';
+import { getLocalePreference } from './i18n/preference';
+import { getLocale } from './i18n/locales';
+import { gesture } from './motion/tokens';
+import { disciplines } from './portfolio';
+import { createAnalytics } from './analytics/analytics';
+
+let router;
+
+const renderReveal = (props) => {
+  router = createRouter({ mode: 'hash' });
+  const onToggle = vi.fn();
+  render(<ContentReveal ready onToggle={onToggle} router={router} {...props} />);
+  return { onToggle, trigger: screen.getByRole('button', { name: 'About' }) };
+};
+
+// jsdom has no PointerEvent - a MouseEvent carries the same fields
+const pointer = (target, type, { id = 1, x = 200, y }) => {
+  const event = new MouseEvent(type, { bubbles: true, cancelable: true, clientX: x, clientY: y });
+  Object.defineProperties(event, {
+    pointerId: { value: id },
+    pointerType: { value: 'touch' },
+    isPrimary: { value: id === 1 },
+  });
+  target.dispatchEvent(event);
+};
+
+afterEach(() => {
+  cleanup();
+  router.destroy();
+  getMotionPreference().setOverride(null);
+  getLocalePreference().setOverride(null);
+  window.history.replaceState(null, '', '/');
+});
+
+describe('ContentReveal (React)', () => {
+  it('toggles the overlay and reports it through onToggle', async () => {
+    const { onToggle, trigger } = renderReveal();
+    expect(onToggle).toHaveBeenLastCalledWith(false);
+    expect(screen.queryByRole('dialog')).toBeNull();
+
+    fireEvent.click(trigger);
+    expect(router.current()).toEqual({ name: 'about' });
+    expect(onToggle).toHaveBeenLastCalledWith(true);
+    expect(trigger.getAttribute('aria-expanded')).toBe('true');
+    expect(screen.getByRole('dialog', { name: 'About' })).toBeTruthy();
+
+    // The backdrop is the trigger, now stacked above the page
+    fireEvent.click(trigger);
+    expect(router.current()).toEqual({ name: 'home' });
+    expect(onToggle).toHaveBeenLastCalledWith(false);
+    await waitFor(() => expect(screen.queryByRole('dialog')).toBeNull());
+  });
+
+  it('ignores the trigger until ready', () => {
+    const { onToggle, trigger } = renderReveal({ ready: false });
+
+    fireEvent.click(trigger);
+    expect(router.current()).toEqual({ name: 'home' });
+    expect(onToggle).not.toHaveBeenCalledWith(true);
+  });
+
+  it('leaves Space and Enter to the focused element', () => {
+    renderReveal();
+
+    expect(fireEvent.keyDown(document.body, { key: ' ', code: 'Space' })).toBe(true);
+    expect(fireEvent.keyDown(document.body, { key: 'Enter', code: 'Enter' })).toBe(true);
+    expect(router.current()).toEqual({ name: 'home' });
+  });
+
+  it('moves focus into the dialog, traps Tab and closes on Escape', () => {
+    const { trigger } = renderReveal();
+    trigger.focus();
+    fireEvent.click(trigger);
+
+    // The disciplines and contact, then the link out to the writing pages
+    const links = [
+      ...screen.getAllByRole('button').filter((button) => button.className === 'content-link'),
+      screen.getByRole('link', { name: 'Writing' }),
+    ];
+    expect(links[links.length - 1].getAttribute('href')).toBe('/writing');
+    expect(document.activeElement).toBe(links[0]);
+
+    links[links.length - 1].focus();
+    fireEvent.keyDown(document.activeElement, { key: 'Tab' });
+    expect(document.activeElement).toBe(links[0]);
+
+    fireEvent.keyDown(document.activeElement, { key: 'Escape' });
+    expect(router.current()).toEqual({ name: 'home' });
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  it('drills into a discipline from the list', async () => {
+    const { trigger } = renderReveal();
+    fireEvent.click(trigger);
+
+    const [first] = disciplines;
+    fireEvent.click(screen.getByRole('button', { name: first.title }));
+    expect(router.current()).toEqual({ name: 'work', slug: first.slug });
+
+    await waitFor(() => expect(screen.getByRole('dialog', { name: first.title })).toBeTruthy());
+    fireEvent.click(await screen.findByRole('button', { name: '← Back' }));
+    expect(router.current()).toEqual({ name: 'about' });
+  });
+
+  it('sends the contact form, showing errors until it is complete', async () => {
+    getMotionPreference().setOverride('none');
+    // Past the spam guard's minimum time to fill the form in
+    vi.useFakeTimers({ toFake: ['Date'] });
+    localStorage.removeItem('contact-sent');
+    const copy = getLocale('en').contact;
+    const contactAdapter = {
+      action: '/__contact',
+      method: 'post',
+      enctype: 'application/x-www-form-urlencoded',
+      send: vi.fn().mockRejectedValueOnce(new Error('offline')).mockResolvedValue('sent'),
+    };
+    const { trigger } = renderReveal({ contactAdapter });
+    fireEvent.click(trigger);
+    fireEvent.click(screen.getByRole('button', { name: copy.title }));
+    expect(router.current()).toEqual({ name: 'contact' });
+
+    const send = await screen.findByRole('button', { name: copy.send });
+    fireEvent.click(send);
+    const name = await screen.findByLabelText(copy.name);
+    await waitFor(() => expect(document.activeElement).toBe(name));
+    expect(name.getAttribute('aria-invalid')).toBe('true');
+    expect(screen.getAllByText(copy.required)).toHaveLength(3);
+
+    fireEvent.change(name, { target: { value: 'Ada' } });
+    fireEvent.change(screen.getByLabelText(copy.email), { target: { value: 'ada@example.com' } });
+    fireEvent.change(screen.getByLabelText(copy.message), { target: { value: 'Hello there' } });
+    expect(screen.queryByText(copy.required)).toBeNull();
+
+    // Straight after the first input: the form stays, asking for another go
+    fireEvent.click(screen.getByRole('button', { name: copy.send }));
+    expect((await screen.findByRole('alert')).textContent).toBe(copy.tooQuick);
+    expect(contactAdapter.send).not.toHaveBeenCalled();
+    expect(screen.getByLabelText(copy.message).value).toBe('Hello there');
+
+    vi.setSystemTime(Date.now() + 5000);
+    fireEvent.click(screen.getByRole('button', { name: copy.send }));
+    const failed = await screen.findByRole('alert');
+    expect(failed.textContent).toBe(copy.failed);
+    await waitFor(() => expect(document.activeElement).toBe(failed));
+
+    // The retry brings the draft back
+    fireEvent.click(screen.getByRole('button', { name: copy.retry }));
+    const again = await screen.findByRole('button', { name: copy.send });
+    await waitFor(() => expect(document.activeElement).toBe(again));
+    expect(screen.getByLabelText(copy.message).value).toBe('Hello there');
+
+    fireEvent.click(again);
+    expect((await screen.findByRole('status')).textContent).toBe(copy.sent);
+    expect(contactAdapter.send).toHaveBeenLastCalledWith({
+      name: 'Ada', email: 'ada@example.com', message: 'Hello there',
+    });
+    vi.useRealTimers();
+  });
+
+  it('reports the hint, reveals, hides and item clicks to analytics', () => {
+    const events = [];
+    const analytics = createAnalytics({ sinks: [{ send: (event) => events.push(event) }], enabled: true });
+    const { trigger } = renderReveal({ analytics });
+
+    fireEvent.click(trigger);
+    const [first] = disciplines;
+    fireEvent.click(screen.getByRole('button', { name: first.title }));
+    fireEvent.keyDown(document.activeElement, { key: 'Escape' });
+
+    expect(events.map(({ name, props }) => [name, props.via ?? props.slug ?? props.count])).toEqual([
+      ['hint_shown', 1],
+      ['first_tap', 'tap'],
+      ['reveal', 'tap'],
+      ['item_click', first.slug],
+      ['hide', 'escape'],
+    ]);
+  });
+
+  it('retells the overlay and hint in a new language', () => {
+    const { trigger } = renderReveal();
+    const hindi = getLocale('hi');
+    fireEvent.click(trigger);
+
+    act(() => getLocalePreference().setOverride('hi'));
+    expect(screen.getByRole('dialog', { name: hindi.about })).toBeTruthy();
+    disciplines.forEach(({ slug }) => {
+      expect(screen.getByRole('button', { name: hindi.disciplines[slug] })).toBeTruthy();
+    });
+
+    fireEvent.click(trigger);
+    expect(trigger.getAttribute('aria-label')).toBe(hindi.about);
+  });
+
+  it('follows a swipe up and opens on release, swallowing the click', async () => {
+    // Settles instantly, so the test doesn't wait on the spring
+    getMotionPreference().setOverride('none');
+    const { trigger } = renderReveal();
+    const { swipeDistance } = gesture;
+
+    pointer(trigger, 'pointerdown', { y: 500 });
+    pointer(window, 'pointermove', { y: 480 });
+    pointer(window, 'pointermove', { y: 500 - 0.6 * swipeDistance });
+
+    // Framer reads pointer moves on the next frame
+    const dialog = await screen.findByRole('dialog', { name: 'About' });
+    await waitFor(() => expect(Number(dialog.style.opacity)).toBeCloseTo(0.6));
+    expect(router.current()).toEqual({ name: 'home' });
+
+    pointer(window, 'pointerup', { y: 500 - 0.6 * swipeDistance });
+    await waitFor(() => expect(router.current()).toEqual({ name: 'about' }));
+
+    // The click that ends the swipe doesn't close it again
+    fireEvent.click(trigger);
+    expect(router.current()).toEqual({ name: 'about' });
+  });
+
+  it('closes on a pinch', () => {
+    getMotionPreference().setOverride('none');
+    const { trigger } = renderReveal();
+    fireEvent.click(trigger);
+
+    pointer(trigger, 'pointerdown', { id: 1, x: 100, y: 300 });
+    pointer(trigger, 'pointerdown', { id: 2, x: 300, y: 300 });
+    pointer(trigger, 'pointermove', { id: 2, x: 100 + 200 * gesture.pinchScale, y: 300 });
+    expect(Number(screen.getByRole('dialog').style.opacity)).toBeCloseTo(0);
+
+    pointer(trigger, 'pointerup', { id: 2, x: 100 + 200 * gesture.pinchScale, y: 300 });
+    pointer(trigger, 'pointerup', { id: 1, x: 100, y: 300 });
+    expect(router.current()).toEqual({ name: 'home' });
+  });
+});
@@ -0,0 +1,65 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import ProjectContent from './ProjectContent';
+import useAnimationTelemetry from './useAnimationTelemetry';
+import useLocale from './useLocale';
+
+/**
+ * DisciplineDetail Component
+ *
+ * Second level of the content overlay: the projects for one discipline.
+ * Every row (back action, heading, each project) takes its own stagger
+ * index so the view enters and exits with the same rhythm as the
+ * disciplines list. The discipline comes with its title in the active
+ * language; the rest of the copy follows useLocale.
+ */
+
+const DisciplineDetail = ({ discipline, itemVariants, onBack }) => {
+  const { title, projects } = discipline;
+  const telemetry = useAnimationTelemetry('detail');
+  const locale = useLocale();
+
+  return (
+    <motion.div
+      className="content-detail"
+      initial="hidden"
+      animate="visible"
+      exit="exit"
+      {...telemetry}
+    >
+      <motion.button
+        type="button"
+        className="content-back"
+        custom={0}
+        variants={itemVariants}
+        onClick={onBack}
+        autoFocus
+      >
+        {locale.back}
+      </motion.button>
+
+      <motion.h2 className="content-header" custom={1} variants={itemVariants}>
+        {title}
+      </motion.h2>
+
+      {projects.length === 0 && (
+        <motion.p className="project-empty" custom={2} variants={itemVariants}>
+          {locale.projectsComingSoon}
+        </motion.p>
+      )}
+
+      {projects.map((project, index) => (
+        <motion.article
+          key={project.slug}
+          className="project"
+          custom={index + 2}
+          variants={itemVariants}
+        >
+          <ProjectContent project={project} />
+        </motion.article>
+      ))}
+    </motion.div>
+  );
+};
+
+export default DisciplineDetail;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { getLocalePreference } from './i18n/preference';
+import { DEFAULT_LOCALE } from './i18n/locales';
+import { cycleLocale, toggleLabel } from './i18n/toggle';
+import PreferenceToggle from './PreferenceToggle';
+
+/**
+ * LocaleToggle Component
+ *
+ * Language switcher. Cycles Auto → each locale in i18n/locales.js;
+ * the choice persists.
+ */
+
+const LocaleToggle = ({ preference = getLocalePreference() }) => (
+  <PreferenceToggle
+    className="locale-toggle"
+    preference={preference}
+    locales={preference}
+    cycle={cycleLocale}
+    label={toggleLabel}
+    serverLabel={toggleLabel({ override: null, locale: DEFAULT_LOCALE })}
+  />
+);
+
+export default LocaleToggle;
@@ -0,0 +1,48 @@
+import React, { useEffect, useSyncExternalStore } from 'react';
+import { markRoutes } from './debug/telemetry';
+import {
+  reportRows,
+  downloadTrace,
+  panelStyle,
+  rowStyle,
+  valueStyle,
+  buttonStyle,
+} from './debug/report';
+
+/**
+ * MotionDebugPanel Component
+ *
+ * Live animation telemetry for ?debug=motion: frame rate, dropped
+ * frames, long tasks, layout shifts and animating Framer components
+ * (see debug/telemetry.js). Route changes are marked on the trace;
+ * "Export trace" saves it as JSON. Same rows as motion-debug.js.
+ *
+ * Props:
+ * - telemetry: from getMotionTelemetry() - render the panel only
+ *   when that is not null
+ */
+
+const MotionDebugPanel = ({ telemetry }) => {
+  const snapshot = useSyncExternalStore(telemetry.subscribe, telemetry.snapshot);
+
+  useEffect(() => markRoutes(telemetry), [telemetry]);
+
+  return (
+    <aside className="motion-debug" aria-label="Motion telemetry" style={panelStyle}>
+      <dl style={{ margin: 0 }}>
+        {reportRows(snapshot).map(([label, value]) => (
+          <div key={label} style={rowStyle}>
+            <dt>{label}</dt>
+            <dd style={valueStyle}>{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <button type="button" style={buttonStyle} onClick={() => downloadTrace(telemetry.trace())}>
+        Export trace
+      </button>
+    </aside>
+  );
+};
+
+export default MotionDebugPanel;
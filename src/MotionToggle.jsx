@@ -0,0 +1,23 @@
+import React from 'react';
+import { getMotionPreference } from './motion/preference';
+import { cycleMotion, toggleLabel } from './motion/toggle';
+import PreferenceToggle from './PreferenceToggle';
+
+/**
+ * MotionToggle Component
+ *
+ * Lets a visitor override the system motion preference.
+ * Cycles Auto → Full → Reduced → Off; the choice persists.
+ */
+
+const MotionToggle = ({ preference = getMotionPreference() }) => (
+  <PreferenceToggle
+    className="motion-toggle"
+    preference={preference}
+    cycle={cycleMotion}
+    label={toggleLabel}
+    serverLabel={toggleLabel({ override: null, mode: 'full' })}
+  />
+);
+
+export default MotionToggle;
@@ -0,0 +1,49 @@
+import React, { useReducer, useSyncExternalStore } from 'react';
+import { getLocalePreference } from './i18n/preference';
+import useLocale from './useLocale';
+
+/**
+ * PreferenceToggle Component
+ *
+ * The button behind MotionToggle, ThemeToggle and LocaleToggle - the
+ * twin of preferenceToggle.js. Names the setting a preference is on, in
+ * the active language, and cycles it on press.
+ */
+
+const PreferenceToggle = ({
+  preference,
+  locales = getLocalePreference(),
+  cycle,
+  label,
+  serverLabel,
+  className,
+}) => {
+  const copy = useLocale(locales);
+
+  // Pinning the active setting (Auto (Full) → Full) changes the label,
+  // not the value subscribers hear about - re-render on press too
+  const [, pressed] = useReducer((count) => count + 1, 0);
+
+  // Re-render on value changes. Pre-rendered as the default
+  // setting (serverLabel), as in the preference hooks
+  const text = useSyncExternalStore(
+    preference.subscribe,
+    () => label(preference, copy),
+    () => serverLabel,
+  );
+
+  return (
+    <button
+      type="button"
+      className={className}
+      onClick={() => {
+        cycle(preference);
+        pressed();
+      }}
+    >
+      {text}
+    </button>
+  );
+};
+
+export default PreferenceToggle;
@@ -0,0 +1,37 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, afterEach } from 'vitest';
+import { render, screen, cleanup, act, fireEvent } from '@testing-library/react';
+import ThemeToggle from './ThemeToggle';
+import LocaleToggle from './LocaleToggle';
+import { createThemePreference } from './theme/preference';
+import { getLocalePreference } from './i18n/preference';
+
+afterEach(() => {
+  cleanup();
+  act(() => getLocalePreference().setOverride(null));
+});
+
+describe('PreferenceToggle (React)', () => {
+  it('cycles on press and re-labels when the theme or the language changes', () => {
+    const preference = createThemePreference({ storage: null, media: {}, root: null });
+    render(<ThemeToggle preference={preference} />);
+    const button = screen.getByRole('button');
+
+    expect(button.textContent).toBe('Theme: Auto (Light)');
+    fireEvent.click(button);
+    expect(button.textContent).toBe('Theme: Light');
+    fireEvent.click(button);
+    expect(button.textContent).toBe('Theme: Dark');
+
+    act(() => getLocalePreference().setOverride('hi'));
+    expect(screen.getByRole('button', { name: 'थीम: गहरी' })).toBe(button);
+  });
+
+  it('labels the language switcher in its own language', () => {
+    render(<LocaleToggle />);
+
+    act(() => getLocalePreference().setOverride('ta'));
+    expect(screen.getByRole('button').textContent).toBe('மொழி: தமிழ்');
+  });
+});
@@ -0,0 +1,40 @@
+import React from 'react';
+
+/**
+ * ProjectContent Component
+ *
+ * Inside of one project row - title, summary, images and links.
+ * Callers supply the animated <article className="project"> around it
+ * (DisciplineDetail, ScrollStory). Mirrors src/projectElement.js.
+ */
+
+const ProjectContent = ({ project }) => (
+  <>
+    <h3 className="project-title">
+      {project.title}
+      {project.year && <span className="project-year">{project.year}</span>}
+    </h3>
+
+    {project.summary && <p className="project-summary">{project.summary}</p>}
+
+    {project.images?.length > 0 && (
+      <div className="project-images">
+        {project.images.map((image) => (
+          <img key={image.src} src={image.src} alt={image.alt} loading="lazy" />
+        ))}
+      </div>
+    )}
+
+    {project.links?.length > 0 && (
+      <ul className="project-links">
+        {project.links.map((link) => (
+          <li key={link.href}>
+            <a href={link.href} target="_blank" rel="noreferrer">{link.label}</a>
+          </li>
+        ))}
+      </ul>
+    )}
+  </>
+);
+
+export default ProjectContent;
@@ -0,0 +1,163 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { motion, AnimatePresence, useScroll, useTransform, useMotionValueEvent } from 'framer-motion';
+import ProjectContent from './ProjectContent';
+import { EASE_OUT_EXPO } from './motion/tokens';
+import { cubicBezier } from './motion/easing';
+import { storySchedule } from './motion/schedule';
+import useMotionPreference from './useMotionPreference';
+import useLocale from './useLocale';
+import { localizeDisciplines } from './i18n/locales';
+// Headings and projects share the overlay's styles
+import './ContentReveal.css';
+import './ScrollStory.css';
+
+/**
+ * ScrollStory Component - scroll-driven alternative to ContentReveal
+ *
+ * Features:
+ * - The wordmark (children) stays pinned and scrubs out on scroll
+ * - Each discipline then pins while its projects enter
+ * - Pins are sticky blocks driven by useScroll; CSS snap settles on the
+ *   start or end of the nearest one
+ * - Same content, tokens and easing as ContentReveal and scroll-story.js
+ * - Copy in the active language (see useLocale)
+ * - With motion off nothing is pinned - the story is a plain page
+ *
+ * Props:
+ * - ready: the scroll hint waits for this (e.g. from AnimatedWordmark
+ *   onComplete)
+ * - children: the intro, usually the wordmark
+ */
+
+// The curve GSAP gets in scroll-story.js, as a function for useTransform
+const easeOutExpo = cubicBezier(EASE_OUT_EXPO);
+
+// The screen a pinned block fills plus the scroll it stays pinned for
+const pinnedHeight = (length) => `${(1 + length) * 100}vh`;
+
+/**
+ * One row of a section, scrubbed between its scheduled start and end
+ */
+const StoryRow = ({ as = 'div', progress, item, schedule, children, ...props }) => {
+  const range = [item.start, Math.max(item.end, item.start + 0.001)];
+  const opacity = useTransform(progress, range, [0, 1], { ease: easeOutExpo });
+  const y = useTransform(progress, range, [schedule.timing.itemOffsetY, 0], { ease: easeOutExpo });
+  const Component = motion[as];
+
+  return (
+    <Component {...props} style={schedule.pinned ? { opacity, y } : undefined}>
+      {children}
+    </Component>
+  );
+};
+
+const StorySection = ({ discipline, motionMode, emptyLabel }) => {
+  const ref = useRef(null);
+  const { scrollYProgress } = useScroll({ target: ref, offset: ['start start', 'end end'] });
+  const { projects } = discipline;
+
+  // The heading plus each project (or the empty message)
+  const schedule = storySchedule(1 + (projects.length || 1), { motion: motionMode });
+  const row = (index) => ({ progress: scrollYProgress, item: schedule.items[index], schedule });
+  const headingId = `story-${discipline.slug}`;
+
+  return (
+    <section
+      ref={ref}
+      className="story-section"
+      aria-labelledby={headingId}
+      style={{ height: schedule.pinned ? pinnedHeight(schedule.timing.sectionLength) : undefined }}
+    >
+      <div className="story-pin">
+        <StoryRow as="h2" id={headingId} className="content-header" {...row(0)}>
+          {discipline.title}
+        </StoryRow>
+
+        {projects.length === 0 && (
+          <StoryRow as="p" className="project-empty" {...row(1)}>
+            {emptyLabel}
+          </StoryRow>
+        )}
+
+        {projects.map((project, index) => (
+          <StoryRow key={project.slug} as="article" className="project" {...row(index + 1)}>
+            <ProjectContent project={project} />
+          </StoryRow>
+        ))}
+      </div>
+
+      {schedule.pinned && <div className="story-snap" />}
+    </section>
+  );
+};
+
+const ScrollStory = ({ ready, children }) => {
+  const motionMode = useMotionPreference();
+  const locale = useLocale();
+  const introRef = useRef(null);
+  const [hasScrolled, setHasScrolled] = useState(false);
+
+  const { timing, pinned } = storySchedule(0, { motion: motionMode });
+  const { scrollY } = useScroll();
+  const { scrollYProgress } = useScroll({ target: introRef, offset: ['start start', 'end end'] });
+  const introOpacity = useTransform(scrollYProgress, [0, 1], [1, 0], { ease: easeOutExpo });
+  const introScale = useTransform(scrollYProgress, [0, 1], [1, timing.mainScale], { ease: easeOutExpo });
+
+  // The hint only helps before the visitor has found the scroll
+  useMotionValueEvent(scrollY, 'change', (y) => {
+    if (y > 0) setHasScrolled(true);
+  });
+
+  // Snap points are only meaningful while blocks are pinned
+  useEffect(() => {
+    if (!pinned) return;
+
+    const root = document.documentElement;
+    root.classList.add('story-snapping');
+    return () => root.classList.remove('story-snapping');
+  }, [pinned]);
+
+  return (
+    <main className="scroll-story">
+      <section
+        ref={introRef}
+        className="story-intro"
+        style={{ height: pinned ? pinnedHeight(timing.introLength) : undefined }}
+      >
+        <motion.div
+          className="story-pin"
+          style={pinned ? { opacity: introOpacity, scale: introScale } : undefined}
+        >
+          {children}
+        </motion.div>
+
+        {pinned && <div className="story-snap" />}
+      </section>
+
+      {localizeDisciplines(locale).map((discipline) => (
+        <StorySection
+          key={discipline.slug}
+          discipline={discipline}
+          motionMode={motionMode}
+          emptyLabel={locale.projectsComingSoon}
+        />
+      ))}
+
+      <AnimatePresence>
+        {ready && !hasScrolled && (
+          <motion.div
+            className="scroll-hint"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: timing.hintOpacity }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: timing.hintDuration }}
+          >
+            {locale.scrollHint}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </main>
+  );
+};
+
+export default ScrollStory;
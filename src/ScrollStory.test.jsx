@@ -0,0 +1,49 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { describe, it, expect, afterEach } from 'vitest';
+import { render, screen, cleanup } from '@testing-library/react';
+import ScrollStory from './ScrollStory';
+import { getMotionPreference } from './motion/preference';
+import { disciplines } from './portfolio';
+
+afterEach(() => {
+  cleanup();
+  getMotionPreference().setOverride(null);
+});
+
+describe('ScrollStory (React)', () => {
+  it('tells every discipline as a labelled section after the intro', () => {
+    render(<ScrollStory><h1>goutham</h1></ScrollStory>);
+
+    expect(screen.getByRole('heading', { level: 1 }).closest('.story-intro')).toBeTruthy();
+    disciplines.forEach(({ title }) => {
+      expect(screen.getByRole('region', { name: title })).toBeTruthy();
+    });
+  });
+
+  it('pins each block for its share of the scroll and snaps to it', () => {
+    const { container } = render(<ScrollStory />);
+
+    expect(container.querySelector('.story-intro').style.height).toBe('200vh');
+    expect(container.querySelectorAll('.story-snap')).toHaveLength(disciplines.length + 1);
+    expect(document.documentElement.classList.contains('story-snapping')).toBe(true);
+  });
+
+  it('lays the story out as a plain page with motion off', () => {
+    getMotionPreference().setOverride('none');
+    const { container } = render(<ScrollStory />);
+
+    expect(container.querySelector('.story-section').style.height).toBe('');
+    expect(container.querySelectorAll('.story-snap')).toHaveLength(0);
+    expect(container.querySelector('.story-section .content-header').style.opacity).toBe('');
+    expect(document.documentElement.classList.contains('story-snapping')).toBe(false);
+  });
+
+  it('shows the scroll hint once ready', () => {
+    const { rerender } = render(<ScrollStory ready={false} />);
+    expect(screen.queryByText('Scroll')).toBeNull();
+
+    rerender(<ScrollStory ready />);
+    expect(screen.getByText('Scroll')).toBeTruthy();
+  });
+});
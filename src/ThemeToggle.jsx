@@ -0,0 +1,23 @@
+import React from 'react';
+import { getThemePreference } from './theme/preference';
+import { cycleTheme, toggleLabel } from './theme/toggle';
+import PreferenceToggle from './PreferenceToggle';
+
+/**
+ * ThemeToggle Component
+ *
+ * Lets a visitor override the system colour scheme.
+ * Cycles Auto → Light → Dark → High contrast; the choice persists.
+ */
+
+const ThemeToggle = ({ preference = getThemePreference() }) => (
+  <PreferenceToggle
+    className="theme-toggle"
+    preference={preference}
+    cycle={cycleTheme}
+    label={toggleLabel}
+    serverLabel={toggleLabel({ override: null, theme: 'light' })}
+  />
+);
+
+export default ThemeToggle;
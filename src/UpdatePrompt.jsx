@@ -0,0 +1,37 @@
+import React, { useState, useSyncExternalStore } from 'react';
+import { getServiceWorkerUpdates } from './pwa/register';
+import useLocale from './useLocale';
+
+/**
+ * UpdatePrompt Component
+ *
+ * Appears once the service worker has downloaded a new deploy (see
+ * pwa/register.js). Reload switches to it; Later hides the prompt until
+ * the next visit. Never pre-rendered - the server has no service worker.
+ */
+
+const UpdatePrompt = ({ updates = getServiceWorkerUpdates() }) => {
+  const locale = useLocale();
+  const [dismissed, setDismissed] = useState(false);
+  const updateReady = useSyncExternalStore(
+    updates.subscribe,
+    () => updates.updateReady,
+    () => false,
+  );
+
+  if (!updateReady || dismissed) return null;
+
+  return (
+    <div className="update-prompt" role="status">
+      <span>{locale.updateAvailable}</span>
+      <button type="button" onClick={() => updates.apply()}>
+        {locale.reload}
+      </button>
+      <button type="button" onClick={() => setDismissed(true)}>
+        {locale.later}
+      </button>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,41 @@
+/**
+ * Accessibility helpers for the wordmark
+ *
+ * Shared by the React and vanilla AnimatedWordmark so assistive tech
+ * hears the same thing from both:
+ * - the full text once, as a visually hidden label, while the
+ *   per-character spans and the cursor are aria-hidden decoration
+ * - a polite status message when the reveal finishes
+ */
+
+/**
+ * Inline styles that hide an element visually but keep it readable
+ * by screen readers
+ */
+export const visuallyHidden = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  padding: '0',
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: '0',
+};
+
+/**
+ * Accessible name for a wordmark: its text, or every phrase of a
+ * sequence in order
+ */
+export function wordmarkLabel(text, phrases) {
+  if (!phrases?.length) return text;
+  return phrases.map((phrase) => (typeof phrase === 'string' ? phrase : phrase.text)).join(', ');
+}
+
+/**
+ * Status message for the live region once the reveal completes
+ */
+export function revealAnnouncement(label) {
+  return `${label} revealed`;
+}
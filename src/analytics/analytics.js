@@ -0,0 +1,116 @@
+/**
+ * Analytics
+ *
+ * A small event bus for learning how visitors use the page - whether
+ * they find the tap to reveal, how long it takes them, whether the
+ * wordmark gets to finish (the events are listed in events.js).
+ *
+ * Privacy first:
+ * - nothing is collected when the browser sends Do Not Track or Global
+ *   Privacy Control
+ * - no cookies, identifiers, URLs or user agents - an event is its name,
+ *   the ms since the page loaded and a few primitive props
+ * - events go only to the sinks passed in (sinks.js); without any, they
+ *   go nowhere
+ *
+ * A sink is { send(event), flush?(), destroy?() }.
+ */
+
+import { createConsoleSink, createBeaconSink } from './sinks.js';
+
+/**
+ * Whether the visitor asked not to be tracked
+ */
+export function doNotTrack(
+  nav = typeof navigator !== 'undefined' ? navigator : null,
+  win = typeof window !== 'undefined' ? window : null,
+) {
+  // Older browsers keep the setting on window, or prefixed
+  const settings = [nav?.doNotTrack, win?.doNotTrack, nav?.msDoNotTrack];
+  return settings.some((setting) => setting === '1' || setting === 'yes')
+    || nav?.globalPrivacyControl === true;
+}
+
+/**
+ * Whether the page was opened with ?debug=analytics
+ */
+export function isAnalyticsDebug(search = typeof window !== 'undefined' ? window.location.search : '') {
+  return new URLSearchParams(search).getAll('debug').includes('analytics');
+}
+
+// Only primitives make it into an event, so nothing identifying
+// rides along by accident
+const cleanProps = (props) => Object.fromEntries(
+  Object.entries(props).filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value)),
+);
+
+export function createAnalytics({
+  sinks = [],
+  enabled = typeof window !== 'undefined' && !doNotTrack(),
+  now = () => performance.now(),
+} = {}) {
+  const active = enabled ? [...sinks] : [];
+
+  // A failing sink never breaks the page or the other sinks
+  const each = (method, ...args) => active.forEach((sink) => {
+    try {
+      sink[method]?.(...args);
+    } catch {
+      // Dropped
+    }
+  });
+
+  return {
+    /**
+     * False under Do Not Track - track() then does nothing
+     */
+    get enabled() {
+      return enabled;
+    },
+
+    /**
+     * Record an event, e.g. track('reveal', { via: 'tap' })
+     */
+    track(name, props = {}) {
+      if (!active.length) return;
+      each('send', { name, t: Math.round(now()), props: cleanProps(props) });
+    },
+
+    /**
+     * Send anything the sinks are holding on to
+     */
+    flush() {
+      each('flush');
+    },
+
+    destroy() {
+      each('destroy');
+      active.length = 0;
+    },
+  };
+}
+
+/**
+ * Sinks for this page: the console and localStorage under
+ * ?debug=analytics, a beacon to VITE_ANALYTICS_ENDPOINT when the build
+ * sets one
+ */
+const defaultSinks = () => {
+  const sinks = [];
+  if (isAnalyticsDebug()) sinks.push(createConsoleSink());
+
+  const endpoint = import.meta.env.VITE_ANALYTICS_ENDPOINT;
+  if (endpoint) sinks.push(createBeaconSink({ endpoint }));
+
+  return sinks;
+};
+
+let sharedAnalytics = null;
+
+/**
+ * Analytics shared by every widget on the page
+ */
+export function getAnalytics() {
+  if (!sharedAnalytics) sharedAnalytics = createAnalytics({ sinks: defaultSinks() });
+  return sharedAnalytics;
+}
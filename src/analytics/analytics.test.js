@@ -0,0 +1,204 @@
+// @vitest-environment jsdom
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { minify } from 'terser';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { terserOptions } from '../../scripts/minify.js';
+import { createAnalytics, doNotTrack, isAnalyticsDebug } from './analytics.js';
+import { createConsoleSink, createBeaconSink } from './sinks.js';
+import { revealEvents, wordmarkRun } from './events.js';
+
+const memoryStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, value),
+    removeItem: (key) => values.delete(key),
+  };
+};
+
+// Collects what reaches a sink
+const recorder = () => {
+  const events = [];
+  return { events, sink: { send: (event) => events.push(event) } };
+};
+
+const clock = (start = 0) => {
+  let time = start;
+  const now = () => time;
+  now.advance = (ms) => {
+    time += ms;
+  };
+  return now;
+};
+
+// jsdom's Blob has no text()
+const readText = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+// Event names in each beaconed batch
+const batches = (send) => Promise.all(send.mock.calls.map(async ([, body]) => {
+  expect(body.type).toBe('text/plain');
+  return JSON.parse(await readText(body)).events.map(({ name }) => name);
+}));
+
+afterEach(() => vi.useRealTimers());
+
+describe('createAnalytics', () => {
+  it('sends events with their time and primitive props only', () => {
+    const now = clock(1234.6);
+    const { events, sink } = recorder();
+    const analytics = createAnalytics({ sinks: [sink], enabled: true, now });
+
+    analytics.track('reveal', { via: 'tap', count: 2, ok: true, element: document.body, list: [1] });
+    expect(events).toEqual([{ name: 'reveal', t: 1235, props: { via: 'tap', count: 2, ok: true } }]);
+  });
+
+  it('collects nothing under Do Not Track or Global Privacy Control', () => {
+    expect(doNotTrack({ doNotTrack: '1' })).toBe(true);
+    expect(doNotTrack({ doNotTrack: 'unspecified' }, { doNotTrack: '1' })).toBe(true);
+    expect(doNotTrack({ globalPrivacyControl: true })).toBe(true);
+    expect(doNotTrack({ doNotTrack: '0' }, {})).toBe(false);
+    expect(doNotTrack({}, {})).toBe(false);
+
+    const { events, sink } = recorder();
+    const analytics = createAnalytics({ sinks: [sink], enabled: false });
+    analytics.track('reveal');
+    expect(analytics.enabled).toBe(false);
+    expect(events).toEqual([]);
+  });
+
+  it('keeps going past a failing sink', () => {
+    const { events, sink } = recorder();
+    const broken = { send: () => { throw new Error('full'); } };
+    const analytics = createAnalytics({ sinks: [broken, sink], enabled: true });
+
+    expect(() => analytics.track('reveal')).not.toThrow();
+    expect(events).toHaveLength(1);
+  });
+
+  it('turns the console sink on with ?debug=analytics', () => {
+    expect(isAnalyticsDebug('?debug=analytics')).toBe(true);
+    expect(isAnalyticsDebug('?debug=motion&debug=analytics')).toBe(true);
+    expect(isAnalyticsDebug('?debug=motion')).toBe(false);
+  });
+});
+
+describe('sinks', () => {
+  it('logs events and keeps the latest in storage', () => {
+    const log = vi.fn();
+    const storage = memoryStorage();
+    const sink = createConsoleSink({ storage, log, limit: 2 });
+
+    ['a', 'b', 'c'].forEach((name) => sink.send({ name, t: 0, props: {} }));
+    expect(log).toHaveBeenLastCalledWith('[analytics] c', {});
+    expect(sink.events().map(({ name }) => name)).toEqual(['b', 'c']);
+    expect(createConsoleSink({ storage, log }).events()).toHaveLength(2);
+
+    sink.clear();
+    expect(sink.events()).toEqual([]);
+  });
+
+  it('still logs once minified for production', async () => {
+    const source = readFileSync(path.join(__dirname, 'sinks.js'), 'utf8');
+    const { code } = await minify(source, { ...terserOptions, module: true });
+    expect(code).toContain('console.info(');
+
+    const stray = await minify('console.log("a");console.warn("b");console.info("c");', terserOptions);
+    expect(stray.code).toBe('console.info("c");');
+  });
+
+  it('beacons full batches, and the rest after the interval', async () => {
+    vi.useFakeTimers();
+    const send = vi.fn(() => true);
+    const sink = createBeaconSink({
+      endpoint: '/__analytics', batchSize: 2, flushInterval: 1000, send, target: null, hidden: () => false,
+    });
+
+    ['a', 'b', 'c'].forEach((name) => sink.send({ name, t: 0, props: {} }));
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send.mock.calls[0][0]).toBe('/__analytics');
+
+    vi.advanceTimersByTime(1000);
+    vi.useRealTimers();
+    expect(await batches(send)).toEqual([['a', 'b'], ['c']]);
+
+    sink.destroy();
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  it('sends everything as the page goes away, and what comes after at once', async () => {
+    const send = vi.fn(() => true);
+    const target = new EventTarget();
+    const sink = createBeaconSink({ endpoint: '/e', send, target, hidden: () => false });
+
+    sink.send({ name: 'a', t: 0, props: {} });
+    target.dispatchEvent(new Event('pagehide'));
+    sink.send({ name: 'b', t: 0, props: {} });
+
+    // Back from the back/forward cache, batching again
+    target.dispatchEvent(new Event('pageshow'));
+    sink.send({ name: 'c', t: 0, props: {} });
+
+    expect(await batches(send)).toEqual([['a'], ['b']]);
+    sink.destroy();
+  });
+});
+
+describe('events', () => {
+  it('times the first tap from the first hint, ignoring links', () => {
+    const now = clock();
+    const { events, sink } = recorder();
+    const reveals = revealEvents(createAnalytics({ sinks: [sink], enabled: true, now }), now);
+
+    reveals.hintShown();
+    now.advance(1500);
+    reveals.revealed('link');
+    now.advance(500);
+    reveals.hidden('escape');
+    reveals.hintShown();
+    now.advance(1000);
+    reveals.revealed('tap');
+    reveals.itemClicked('design');
+    reveals.revealed('swipe');
+
+    expect(events.map(({ name, props }) => [name, props])).toEqual([
+      ['hint_shown', { count: 1 }],
+      ['reveal', { via: 'link' }],
+      ['hide', { via: 'escape', ms: 500 }],
+      ['hint_shown', { count: 2 }],
+      ['first_tap', { via: 'tap', ms: 3000 }],
+      ['reveal', { via: 'tap' }],
+      ['item_click', { slug: 'design' }],
+      ['reveal', { via: 'swipe' }],
+    ]);
+  });
+
+  it('reports a wordmark run once, counting leaving the page as an interruption', () => {
+    const now = clock();
+    const target = new EventTarget();
+    const { events, sink } = recorder();
+    const analytics = createAnalytics({ sinks: [sink], enabled: true, now });
+    const details = { effect: 'typewriter', motion: 'full', chars: 7 };
+
+    const left = wordmarkRun(analytics, details, { now, target });
+    left.reveal(2);
+    now.advance(400);
+    target.dispatchEvent(new Event('pagehide'));
+    left.complete();
+
+    const finished = wordmarkRun(analytics, details, { now, target });
+    now.advance(1200);
+    finished.complete();
+    finished.interrupt('destroy');
+
+    expect(events.map(({ props }) => props)).toEqual([
+      { ...details, revealed: 3, reason: 'leave', ms: 400 },
+      { ...details, ms: 1200 },
+    ]);
+    expect(events.map(({ name }) => name)).toEqual(['wordmark_interrupted', 'wordmark_complete']);
+  });
+});
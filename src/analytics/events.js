@@ -0,0 +1,106 @@
+/**
+ * Analytics events
+ *
+ * What the vanilla and React builds report (see analytics.js), from the
+ * same helpers so both send the same names and props:
+ *
+ *   hint_shown            { count }   the tap hint appeared; count of times
+ *                                     this visit
+ *   first_tap             { via, ms } the visitor's first reveal of their own,
+ *                                     ms after the hint first appeared
+ *   reveal                { via }
+ *   hide                  { via, ms } ms the overlay was open
+ *   item_click            { slug }    a discipline in the list
+ *   wordmark_complete     { effect, motion, chars, ms }
+ *   wordmark_interrupted  { effect, motion, chars, revealed, reason, ms }
+ *
+ * via: 'tap', 'backdrop', 'escape', 'swipe', 'pinch', or 'link' for
+ * anything else that changed the URL (back/forward, a deep link)
+ * reason: 'replay', 'destroy', 'unmount', or 'leave' when the page was
+ * left mid-reveal
+ */
+
+const OWN_REVEALS = ['tap', 'swipe'];
+
+const defaultNow = () => performance.now();
+
+/**
+ * Events for one content reveal
+ */
+export function revealEvents(analytics, now = defaultNow) {
+  let hints = 0;
+  let hintAt = null;
+  let openedAt = null;
+  let tapped = false;
+
+  return {
+    hintShown() {
+      hints += 1;
+      hintAt ??= now();
+      analytics.track('hint_shown', { count: hints });
+    },
+
+    revealed(via = 'link') {
+      openedAt = now();
+
+      if (!tapped && hintAt !== null && OWN_REVEALS.includes(via)) {
+        tapped = true;
+        analytics.track('first_tap', { via, ms: Math.round(openedAt - hintAt) });
+      }
+
+      analytics.track('reveal', { via });
+    },
+
+    hidden(via = 'link') {
+      const ms = openedAt === null ? 0 : Math.round(now() - openedAt);
+      openedAt = null;
+      analytics.track('hide', { via, ms });
+    },
+
+    itemClicked(slug) {
+      analytics.track('item_click', { slug });
+    },
+  };
+}
+
+/**
+ * Events for one run of a wordmark reveal: it either completes or is
+ * interrupted, and reports once. Leaving the page mid-reveal counts.
+ *
+ * @param {object} details - { effect, motion, chars }
+ */
+export function wordmarkRun(analytics, details, {
+  now = defaultNow,
+  target = typeof window !== 'undefined' ? window : null,
+} = {}) {
+  const startedAt = now();
+  let revealed = 0;
+  let done = false;
+
+  const end = (name, props) => {
+    if (done) return;
+    done = true;
+    target?.removeEventListener('pagehide', leave);
+    analytics.track(name, { ...details, ...props, ms: Math.round(now() - startedAt) });
+  };
+
+  const leave = () => end('wordmark_interrupted', { revealed, reason: 'leave' });
+  target?.addEventListener('pagehide', leave);
+
+  return {
+    /**
+     * A character started revealing
+     */
+    reveal(index) {
+      revealed = Math.max(revealed, index + 1);
+    },
+
+    complete() {
+      end('wordmark_complete');
+    },
+
+    interrupt(reason) {
+      end('wordmark_interrupted', { revealed, reason });
+    },
+  };
+}
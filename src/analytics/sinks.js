@@ -0,0 +1,122 @@
+/**
+ * Analytics sinks
+ *
+ * Where analytics.js sends events:
+ *
+ * - createConsoleSink: for development - logs each event and keeps the
+ *   latest ones in localStorage, so they survive reloads
+ * - createBeaconSink: batches events and posts them with
+ *   navigator.sendBeacon, which survives the page closing. The dev and
+ *   preview servers answer on /__analytics (see vite.config.js).
+ */
+
+const STORAGE_KEY = 'analytics-events';
+
+export function createConsoleSink({
+  storage = typeof localStorage !== 'undefined' ? localStorage : null,
+  log = (...args) => console.info(...args),
+  limit = 200, // events kept in storage
+} = {}) {
+  const stored = () => {
+    try {
+      return JSON.parse(storage?.getItem(STORAGE_KEY)) || [];
+    } catch {
+      // Storage can throw in private modes, or hold something unreadable
+      return [];
+    }
+  };
+
+  return {
+    send(event) {
+      log(`[analytics] ${event.name}`, event.props);
+
+      try {
+        storage?.setItem(STORAGE_KEY, JSON.stringify([...stored(), event].slice(-limit)));
+      } catch {
+        // Logged, not kept
+      }
+    },
+
+    /**
+     * Events kept so far, oldest first
+     */
+    events() {
+      return stored();
+    },
+
+    clear() {
+      try {
+        storage?.removeItem(STORAGE_KEY);
+      } catch {
+        // Nothing to clear
+      }
+    },
+  };
+}
+
+// Falls back to a keepalive fetch without cookies where sendBeacon is missing
+const beacon = (url, body) => {
+  if (navigator.sendBeacon) return navigator.sendBeacon(url, body);
+
+  fetch(url, { method: 'POST', body, keepalive: true, credentials: 'omit' }).catch(() => {});
+  return true;
+};
+
+export function createBeaconSink({
+  endpoint,
+  batchSize = 20,
+  flushInterval = 10000, // ms an event waits for its batch to fill
+  send = beacon,
+  target = typeof window !== 'undefined' ? window : null,
+  hidden = () => typeof document !== 'undefined' && document.visibilityState === 'hidden',
+} = {}) {
+  let queue = [];
+  let timer = null;
+  let leaving = false;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!queue.length) return;
+
+    // Plain text is a simple request, so a collector on another origin
+    // needs no preflight - the body is still JSON
+    const body = new Blob([JSON.stringify({ events: queue })], { type: 'text/plain' });
+    queue = [];
+    send(endpoint, body);
+  };
+
+  // The page may not come back - send what there is, and anything
+  // reported on the way out straight away
+  const handleHide = (event) => {
+    if (event.type === 'pagehide') leaving = true;
+    if (leaving || hidden()) flush();
+  };
+
+  // Back from the back/forward cache
+  const handleShow = () => {
+    leaving = false;
+  };
+
+  target?.addEventListener('visibilitychange', handleHide);
+  target?.addEventListener('pagehide', handleHide);
+  target?.addEventListener('pageshow', handleShow);
+
+  return {
+    send(event) {
+      queue.push(event);
+
+      if (queue.length >= batchSize || leaving || hidden()) flush();
+      else if (!timer) timer = setTimeout(flush, flushInterval);
+    },
+
+    flush,
+
+    destroy() {
+      flush();
+      target?.removeEventListener('visibilitychange', handleHide);
+      target?.removeEventListener('pagehide', handleHide);
+      target?.removeEventListener('pageshow', handleShow);
+    },
+  };
+}
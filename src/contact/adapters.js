@@ -0,0 +1,118 @@
+/**
+ * Contact adapters
+ *
+ * Where the contact form sends a message. An adapter is
+ * { action, method, enctype, send(message) }: `send` resolves to 'sent'
+ * or 'handoff' and rejects when the message didn't go out; the rest is
+ * the form's native submission, for pages without JavaScript.
+ *
+ * - mailtoAdapter: opens the visitor's mail app with the message written
+ *   out - needs nothing but an address
+ * - jsonAdapter: POSTs { name, email, message } as JSON to any endpoint
+ * - formspreeAdapter: POSTs to a Formspree-style form endpoint, which
+ *   answers JSON with { errors } on failure
+ *
+ * The `contact` block of content/portfolio.json picks one. The dev and
+ * preview servers answer on /__contact (see vite.config.js).
+ */
+
+import { contact as portfolioContact } from '../portfolio.js';
+
+const TIMEOUT = 10000; // ms before a request counts as failed
+
+const post = (fetchImpl, endpoint, body, headers = {}) => fetchImpl(endpoint, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body),
+  credentials: 'omit',
+  signal: AbortSignal.timeout?.(TIMEOUT),
+});
+
+// Mail apps show + literally, so spaces are encoded as %20
+const mailtoUrl = (to, fields) => `mailto:${to}?${Object.entries(fields)
+  .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+  .join('&')}`;
+
+export function mailtoAdapter({
+  email,
+  open = (url) => window.location.assign(url),
+}) {
+  return {
+    action: `mailto:${email}`,
+    method: 'post',
+    enctype: 'text/plain',
+
+    async send({ name, email: from, message }) {
+      open(mailtoUrl(email, {
+        subject: `Message from ${name}`,
+        body: `${message}\n\n${name} <${from}>`,
+      }));
+      return 'handoff';
+    },
+  };
+}
+
+export function jsonAdapter({ endpoint, fetch: fetchImpl = (...args) => fetch(...args) }) {
+  return {
+    action: endpoint,
+    method: 'post',
+    enctype: 'application/x-www-form-urlencoded',
+
+    async send(message) {
+      const response = await post(fetchImpl, endpoint, message);
+      if (!response.ok) throw new Error(`Contact endpoint answered ${response.status}`);
+      return 'sent';
+    },
+  };
+}
+
+export function formspreeAdapter({ endpoint, fetch: fetchImpl = (...args) => fetch(...args) }) {
+  return {
+    action: endpoint,
+    method: 'post',
+    enctype: 'application/x-www-form-urlencoded',
+
+    async send(message) {
+      const response = await post(fetchImpl, endpoint, {
+        ...message,
+        _subject: `Message from ${message.name}`,
+      }, { Accept: 'application/json' });
+      if (response.ok) return 'sent';
+
+      const { errors = [] } = await response.json().catch(() => ({}));
+      const reasons = errors.map((error) => error.message).filter(Boolean);
+      throw new Error(reasons.join(', ') || `Form endpoint answered ${response.status}`);
+    },
+  };
+}
+
+const ADAPTERS = { mailto: mailtoAdapter, json: jsonAdapter, formspree: formspreeAdapter };
+
+/**
+ * The adapter a `contact` block asks for: { adapter, email?, endpoint? }
+ */
+export function createContactAdapter({ adapter = 'mailto', ...options } = {}) {
+  const create = ADAPTERS[adapter];
+  if (!create) throw new Error(`Unknown contact adapter "${adapter}"`);
+  return create(options);
+}
+
+/**
+ * Adapter for this page, from content/portfolio.json. Setting
+ * VITE_CONTACT_ENDPOINT sends JSON there instead, e.g. to the dev
+ * server's /__contact stub.
+ */
+const defaultContact = () => {
+  const endpoint = import.meta.env.VITE_CONTACT_ENDPOINT;
+  return endpoint ? { adapter: 'json', endpoint } : portfolioContact;
+};
+
+let sharedAdapter = null;
+
+/**
+ * Adapter shared by every contact form on the page
+ */
+export function getContactAdapter() {
+  if (!sharedAdapter) sharedAdapter = createContactAdapter(defaultContact());
+  return sharedAdapter;
+}
@@ -0,0 +1,177 @@
+import { createServer } from 'node:http';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { validateContact, submitContact, contactMessage } from './form.js';
+import { createSpamGuard } from './guard.js';
+import { mailtoAdapter, jsonAdapter, formspreeAdapter, createContactAdapter } from './adapters.js';
+import { contactStub } from './stub.js';
+
+const message = { name: 'Ada', email: 'ada@example.com', message: 'Hello there' };
+
+const memoryStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, value),
+    removeItem: (key) => values.delete(key),
+  };
+};
+
+const clock = (start = 0) => {
+  let time = start;
+  const now = () => time;
+  now.advance = (ms) => {
+    time += ms;
+  };
+  return now;
+};
+
+// A guard that lets a person's message through
+const openGuard = () => ({ check: () => null, record: vi.fn() });
+
+describe('contact form', () => {
+  it('requires every field, a real-looking address and a sane length', () => {
+    expect(validateContact({})).toEqual({ name: 'required', email: 'required', message: 'required' });
+    expect(validateContact({ ...message, name: '   ' })).toEqual({ name: 'required' });
+    expect(validateContact({ ...message, email: 'ada@example' })).toEqual({ email: 'invalidEmail' });
+    expect(validateContact({ ...message, message: 'x'.repeat(5001) })).toEqual({ message: 'tooLong' });
+    expect(validateContact(message)).toEqual({});
+    expect(contactMessage({ ...message, name: ' Ada ', website: 'spam' })).toEqual(message);
+  });
+
+  it('sends valid messages, and says which failed', async () => {
+    const guard = openGuard();
+    const adapter = { send: vi.fn(async () => 'sent') };
+
+    expect(await submitContact({ name: 'Ada' }, { adapter, guard })).toEqual({
+      status: 'invalid',
+      errors: { email: 'required', message: 'required' },
+    });
+    expect(adapter.send).not.toHaveBeenCalled();
+
+    expect(await submitContact(message, { adapter, guard })).toEqual({ status: 'sent' });
+    expect(adapter.send).toHaveBeenCalledWith(message);
+    expect(guard.record).toHaveBeenCalledTimes(1);
+
+    adapter.send.mockRejectedValueOnce(new Error('offline'));
+    expect(await submitContact(message, { adapter, guard })).toEqual({ status: 'failed' });
+    expect(guard.record).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('spam guard', () => {
+  it('quietly drops messages with the honeypot filled in', async () => {
+    const now = clock();
+    const guard = createSpamGuard({ storage: memoryStorage(), now });
+    const adapter = { send: vi.fn(async () => 'sent') };
+
+    guard.start();
+    now.advance(5000);
+    expect(await submitContact({ ...message, website: 'https://spam.example' }, { adapter, guard }))
+      .toEqual({ status: 'sent' });
+
+    expect(adapter.send).not.toHaveBeenCalled();
+  });
+
+  it('asks for a send again when it came too quickly, timed from the first input', async () => {
+    const now = clock();
+    const guard = createSpamGuard({ storage: memoryStorage(), now });
+    const adapter = { send: vi.fn(async () => 'sent') };
+
+    // No input at all
+    expect(await submitContact(message, { adapter, guard })).toEqual({ status: 'tooQuick' });
+
+    // A page left open a while doesn't count, only the time since typing began
+    now.advance(60000);
+    guard.start();
+    now.advance(500);
+    guard.start();
+    expect(await submitContact(message, { adapter, guard })).toEqual({ status: 'tooQuick' });
+    expect(adapter.send).not.toHaveBeenCalled();
+
+    // A fast human - an autofilled form sent a moment later
+    now.advance(600);
+    expect(await submitContact(message, { adapter, guard })).toEqual({ status: 'sent' });
+    expect(adapter.send).toHaveBeenCalledWith(message);
+  });
+
+  it('limits how often one browser sends, across page loads', () => {
+    const now = clock(1000);
+    const storage = memoryStorage();
+    const guard = createSpamGuard({ storage, now, limit: 2, period: 60000 });
+    guard.start();
+    now.advance(5000);
+
+    guard.record();
+    guard.record();
+    expect(guard.check(message)).toBe('rateLimited');
+    const nextPage = createSpamGuard({ storage, now, minFillTime: 0, limit: 2, period: 60000 });
+    nextPage.start();
+    expect(nextPage.check(message)).toBe('rateLimited');
+
+    now.advance(60000);
+    expect(guard.check(message)).toBe(null);
+  });
+});
+
+describe('contact adapters', () => {
+  it('hands mailto messages to the mail app', async () => {
+    const open = vi.fn();
+    const adapter = mailtoAdapter({ email: 'hi@example.com', open });
+
+    expect(await adapter.send(message)).toBe('handoff');
+    expect(adapter.action).toBe('mailto:hi@example.com');
+
+    const url = new URL(open.mock.calls[0][0]);
+    expect(url.pathname).toBe('hi@example.com');
+    expect(url.search).not.toContain('+');
+    expect(url.searchParams.get('subject')).toBe('Message from Ada');
+    expect(url.searchParams.get('body')).toBe('Hello there\n\nAda <ada@example.com>');
+  });
+
+  it('picks the adapter the content asks for', () => {
+    expect(createContactAdapter({ adapter: 'json', endpoint: '/send' }).action).toBe('/send');
+    expect(createContactAdapter({ email: 'hi@example.com' }).action).toBe('mailto:hi@example.com');
+    expect(() => createContactAdapter({ adapter: 'carrier-pigeon' })).toThrow(/Unknown contact adapter/);
+  });
+
+  describe('against the stub server', () => {
+    const log = vi.fn();
+    const server = createServer(contactStub({ log }));
+    let endpoint;
+
+    beforeAll(() => new Promise((resolve) => {
+      server.listen(0, '127.0.0.1', () => {
+        endpoint = `http://127.0.0.1:${server.address().port}/__contact`;
+        resolve();
+      });
+    }));
+
+    afterAll(() => new Promise((resolve) => {
+      server.close(resolve);
+    }));
+
+    it('posts JSON messages', async () => {
+      expect(await jsonAdapter({ endpoint }).send(message)).toBe('sent');
+      expect(log).toHaveBeenLastCalledWith('[contact] Ada <ada@example.com>: Hello there');
+    });
+
+    it('posts Formspree-style, passing on the reasons a message was refused', async () => {
+      expect(await formspreeAdapter({ endpoint }).send(message)).toBe('sent');
+      await expect(formspreeAdapter({ endpoint }).send({ ...message, email: 'nope' }))
+        .rejects.toThrow('invalidEmail');
+    });
+
+    it('reads forms posted without JavaScript, and turns away anything else', async () => {
+      const form = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(message),
+      });
+      expect(form.status).toBe(200);
+
+      expect((await fetch(endpoint)).status).toBe(405);
+      expect((await fetch(endpoint, { method: 'POST', body: '{' })).status).toBe(400);
+      await expect(jsonAdapter({ endpoint }).send({ ...message, name: '' })).rejects.toThrow('422');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Contact form
+ *
+ * Fields, validation and submission shared by the React ContactPanel
+ * and the vanilla content-reveal.js, so both builds accept the same
+ * messages and end in the same states:
+ *
+ *   invalid      → errors by field, the form stays
+ *   tooQuick     → sent faster than people type (guard.js), the form stays
+ *   rateLimited  → too many messages lately (guard.js), the form stays
+ *   sent         → the adapter delivered it
+ *   handoff      → the visitor's mail app has it (the mailto adapter)
+ *   failed       → the adapter couldn't deliver; the form can be retried
+ *
+ * Error values are keys of the locale's contact copy.
+ */
+
+export const FIELDS = ['name', 'email', 'message'];
+
+// Left empty by people - hidden from them, but bots fill in every field
+export const HONEYPOT = 'website';
+
+export const MAX_LENGTH = { name: 100, email: 254, message: 5000 };
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * The fields trimmed, without the honeypot
+ */
+export function contactMessage(values) {
+  return Object.fromEntries(FIELDS.map((field) => [field, String(values[field] ?? '').trim()]));
+}
+
+/**
+ * Errors by field: 'required', 'invalidEmail' or 'tooLong'. Empty when
+ * the message can be sent.
+ */
+export function validateContact(values) {
+  const message = contactMessage(values);
+  const errors = {};
+
+  FIELDS.forEach((field) => {
+    if (!message[field]) errors[field] = 'required';
+    else if (message[field].length > MAX_LENGTH[field]) errors[field] = 'tooLong';
+  });
+
+  if (!errors.email && !EMAIL_PATTERN.test(message.email)) errors.email = 'invalidEmail';
+
+  return errors;
+}
+
+/**
+ * Validate, check the spam guard and send through the adapter.
+ * Resolves to { status, errors? } - never rejects.
+ */
+export async function submitContact(values, { adapter, guard }) {
+  const errors = validateContact(values);
+  if (Object.keys(errors).length) return { status: 'invalid', errors };
+
+  const spam = guard.check(values);
+
+  // Honeypot bots are told it worked, so they don't try again
+  if (spam === 'bot') return { status: 'sent' };
+  if (spam) return { status: spam };
+
+  try {
+    const status = await adapter.send(contactMessage(values));
+    guard.record();
+    return { status };
+  } catch {
+    return { status: 'failed' };
+  }
+}
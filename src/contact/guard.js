@@ -0,0 +1,68 @@
+/**
+ * Contact spam guard
+ *
+ * Cheap checks before a message goes out, no CAPTCHA:
+ * - the honeypot field (form.js) is filled in: a bot
+ * - the form was sent within `minFillTime` of the first input, or
+ *   without any: too quick. Likely a bot, but people with autofill are
+ *   fast too, so they are asked to send again rather than dropped.
+ * - more than `limit` messages in `period` from this browser: rate
+ *   limited. Send times persist in localStorage.
+ *
+ * The form calls start() on every input; the clock starts on the first.
+ */
+
+import { HONEYPOT } from './form.js';
+
+const STORAGE_KEY = 'contact-sent';
+
+export function createSpamGuard({
+  storage = typeof localStorage !== 'undefined' ? localStorage : null,
+  now = () => Date.now(),
+  minFillTime = 1000, // ms from the first input
+  limit = 3,
+  period = 60 * 60 * 1000, // ms
+} = {}) {
+  let startedAt = null;
+
+  // Send times within the period
+  const recent = () => {
+    try {
+      const stored = JSON.parse(storage?.getItem(STORAGE_KEY)) || [];
+      return stored.filter((time) => now() - time < period);
+    } catch {
+      // Storage can throw in private modes, or hold something unreadable
+      return [];
+    }
+  };
+
+  return {
+    /**
+     * Start the clock, unless it already runs
+     */
+    start() {
+      startedAt ??= now();
+    },
+
+    /**
+     * 'bot', 'tooQuick', 'rateLimited', or null when the message can go
+     */
+    check(values) {
+      if (values[HONEYPOT]) return 'bot';
+      if (startedAt === null || now() - startedAt < minFillTime) return 'tooQuick';
+      if (recent().length >= limit) return 'rateLimited';
+      return null;
+    },
+
+    /**
+     * Count a message that went out
+     */
+    record() {
+      try {
+        storage?.setItem(STORAGE_KEY, JSON.stringify([...recent(), now()]));
+      } catch {
+        // Not counted, but still sent
+      }
+    },
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Contact stub server
+ *
+ * Stands in for a real contact endpoint, as Node middleware: the dev and
+ * preview servers mount it on /__contact (see vite.config.js), and the
+ * adapter tests post to it over HTTP. It answers like the JSON and
+ * Formspree-style services do:
+ *
+ *   200 { ok: true }             the message is valid, and logged
+ *   422 { errors: [{ field, message }] }
+ *   400 unreadable body, 405 anything but POST
+ *
+ * Forms posted without JavaScript (urlencoded) are read too.
+ */
+
+import { validateContact, contactMessage } from './form.js';
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const parse = (body, type = '') => (type.includes('application/x-www-form-urlencoded')
+  ? Object.fromEntries(new URLSearchParams(body))
+  : JSON.parse(body));
+
+const reply = (res, status, body) => {
+  res.statusCode = status;
+  if (body) res.setHeader('Content-Type', 'application/json');
+  res.end(body && JSON.stringify(body));
+};
+
+export function contactStub({ log = (...args) => console.info(...args) } = {}) {
+  return async (req, res) => {
+    if (req.method !== 'POST') {
+      reply(res, 405);
+      return;
+    }
+
+    let values;
+    try {
+      values = parse(await readBody(req), req.headers['content-type']);
+    } catch {
+      reply(res, 400, { errors: [{ message: 'Unreadable body' }] });
+      return;
+    }
+
+    const errors = validateContact(values);
+    if (Object.keys(errors).length) {
+      reply(res, 422, { errors: Object.entries(errors).map(([field, message]) => ({ field, message })) });
+      return;
+    }
+
+    const { name, email, message } = contactMessage(values);
+    log(`[contact] ${name} <${email}>: ${message}`);
+    reply(res, 200, { ok: true });
+  };
+}
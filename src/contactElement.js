@@ -0,0 +1,162 @@
+/**
+ * Contact form markup for the vanilla build
+ *
+ * The form and result states of the contact view in content-reveal.js,
+ * with copy from the active locale's `contact` block. The React
+ * equivalent is ContactPanel.jsx; the pre-rendered form is in
+ * src/prerender/markup.js.
+ */
+
+import { FIELDS, HONEYPOT, MAX_LENGTH } from './contact/form.js';
+
+const fieldElement = (name, copy, value = '') => {
+  const row = document.createElement('div');
+  row.className = 'contact-field';
+
+  const id = `contact-${name}`;
+  const label = document.createElement('label');
+  label.htmlFor = id;
+  label.textContent = copy[name];
+
+  const control = document.createElement(name === 'message' ? 'textarea' : 'input');
+  control.id = id;
+  control.name = name;
+  control.maxLength = MAX_LENGTH[name];
+  control.value = value;
+  if (name === 'message') {
+    control.rows = 5;
+  } else {
+    control.type = name === 'email' ? 'email' : 'text';
+    control.autocomplete = name;
+  }
+
+  const error = document.createElement('p');
+  error.id = `${id}-error`;
+  error.className = 'contact-error';
+  error.hidden = true;
+
+  row.append(label, control, error);
+  return row;
+};
+
+// Out of sight and out of the tab order - only bots fill it in
+const honeypotElement = () => {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'contact-honeypot';
+  wrapper.setAttribute('aria-hidden', 'true');
+
+  const label = document.createElement('label');
+  const input = document.createElement('input');
+  input.name = HONEYPOT;
+  input.tabIndex = -1;
+  input.autocomplete = 'off';
+  label.append('Website', input);
+
+  wrapper.appendChild(label);
+  return wrapper;
+};
+
+/**
+ * The form, posting natively to the adapter's action should the script
+ * not handle it. `values` refills a draft.
+ */
+export function contactFormElement(copy, adapter, values = {}) {
+  const form = document.createElement('form');
+  form.className = 'contact-form';
+  form.action = adapter.action;
+  form.method = adapter.method;
+  form.enctype = adapter.enctype;
+  form.noValidate = true;
+
+  const actions = document.createElement('div');
+  actions.className = 'contact-actions';
+
+  const send = document.createElement('button');
+  send.type = 'submit';
+  send.className = 'contact-send';
+  send.textContent = copy.send;
+
+  const notice = document.createElement('p');
+  notice.className = 'contact-error';
+  notice.setAttribute('role', 'alert');
+  notice.hidden = true;
+
+  actions.append(send, notice);
+  form.append(...FIELDS.map((name) => fieldElement(name, copy, values[name])), honeypotElement(), actions);
+  return form;
+}
+
+/**
+ * Current values of the form, honeypot included
+ */
+export function contactValues(form) {
+  return Object.fromEntries(new FormData(form));
+}
+
+/**
+ * Show errors by field (keys of the contact copy) and clear the rest.
+ * Returns the first invalid control.
+ */
+export function showContactErrors(form, errors, copy) {
+  let first = null;
+
+  FIELDS.forEach((name) => {
+    const control = form.elements[name];
+    const error = form.querySelector(`#contact-${name}-error`);
+    const key = errors[name];
+
+    error.hidden = !key;
+    error.textContent = key ? copy[key] : '';
+    if (key) {
+      control.setAttribute('aria-invalid', 'true');
+      control.setAttribute('aria-describedby', error.id);
+    } else {
+      control.removeAttribute('aria-invalid');
+      control.removeAttribute('aria-describedby');
+    }
+
+    if (key && !first) first = control;
+  });
+
+  return first;
+}
+
+/**
+ * Sending state of the Send button, and the notice under it
+ * (e.g. copy.rateLimited), or null to clear it
+ */
+export function setContactPending(form, copy, { sending = false, notice = null } = {}) {
+  const send = form.querySelector('.contact-send');
+  send.disabled = sending;
+  send.textContent = sending ? copy.sending : copy.send;
+
+  const message = form.querySelector('.contact-actions .contact-error');
+  message.hidden = !notice;
+  message.textContent = notice || '';
+}
+
+/**
+ * What replaces the form: 'sent', 'handoff', or 'failed' with a retry
+ */
+export function contactResultElement(copy, status, { onRetry } = {}) {
+  const result = document.createElement('div');
+  result.className = 'contact-result';
+
+  const message = document.createElement('p');
+  message.className = status === 'failed' ? 'contact-status contact-failed' : 'contact-status';
+  message.setAttribute('role', status === 'failed' ? 'alert' : 'status');
+  message.tabIndex = -1;
+  message.textContent = copy[status];
+  result.appendChild(message);
+
+  if (status === 'failed') {
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.className = 'contact-send';
+    retry.textContent = copy.retry;
+    retry.addEventListener('click', onRetry);
+    result.appendChild(retry);
+  }
+
+  return result;
+}
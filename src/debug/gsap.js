@@ -0,0 +1,26 @@
+/**
+ * GSAP adapter for motion telemetry
+ *
+ * Counts running tweens for the debug panel. Used by motion-debug.js;
+ * the React build reports Framer animations through
+ * useAnimationTelemetry instead.
+ */
+
+import gsap from 'gsap';
+
+/**
+ * Tweens playing right now, inside timelines included
+ */
+export function activeTweens() {
+  return gsap.globalTimeline
+    .getChildren(true, true, false)
+    .filter((tween) => tween.isActive())
+    .length;
+}
+
+/**
+ * Count GSAP tweens on every frame of a telemetry trace
+ */
+export function trackGsap(telemetry) {
+  telemetry.addSource('gsap', activeTweens);
+}
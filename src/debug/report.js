@@ -0,0 +1,92 @@
+/**
+ * Telemetry Report
+ *
+ * What the debug panels (motion-debug.js, MotionDebugPanel.jsx) show
+ * and how they export, so both builds read the same.
+ */
+
+import { FRAME_BUDGET } from './telemetry.js';
+
+const ms = (value) => `${Math.round(value)}ms`;
+
+/**
+ * Label/value rows for a telemetry snapshot
+ */
+export function reportRows(snapshot) {
+  const active = Object.entries(snapshot.active);
+
+  return [
+    ['FPS', String(snapshot.fps)],
+    ['Dropped frames', `${snapshot.droppedFrames} of ${snapshot.frames + snapshot.droppedFrames}`],
+    ['Longest frame', `${ms(snapshot.longestFrame)} (budget ${ms(FRAME_BUDGET)})`],
+    ['Long tasks', snapshot.longTasks ? `${snapshot.longTasks} (longest ${ms(snapshot.longestTask)})` : '0'],
+    ['Layout shift', snapshot.layoutShift.toFixed(3)],
+    ...(active.length
+      ? active.map(([name, count]) => [`Active ${name}`, String(count)])
+      : [['Active', '0']]),
+  ];
+}
+
+/**
+ * File name for an exported trace, e.g. motion-trace-2026-10-19T17-02-11.json
+ */
+export function traceFileName(date = new Date()) {
+  return `motion-trace-${date.toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+}
+
+/**
+ * Save a trace as a JSON file through a temporary download link
+ */
+export function downloadTrace(trace) {
+  const blob = new Blob([JSON.stringify(trace, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = traceFileName();
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Panel styles - inline, so neither build's stylesheet carries debug
+ * rules. Colours follow the theme properties.
+ */
+export const panelStyle = {
+  position: 'fixed',
+  right: '20px',
+  bottom: '20px',
+  zIndex: 300,
+  minWidth: '220px',
+  padding: '12px 14px',
+  font: '12px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace',
+  color: 'var(--color-text, #000000)',
+  background: 'var(--color-background, #fafafa)',
+  border: '1px solid currentColor',
+  borderRadius: '6px',
+  opacity: 0.9,
+};
+
+export const rowStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  gap: '16px',
+  margin: 0,
+};
+
+export const valueStyle = {
+  margin: 0,
+  fontVariantNumeric: 'tabular-nums',
+};
+
+export const buttonStyle = {
+  marginTop: '8px',
+  padding: '2px 8px',
+  font: 'inherit',
+  color: 'inherit',
+  background: 'none',
+  border: '1px solid currentColor',
+  borderRadius: '4px',
+  cursor: 'pointer',
+};
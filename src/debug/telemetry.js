@@ -0,0 +1,222 @@
+/**
+ * Motion Telemetry
+ *
+ * Measures what the choreography costs while it runs, for the debug
+ * panel behind ?debug=motion (motion-debug.js, MotionDebugPanel.jsx):
+ *
+ * - frames: live rate and drops against the 60fps budget, from
+ *   requestAnimationFrame
+ * - long tasks and layout shifts, from PerformanceObserver where the
+ *   browser reports them
+ * - active animations per source: GSAP tweens counted from the global
+ *   timeline (gsap.js), animating Framer components reported by
+ *   useAnimationTelemetry
+ * - marks: route changes and wordmark events, to line the rest up with
+ *
+ * Everything is kept as a trace that exports as JSON. Times are in ms
+ * from when telemetry started.
+ */
+
+import { getRouter, routeToPath } from '../router.js';
+
+export const FRAME_BUDGET = 1000 / 60; // ms
+
+const FPS_WINDOW = 1000;     // ms of frames the live rate averages over
+const UPDATE_INTERVAL = 250; // ms between snapshots for the panel
+const MAX_ENTRIES = 36000;   // per list - ten minutes of frames at 60fps
+
+const push = (list, entry) => {
+  list.push(entry);
+  if (list.length > MAX_ENTRIES) list.shift();
+};
+
+/**
+ * Whether the page was opened with ?debug=motion
+ */
+export function isMotionDebug(search = typeof window !== 'undefined' ? window.location.search : '') {
+  return new URLSearchParams(search).getAll('debug').includes('motion');
+}
+
+export function createMotionTelemetry({
+  now = () => performance.now(),
+  requestFrame = (callback) => requestAnimationFrame(callback),
+  cancelFrame = (id) => cancelAnimationFrame(id),
+  Observer = typeof PerformanceObserver !== 'undefined' ? PerformanceObserver : null,
+} = {}) {
+  const origin = now();
+  const frames = [];
+  const longTasks = [];
+  const layoutShifts = [];
+  const marks = [];
+  const sources = new Map();
+  const animating = new Map();
+  const listeners = new Set();
+  const observers = [];
+
+  let lastFrame = null;
+  let lastUpdate = -Infinity;
+  let frameId = null;
+  let current = null;
+
+  const since = (time) => time - origin;
+
+  const activeAnimations = () => {
+    const active = {};
+    sources.forEach((count, name) => {
+      active[name] = count();
+    });
+    animating.forEach((keys, name) => {
+      active[name] = (active[name] || 0) + keys.size;
+    });
+    return active;
+  };
+
+  const summarize = () => {
+    const end = frames.length ? frames[frames.length - 1].t : 0;
+    const recent = frames.filter(({ t }) => end - t < FPS_WINDOW);
+    const elapsed = recent.reduce((sum, { duration }) => sum + duration, 0);
+
+    return {
+      elapsed: since(now()),
+      fps: elapsed ? Math.round((recent.length / elapsed) * 1000) : 0,
+      frames: frames.length,
+      droppedFrames: frames.reduce((sum, { dropped }) => sum + dropped, 0),
+      longestFrame: frames.reduce((longest, { duration }) => Math.max(longest, duration), 0),
+      longTasks: longTasks.length,
+      longestTask: longTasks.reduce((longest, { duration }) => Math.max(longest, duration), 0),
+      layoutShift: layoutShifts.reduce((sum, { value }) => sum + value, 0),
+      active: activeAnimations(),
+    };
+  };
+
+  const update = () => {
+    current = summarize();
+    listeners.forEach((listener) => listener(current));
+  };
+
+  const tick = (time) => {
+    if (lastFrame !== null) {
+      const duration = time - lastFrame;
+      push(frames, {
+        t: since(time),
+        duration,
+        // A frame that took three budgets hid two
+        dropped: Math.max(0, Math.round(duration / FRAME_BUDGET) - 1),
+        active: activeAnimations(),
+      });
+    }
+    lastFrame = time;
+
+    if (time - lastUpdate >= UPDATE_INTERVAL) {
+      lastUpdate = time;
+      update();
+    }
+
+    frameId = requestFrame(tick);
+  };
+
+  const observe = (type, record) => {
+    if (!Observer?.supportedEntryTypes?.includes(type)) return;
+
+    const observer = new Observer((list) => list.getEntries().forEach(record));
+    observer.observe({ type, buffered: true });
+    observers.push(observer);
+  };
+
+  observe('longtask', (entry) => {
+    push(longTasks, { t: since(entry.startTime), duration: entry.duration });
+  });
+
+  observe('layout-shift', (entry) => {
+    // Shifts right after input are expected, as in CLS
+    if (!entry.hadRecentInput) push(layoutShifts, { t: since(entry.startTime), value: entry.value });
+  });
+
+  frameId = requestFrame(tick);
+  current = summarize();
+
+  return {
+    /**
+     * Count an animation source on every frame, e.g. GSAP's active tweens
+     */
+    addSource(name, count) {
+      sources.set(name, count);
+    },
+
+    /**
+     * Report one animating thing by key, for sources that can't be
+     * counted - e.g. a Framer component between animation start and complete
+     */
+    setAnimating(name, key, isAnimating) {
+      if (!animating.has(name)) animating.set(name, new Set());
+      const keys = animating.get(name);
+      if (isAnimating) keys.add(key);
+      else keys.delete(key);
+    },
+
+    /**
+     * Note an event on the trace, e.g. 'wordmark:complete'
+     */
+    mark(name, detail) {
+      push(marks, { t: since(now()), name, ...(detail !== undefined && { detail }) });
+    },
+
+    /**
+     * Latest summary - refreshed a few times a second while frames run
+     */
+    snapshot() {
+      return current;
+    },
+
+    /**
+     * Listen for new snapshots. Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Everything recorded so far, ready for JSON.stringify
+     */
+    trace() {
+      return {
+        version: 1,
+        userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+        frameBudget: FRAME_BUDGET,
+        summary: summarize(),
+        frames: [...frames],
+        longTasks: [...longTasks],
+        layoutShifts: [...layoutShifts],
+        marks: [...marks],
+      };
+    },
+
+    destroy() {
+      cancelFrame(frameId);
+      observers.forEach((observer) => observer.disconnect());
+      listeners.clear();
+    },
+  };
+}
+
+/**
+ * Mark every route change (the reveal opening, closing, drilling down)
+ * on the trace. Returns an unsubscribe function.
+ */
+export function markRoutes(telemetry, router = getRouter()) {
+  return router.subscribe((route) => telemetry.mark('route', routeToPath(route)));
+}
+
+let sharedTelemetry;
+
+/**
+ * Telemetry shared by the page, or null without ?debug=motion. Decided
+ * on first use.
+ */
+export function getMotionTelemetry() {
+  if (sharedTelemetry === undefined) {
+    sharedTelemetry = isMotionDebug() ? createMotionTelemetry() : null;
+  }
+  return sharedTelemetry;
+}
@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import gsap from 'gsap';
+import { createMotionTelemetry, isMotionDebug, markRoutes, FRAME_BUDGET } from './telemetry.js';
+import { trackGsap } from './gsap.js';
+import { reportRows, traceFileName } from './report.js';
+import { createRouter } from '../router.js';
+import { installFakeTicker } from '../../test/gsapTicker.js';
+
+// Frames run only when the test says so
+const fakeFrames = () => {
+  let callback = null;
+  let time = 0;
+
+  return {
+    options: {
+      now: () => time,
+      requestFrame: (next) => {
+        callback = next;
+        return 1;
+      },
+      cancelFrame: () => {
+        callback = null;
+      },
+      Observer: null,
+    },
+    step(duration) {
+      time += duration;
+      callback?.(time);
+    },
+  };
+};
+
+// Stand-in for PerformanceObserver that replays entries handed to it
+const fakeObserver = (entries) => class {
+  static supportedEntryTypes = ['longtask', 'layout-shift'];
+
+  constructor(callback) {
+    this.callback = callback;
+  }
+
+  observe({ type }) {
+    this.callback({ getEntries: () => entries.filter((entry) => entry.entryType === type) });
+  }
+
+  disconnect() {}
+};
+
+describe('motion telemetry', () => {
+  it('turns on with ?debug=motion', () => {
+    expect(isMotionDebug('?debug=motion')).toBe(true);
+    expect(isMotionDebug('?debug=layout&debug=motion')).toBe(true);
+    expect(isMotionDebug('?debug=other')).toBe(false);
+    expect(isMotionDebug('')).toBe(false);
+  });
+
+  it('measures the frame rate and counts frames over budget as dropped', () => {
+    const frames = fakeFrames();
+    const telemetry = createMotionTelemetry(frames.options);
+
+    frames.step(0);
+    for (let i = 0; i < 60; i++) frames.step(FRAME_BUDGET);
+    expect(telemetry.trace().summary.fps).toBe(60);
+
+    // One frame three budgets long hides two
+    frames.step(3 * FRAME_BUDGET);
+    const { summary } = telemetry.trace();
+    expect(summary.droppedFrames).toBe(2);
+    expect(summary.longestFrame).toBeCloseTo(3 * FRAME_BUDGET);
+
+    telemetry.destroy();
+  });
+
+  it('records long tasks and layout shifts the browser reports', () => {
+    const frames = fakeFrames();
+    const telemetry = createMotionTelemetry({
+      ...frames.options,
+      Observer: fakeObserver([
+        { entryType: 'longtask', startTime: 10, duration: 80 },
+        { entryType: 'layout-shift', startTime: 20, value: 0.05, hadRecentInput: false },
+        { entryType: 'layout-shift', startTime: 30, value: 0.5, hadRecentInput: true },
+      ]),
+    });
+
+    const trace = telemetry.trace();
+    expect(trace.longTasks).toEqual([{ t: 10, duration: 80 }]);
+    expect(trace.summary.longestTask).toBe(80);
+    expect(trace.summary.layoutShift).toBeCloseTo(0.05);
+
+    telemetry.destroy();
+  });
+
+  it('counts active animations per source on every frame', () => {
+    const frames = fakeFrames();
+    const telemetry = createMotionTelemetry(frames.options);
+    trackGsap(telemetry);
+
+    const ticker = installFakeTicker();
+    const tween = gsap.to({ x: 0 }, { x: 1, duration: 10 });
+    ticker.advance(0.1);
+    telemetry.setAnimating('framer', 'overlay', true);
+    frames.step(0);
+    frames.step(FRAME_BUDGET);
+
+    expect(telemetry.trace().frames[0].active).toEqual({ gsap: 1, framer: 1 });
+
+    tween.kill();
+    ticker.uninstall();
+    telemetry.setAnimating('framer', 'overlay', false);
+    expect(telemetry.trace().summary.active).toEqual({ gsap: 0, framer: 0 });
+
+    telemetry.destroy();
+  });
+
+  it('marks route changes and exports a trace that survives JSON', () => {
+    const frames = fakeFrames();
+    const telemetry = createMotionTelemetry(frames.options);
+    const router = createRouter({ mode: 'memory' });
+    const unsubscribe = markRoutes(telemetry, router);
+
+    frames.step(100);
+    telemetry.mark('wordmark:complete');
+    router.navigate('/about');
+    unsubscribe();
+    router.navigate('/');
+
+    const trace = JSON.parse(JSON.stringify(telemetry.trace()));
+    expect(trace.marks).toEqual([
+      { t: 100, name: 'wordmark:complete' },
+      { t: 100, name: 'route', detail: '/about' },
+    ]);
+    expect(traceFileName(new Date('2026-10-19T17:02:11Z'))).toBe('motion-trace-2026-10-19T17-02-11.json');
+
+    telemetry.destroy();
+  });
+
+  it('notifies subscribers a few times a second and reports readable rows', () => {
+    const frames = fakeFrames();
+    const telemetry = createMotionTelemetry(frames.options);
+    const snapshots = [];
+    telemetry.subscribe((snapshot) => snapshots.push(snapshot));
+
+    frames.step(0);
+    for (let i = 0; i < 60; i++) frames.step(FRAME_BUDGET);
+    expect(snapshots.length).toBeGreaterThan(1);
+    expect(snapshots.length).toBeLessThan(10);
+
+    const rows = Object.fromEntries(reportRows(telemetry.trace().summary));
+    expect(rows.FPS).toBe('60');
+    expect(rows['Dropped frames']).toBe('0 of 60');
+
+    telemetry.destroy();
+  });
+});
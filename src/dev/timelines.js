@@ -0,0 +1,47 @@
+/**
+ * Timeline Registry - dev only
+ *
+ * The GSAP classes (vanilla-animation.js, content-reveal.js) register
+ * their timelines here under the dev server, so the timeline inspector
+ * (timeline-inspector.js) can list, scrub and retune them. Every call
+ * site is guarded by import.meta.env.DEV, so production builds drop
+ * the calls and, with them, this module.
+ *
+ * An entry is an object with:
+ * - name: shown in the inspector
+ * - group: the tokens.js export its params come from ('wordmark', 'reveal')
+ * - timeline(): the GSAP timeline to scrub, or null before one has run
+ * - params(): tunable values, flat - nested ones as 'revealPhases.overlay'
+ * - setParams(params): values for the next build of the timeline
+ * - replay(): build the timeline again and play it
+ */
+
+const entries = new Set();
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener());
+
+/**
+ * Add an entry. Returns a function that removes it again.
+ */
+export function registerTimeline(entry) {
+  entries.add(entry);
+  notify();
+
+  return () => {
+    entries.delete(entry);
+    notify();
+  };
+}
+
+export function registeredTimelines() {
+  return Array.from(entries);
+}
+
+/**
+ * Listen for entries coming and going. Returns an unsubscribe function.
+ */
+export function subscribeTimelines(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
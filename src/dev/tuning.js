@@ -0,0 +1,66 @@
+/**
+ * Tuning - dev only
+ *
+ * Turns motion tokens into the flat, numeric params the timeline
+ * inspector edits, and edited params back into tokens.js source.
+ */
+
+import * as tokens from '../motion/tokens.js';
+
+const round = (value) => Number(value.toFixed(3));
+
+/**
+ * Numeric tokens as { key: value }, nested ones as 'parent.key'
+ */
+export function flattenParams(values, prefix = '') {
+  return Object.entries(values).reduce((flat, [key, value]) => {
+    if (typeof value === 'number') {
+      flat[`${prefix}${key}`] = value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenParams(value, `${prefix}${key}.`));
+    }
+    return flat;
+  }, {});
+}
+
+/**
+ * Flat params back into token shape - the inverse of flattenParams
+ */
+export function expandParams(flat) {
+  return Object.entries(flat).reduce((values, [path, value]) => {
+    const [key, nested] = path.split('.');
+    if (nested) values[key] = { ...values[key], [nested]: value };
+    else values[key] = value;
+    return values;
+  }, {});
+}
+
+/**
+ * Whether params differ from a token group's values
+ */
+export function isTuned(group, params) {
+  const defaults = flattenParams(tokens[group]);
+  return Object.entries(params).some(([key, value]) => key in defaults && defaults[key] !== value);
+}
+
+/**
+ * tokens.js source for a token group with params applied - paste it
+ * over the export of the same name
+ */
+export function configSnippet(group, params) {
+  const defaults = tokens[group];
+  const tuned = expandParams(params);
+
+  const lines = Object.entries(defaults).map(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const nested = Object.entries(value)
+        .map(([phase, time]) => `    ${phase}: ${round(tuned[key]?.[phase] ?? time)},`);
+      return [`  ${key}: {`, ...nested, '  },'].join('\n');
+    }
+
+    const current = typeof value === 'number' && key in tuned ? round(tuned[key]) : value;
+    return `  ${key}: ${JSON.stringify(current).replace(/"/g, "'")},`;
+  });
+
+  return `export const ${group} = {\n${lines.join('\n')}\n};\n`;
+}
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { reveal, wordmark } from '../motion/tokens.js';
+import { flattenParams, expandParams, isTuned, configSnippet } from './tuning.js';
+
+describe('tuning', () => {
+  it('flattens nested tokens and expands them back', () => {
+    const flat = flattenParams(reveal);
+
+    expect(flat['revealPhases.content']).toBe(reveal.revealPhases.content);
+    expect(flat.itemStagger).toBe(reveal.itemStagger);
+    expect(expandParams(flat)).toEqual(reveal);
+  });
+
+  it('writes tuned params as tokens.js source', () => {
+    const params = { ...flattenParams(reveal), 'revealPhases.content': 0.55, itemStagger: 0.08 };
+
+    expect(isTuned('reveal', flattenParams(reveal))).toBe(false);
+    expect(isTuned('reveal', params)).toBe(true);
+
+    const source = configSnippet('reveal', params);
+    expect(source).toMatch(/^export const reveal = \{\n/);
+    expect(source).toContain('  itemStagger: 0.08,\n');
+    expect(source).toContain('  revealPhases: {\n    main: 0,\n    overlay: 0.2,\n    content: 0.55,\n  },\n');
+
+    // Untouched and non-numeric tokens come through as they are
+    expect(configSnippet('wordmark', { staggerDelay: 0.1 / 3 })).toContain('  staggerDelay: 0.033,\n');
+    expect(configSnippet('wordmark', {})).toContain(`  charDuration: ${wordmark.charDuration},\n`);
+  });
+});
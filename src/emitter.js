@@ -0,0 +1,44 @@
+/**
+ * Emitter - minimal event emitter
+ *
+ * Base class for the vanilla widgets' lifecycle events.
+ *
+ *   const off = wordmark.on('complete', () => { ... });
+ *   off(); // unsubscribe
+ */
+
+class Emitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event. Returns an unsubscribe function.
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Subscribe for a single emission.
+   */
+  once(event, listener) {
+    const off = this.on(event, (...args) => {
+      off();
+      listener(...args);
+    });
+    return off;
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  emit(event, ...args) {
+    this.listeners.get(event)?.forEach((listener) => listener(...args));
+  }
+}
+
+export default Emitter;
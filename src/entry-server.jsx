@@ -0,0 +1,23 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import App from './App';
+import { createRouter } from './router';
+
+/**
+ * Server entry point
+ * Everything the build-time pre-render (scripts/prerender.js) needs,
+ * bundled so it can import the content JSON. render() returns the app's
+ * HTML for a path, which main.jsx hydrates.
+ */
+
+export { prerenderRoutes, sitemapXml, robotsTxt } from './prerender/meta';
+export { vanillaPage, scrollPage, reactPage } from './prerender/page';
+export { routeToPath } from './router';
+
+export function render(path = '/') {
+  return renderToString(
+    <React.StrictMode>
+      <App router={createRouter({ mode: 'memory', path })} />
+    </React.StrictMode>
+  );
+}
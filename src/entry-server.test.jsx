@@ -0,0 +1,55 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { act } from 'react';
+import { hydrateRoot } from 'react-dom/client';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import App from './App';
+import { render } from './entry-server';
+
+afterEach(() => vi.restoreAllMocks());
+
+// jsdom has a window, so Framer picks layout effects while rendering to a
+// string and React warns - the real pre-render runs without a window
+const renderQuietly = (path) => {
+  const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+  const root = document.createElement('div');
+  root.innerHTML = render(path);
+  error.mockRestore();
+  return root;
+};
+
+describe('pre-rendered React app', () => {
+  it('renders the wordmark hidden, ready for its animation', () => {
+    const root = renderQuietly('/');
+
+    expect(root.querySelector('.wordmark').style.opacity).toBe('0');
+    expect(root.querySelector('.click-capture').getAttribute('aria-expanded')).toBe('false');
+  });
+
+  it('renders a route with the overlay open', () => {
+    const root = renderQuietly('/about');
+
+    expect(root.querySelector('[role="dialog"]')).not.toBeNull();
+    // The disciplines, then contact and writing
+    expect(root.querySelectorAll('.content-list li')).toHaveLength(5);
+  });
+
+  it('hydrates without mismatches', async () => {
+    const root = renderQuietly('/');
+    document.body.appendChild(root);
+    const errors = vi.spyOn(console, 'error');
+
+    const wordmark = root.querySelector('.wordmark');
+    let app;
+    await act(async () => {
+      app = hydrateRoot(root, <React.StrictMode><App /></React.StrictMode>);
+    });
+
+    expect(errors).not.toHaveBeenCalled();
+    // Hydration keeps the server's elements rather than replacing them
+    expect(root.querySelector('.wordmark')).toBe(wordmark);
+
+    app.unmount();
+    root.remove();
+  });
+});
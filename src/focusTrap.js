@@ -0,0 +1,112 @@
+/**
+ * Focus Trap - keeps keyboard focus inside a modal container
+ *
+ * Framework-agnostic helper shared by the React and vanilla
+ * ContentReveal implementations:
+ * - Tab / Shift+Tab wrap around the focusable elements in the container
+ * - Escape calls onEscape
+ * - activate() moves focus in, deactivate() hands it back to the
+ *   element that opened the modal
+ *
+ * Only Tab and Escape are intercepted, so links and form controls
+ * inside the container keep their own keys.
+ */
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+/**
+ * Focusable elements inside a container, in tab order.
+ * Elements inside a [hidden] subtree are skipped.
+ */
+export function focusableElements(container) {
+  return Array.from(container.querySelectorAll(FOCUSABLE))
+    .filter((element) => !element.closest('[hidden], [inert]'));
+}
+
+/**
+ * @param {HTMLElement} container - should be focusable itself
+ *   (tabindex="-1") so focus has somewhere to go when it is empty
+ * @param {object} [options]
+ * @param {Function} [options.onEscape]
+ * @param {HTMLElement} [options.returnFocus] - focused on deactivate;
+ *   defaults to whatever had focus on activate
+ */
+export function createFocusTrap(container, { onEscape, returnFocus } = {}) {
+  let active = false;
+  let previousFocus = null;
+
+  // Inside a shadow root, document.activeElement is only the host
+  const activeElement = () => container.getRootNode().activeElement || document.activeElement;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      if (onEscape) {
+        e.preventDefault();
+        onEscape(e);
+      }
+      return;
+    }
+
+    if (e.key !== 'Tab') return;
+
+    const elements = focusableElements(container);
+    if (!elements.length) {
+      e.preventDefault();
+      container.focus();
+      return;
+    }
+
+    const first = elements[0];
+    const last = elements[elements.length - 1];
+    const current = activeElement();
+    const outside = !container.contains(current);
+
+    if (e.shiftKey && (current === first || current === container || outside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (current === last || outside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return {
+    get active() {
+      return active;
+    },
+
+    /**
+     * Start trapping and focus the first focusable element
+     * (or the container). Pass an element to focus it instead.
+     */
+    activate(initialFocus) {
+      if (active) return;
+      active = true;
+      previousFocus = activeElement();
+
+      document.addEventListener('keydown', handleKeyDown);
+      (initialFocus || focusableElements(container)[0] || container).focus();
+    },
+
+    /**
+     * Stop trapping and restore focus to the opener
+     */
+    deactivate() {
+      if (!active) return;
+      active = false;
+
+      document.removeEventListener('keydown', handleKeyDown);
+
+      const target = returnFocus || previousFocus;
+      if (target?.isConnected) target.focus();
+      previousFocus = null;
+    },
+  };
+}
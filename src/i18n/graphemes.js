@@ -0,0 +1,72 @@
+/**
+ * Graphemes and text direction
+ *
+ * The wordmark animates one span per visible character. A visible
+ * character is a grapheme cluster, not a UTF-16 code unit: "गौ" is a
+ * consonant plus a vowel sign, "👩‍💻" is three code points joined by a
+ * zero-width joiner, "é" may be an e plus a combining accent. Splitting
+ * them apart leaves broken fragments on screen.
+ *
+ * - splitGraphemes: grapheme clusters, via Intl.Segmenter where the
+ *   runtime has it (code points otherwise)
+ * - textDirection: 'rtl' when the first letter is from a right-to-left
+ *   script, so layout, stagger order and the cursor follow the script
+ * - joinGraphemes: Arabic letters change shape to connect to their
+ *   neighbours, which they can't do across separate inline-block spans.
+ *   Zero-width joiners on the connecting sides keep the joined forms.
+ */
+
+const ZWJ = '\u200D';
+
+// Scripts written right to left
+const RTL_SCRIPT = /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Adlam}]/u;
+
+// First letter of a string - digits and punctuation have no direction of their own
+const LETTER = /\p{L}/u;
+
+// Arabic letters that join on both sides, and those that only join the
+// letter before them (alef, dal, reh, waw and their variants)
+const ARABIC_LETTER = /^[\u0620-\u064A\u066E-\u06D3\u06D5\u06EE\u06EF\u06FA-\u06FC\u06FF]/;
+const RIGHT_JOINING = /^[\u0622-\u0625\u0627\u0629\u062F-\u0632\u0648\u0671-\u0677\u0688-\u0699\u06C0-\u06CB\u06CD\u06CF\u06D2\u06D3\u06D5\u06EE\u06EF]/;
+const HAMZA = '\u0621';
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+/**
+ * Visible characters of a string
+ */
+export function splitGraphemes(text = '') {
+  if (!segmenter) return Array.from(text);
+  return Array.from(segmenter.segment(text), ({ segment }) => segment);
+}
+
+/**
+ * 'rtl' or 'ltr', from the first letter (see the Unicode bidi algorithm's
+ * first-strong rule). Text without letters is 'ltr'.
+ */
+export function textDirection(text = '') {
+  const letter = text.match(LETTER);
+  return letter && RTL_SCRIPT.test(letter[0]) ? 'rtl' : 'ltr';
+}
+
+// Marks in the cluster follow the letter, so the first code point decides
+const joinsBefore = (grapheme) => ARABIC_LETTER.test(grapheme) && !grapheme.startsWith(HAMZA);
+const joinsAfter = (grapheme) => joinsBefore(grapheme) && !RIGHT_JOINING.test(grapheme);
+
+/**
+ * Graphemes as they should be rendered one per span: connecting Arabic
+ * letters get a zero-width joiner on each side that connects. Other
+ * scripts come back unchanged.
+ */
+export function joinGraphemes(graphemes) {
+  return graphemes.map((grapheme, index) => {
+    const previous = graphemes[index - 1];
+    const next = graphemes[index + 1];
+    const before = previous !== undefined && joinsAfter(previous) && joinsBefore(grapheme);
+    const after = next !== undefined && joinsAfter(grapheme) && joinsBefore(next);
+
+    return `${before ? ZWJ : ''}${grapheme}${after ? ZWJ : ''}`;
+  });
+}
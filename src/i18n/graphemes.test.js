@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { splitGraphemes, textDirection, joinGraphemes } from './graphemes.js';
+
+const ZWJ = '\u200D';
+
+describe('splitGraphemes', () => {
+  it('keeps vowel signs, viramas and combining marks with their letter', () => {
+    expect(splitGraphemes('गौतम')).toEqual(['गौ', 'त', 'म']);
+    expect(splitGraphemes('கௌதம்')).toEqual(['கௌ', 'த', 'ம்']);
+    expect(splitGraphemes('e\u0301te\u0301')).toEqual(['e\u0301', 't', 'e\u0301']);
+  });
+
+  it('keeps joined and flag emoji whole', () => {
+    expect(splitGraphemes(`hi 👩${ZWJ}💻🇮🇳`)).toEqual(['h', 'i', ' ', `👩${ZWJ}💻`, '🇮🇳']);
+  });
+
+  it('splits plain text like split("")', () => {
+    expect(splitGraphemes('goutham')).toEqual('goutham'.split(''));
+    expect(splitGraphemes('')).toEqual([]);
+  });
+});
+
+describe('textDirection', () => {
+  it('follows the first letter', () => {
+    expect(textDirection('غوتام')).toBe('rtl');
+    expect(textDirection('גאוטהם')).toBe('rtl');
+    expect(textDirection('2024 שלום')).toBe('rtl');
+    expect(textDirection('goutham غوتام')).toBe('ltr');
+    expect(textDirection('गौतम')).toBe('ltr');
+  });
+
+  it('is ltr without letters', () => {
+    expect(textDirection('')).toBe('ltr');
+    expect(textDirection('2024 👋')).toBe('ltr');
+  });
+});
+
+describe('joinGraphemes', () => {
+  it('adds joiners on the sides Arabic letters connect', () => {
+    // Waw and alef only join the letter before them
+    expect(joinGraphemes(splitGraphemes('غوتام'))).toEqual([
+      `غ${ZWJ}`, `${ZWJ}و`, `ت${ZWJ}`, `${ZWJ}ا`, 'م',
+    ]);
+
+    // Marks ride along with their letter; hamza joins nothing
+    expect(joinGraphemes(splitGraphemes('بَبءب'))).toEqual([`بَ${ZWJ}`, `${ZWJ}ب`, 'ء', 'ب']);
+  });
+
+  it('leaves other scripts alone', () => {
+    expect(joinGraphemes(['ש', 'ל', 'ו', 'ם'])).toEqual(['ש', 'ל', 'ו', 'ם']);
+    expect(joinGraphemes(['गौ', 'त', 'म'])).toEqual(['गौ', 'त', 'म']);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Locales
+ *
+ * Interface copy for both builds, one file per language in
+ * content/locales/ (validated against content/locale.schema.json with
+ * the portfolio content):
+ *
+ *   name, dir        → the language's own name, 'ltr' or 'rtl'
+ *   wordmark         → text the wordmark types
+ *   tapHint, scrollHint, about, back, projectsComingSoon, language, auto,
+ *   updateAvailable, reload, later
+ *   motion, theme    → the toggles' labels: a title and a name per setting
+ *   contact          → contact form labels, states and errors
+ *   writing          → writing pages' copy; readingTime has a {minutes}
+ *                      placeholder
+ *   disciplines      → discipline titles by slug; missing ones fall
+ *                      back to content/portfolio.json
+ *
+ * To add a language, add its file and import it below.
+ */
+
+import { disciplines } from '../portfolio.js';
+import en from '../../content/locales/en.json';
+import hi from '../../content/locales/hi.json';
+import ta from '../../content/locales/ta.json';
+import ar from '../../content/locales/ar.json';
+
+export const locales = { en, hi, ta, ar };
+
+export const LOCALE_CODES = Object.keys(locales);
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Copy for a locale code, with its code. Unknown codes resolve to the
+ * default locale.
+ */
+export function getLocale(code) {
+  const resolved = code in locales ? code : DEFAULT_LOCALE;
+  return { code: resolved, ...locales[resolved] };
+}
+
+/**
+ * Best supported locale for a list of BCP 47 tags, in order of
+ * preference (e.g. navigator.languages): an exact match, then the
+ * language alone ('ta-IN' → 'ta')
+ */
+export function matchLocale(languages = []) {
+  for (const tag of languages) {
+    const lower = String(tag).toLowerCase();
+    if (lower in locales) return lower;
+
+    const language = lower.split('-')[0];
+    if (language in locales) return language;
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * The portfolio's disciplines with their titles in a locale
+ */
+export function localizeDisciplines(locale) {
+  return disciplines.map((discipline) => ({
+    ...discipline,
+    title: locale.disciplines?.[discipline.slug] ?? discipline.title,
+  }));
+}
@@ -0,0 +1,71 @@
+/**
+ * Locale Preference
+ *
+ * Decides which language (see locales.js) the page shows. The locale
+ * follows the browser's languages live, unless the visitor picks one
+ * with the language switcher; that override persists in localStorage.
+ * The active locale is mirrored to <html lang dir>, so the page lays
+ * out right to left for right-to-left languages. The store itself is
+ * shared with the motion and theme preferences (../preference.js).
+ */
+
+import { createPreference } from '../preference.js';
+import { LOCALE_CODES, getLocale, matchLocale } from './locales.js';
+
+const STORAGE_KEY = 'locale-preference';
+
+export function createLocalePreference({
+  storage = typeof localStorage !== 'undefined' ? localStorage : null,
+  languages = () => (typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []),
+  target = typeof window !== 'undefined' ? window : null,
+  root = typeof document !== 'undefined' ? document.documentElement : null,
+} = {}) {
+  const preference = createPreference({
+    key: STORAGE_KEY,
+    values: LOCALE_CODES,
+    system: () => matchLocale(languages()),
+    sources: [[target, 'languagechange']],
+    mirror: (locale) => {
+      if (!root) return;
+      root.lang = locale;
+      root.dir = getLocale(locale).dir;
+    },
+    storage,
+  });
+  const { setOverride, subscribe, destroy } = preference;
+
+  return {
+    /**
+     * Active locale code: the override if set, otherwise the best match
+     * for the browser's languages
+     */
+    get locale() {
+      return preference.value;
+    },
+
+    get systemLocale() {
+      return preference.system;
+    },
+
+    /**
+     * The visitor's choice, or null when following the browser
+     */
+    get override() {
+      return preference.override;
+    },
+
+    setOverride,
+    subscribe,
+    destroy,
+  };
+}
+
+let sharedPreference = null;
+
+/**
+ * Preference shared by every localized widget on the page
+ */
+export function getLocalePreference() {
+  if (!sharedPreference) sharedPreference = createLocalePreference();
+  return sharedPreference;
+}
@@ -0,0 +1,76 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { createLocalePreference } from './preference.js';
+import { nextOverride, toggleLabel } from './toggle.js';
+import { LOCALE_CODES, getLocale, matchLocale, localizeDisciplines } from './locales.js';
+import { disciplines } from '../portfolio.js';
+
+const memoryStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, value),
+    removeItem: (key) => values.delete(key),
+  };
+};
+
+describe('createLocalePreference', () => {
+  it('follows the browser languages live and mirrors lang and dir', () => {
+    let languages = ['ta-IN', 'en'];
+    const target = new EventTarget();
+    const root = document.createElement('html');
+    const preference = createLocalePreference({ storage: memoryStorage(), languages: () => languages, target, root });
+    const seen = [];
+    preference.subscribe((locale) => seen.push(locale));
+
+    expect(preference.locale).toBe('ta');
+    expect(root.lang).toBe('ta');
+    expect(root.dir).toBe('ltr');
+
+    languages = ['ar-EG'];
+    target.dispatchEvent(new Event('languagechange'));
+    expect(preference.locale).toBe('ar');
+    expect(root.dir).toBe('rtl');
+    expect(seen).toEqual(['ar']);
+  });
+
+  it('persists an override over the browser languages', () => {
+    const storage = memoryStorage();
+    const languages = () => ['hi'];
+    createLocalePreference({ storage, languages, target: null, root: null }).setOverride('ar');
+
+    const restored = createLocalePreference({ storage, languages, target: null, root: null });
+    expect(restored.locale).toBe('ar');
+
+    restored.setOverride('xx');
+    expect(restored.locale).toBe('hi');
+    expect(storage.getItem('locale-preference')).toBe(null);
+  });
+
+  it('cycles the switcher through every locale and back to auto, labelled in the active language', () => {
+    expect(LOCALE_CODES.map(nextOverride)).toEqual([...LOCALE_CODES.slice(1), null]);
+    expect(nextOverride(null)).toBe(LOCALE_CODES[0]);
+
+    expect(toggleLabel({ override: null, locale: 'en' })).toBe('Language: Auto (English)');
+    expect(toggleLabel({ override: 'hi', locale: 'hi' })).toBe('भाषा: हिन्दी');
+  });
+});
+
+describe('locales', () => {
+  it('matches the best supported language, falling back to the default', () => {
+    expect(matchLocale(['fr-FR', 'hi-IN'])).toBe('hi');
+    expect(matchLocale(['AR'])).toBe('ar');
+    expect(matchLocale(['fr'])).toBe('en');
+    expect(matchLocale([])).toBe('en');
+  });
+
+  it('translates discipline titles, keeping the portfolio ones where a locale has none', () => {
+    expect(getLocale('nope').code).toBe('en');
+    expect(localizeDisciplines(getLocale('en')).map(({ title }) => title))
+      .toEqual(disciplines.map(({ title }) => title));
+
+    const [first] = localizeDisciplines(getLocale('ta'));
+    expect(first.title).toBe(getLocale('ta').disciplines[first.slug]);
+    expect(first.projects).toBe(disciplines[0].projects);
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * Language switcher helpers
+ *
+ * Shared by the React LocaleToggle component and the vanilla
+ * locale-toggle.js (both through ../preferenceToggle.js). Each press
+ * moves to the next setting: auto → every locale in locales.js → auto.
+ * Labels are in the active language.
+ */
+
+import { createCycle } from '../preferenceToggle.js';
+import { LOCALE_CODES, getLocale } from './locales.js';
+
+export const { nextOverride, cycle: cycleLocale } = createCycle(LOCALE_CODES);
+
+/**
+ * Visible label, e.g. "Language: Auto (English)" or "भाषा: हिन्दी"
+ */
+export function toggleLabel(preference) {
+  const { language, auto, name } = getLocale(preference.locale);
+
+  return preference.override
+    ? `${language}: ${name}`
+    : `${language}: ${auto} (${name})`;
+}
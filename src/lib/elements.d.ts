@@ -0,0 +1,35 @@
+/**
+ * Type declarations for the custom elements build (src/lib/elements.js)
+ */
+
+import type { AnimatedWordmark, ContentReveal } from './vanilla.js';
+
+/**
+ * <animated-wordmark> - attributes: text, stagger, cursor, effect, phrases,
+ * loop. Events: start, charrevealed, complete
+ */
+export class AnimatedWordmarkElement extends HTMLElement {
+  static observedAttributes: string[];
+  /** The wrapped instance, while connected */
+  wordmark: AnimatedWordmark | null;
+  /** Resolves on the first completed reveal */
+  readonly finished: Promise<void>;
+  play(): void;
+  pause(): void;
+  replay(): void;
+}
+
+/** <content-reveal> - attributes: hint, url. Events: toggle */
+export class ContentRevealElement extends HTMLElement {
+  static observedAttributes: string[];
+  /** The wrapped instance, while connected */
+  reveal: ContentReveal | null;
+  readonly isRevealed: boolean;
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'animated-wordmark': AnimatedWordmarkElement;
+    'content-reveal': ContentRevealElement;
+  }
+}
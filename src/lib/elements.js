@@ -0,0 +1,11 @@
+/**
+ * Library entry - custom elements
+ *
+ * <animated-wordmark> and <content-reveal> (web-components.js) for sites
+ * without a bundler. gsap is bundled in, so the built file loads on its
+ * own; importing it defines the elements. See scripts/build-lib.js.
+ *
+ *   <script type="module" src="elements.js"></script>
+ */
+
+export { AnimatedWordmarkElement, ContentRevealElement } from '../../web-components.js';
@@ -0,0 +1,14 @@
+// @vitest-environment jsdom
+import path from 'node:path';
+import { describe, it, expect } from 'vitest';
+import { declaredValues } from '../../test/declarations.js';
+
+describe('custom elements entry', () => {
+  it('defines the elements on import, exporting what elements.d.ts declares', async () => {
+    const elements = await import('./elements.js');
+
+    expect(customElements.get('animated-wordmark')).toBe(elements.AnimatedWordmarkElement);
+    expect(customElements.get('content-reveal')).toBe(elements.ContentRevealElement);
+    expect(Object.keys(elements).sort()).toEqual(declaredValues(path.join(__dirname, 'elements.d.ts')));
+  });
+});
@@ -0,0 +1,21 @@
+import path from 'node:path';
+import { describe, it, expect } from 'vitest';
+import { declaredValues } from '../../test/declarations.js';
+
+const declared = (file) => declaredValues(path.join(__dirname, file));
+
+// No DOM here: the entries must import cleanly under SSR and in Node
+describe('library entries', () => {
+  it('import the GSAP build without a browser, exporting what vanilla.d.ts declares', async () => {
+    const vanilla = await import('./vanilla.js');
+
+    expect(typeof document).toBe('undefined');
+    expect(Object.keys(vanilla).sort()).toEqual(declared('./vanilla.d.ts'));
+  });
+
+  it('import the React build without a browser, exporting what react.d.ts declares', async () => {
+    const react = await import('./react.js');
+
+    expect(Object.keys(react).sort()).toEqual(declared('./react.d.ts'));
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Type declarations for the React build (src/lib/react.js)
+ */
+
+import type { FC, ReactNode } from 'react';
+import type {
+  Analytics,
+  CharRevealedEvent,
+  ContactAdapter,
+  EffectPreset,
+  FollowThemeOptions,
+  Locale,
+  LocalePreference,
+  MotionMode,
+  MotionPreference,
+  Phrase,
+  Router,
+  ServiceWorkerUpdates,
+  Theme,
+  ThemePreference,
+} from './vanilla';
+
+export type {
+  Analytics,
+  AnalyticsEvent,
+  AnalyticsSink,
+  CharRevealedEvent,
+  ContactAdapter,
+  ContactMessage,
+  EffectPreset,
+  EffectState,
+  FollowThemeOptions,
+  Locale,
+  LocalePreference,
+  MotionMode,
+  MotionPreference,
+  Phrase,
+  Route,
+  Router,
+  ServiceWorkerUpdates,
+  Theme,
+  ThemeName,
+  ThemePreference,
+} from './vanilla';
+export {
+  createRouter,
+  createMotionPreference,
+  getMotionPreference,
+  MOTION_MODES,
+  createThemePreference,
+  getThemePreference,
+  themes,
+  THEME_NAMES,
+  registerEffect,
+  getEffect,
+  effectNames,
+  createLocalePreference,
+  getLocalePreference,
+  locales,
+  LOCALE_CODES,
+  DEFAULT_LOCALE,
+  getLocale,
+  splitGraphemes,
+  textDirection,
+  createAnalytics,
+  getAnalytics,
+  doNotTrack,
+  createConsoleSink,
+  createBeaconSink,
+  createServiceWorkerUpdates,
+  getServiceWorkerUpdates,
+  createContactAdapter,
+  getContactAdapter,
+  mailtoAdapter,
+  jsonAdapter,
+  formspreeAdapter,
+} from './vanilla';
+
+export interface AnimatedWordmarkProps {
+  text?: string;
+  className?: string;
+  effect?: string | EffectPreset;
+  /** Sequence mode - type, hold and backspace each phrase in turn */
+  phrases?: Phrase[];
+  loop?: boolean;
+  onCharReveal?: (event: Omit<CharRevealedEvent, 'phrase'> & { phrase?: number }) => void;
+  onComplete?: () => void;
+  /** Defaults to the shared page analytics */
+  analytics?: Analytics;
+}
+
+export const AnimatedWordmark: FC<AnimatedWordmarkProps>;
+
+export interface ContentRevealProps {
+  /** Interaction and the tap hint wait for this to turn true */
+  ready?: boolean;
+  onToggle?: (isRevealed: boolean) => void;
+  /** Defaults to the shared page router */
+  router?: Router;
+  /** Defaults to the shared page analytics */
+  analytics?: Analytics;
+  /** Where the contact form sends - defaults to the page's adapter */
+  contactAdapter?: ContactAdapter;
+}
+
+export const ContentReveal: FC<ContentRevealProps>;
+
+export interface ScrollStoryProps {
+  /** The scroll hint waits for this to turn true */
+  ready?: boolean;
+  /** The pinned intro, usually the wordmark */
+  children?: ReactNode;
+}
+
+export const ScrollStory: FC<ScrollStoryProps>;
+
+export const MotionToggle: FC<{ preference?: MotionPreference }>;
+
+export function useMotionPreference(preference?: MotionPreference): MotionMode;
+
+export const ThemeToggle: FC<{ preference?: ThemePreference }>;
+
+/** Tokens of the active theme */
+export function useTheme(preference?: ThemePreference): Theme;
+
+export const LocaleToggle: FC<{ preference?: LocalePreference }>;
+
+/** Copy in the active language */
+export function useLocale(preference?: LocalePreference): Locale;
+
+/** Appears when the service worker has downloaded a new deploy */
+export const UpdatePrompt: FC<{ updates?: ServiceWorkerUpdates }>;
+
+/** Framer Motion crossfade - same contract as the GSAP build's followTheme */
+export function followTheme(options?: FollowThemeOptions): () => void;
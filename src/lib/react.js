@@ -0,0 +1,35 @@
+/**
+ * Library entry - React build
+ *
+ * React components for other sites. react and framer-motion are peer
+ * dependencies; styles ship separately as style.css.
+ *
+ *   import { AnimatedWordmark, ContentReveal } from 'goutham-portfolio/react';
+ *   import 'goutham-portfolio/style.css';
+ */
+
+export { default as AnimatedWordmark } from '../AnimatedWordmark';
+export { default as ContentReveal } from '../ContentReveal';
+export { default as ScrollStory } from '../ScrollStory';
+export { default as MotionToggle } from '../MotionToggle';
+export { default as useMotionPreference } from '../useMotionPreference';
+export { default as ThemeToggle } from '../ThemeToggle';
+export { default as useTheme } from '../useTheme';
+export { default as LocaleToggle } from '../LocaleToggle';
+export { default as useLocale } from '../useLocale';
+export { default as UpdatePrompt } from '../UpdatePrompt';
+export { createRouter } from '../router';
+export { createMotionPreference, getMotionPreference, MOTION_MODES } from '../motion/preference';
+export { createThemePreference, getThemePreference } from '../theme/preference';
+export { themes, THEME_NAMES } from '../theme/themes';
+export { followTheme } from '../theme/framer';
+export { registerEffect, getEffect, effectNames } from '../motion/effects';
+export { createLocalePreference, getLocalePreference } from '../i18n/preference';
+export { locales, LOCALE_CODES, DEFAULT_LOCALE, getLocale } from '../i18n/locales';
+export { splitGraphemes, textDirection } from '../i18n/graphemes';
+export { createAnalytics, getAnalytics, doNotTrack } from '../analytics/analytics';
+export { createConsoleSink, createBeaconSink } from '../analytics/sinks';
+export { createServiceWorkerUpdates, getServiceWorkerUpdates } from '../pwa/register';
+export {
+  createContactAdapter, getContactAdapter, mailtoAdapter, jsonAdapter, formspreeAdapter,
+} from '../contact/adapters';
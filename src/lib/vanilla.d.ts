@@ -0,0 +1,406 @@
+/**
+ * Type declarations for the GSAP build (src/lib/vanilla.js)
+ */
+
+export type MotionMode = 'full' | 'reduced' | 'none';
+
+export interface MotionPreference {
+  /** Active mode: the override if set, otherwise the system preference */
+  readonly mode: MotionMode;
+  readonly systemMode: MotionMode;
+  /** The visitor's choice, or null when following the system */
+  readonly override: MotionMode | null;
+  setOverride(mode: MotionMode | null): void;
+  /** Returns an unsubscribe function */
+  subscribe(listener: (mode: MotionMode) => void): () => void;
+  destroy(): void;
+}
+
+export const MOTION_MODES: MotionMode[];
+
+export function createMotionPreference(options?: {
+  storage?: Pick<Storage, 'getItem' | 'setItem' | 'removeItem'> | null;
+  media?: MediaQueryList | null;
+  root?: HTMLElement | null;
+}): MotionPreference;
+
+export function getMotionPreference(): MotionPreference;
+
+export type ThemeName = 'light' | 'dark' | 'contrast';
+
+/** Colour tokens - see src/theme/themes.js */
+export interface Theme {
+  background: string;
+  text: string;
+  overlayBackdrop: string;
+  /** px of backdrop blur */
+  overlayBlur: number;
+}
+
+export const themes: Record<ThemeName, Theme>;
+export const THEME_NAMES: ThemeName[];
+
+export interface ThemePreference {
+  /** Active theme: the override if set, otherwise the system preference */
+  readonly theme: ThemeName;
+  readonly systemTheme: ThemeName;
+  /** The visitor's choice, or null when following the system */
+  readonly override: ThemeName | null;
+  setOverride(theme: ThemeName | null): void;
+  /** Returns an unsubscribe function */
+  subscribe(listener: (theme: ThemeName) => void): () => void;
+  destroy(): void;
+}
+
+export function createThemePreference(options?: {
+  storage?: Pick<Storage, 'getItem' | 'setItem' | 'removeItem'> | null;
+  media?: { dark?: MediaQueryList | null; contrast?: MediaQueryList | null };
+  root?: HTMLElement | null;
+}): ThemePreference;
+
+export function getThemePreference(): ThemePreference;
+
+export interface FollowThemeOptions {
+  preference?: ThemePreference;
+  motion?: MotionPreference;
+  /** Element that receives the custom properties - defaults to <html> */
+  root?: HTMLElement;
+}
+
+/** Apply the active theme and crossfade on changes. Returns an unsubscribe function. */
+export function followTheme(options?: FollowThemeOptions): () => void;
+
+/** Interface copy in one language - see src/i18n/locales.js */
+export interface Locale {
+  code: string;
+  /** The language's name in itself */
+  name: string;
+  dir: 'ltr' | 'rtl';
+  wordmark: string;
+  tapHint: string;
+  scrollHint: string;
+  about: string;
+  back: string;
+  projectsComingSoon: string;
+  language: string;
+  auto: string;
+  /** Motion and theme toggle labels, by setting */
+  motion: Record<'title' | MotionMode, string>;
+  theme: Record<'title' | ThemeName, string>;
+  /** Update prompt copy */
+  updateAvailable: string;
+  reload: string;
+  later: string;
+  /** Contact form labels, states and errors */
+  contact: Record<
+    | 'title' | 'name' | 'email' | 'message' | 'send' | 'sending' | 'sent' | 'handoff'
+    | 'failed' | 'retry' | 'required' | 'invalidEmail' | 'tooLong' | 'rateLimited' | 'tooQuick',
+    string
+  >;
+  /** Writing pages' copy - readingTime has a {minutes} placeholder */
+  writing: Record<'title' | 'back' | 'readingTime' | 'feed' | 'empty' | 'tags', string>;
+  /** Discipline titles by slug */
+  disciplines?: Record<string, string>;
+}
+
+export const locales: Record<string, Omit<Locale, 'code'>>;
+export const LOCALE_CODES: string[];
+export const DEFAULT_LOCALE: string;
+/** Unknown codes resolve to the default locale */
+export function getLocale(code: string): Locale;
+
+export interface LocalePreference {
+  /** Active locale: the override if set, otherwise the browser's best match */
+  readonly locale: string;
+  readonly systemLocale: string;
+  /** The visitor's choice, or null when following the browser */
+  readonly override: string | null;
+  setOverride(locale: string | null): void;
+  /** Returns an unsubscribe function */
+  subscribe(listener: (locale: string) => void): () => void;
+  destroy(): void;
+}
+
+export function createLocalePreference(options?: {
+  storage?: Pick<Storage, 'getItem' | 'setItem' | 'removeItem'> | null;
+  /** The browser's languages, in order of preference */
+  languages?: () => readonly string[];
+  /** Receives 'languagechange' events - defaults to window */
+  target?: EventTarget | null;
+  /** Gets the lang and dir attributes - defaults to <html> */
+  root?: HTMLElement | null;
+}): LocalePreference;
+
+export function getLocalePreference(): LocalePreference;
+
+/** Grapheme clusters - what a reader sees as single characters */
+export function splitGraphemes(text?: string): string[];
+/** 'rtl' when the first letter is from a right-to-left script */
+export function textDirection(text?: string): 'ltr' | 'rtl';
+
+/** One analytics event - see src/analytics/events.js for the names */
+export interface AnalyticsEvent {
+  name: string;
+  /** ms since the page loaded */
+  t: number;
+  props: Record<string, string | number | boolean>;
+}
+
+/** Where analytics events go - see src/analytics/sinks.js */
+export interface AnalyticsSink {
+  send(event: AnalyticsEvent): void;
+  flush?(): void;
+  destroy?(): void;
+}
+
+export interface Analytics {
+  /** False under Do Not Track - track() then does nothing */
+  readonly enabled: boolean;
+  track(name: string, props?: Record<string, unknown>): void;
+  flush(): void;
+  destroy(): void;
+}
+
+export function createAnalytics(options?: {
+  sinks?: AnalyticsSink[];
+  /** Defaults to false under Do Not Track or Global Privacy Control */
+  enabled?: boolean;
+  now?: () => number;
+}): Analytics;
+
+export function getAnalytics(): Analytics;
+/** Whether the visitor asked not to be tracked */
+export function doNotTrack(nav?: Navigator | null, win?: Window | null): boolean;
+
+/** Logs events and keeps the latest in localStorage */
+export function createConsoleSink(options?: {
+  storage?: Pick<Storage, 'getItem' | 'setItem' | 'removeItem'> | null;
+  log?: (...args: unknown[]) => void;
+  limit?: number;
+}): AnalyticsSink & { events(): AnalyticsEvent[]; clear(): void };
+
+/** Posts batches of events with navigator.sendBeacon */
+export function createBeaconSink(options: {
+  endpoint: string;
+  batchSize?: number;
+  /** ms an event waits for its batch to fill */
+  flushInterval?: number;
+  send?: (url: string, body: Blob) => boolean;
+  /** Receives 'visibilitychange', 'pagehide' and 'pageshow' - defaults to window */
+  target?: EventTarget | null;
+  hidden?: () => boolean;
+}): Required<AnalyticsSink>;
+
+export interface ServiceWorkerUpdates {
+  /** True once a new version is waiting to take over */
+  readonly updateReady: boolean;
+  /** Switch to the waiting version; the page reloads once it has */
+  apply(): void;
+  /** Returns an unsubscribe function */
+  subscribe(listener: (updateReady: boolean) => void): () => void;
+  destroy(): void;
+}
+
+/** Registers a service worker and reports when a new version is waiting */
+export function createServiceWorkerUpdates(options?: {
+  /** Defaults to navigator.serviceWorker - null registers nothing */
+  container?: ServiceWorkerContainer | null;
+  url?: string;
+  /** Receives 'visibilitychange' - defaults to document */
+  target?: Document | null;
+  reload?: () => void;
+}): ServiceWorkerUpdates;
+
+/** Registers /sw.js in production builds only */
+export function getServiceWorkerUpdates(): ServiceWorkerUpdates;
+
+export interface ContactMessage {
+  name: string;
+  email: string;
+  message: string;
+}
+
+/** Where the contact form sends - see src/contact/adapters.js */
+export interface ContactAdapter {
+  /** Native form submission, for pages without JavaScript */
+  action: string;
+  method: string;
+  enctype: string;
+  /** Rejects when the message didn't go out */
+  send(message: ContactMessage): Promise<'sent' | 'handoff'>;
+}
+
+/** Opens the visitor's mail app with the message written out */
+export function mailtoAdapter(options: { email: string; open?: (url: string) => void }): ContactAdapter;
+/** POSTs the message as JSON */
+export function jsonAdapter(options: { endpoint: string; fetch?: typeof fetch }): ContactAdapter;
+/** POSTs to a Formspree-style endpoint, rejecting with its { errors } */
+export function formspreeAdapter(options: { endpoint: string; fetch?: typeof fetch }): ContactAdapter;
+
+/** The adapter a portfolio.json `contact` block asks for */
+export function createContactAdapter(options?: {
+  adapter?: 'mailto' | 'json' | 'formspree';
+  email?: string;
+  endpoint?: string;
+}): ContactAdapter;
+
+/** From content/portfolio.json, or VITE_CONTACT_ENDPOINT when set */
+export function getContactAdapter(): ContactAdapter;
+
+/** Per-character state - see src/motion/effects/index.js */
+export interface EffectState {
+  opacity?: number;
+  y?: number;
+  rotateX?: number;
+  blur?: number;
+  clip?: number;
+  weight?: number;
+}
+
+export interface EffectPreset {
+  name: string;
+  from: EffectState;
+  to: EffectState;
+  style?: Record<string, string | number>;
+  spring?: boolean;
+  text?: (progress: number, char: string) => string;
+}
+
+export function registerEffect(preset: EffectPreset): void;
+export function getEffect(effect?: string | EffectPreset): EffectPreset;
+export function effectNames(): string[];
+
+export type Phrase = string | {
+  text: string;
+  staggerDelay?: number;
+  phraseHold?: number;
+  deleteStagger?: number;
+};
+
+export type Route =
+  | { name: 'home' }
+  | { name: 'about' }
+  | { name: 'contact' }
+  | { name: 'work'; slug: string };
+
+export interface Router {
+  readonly mode: 'history' | 'hash' | 'memory';
+  current(): Route;
+  navigate(target: Route | string, options?: { replace?: boolean }): void;
+  /** Returns an unsubscribe function */
+  subscribe(listener: (route: Route) => void): () => void;
+  destroy(): void;
+}
+
+export function createRouter(options?: { mode?: 'auto' | 'history' | 'hash' | 'memory' }): Router;
+export function parseRoute(path?: string): Route;
+export function routeToPath(route: Route): string;
+
+export interface AnimatedWordmarkOptions {
+  /** Defaults to the element's text */
+  text?: string;
+  /** Seconds between characters */
+  staggerDelay?: number;
+  /** Seconds per character */
+  charDuration?: number;
+  /** Seconds before the first character */
+  initialDelay?: number;
+  cursorBlinkDuration?: number;
+  showCursor?: boolean;
+  effect?: string | EffectPreset;
+  phrases?: Phrase[];
+  loop?: boolean;
+  phraseHold?: number;
+  deleteStagger?: number;
+  phraseGap?: number;
+  /** Start straight away (default) or wait for play() */
+  autoplay?: boolean;
+  preference?: MotionPreference;
+  /** Defaults to the shared page analytics */
+  analytics?: Analytics;
+}
+
+export interface CharRevealedEvent {
+  index: number;
+  char: string;
+  phrase: number;
+}
+
+export interface AnimatedWordmarkEvents {
+  start: () => void;
+  charRevealed: (event: CharRevealedEvent) => void;
+  complete: () => void;
+}
+
+export class AnimatedWordmark {
+  constructor(element: HTMLElement, options?: AnimatedWordmarkOptions);
+
+  /** The instance animating an element, if any */
+  static for(element: Element): AnimatedWordmark | undefined;
+
+  readonly element: HTMLElement;
+  readonly text: string;
+  /** Resolves when every character is revealed */
+  readonly finished: Promise<void>;
+  readonly isComplete: boolean;
+
+  /** Returns an unsubscribe function */
+  on<E extends keyof AnimatedWordmarkEvents>(event: E, listener: AnimatedWordmarkEvents[E]): () => void;
+  once<E extends keyof AnimatedWordmarkEvents>(event: E, listener: AnimatedWordmarkEvents[E]): () => void;
+  off<E extends keyof AnimatedWordmarkEvents>(event: E, listener: AnimatedWordmarkEvents[E]): void;
+
+  play(): this;
+  pause(): this;
+  /** Jump to a time in seconds (or a timeline label) - seeking past the reveal completes it */
+  seek(position: number | string): this;
+  reverse(): this;
+  replay(): void;
+  /** Replay with a different text */
+  setText(text: string): void;
+  /** Stop animating and put the original text back */
+  destroy(): void;
+}
+
+export interface ContentRevealOptions {
+  /** Interaction waits for this; without one, for a fixed delay */
+  wordmark?: { finished: Promise<unknown> };
+  /** Where to find .content-overlay, .tap-hint and .click-capture */
+  root?: Document | ShadowRoot | Element;
+  /** Content faded out behind the overlay (default: the root's <main>) */
+  main?: HTMLElement;
+  /** Defaults to the shared page router */
+  router?: Router;
+  /** Defaults to the shared page analytics */
+  analytics?: Analytics;
+  /** Where the contact form sends - defaults to the page's adapter */
+  contactAdapter?: ContactAdapter;
+  onToggle?: (isRevealed: boolean) => void;
+}
+
+export class ContentReveal {
+  constructor(options?: ContentRevealOptions);
+
+  readonly isRevealed: boolean;
+  readonly animationInProgress: boolean;
+
+  toggleContent(): void;
+  /** Remove every listener and the rendered content */
+  destroy(): void;
+}
+
+export interface ScrollStoryOptions {
+  /** The scroll hint waits for this; without one, for a fixed delay */
+  wordmark?: { finished: Promise<unknown> };
+  /** Where to find .scroll-story and .scroll-hint */
+  root?: Document | Element;
+  /** Defaults to the shared motion preference */
+  preference?: MotionPreference;
+}
+
+/** Scroll-driven alternative to ContentReveal (GSAP ScrollTrigger) */
+export class ScrollStory {
+  constructor(options?: ScrollStoryOptions);
+
+  /** Remove every trigger, pin and rendered section */
+  destroy(): void;
+}
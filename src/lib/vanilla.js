@@ -0,0 +1,28 @@
+/**
+ * Library entry - GSAP build
+ *
+ * What other sites import instead of copying the vanilla files.
+ * gsap (ScrollTrigger comes with it) is a peer dependency.
+ * See scripts/build-lib.js.
+ *
+ *   import { AnimatedWordmark, ContentReveal } from 'goutham-portfolio';
+ */
+
+export { default as AnimatedWordmark } from '../../vanilla-animation.js';
+export { default as ContentReveal } from '../../content-reveal.js';
+export { default as ScrollStory } from '../../scroll-story.js';
+export { createRouter, parseRoute, routeToPath } from '../router.js';
+export { createMotionPreference, getMotionPreference, MOTION_MODES } from '../motion/preference.js';
+export { createThemePreference, getThemePreference } from '../theme/preference.js';
+export { themes, THEME_NAMES } from '../theme/themes.js';
+export { followTheme } from '../theme/gsap.js';
+export { registerEffect, getEffect, effectNames } from '../motion/effects/index.js';
+export { createLocalePreference, getLocalePreference } from '../i18n/preference.js';
+export { locales, LOCALE_CODES, DEFAULT_LOCALE, getLocale } from '../i18n/locales.js';
+export { splitGraphemes, textDirection } from '../i18n/graphemes.js';
+export { createAnalytics, getAnalytics, doNotTrack } from '../analytics/analytics.js';
+export { createConsoleSink, createBeaconSink } from '../analytics/sinks.js';
+export { createServiceWorkerUpdates, getServiceWorkerUpdates } from '../pwa/register.js';
+export {
+  createContactAdapter, getContactAdapter, mailtoAdapter, jsonAdapter, formspreeAdapter,
+} from '../contact/adapters.js';
@@ -4,11 +4,21 @@ import App from './App';
 
 /**
  * Application entry point
- * Renders the React app into the root element
+ * Renders the React app into the root element. A page picks the
+ * scroll story with <body data-reveal="scroll">. A root that was
+ * pre-rendered at build time (scripts/prerender.js) is hydrated instead,
+ * so the animations start from the static markup.
  */
 
-ReactDOM.createRoot(document.getElementById('root')).render(
+const root = document.getElementById('root');
+const app = (
   <React.StrictMode>
-    <App />
+    <App reveal={document.body.dataset.reveal} />
   </React.StrictMode>
 );
+
+if (root.hasChildNodes()) {
+  ReactDOM.hydrateRoot(root, app);
+} else {
+  ReactDOM.createRoot(root).render(app);
+}
@@ -0,0 +1,60 @@
+/**
+ * Cubic-bezier easing
+ *
+ * Turns a CSS-style [x1, y1, x2, y2] curve into an easing function so
+ * GSAP can run exactly the curve Framer Motion is given as an array.
+ */
+
+const NEWTON_ITERATIONS = 8;
+const EPSILON = 1e-6;
+
+export function cubicBezier([x1, y1, x2, y2]) {
+  // Polynomial coefficients for one axis of the curve
+  const coefficients = (p1, p2) => {
+    const c = 3 * p1;
+    const b = 3 * (p2 - p1) - c;
+    const a = 1 - c - b;
+    return [a, b, c];
+  };
+
+  const [ax, bx, cx] = coefficients(x1, x2);
+  const [ay, by, cy] = coefficients(y1, y2);
+
+  const sampleX = (t) => ((ax * t + bx) * t + cx) * t;
+  const sampleY = (t) => ((ay * t + by) * t + cy) * t;
+  const slopeX = (t) => (3 * ax * t + 2 * bx) * t + cx;
+
+  // Find the curve parameter for a given x
+  const solveT = (x) => {
+    let t = x;
+
+    // Newton-Raphson is fast when the slope is well behaved
+    for (let i = 0; i < NEWTON_ITERATIONS; i++) {
+      const error = sampleX(t) - x;
+      if (Math.abs(error) < EPSILON) return t;
+      const slope = slopeX(t);
+      if (Math.abs(slope) < EPSILON) break;
+      t -= error / slope;
+    }
+
+    // Fall back to bisection
+    let low = 0;
+    let high = 1;
+    t = x;
+    while (low < high) {
+      const value = sampleX(t);
+      if (Math.abs(value - x) < EPSILON) return t;
+      if (x > value) low = t;
+      else high = t;
+      if (high - low < EPSILON) return t;
+      t = (low + high) / 2;
+    }
+    return t;
+  };
+
+  return (x) => {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    return sampleY(solveT(x));
+  };
+}
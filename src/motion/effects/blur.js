@@ -0,0 +1,9 @@
+/**
+ * Blur-in - characters come into focus
+ */
+
+export default {
+  name: 'blur',
+  from: { opacity: 0, blur: 12 },
+  to: { opacity: 1, blur: 0 },
+};
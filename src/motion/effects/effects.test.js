@@ -0,0 +1,64 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import gsap from 'gsap';
+import { getEffect, effectNames, effectStyle, DEFAULT_EFFECT } from './index.js';
+import { wordmarkSchedule } from '../schedule.js';
+import { addWordmarkReveal } from '../gsap.js';
+import { wordmarkCharVariants } from '../framer.js';
+
+describe('effect presets', () => {
+  it('registers every built-in preset', () => {
+    expect(effectNames()).toEqual(['typewriter', 'scramble', 'mask', 'blur', 'flip', 'weight']);
+  });
+
+  it('falls back to the default for unknown names', () => {
+    expect(getEffect('nope').name).toBe(DEFAULT_EFFECT);
+    expect(getEffect().name).toBe(DEFAULT_EFFECT);
+  });
+
+  it('translates preset states into style values', () => {
+    expect(effectStyle({ opacity: 0, blur: 12, clip: 100, weight: 100, rotateX: -90 })).toEqual({
+      opacity: 0,
+      filter: 'blur(12px)',
+      clipPath: 'inset(0 100% 0 0)',
+      fontVariationSettings: "'wght' 100",
+      rotateX: -90,
+    });
+
+    // Right-to-left text wipes in from the right
+    expect(effectStyle({ clip: 40 }, 'rtl')).toEqual({ clipPath: 'inset(0 0 0 40%)' });
+  });
+
+  it.each(effectNames())('%s puts the same states on both timelines', (name) => {
+    const preset = getEffect(name);
+    const schedule = wordmarkSchedule(2);
+    const targets = [document.createElement('span'), document.createElement('span')];
+    // What GSAP set on the first character, read back for each style key
+    const rendered = (style) => Object.fromEntries(
+      Object.keys(style).map((key) => [key, gsap.getProperty(targets[0], key)])
+    );
+
+    const tl = addWordmarkReveal(gsap.timeline({ paused: true }), schedule, targets, {
+      effect: name,
+      characters: ['h', 'i'],
+    });
+    const variants = wordmarkCharVariants(schedule, name);
+
+    // GSAP renders the from state immediately; Framer starts from hidden
+    expect(variants.hidden).toEqual(effectStyle(preset.from));
+    expect(rendered(variants.hidden)).toEqual(variants.hidden);
+
+    // Both settle on the to state
+    tl.progress(1);
+    const { transition, ...visible } = variants.visible(1);
+    expect(visible).toEqual(effectStyle(preset.to));
+    expect(rendered(visible)).toEqual(visible);
+    expect(transition.delay).toBeCloseTo(schedule.chars[1].start);
+  });
+
+  it('scramble settles on the real character', () => {
+    const scramble = getEffect('scramble');
+    expect(scramble.text(1, 'g')).toBe('g');
+    expect(scramble.text(0.2, ' ')).toBe(' ');
+  });
+});
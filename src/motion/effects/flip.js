@@ -0,0 +1,13 @@
+/**
+ * 3D flip - characters rotate up into place around their baseline
+ */
+
+export default {
+  name: 'flip',
+  style: {
+    transformOrigin: '50% 100%',
+    transformPerspective: 400,
+  },
+  from: { opacity: 0, rotateX: -90 },
+  to: { opacity: 1, rotateX: 0 },
+};
@@ -0,0 +1,86 @@
+/**
+ * Wordmark Effect Presets
+ *
+ * Registry of reveal effects for both AnimatedWordmark implementations.
+ * Select one with the `effect` option / prop or a `data-effect` attribute.
+ *
+ * A preset is a plain object described in framework-neutral terms:
+ *
+ *   {
+ *     name: 'blur',
+ *     from: { opacity: 0, blur: 12 },   // per-character start state
+ *     to:   { opacity: 1, blur: 0 },    // per-character end state
+ *     style: { ... },                   // optional static character styles
+ *     spring: true,                     // optional - Framer uses the shared spring
+ *     text(progress, char) { ... },     // optional - text to show mid-tween
+ *   }
+ *
+ * State keys: opacity, y (px), rotateX (deg), blur (px),
+ * clip (% hidden from the end of the line - the right, or the left in
+ * right-to-left text), weight (font wght axis).
+ * The GSAP and Framer adapters translate them into real styles.
+ */
+
+import typewriter from './typewriter.js';
+import scramble from './scramble.js';
+import mask from './mask.js';
+import blur from './blur.js';
+import flip from './flip.js';
+import weight from './weight.js';
+
+export const DEFAULT_EFFECT = 'typewriter';
+
+const registry = new Map();
+
+export function registerEffect(preset) {
+  registry.set(preset.name, preset);
+}
+
+/**
+ * Look up a preset by name. Preset objects pass straight through;
+ * unknown names fall back to the default.
+ */
+export function getEffect(effect = DEFAULT_EFFECT) {
+  if (typeof effect === 'object') return effect;
+  return registry.get(effect) || registry.get(DEFAULT_EFFECT);
+}
+
+export const effectNames = () => Array.from(registry.keys());
+
+/**
+ * Version of a preset for a motion mode (see ../preference.js).
+ * Anything but 'full' becomes a plain crossfade - no transforms,
+ * blur, clipping or text effects.
+ */
+export function effectForMode(preset, mode = 'full') {
+  if (mode === 'full') return preset;
+
+  return {
+    name: preset.name,
+    from: { opacity: 0 },
+    to: { opacity: 1 },
+  };
+}
+
+/**
+ * Translate a preset state into style values. The keys are understood
+ * by both GSAP and Framer Motion (GSAP aliases rotateX to rotationX).
+ * `dir` is the text direction, which the clip opens along.
+ */
+export function effectStyle(state = {}, dir = 'ltr') {
+  const style = {};
+  const { opacity, y, rotateX, blur, clip, weight } = state;
+
+  if (opacity !== undefined) style.opacity = opacity;
+  if (y !== undefined) style.y = y;
+  if (rotateX !== undefined) style.rotateX = rotateX;
+  if (blur !== undefined) style.filter = `blur(${blur}px)`;
+  if (clip !== undefined) {
+    style.clipPath = dir === 'rtl' ? `inset(0 0 0 ${clip}%)` : `inset(0 ${clip}% 0 0)`;
+  }
+  if (weight !== undefined) style.fontVariationSettings = `'wght' ${weight}`;
+
+  return style;
+}
+
+[typewriter, scramble, mask, blur, flip, weight].forEach(registerEffect);
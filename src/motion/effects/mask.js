@@ -0,0 +1,12 @@
+/**
+ * Mask wipe - per-character clip in reading direction
+ *
+ * Characters are fully laid out from the start, so the cursor
+ * and line width never shift while the mask opens.
+ */
+
+export default {
+  name: 'mask',
+  from: { clip: 100 },
+  to: { clip: 0 },
+};
@@ -0,0 +1,25 @@
+/**
+ * Scramble - decode effect
+ *
+ * Each character cycles through random glyphs before settling on
+ * its real value, like a terminal decoding the word.
+ */
+
+const GLYPHS = 'abcdefghijklmnopqrstuvwxyz0123456789#%&*+=?';
+
+// Last stretch of the tween shows the real character
+const SETTLE_AT = 0.7;
+
+export default {
+  name: 'scramble',
+  from: { opacity: 0 },
+  to: { opacity: 1 },
+
+  /**
+   * Text to show at a given progress (0-1) through the character's tween
+   */
+  text(progress, char) {
+    if (progress >= SETTLE_AT || char.trim() === '') return char;
+    return GLYPHS[Math.floor(Math.random() * GLYPHS.length)];
+  },
+};
@@ -0,0 +1,15 @@
+/**
+ * Typewriter - the original reveal
+ *
+ * Opacity + 8px upward drift on the shared spring, with the cursor
+ * following each character.
+ */
+
+import { wordmark } from '../tokens.js';
+
+export default {
+  name: 'typewriter',
+  spring: true,
+  from: { opacity: 0, y: wordmark.charOffsetY },
+  to: { opacity: 1, y: 0 },
+};
@@ -0,0 +1,12 @@
+/**
+ * Weight sweep - variable-font weight grows into the resting weight
+ *
+ * Needs a variable font with a wght axis (SF Pro has one); other fonts
+ * fall back to a plain fade.
+ */
+
+export default {
+  name: 'weight',
+  from: { opacity: 0, weight: 100 },
+  to: { opacity: 1, weight: 400 },
+};
@@ -0,0 +1,166 @@
+/**
+ * Framer Motion adapter for the motion schedule
+ *
+ * Builds variants whose delays come from the shared schedule, so the
+ * React components keep the same pacing as the GSAP classes. Every
+ * builder honours a `motion` mode (see preference.js).
+ */
+
+import { EASE_OUT_EXPO, SPRING, wordmark, reveal } from './tokens.js';
+import { itemEnter, itemExit } from './schedule.js';
+import { getEffect, effectForMode, effectStyle } from './effects/index.js';
+import { timingForMode } from './preference.js';
+import { themes } from '../theme/themes.js';
+
+/**
+ * Wordmark character variants - staggered reveal using an effect preset.
+ * Spring presets (the default typewriter) use the shared spring,
+ * the rest run for charDuration on ease-out-expo. The schedule's
+ * motion mode reduces the preset to a crossfade.
+ *
+ * @param {object} schedule - from wordmarkSchedule()
+ * @param {string|object} [effect] - preset name or object (see effects/)
+ * @param {string} [dir] - 'ltr' or 'rtl', for direction-aware presets
+ */
+export function wordmarkCharVariants(schedule, effect, dir) {
+  const preset = effectForMode(getEffect(effect), schedule.motion);
+  const transition = preset.spring
+    ? { type: 'spring', ...SPRING }
+    : { duration: schedule.timing.charDuration, ease: EASE_OUT_EXPO };
+
+  return {
+    hidden: effectStyle(preset.from, dir),
+    visible: (i) => ({
+      ...effectStyle(preset.to, dir),
+      transition: {
+        ...transition,
+        delay: schedule.chars[i].start,
+      }
+    })
+  };
+}
+
+/**
+ * Cursor variants - fades in, then blinks
+ */
+export function cursorVariants(timing = wordmark) {
+  return {
+    hidden: {
+      opacity: 0,
+      scale: 0.8,
+    },
+    visible: {
+      opacity: 1,
+      scale: 1,
+      transition: {
+        duration: timing.cursorFadeIn,
+        ease: 'easeOut',
+      }
+    },
+    blink: {
+      opacity: [1, 0, 1],
+      transition: {
+        duration: timing.cursorBlinkDuration,
+        repeat: Infinity,
+        ease: 'easeInOut',
+      }
+    }
+  };
+}
+
+/**
+ * Overlay content item variants with stagger.
+ * Pass the item index as `custom`.
+ *
+ * @param {object} [options] - { motion, ...reveal token overrides }
+ */
+export function itemVariants({ motion, ...overrides } = {}) {
+  const timing = timingForMode({ ...reveal, ...overrides }, motion);
+
+  return {
+    hidden: {
+      opacity: 0,
+      y: timing.itemOffsetY,
+    },
+    visible: (i) => ({
+      opacity: 1,
+      y: 0,
+      transition: {
+        duration: timing.itemDuration,
+        ease: EASE_OUT_EXPO,
+        delay: itemEnter(i, timing).start,
+      }
+    }),
+    exit: (i) => ({
+      opacity: 0,
+      y: timing.itemExitOffsetY,
+      transition: {
+        duration: timing.itemExitDuration,
+        delay: itemExit(i, timing).start,
+        ease: 'easeIn',
+      }
+    })
+  };
+}
+
+/**
+ * Overlay variants - fade with backdrop blur.
+ * The blur comes from the active theme (see theme/themes.js).
+ * Outside 'full' motion the blur is held and only opacity fades.
+ */
+export function overlayVariants({ motion, theme = themes.light, ...overrides } = {}) {
+  const timing = timingForMode({ ...reveal, ...overrides }, motion);
+  const blur = (px) => `blur(${px}px)`;
+  const { overlayBlur } = theme;
+  const restingBlur = !motion || motion === 'full' ? 0 : overlayBlur;
+
+  return {
+    hidden: {
+      opacity: 0,
+      backdropFilter: blur(restingBlur),
+      WebkitBackdropFilter: blur(restingBlur),
+    },
+    visible: {
+      opacity: 1,
+      backdropFilter: blur(overlayBlur),
+      WebkitBackdropFilter: blur(overlayBlur),
+      transition: {
+        duration: timing.overlayDuration,
+        ease: EASE_OUT_EXPO,
+      }
+    },
+    exit: {
+      opacity: 0,
+      backdropFilter: blur(restingBlur),
+      WebkitBackdropFilter: blur(restingBlur),
+      transition: {
+        duration: timing.overlayExitDuration,
+        ease: 'easeIn',
+      }
+    }
+  };
+}
+
+/**
+ * Main (wordmark) variants - steps back while the overlay is open
+ */
+export function mainVariants({ motion, ...overrides } = {}) {
+  const timing = timingForMode({ ...reveal, ...overrides }, motion);
+  const transition = {
+    duration: timing.mainDuration,
+    ease: EASE_OUT_EXPO,
+  };
+
+  return {
+    visible: {
+      opacity: 1,
+      scale: 1,
+      transition,
+    },
+    hidden: {
+      opacity: 0,
+      scale: timing.mainScale,
+      transition,
+    }
+  };
+}
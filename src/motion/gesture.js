@@ -0,0 +1,89 @@
+/**
+ * Gesture Math
+ *
+ * Framework-agnostic maths behind the reveal overlay's touch gestures,
+ * shared by content-reveal.js and ContentReveal.jsx:
+ *
+ * - a swipe up opens the overlay, a swipe down or a pinch closes it
+ * - while a finger is down the overlay follows it: the gesture is a
+ *   progress from 0 (closed) to 1 (open)
+ * - on release it finishes or springs back, decided by how far it got
+ *   and how fast the finger was moving
+ *
+ * Progress velocities are in progress per second - a swipe velocity in
+ * px/s divided by swipeDistance. Every helper takes the gesture tokens
+ * (see tokens.js), adjusted for the motion mode where it matters.
+ */
+
+import { gesture } from './tokens.js';
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+/**
+ * Progress after a vertical drag of dy px (negative is up), starting
+ * from the closed (0) or open (1) overlay
+ */
+export function dragProgress(from, dy, timing = gesture) {
+  return clamp(from - dy / timing.swipeDistance);
+}
+
+/**
+ * Progress of a pinch on the open overlay. Fingers at their starting
+ * spread (scale 1) leave it open; pinched in to pinchScale it is closed.
+ */
+export function pinchProgress(scale, timing = gesture) {
+  return clamp((scale - timing.pinchScale) / (1 - timing.pinchScale));
+}
+
+/**
+ * Progress velocity of a vertical swipe velocity in px/s (negative is up)
+ */
+export function progressVelocity(velocityY, timing = gesture) {
+  return -velocityY / timing.swipeDistance;
+}
+
+/**
+ * Where a released gesture settles: 1 (open) or 0 (closed). A flick
+ * goes the way it was thrown; otherwise past commitProgress opens.
+ */
+export function releaseTarget(progress, velocity = 0, timing = gesture) {
+  if (Math.abs(velocity * timing.swipeDistance) >= timing.flickVelocity) {
+    return velocity > 0 ? 1 : 0;
+  }
+
+  return progress >= timing.commitProgress ? 1 : 0;
+}
+
+/**
+ * Seconds a release takes to settle on an ease-out curve that starts
+ * at the finger's velocity. power2.out begins at twice its average
+ * speed, so covering the distance at half the release velocity hands
+ * the motion over without a jump. Releases without velocity towards
+ * the target take releaseDuration.
+ */
+export function releaseDuration(progress, target, velocity = 0, timing = gesture) {
+  const distance = target - progress;
+  if (!distance) return 0;
+
+  const speed = distance * velocity > 0 ? Math.abs(velocity) : 0;
+  const duration = speed ? (2 * Math.abs(distance)) / speed : timing.releaseDuration;
+
+  return Math.min(Math.max(duration, timing.releaseMinDuration), timing.releaseDuration);
+}
+
+/**
+ * Overlay styles for a gesture progress: opacity follows the finger,
+ * and so does the blur in 'full' motion - otherwise the blur is held,
+ * as in the reveal itself (see framer.js overlayVariants).
+ *
+ * @param {number} progress
+ * @param {object} options - { motion, theme } (theme from theme/themes.js)
+ */
+export function overlayFrame(progress, { motion, theme }) {
+  const { overlayBlur } = theme;
+
+  return {
+    opacity: progress,
+    blur: !motion || motion === 'full' ? progress * overlayBlur : overlayBlur,
+  };
+}
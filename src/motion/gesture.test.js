@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { gesture } from './tokens.js';
+import { timingForMode } from './preference.js';
+import { themes } from '../theme/themes.js';
+import {
+  dragProgress,
+  pinchProgress,
+  progressVelocity,
+  releaseTarget,
+  releaseDuration,
+  overlayFrame,
+} from './gesture.js';
+
+describe('gesture math', () => {
+  it('maps swipes and pinches onto a clamped progress', () => {
+    expect(dragProgress(0, -gesture.swipeDistance / 2)).toBeCloseTo(0.5);
+    expect(dragProgress(1, gesture.swipeDistance / 4)).toBeCloseTo(0.75);
+    expect(dragProgress(0, 40)).toBe(0);
+    expect(dragProgress(1, -40)).toBe(1);
+
+    expect(pinchProgress(1)).toBe(1);
+    expect(pinchProgress(gesture.pinchScale)).toBe(0);
+    expect(pinchProgress(1.5)).toBe(1);
+  });
+
+  it('settles by distance, unless the release is a flick', () => {
+    expect(releaseTarget(0.6)).toBe(1);
+    expect(releaseTarget(0.4)).toBe(0);
+
+    const flick = progressVelocity(gesture.flickVelocity);
+    expect(releaseTarget(0.9, flick)).toBe(0);
+    expect(releaseTarget(0.1, -flick)).toBe(1);
+    expect(releaseTarget(0.9, flick / 2)).toBe(1);
+  });
+
+  it('hands the release velocity on to the settle', () => {
+    // power2.out starts at twice its average speed
+    const velocity = 2;
+    const duration = releaseDuration(0.5, 1, velocity);
+    expect((2 * 0.5) / duration).toBeCloseTo(velocity);
+
+    // Flung away from the target, or not at all, takes the longest
+    expect(releaseDuration(0.5, 1, -velocity)).toBe(gesture.releaseDuration);
+    expect(releaseDuration(0.5, 1)).toBe(gesture.releaseDuration);
+    expect(releaseDuration(0.5, 1, 1000)).toBe(gesture.releaseMinDuration);
+
+    expect(releaseDuration(0.5, 1, velocity, timingForMode(gesture, 'none'))).toBe(0);
+  });
+
+  it('holds the blur outside full motion', () => {
+    const theme = themes.dark;
+
+    expect(overlayFrame(0.5, { motion: 'full', theme })).toEqual({
+      opacity: 0.5,
+      blur: theme.overlayBlur / 2,
+    });
+    expect(overlayFrame(0.5, { motion: 'reduced', theme }).blur).toBe(theme.overlayBlur);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * GSAP adapter for the motion schedule
+ *
+ * Places tweens on GSAP timelines at the times the shared schedule
+ * dictates. Used by vanilla-animation.js and content-reveal.js.
+ */
+
+import gsap from 'gsap';
+import { EASE_OUT_EXPO } from './tokens.js';
+import { cubicBezier } from './easing.js';
+import { itemsSchedule, storySchedule } from './schedule.js';
+import { getEffect, effectForMode, effectStyle } from './effects/index.js';
+
+// The exact curve Framer Motion receives as an array
+export const easeOutExpo = cubicBezier(EASE_OUT_EXPO);
+
+/**
+ * Add the staggered character reveal to a timeline.
+ * Each character tweens from the effect preset's `from` state to its
+ * `to` state at its scheduled time. Outside 'full' motion the preset
+ * is reduced to a crossfade.
+ *
+ * @param {gsap.core.Timeline} tl
+ * @param {object} schedule - from wordmarkSchedule()
+ * @param {Array} targets - one target per character
+ * @param {object} [options]
+ * @param {string|object} [options.effect] - preset name or object (see effects/)
+ * @param {string[]} [options.characters] - original text, for text-changing presets
+ * @param {string} [options.dir] - 'ltr' or 'rtl', for direction-aware presets
+ * @param {function} [options.onCharStart] - called with the character index
+ */
+export function addWordmarkReveal(tl, schedule, targets, { effect, characters = [], dir, onCharStart } = {}) {
+  const preset = effectForMode(getEffect(effect), schedule.motion);
+
+  schedule.chars.forEach(({ index, start, duration }) => {
+    const target = targets[index];
+
+    tl.fromTo(target, effectStyle(preset.from, dir), {
+      ...effectStyle(preset.to, dir),
+      duration,
+      ease: easeOutExpo,
+      onStart: onCharStart ? () => onCharStart(index) : undefined,
+      onUpdate: preset.text
+        ? function updateText() {
+          target.textContent = preset.text(this.progress(), characters[index], index);
+        }
+        : undefined,
+    }, start);
+  });
+
+  return tl;
+}
+
+/**
+ * Staggered entrance for overlay items.
+ * Returns a timeline that starts immediately.
+ */
+export function itemsEnter(targets, options) {
+  const { timing, enter } = itemsSchedule(targets.length, options);
+  const tl = gsap.timeline();
+
+  enter.forEach(({ index, start, duration }) => {
+    tl.fromTo(targets[index],
+      { opacity: 0, y: timing.itemOffsetY },
+      { opacity: 1, y: 0, duration, ease: easeOutExpo },
+      start
+    );
+  });
+
+  return tl;
+}
+
+/**
+ * Faster staggered exit for overlay items.
+ * Returns a timeline that starts immediately.
+ */
+export function itemsExit(targets, options) {
+  const { timing, exit } = itemsSchedule(targets.length, options);
+  const tl = gsap.timeline();
+
+  exit.forEach(({ index, start, duration }) => {
+    tl.to(targets[index], {
+      opacity: 0,
+      y: timing.itemExitOffsetY,
+      duration,
+      ease: 'power2.in',
+    }, start);
+  });
+
+  return tl;
+}
+
+/**
+ * Rows of a pinned story section, for a timeline scrubbed by the
+ * section's scroll. The timeline spans exactly 1, so positions are
+ * fractions of the pinned scroll (see storySchedule).
+ */
+export function storyItemsEnter(tl, targets, options) {
+  const { timing, items } = storySchedule(targets.length, options);
+
+  items.forEach(({ index, start, end }) => {
+    tl.fromTo(targets[index],
+      { opacity: 0, y: timing.itemOffsetY },
+      { opacity: 1, y: 0, duration: end - start, ease: easeOutExpo },
+      start
+    );
+  });
+
+  // Pad to the end of the section so the last rows settle before it unpins
+  tl.set({}, {}, 1);
+
+  return tl;
+}
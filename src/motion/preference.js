@@ -0,0 +1,112 @@
+/**
+ * Motion Preference
+ *
+ * Decides how much motion the JS layer runs. Both builds check it
+ * before building timelines or variants:
+ *
+ * - 'full':    the complete choreography
+ * - 'reduced': crossfades only - no translate, scale, blur or text effects
+ * - 'none':    everything lands instantly
+ *
+ * The mode follows `prefers-reduced-motion` live, unless the visitor
+ * picks one with the motion toggle; that override persists in
+ * localStorage. The active mode is mirrored to <html data-motion> so
+ * CSS transitions can follow it too. The store itself is shared with
+ * the theme and locale preferences (../preference.js).
+ */
+
+import { createPreference } from '../preference.js';
+
+export const MOTION_MODES = ['full', 'reduced', 'none'];
+
+const STORAGE_KEY = 'motion-preference';
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+// Token keys that are times - zeroed in 'none' mode
+const TIME_KEY = /(Delay|Duration|Stagger|Hold|Gap|FadeIn|FadeOut)$/;
+
+// Token keys that move things - neutralised in 'reduced' mode
+const REDUCED_VALUES = {
+  charOffsetY: 0,
+  itemOffsetY: 0,
+  itemExitOffsetY: 0,
+  mainScale: 1,
+};
+
+/**
+ * Adjust a token set (see tokens.js) for a motion mode.
+ */
+export function timingForMode(timing, mode = 'full') {
+  if (mode === 'full') return timing;
+
+  const adjusted = { ...timing };
+
+  Object.keys(REDUCED_VALUES).forEach((key) => {
+    if (key in adjusted) adjusted[key] = REDUCED_VALUES[key];
+  });
+
+  if (mode === 'none') {
+    Object.entries(adjusted).forEach(([key, value]) => {
+      if (typeof value === 'number' && TIME_KEY.test(key)) {
+        adjusted[key] = 0;
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        // Phase offsets
+        adjusted[key] = Object.fromEntries(Object.keys(value).map((phase) => [phase, 0]));
+      }
+    });
+  }
+
+  return adjusted;
+}
+
+export function createMotionPreference({
+  storage = typeof localStorage !== 'undefined' ? localStorage : null,
+  media = typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(QUERY) : null,
+  root = typeof document !== 'undefined' ? document.documentElement : null,
+} = {}) {
+  const preference = createPreference({
+    key: STORAGE_KEY,
+    values: MOTION_MODES,
+    system: () => (media?.matches ? 'reduced' : 'full'),
+    sources: [[media, 'change']],
+    mirror: (mode) => {
+      if (root) root.dataset.motion = mode;
+    },
+    storage,
+  });
+  const { setOverride, subscribe, destroy } = preference;
+
+  return {
+    /**
+     * Active mode: the override if set, otherwise the system preference
+     */
+    get mode() {
+      return preference.value;
+    },
+
+    get systemMode() {
+      return preference.system;
+    },
+
+    /**
+     * The visitor's choice, or null when following the system
+     */
+    get override() {
+      return preference.override;
+    },
+
+    setOverride,
+    subscribe,
+    destroy,
+  };
+}
+
+let sharedPreference = null;
+
+/**
+ * Preference shared by every animated widget on the page
+ */
+export function getMotionPreference() {
+  if (!sharedPreference) sharedPreference = createMotionPreference();
+  return sharedPreference;
+}
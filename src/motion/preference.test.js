@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { createMotionPreference, timingForMode } from './preference.js';
+import { nextOverride, toggleLabel } from './toggle.js';
+import { getLocale } from '../i18n/locales.js';
+import { reveal } from './tokens.js';
+import { itemsSchedule, sequenceSchedule } from './schedule.js';
+
+const memoryStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, value),
+    removeItem: (key) => values.delete(key),
+  };
+};
+
+const fakeMedia = (matches) => ({
+  matches,
+  listeners: new Set(),
+  addEventListener(type, listener) { this.listeners.add(listener); },
+  removeEventListener(type, listener) { this.listeners.delete(listener); },
+  change(next) {
+    this.matches = next;
+    this.listeners.forEach((listener) => listener());
+  },
+});
+
+describe('timingForMode', () => {
+  it('leaves full motion untouched', () => {
+    expect(timingForMode(reveal, 'full')).toBe(reveal);
+  });
+
+  it('drops movement but keeps durations in reduced mode', () => {
+    const timing = timingForMode(reveal, 'reduced');
+    expect(timing.itemOffsetY).toBe(0);
+    expect(timing.mainScale).toBe(1);
+    expect(timing.itemDuration).toBe(reveal.itemDuration);
+  });
+
+  it('zeroes every time and phase in none mode', () => {
+    const timing = timingForMode(reveal, 'none');
+    expect(timing.itemDuration).toBe(0);
+    expect(timing.hintDelay).toBe(0);
+    expect(Object.values(timing.revealPhases).every((value) => value === 0)).toBe(true);
+    expect(timing.hintOpacity).toBe(reveal.hintOpacity);
+  });
+
+  it('lands every item at once in none mode', () => {
+    const { enter } = itemsSchedule(3, { motion: 'none' });
+    expect(enter.every(({ start, duration }) => start === 0 && duration === 0)).toBe(true);
+  });
+
+  it('shows only the first phrase in none mode', () => {
+    const schedule = sequenceSchedule(['one', 'two'], { motion: 'none', loop: true });
+    expect(schedule.phrases).toHaveLength(1);
+    expect(schedule.loop).toBe(false);
+  });
+});
+
+describe('createMotionPreference', () => {
+  it('follows the system preference live', () => {
+    const media = fakeMedia(false);
+    const preference = createMotionPreference({ storage: memoryStorage(), media, root: null });
+    const seen = [];
+    preference.subscribe((mode) => seen.push(mode));
+
+    expect(preference.mode).toBe('full');
+    media.change(true);
+    expect(preference.mode).toBe('reduced');
+    expect(seen).toEqual(['reduced']);
+  });
+
+  it('persists an override over the system preference', () => {
+    const storage = memoryStorage();
+    const media = fakeMedia(true);
+    createMotionPreference({ storage, media, root: null }).setOverride('none');
+
+    const restored = createMotionPreference({ storage, media, root: null });
+    expect(restored.mode).toBe('none');
+    expect(restored.override).toBe('none');
+
+    restored.setOverride(null);
+    expect(restored.mode).toBe('reduced');
+    expect(storage.getItem('motion-preference')).toBe(null);
+  });
+
+  it('cycles the toggle through every override and back to auto', () => {
+    expect([null, 'full', 'reduced', 'none'].map(nextOverride)).toEqual(['full', 'reduced', 'none', null]);
+  });
+
+  it('labels the toggle in the active language', () => {
+    expect(toggleLabel({ override: null, mode: 'reduced' })).toBe('Motion: Auto (Reduced)');
+    expect(toggleLabel({ override: 'none', mode: 'none' }, getLocale('hi'))).toBe('एनिमेशन: बंद');
+    expect(toggleLabel({ override: null, mode: 'full' }, getLocale('ar'))).toBe('الحركة: تلقائي (كاملة)');
+  });
+});
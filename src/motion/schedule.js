@@ -0,0 +1,196 @@
+/**
+ * Motion Schedule
+ *
+ * Framework-agnostic timelines built from the motion tokens. A schedule
+ * says *when* each part of a sequence starts and how long it runs;
+ * the GSAP and Framer adapters (gsap.js, framer.js) only translate it.
+ *
+ * Times are in seconds from the start of the sequence. Every schedule
+ * takes a `motion` option ('full' | 'reduced' | 'none', see
+ * preference.js) and carries it through for the adapters.
+ */
+
+import { wordmark, reveal, story } from './tokens.js';
+import { timingForMode } from './preference.js';
+import { splitGraphemes } from '../i18n/graphemes.js';
+
+/**
+ * Wordmark reveal: characters, cursor and completion.
+ *
+ * @param {number} length - number of characters (grapheme clusters)
+ * @param {object} [options] - { motion, ...wordmark token overrides }
+ */
+export function wordmarkSchedule(length, options = {}) {
+  const { motion = 'full', ...overrides } = options;
+  const timing = timingForMode({ ...wordmark, ...overrides }, motion);
+  const { initialDelay, staggerDelay, charDuration } = timing;
+
+  const chars = Array.from({ length }, (_, index) => {
+    const start = initialDelay + index * staggerDelay;
+    return { index, start, duration: charDuration };
+  });
+
+  const revealedAt = length
+    ? chars[length - 1].start + charDuration
+    : initialDelay;
+
+  const cursorHideAt = initialDelay + length * staggerDelay + charDuration + timing.cursorHideDelay;
+
+  return {
+    motion,
+    timing,
+    chars,
+    revealedAt,
+    cursor: {
+      showAt: initialDelay,
+      blinkAt: initialDelay + timing.cursorFadeIn,
+      hideAt: cursorHideAt,
+    },
+    duration: cursorHideAt + timing.cursorFadeOut,
+  };
+}
+
+/**
+ * Sequence mode: several phrases typed, held, backspaced and retyped.
+ *
+ * Each phrase is a string or { text, ...overrides } - any wordmark token
+ * (staggerDelay, charDuration, phraseHold, deleteStagger, phraseGap) can
+ * be set per phrase.
+ *
+ * With loop: false the last phrase stays on screen and the cursor hides
+ * as in the single-phrase reveal. With loop: true every phrase is deleted
+ * and the whole schedule repeats. With motion: 'none' only the first
+ * phrase is shown.
+ *
+ * @param {Array<string|object>} phrases
+ * @param {object} [options] - { loop = true, motion, ...wordmark token overrides }
+ */
+export function sequenceSchedule(phrases, options = {}) {
+  const { motion = 'full', ...rest } = options;
+
+  // Without motion a sequence can't play out - settle on the first phrase
+  if (motion === 'none') {
+    phrases = phrases.slice(0, 1);
+    rest.loop = false;
+  }
+
+  const { loop = true, ...overrides } = rest;
+  const timing = timingForMode({ ...wordmark, ...overrides }, motion);
+  let time = timing.initialDelay;
+
+  const entries = phrases.map((phrase, phraseIndex) => {
+    const { text, ...phraseOverrides } = typeof phrase === 'string' ? { text: phrase } : phrase;
+    const phraseTiming = { ...timing, ...phraseOverrides };
+    const length = splitGraphemes(text).length;
+    const start = time;
+
+    const chars = Array.from({ length }, (_, index) => ({
+      index,
+      start: start + index * phraseTiming.staggerDelay,
+      duration: phraseTiming.charDuration,
+    }));
+
+    const typedAt = length ? chars[length - 1].start + phraseTiming.charDuration : start;
+    const keep = !loop && phraseIndex === phrases.length - 1;
+
+    // Backspace from the last character to the first
+    const deleteStart = typedAt + phraseTiming.phraseHold;
+    const deletes = keep ? [] : Array.from({ length }, (_, n) => ({
+      index: length - 1 - n,
+      at: deleteStart + n * phraseTiming.deleteStagger,
+    }));
+
+    time = keep
+      ? typedAt
+      : deleteStart + length * phraseTiming.deleteStagger + phraseTiming.phraseGap;
+
+    return { index: phraseIndex, text, start, chars, typedAt, deletes, end: time };
+  });
+
+  const last = entries[entries.length - 1];
+
+  return {
+    motion,
+    timing,
+    loop,
+    phrases: entries,
+    // Looping never ends - treat the first legible phrase as revealed
+    revealedAt: loop ? entries[0].typedAt : last.typedAt,
+    cursor: {
+      showAt: timing.initialDelay,
+      blinkAt: timing.initialDelay + timing.cursorFadeIn,
+      hideAt: loop ? null : last.typedAt + timing.cursorHideDelay,
+    },
+    duration: loop ? time : last.typedAt + timing.cursorHideDelay + timing.cursorFadeOut,
+  };
+}
+
+/**
+ * Timing for a single overlay item - enter is relative to the start
+ * of the content phase, exit to the start of the hide sequence.
+ */
+export function itemEnter(index, timing = reveal) {
+  return {
+    index,
+    start: timing.itemDelay + index * timing.itemStagger,
+    duration: timing.itemDuration,
+  };
+}
+
+export function itemExit(index, timing = reveal) {
+  return {
+    index,
+    start: index * timing.itemExitStagger,
+    duration: timing.itemExitDuration,
+  };
+}
+
+/**
+ * Staggered list items inside the content overlay.
+ *
+ * @param {number} count - number of items
+ * @param {object} [options] - { motion, ...reveal token overrides }
+ */
+export function itemsSchedule(count, options = {}) {
+  const { motion = 'full', ...overrides } = options;
+  const timing = timingForMode({ ...reveal, ...overrides }, motion);
+
+  return {
+    motion,
+    timing,
+    enter: Array.from({ length: count }, (_, index) => itemEnter(index, timing)),
+    exit: Array.from({ length: count }, (_, index) => itemExit(index, timing)),
+  };
+}
+
+/**
+ * Scroll storytelling: where each row of a pinned section enters, as
+ * fractions (0-1) of the section's pinned scroll rather than seconds.
+ * Rows keep the overlay's stagger rhythm, stretched so the last one is
+ * in at itemsEnd. With motion: 'none' nothing is pinned and every row
+ * is shown from the start.
+ *
+ * @param {number} count - number of rows
+ * @param {object} [options] - { motion, ...reveal and story token overrides }
+ */
+export function storySchedule(count, options = {}) {
+  const { motion = 'full', ...overrides } = options;
+  const timing = timingForMode({ ...reveal, ...story, ...overrides }, motion);
+
+  // Rows start with the pin - there is no overlay to wait for
+  const enter = Array.from({ length: count }, (_, index) => itemEnter(index, { ...timing, itemDelay: 0 }));
+  const last = enter[count - 1];
+  const length = last ? last.start + last.duration : 0;
+  const scale = length ? timing.itemsEnd / length : 0;
+
+  return {
+    motion,
+    timing,
+    pinned: motion !== 'none',
+    items: enter.map(({ index, start, duration }) => ({
+      index,
+      start: start * scale,
+      end: (start + duration) * scale,
+    })),
+  };
+}
@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import gsap from 'gsap';
+import { wordmark, story } from './tokens.js';
+import { wordmarkSchedule, sequenceSchedule, itemsSchedule, storySchedule } from './schedule.js';
+import { addWordmarkReveal, itemsEnter, itemsExit, storyItemsEnter, easeOutExpo } from './gsap.js';
+import { wordmarkCharVariants, itemVariants } from './framer.js';
+
+// Start times of every tween on a GSAP timeline, in order
+const gsapStarts = (tl) => tl.getChildren(false, true, false).map((tween) => tween.startTime());
+
+// GSAP rounds positions, so compare with a tolerance
+const closeTo = (times) => times.map((time) => expect.closeTo(time));
+
+const targets = (count) => Array.from({ length: count }, () => ({ opacity: 0, y: 0 }));
+
+describe('wordmark schedule', () => {
+  it('spaces characters by the stagger after the initial delay', () => {
+    const { chars, timing } = wordmarkSchedule(3);
+
+    expect(chars.map(({ start }) => start)).toEqual([
+      wordmark.initialDelay,
+      wordmark.initialDelay + wordmark.staggerDelay,
+      wordmark.initialDelay + 2 * wordmark.staggerDelay,
+    ]);
+    expect(timing.charDuration).toBe(wordmark.charDuration);
+  });
+
+  it('hides the cursor after the last character has lingered', () => {
+    const { cursor } = wordmarkSchedule(7);
+    const expected = wordmark.initialDelay + 7 * wordmark.staggerDelay
+      + wordmark.charDuration + wordmark.cursorHideDelay;
+
+    expect(cursor.hideAt).toBeCloseTo(expected);
+  });
+
+  it('produces the same character schedule for GSAP and Framer Motion', () => {
+    const schedule = wordmarkSchedule(7);
+    const tl = addWordmarkReveal(gsap.timeline({ paused: true }), schedule, targets(7));
+    const variants = wordmarkCharVariants(schedule);
+
+    const framerDelays = schedule.chars.map((_, i) => variants.visible(i).transition.delay);
+
+    expect(gsapStarts(tl)).toEqual(closeTo(framerDelays));
+  });
+
+  it('carries token overrides through to both adapters', () => {
+    const schedule = wordmarkSchedule(4, { staggerDelay: 0.3, initialDelay: 0 });
+    const tl = addWordmarkReveal(gsap.timeline({ paused: true }), schedule, targets(4));
+    const variants = wordmarkCharVariants(schedule);
+
+    expect(gsapStarts(tl)).toEqual(closeTo([0, 0.3, 0.6, 0.9]));
+    expect(variants.visible(3).transition.delay).toBeCloseTo(0.9);
+  });
+});
+
+describe('sequence schedule', () => {
+  it('types, holds and backspaces each phrase before the next', () => {
+    const { phrases } = sequenceSchedule(['ab', 'cde']);
+    const [first, second] = phrases;
+
+    expect(first.start).toBe(wordmark.initialDelay);
+    expect(first.deletes.map(({ index }) => index)).toEqual([1, 0]);
+    expect(first.deletes[0].at).toBeCloseTo(first.typedAt + wordmark.phraseHold);
+    expect(second.start).toBeCloseTo(
+      first.deletes[0].at + 2 * wordmark.deleteStagger + wordmark.phraseGap
+    );
+  });
+
+  it('keeps the last phrase and hides the cursor when not looping', () => {
+    const schedule = sequenceSchedule(['ab', 'cd'], { loop: false });
+    const last = schedule.phrases[1];
+
+    expect(last.deletes).toEqual([]);
+    expect(schedule.revealedAt).toBe(last.typedAt);
+    expect(schedule.cursor.hideAt).toBeCloseTo(last.typedAt + wordmark.cursorHideDelay);
+  });
+
+  it('loops every phrase and completes on the first', () => {
+    const schedule = sequenceSchedule(['ab', 'cd']);
+
+    expect(schedule.phrases[1].deletes).toHaveLength(2);
+    expect(schedule.revealedAt).toBe(schedule.phrases[0].typedAt);
+    expect(schedule.cursor.hideAt).toBeNull();
+    expect(schedule.duration).toBe(schedule.phrases[1].end);
+  });
+
+  it('applies per-phrase timing', () => {
+    const { phrases } = sequenceSchedule([{ text: 'abc', staggerDelay: 0.5 }, 'de']);
+
+    expect(phrases[0].chars[2].start - phrases[0].chars[1].start).toBeCloseTo(0.5);
+    expect(phrases[1].chars[1].start - phrases[1].chars[0].start).toBeCloseTo(wordmark.staggerDelay);
+  });
+});
+
+describe('overlay items schedule', () => {
+  it('produces the same enter schedule for GSAP and Framer Motion', () => {
+    const tl = itemsEnter(targets(3)).pause();
+    const variants = itemVariants();
+
+    expect(gsapStarts(tl)).toEqual(
+      closeTo([0, 1, 2].map((i) => variants.visible(i).transition.delay))
+    );
+    expect(gsapStarts(tl)).toEqual(closeTo(itemsSchedule(3).enter.map(({ start }) => start)));
+  });
+
+  it('produces the same exit schedule for GSAP and Framer Motion', () => {
+    const tl = itemsExit(targets(3)).pause();
+    const variants = itemVariants();
+
+    expect(gsapStarts(tl)).toEqual(
+      closeTo([0, 1, 2].map((i) => variants.exit(i).transition.delay))
+    );
+  });
+});
+
+describe('storySchedule', () => {
+  it('spreads rows over the section so the last is in at itemsEnd', () => {
+    const { items } = storySchedule(4);
+
+    expect(items[0].start).toBe(0);
+    expect(items[3].end).toBeCloseTo(story.itemsEnd);
+    expect(items.every((item, i) => i === 0 || item.start > items[i - 1].start)).toBe(true);
+  });
+
+  it('keeps the overlay stagger rhythm', () => {
+    const { items } = storySchedule(3);
+    expect(items[2].start).toBeCloseTo(items[1].start * 2);
+  });
+
+  it('pins nothing and shows every row without motion', () => {
+    const schedule = storySchedule(3, { motion: 'none' });
+
+    expect(schedule.pinned).toBe(false);
+    expect(schedule.items.every(({ start, end }) => start === 0 && end === 0)).toBe(true);
+  });
+
+  it('places GSAP rows on a timeline one section long', () => {
+    const tl = storyItemsEnter(gsap.timeline({ paused: true }), targets(3));
+
+    expect(gsapStarts(tl).slice(0, 3)).toEqual(closeTo(storySchedule(3).items.map(({ start }) => start)));
+    expect(tl.duration()).toBe(1);
+  });
+});
+
+describe('easeOutExpo', () => {
+  it('matches the cubic-bezier end points and settles early', () => {
+    expect(easeOutExpo(0)).toBe(0);
+    expect(easeOutExpo(1)).toBe(1);
+    expect(easeOutExpo(0.5)).toBeGreaterThan(0.9);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Motion toggle helpers
+ *
+ * Shared by the React MotionToggle component and the vanilla
+ * motion-toggle.js (both through ../preferenceToggle.js). Each press
+ * moves to the next setting: system → full → reduced → none → system.
+ * Labels are in the active language (content/locales/).
+ */
+
+import { createCycle } from '../preferenceToggle.js';
+import { DEFAULT_LOCALE, getLocale } from '../i18n/locales.js';
+import { MOTION_MODES } from './preference.js';
+
+export const { nextOverride, cycle: cycleMotion } = createCycle(MOTION_MODES);
+
+/**
+ * Visible label in a locale's words, e.g. "Motion: Auto (Reduced)" or
+ * "Motion: Off"
+ */
+export function toggleLabel(preference, copy = getLocale(DEFAULT_LOCALE)) {
+  const { motion: labels, auto } = copy;
+
+  return preference.override
+    ? `${labels.title}: ${labels[preference.override]}`
+    : `${labels.title}: ${auto} (${labels[preference.mode]})`;
+}
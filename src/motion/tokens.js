@@ -0,0 +1,102 @@
+/**
+ * Motion Tokens
+ *
+ * Single source for every timing and easing value used by the wordmark
+ * and the content reveal. The GSAP classes (vanilla-animation.js,
+ * content-reveal.js) and the Framer Motion components both read from
+ * here, so pacing is changed once for every entry point.
+ *
+ * All durations and delays are in seconds.
+ */
+
+/**
+ * ease-out-expo: slow start, fast middle, gentle settle.
+ * Approximates spring physics without overshoot.
+ */
+export const EASE_OUT_EXPO = [0.16, 1, 0.3, 1];
+
+/**
+ * Spring used by the Framer components for premium, physics-based motion.
+ * Lower stiffness (70) creates gentle acceleration,
+ * lower damping (15) allows subtle overshoot for an "alive" feel.
+ */
+export const SPRING = {
+  stiffness: 70,
+  damping: 15,
+};
+
+export const wordmark = {
+  initialDelay: 0.3,         // before the first character
+  staggerDelay: 0.15,        // between characters - matches lovefrom.com pacing
+  charDuration: 0.5,         // per character
+  charOffsetY: 8,            // px of upward drift per character
+  containerDuration: 0.3,    // initial container fade
+  cursorFadeIn: 0.2,
+  cursorBlinkDuration: 0.53, // natural blink rate
+  cursorHideDelay: 1,        // cursor lingers after the last character
+  cursorFadeOut: 0.3,
+
+  // Sequence mode (several phrases typed in turn)
+  phraseHold: 1.6,           // typed phrase stays up before deleting
+  deleteStagger: 0.06,       // backspace speed - faster than typing
+  phraseGap: 0.3,            // empty pause before the next phrase
+};
+
+export const reveal = {
+  hintDelay: 2.5,            // tap hint after the wordmark settles
+  hintOpacity: 0.4,
+  hintDuration: 0.3,
+
+  mainDuration: 0.4,         // wordmark fade/scale out and back in
+  mainScale: 0.95,
+
+  overlayDuration: 0.6,
+  overlayExitDuration: 0.4,
+
+  itemDelay: 0.2,            // first list item after the content phase starts
+  itemStagger: 0.06,
+  itemDuration: 0.4,
+  itemOffsetY: 15,
+  itemExitStagger: 0.02,     // faster reverse
+  itemExitDuration: 0.3,
+  itemExitOffsetY: -10,
+
+  // Phase offsets within the reveal and hide sequences
+  revealPhases: {
+    main: 0,
+    overlay: 0.2,
+    content: 0.4,
+  },
+  hidePhases: {
+    content: 0,
+    overlay: 0.4,
+    main: 0.4,
+    hint: 0.6,
+  },
+};
+
+/**
+ * Scroll storytelling (scroll-story.js, ScrollStory.jsx). Lengths are
+ * viewport heights of scrolling; rows keep the reveal's stagger and
+ * offsets, stretched over each pinned section.
+ */
+export const story = {
+  introLength: 1,            // wordmark pinned while it scrubs out
+  sectionLength: 1,          // each discipline pinned while its rows enter
+  itemsEnd: 0.7,             // share of a section's scroll by which every row is in
+  snapDuration: 0.5,         // settle onto the nearest pin start or end
+};
+
+/**
+ * Touch gestures on the reveal overlay (content-reveal.js,
+ * ContentReveal.jsx). Distances in px, velocities in px per second.
+ */
+export const gesture = {
+  swipeDistance: 240,        // travel that takes the overlay fully open or closed
+  tapSlop: 10,               // movement that still counts as a tap
+  commitProgress: 0.5,       // released past halfway, the gesture completes
+  flickVelocity: 500,        // a faster release completes whatever the distance
+  pinchScale: 0.6,           // fingers pinched to this share of their spread close it
+  releaseDuration: 0.5,      // settle without a useful release velocity - the longest
+  releaseMinDuration: 0.15,  // fastest flick settle
+};
@@ -0,0 +1,150 @@
+/**
+ * Pointer Tracker - one-finger swipes and two-finger pinches
+ *
+ * Framework-agnostic pointer-events helper behind the reveal overlay's
+ * touch gestures (see motion/gesture.js). Reports a gesture as:
+ * - dy: vertical travel of the first pointer in px (negative is up)
+ * - scale: spread of two pointers relative to where the pinch began
+ * - pointers: the most pointers down at once - 2 means a pinch
+ * - target: where the first pointer went down
+ * - velocity: vertical px/s over the last moments, on release only
+ *
+ * A gesture starts once a pointer moves past the slop, so taps stay
+ * clicks. onStart can return false to leave the gesture alone until
+ * every pointer lifts. The click that follows a gesture is swallowed.
+ */
+
+// Movement older than this doesn't count towards the release velocity
+const VELOCITY_WINDOW = 100; // ms
+
+/**
+ * @param {HTMLElement} element
+ * @param {object} [options]
+ * @param {Function} [options.onStart] - (gesture) => false to decline
+ * @param {Function} [options.onMove] - (gesture)
+ * @param {Function} [options.onEnd] - (gesture) with velocity, also on pointercancel
+ * @param {number} [options.slop] - px a pointer may move and still tap
+ */
+export function createPointerTracker(element, { onStart, onMove, onEnd, slop = 10 } = {}) {
+  const pointers = new Map();
+  let gesture = null;
+  let samples = [];
+  let suppressClick = false;
+
+  const spread = () => {
+    const [a, b] = pointers.values();
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+
+  const velocity = () => {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const elapsed = last.time - first.time;
+    return elapsed > 0 ? ((last.y - first.y) / elapsed) * 1000 : 0;
+  };
+
+  const handleDown = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (pointers.size >= 2) return;
+
+    suppressClick = false;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    element.setPointerCapture?.(e.pointerId);
+
+    if (pointers.size === 1) {
+      gesture = {
+        id: e.pointerId,
+        originY: e.clientY,
+        spread: 0,
+        started: false,
+        declined: false,
+        state: { dy: 0, scale: 1, pointers: 1, target: e.target },
+      };
+      samples = [{ y: e.clientY, time: e.timeStamp }];
+    } else if (gesture) {
+      gesture.spread = spread();
+      gesture.state = { ...gesture.state, pointers: 2 };
+    }
+  };
+
+  const handleMove = (e) => {
+    const pointer = pointers.get(e.pointerId);
+    if (!pointer || !gesture) return;
+
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    if (e.pointerId === gesture.id) {
+      samples.push({ y: e.clientY, time: e.timeStamp });
+      samples = samples.filter(({ time }) => e.timeStamp - time <= VELOCITY_WINDOW);
+    }
+
+    const pinching = pointers.size === 2 && gesture.spread > 0;
+    const { state } = gesture;
+    const dy = e.pointerId === gesture.id ? e.clientY - gesture.originY : state.dy;
+    const scale = pinching ? spread() / gesture.spread : state.scale;
+    gesture.state = { ...state, dy, scale };
+
+    if (!gesture.started) {
+      const travel = pinching ? Math.abs(spread() - gesture.spread) : Math.abs(dy);
+      if (travel <= slop) return;
+
+      gesture.started = true;
+      gesture.declined = onStart?.(gesture.state) === false;
+    }
+
+    if (!gesture.declined) onMove?.(gesture.state);
+  };
+
+  const handleUp = (e) => {
+    if (!pointers.delete(e.pointerId) || !gesture) return;
+
+    if (e.pointerId === gesture.id && e.type === 'pointerup') {
+      samples.push({ y: e.clientY, time: e.timeStamp });
+      samples = samples.filter(({ time }) => e.timeStamp - time <= VELOCITY_WINDOW);
+    }
+
+    if (pointers.size) return;
+
+    const { started, declined, state } = gesture;
+    gesture = null;
+
+    if (started) {
+      suppressClick = true;
+      if (!declined) onEnd?.({ ...state, velocity: state.pointers > 1 ? 0 : velocity() });
+    }
+  };
+
+  // A drag ends on pointerup, which the browser follows with a click
+  const handleClick = (e) => {
+    if (!suppressClick) return;
+    suppressClick = false;
+    e.stopImmediatePropagation();
+    e.preventDefault();
+  };
+
+  element.addEventListener('pointerdown', handleDown);
+  element.addEventListener('pointermove', handleMove);
+  element.addEventListener('pointerup', handleUp);
+  element.addEventListener('pointercancel', handleUp);
+  element.addEventListener('click', handleClick, true);
+
+  return {
+    /**
+     * Whether a gesture is past the slop and still in progress
+     */
+    get active() {
+      return Boolean(gesture?.started && !gesture.declined);
+    },
+
+    destroy() {
+      pointers.clear();
+      gesture = null;
+      element.removeEventListener('pointerdown', handleDown);
+      element.removeEventListener('pointermove', handleMove);
+      element.removeEventListener('pointerup', handleUp);
+      element.removeEventListener('pointercancel', handleUp);
+      element.removeEventListener('click', handleClick, true);
+    },
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Portfolio content
+ *
+ * Single source of truth for the copy shown by both the React
+ * ContentReveal component and the vanilla ContentReveal class.
+ * Edit content/portfolio.json - the build validates it against
+ * content/portfolio.schema.json.
+ *
+ * Shape:
+ *   site          → { name, url, description, image?, twitter?, sameAs[]? }
+ *                   page metadata for the pre-render (prerender/meta.js)
+ *   contact       → { adapter, email?, endpoint? } where the contact form
+ *                   sends messages (contact/adapters.js)
+ *   disciplines[] → { slug, title, projects[] }
+ *   projects[]    → { slug, title, year?, summary?, images[]?, links[]? }
+ */
+
+import portfolio from '../content/portfolio.json';
+
+export const site = portfolio.site;
+
+export const contact = portfolio.contact;
+
+export const disciplines = portfolio.disciplines;
+
+export default portfolio;
@@ -0,0 +1,118 @@
+/**
+ * Feeds
+ *
+ * Every published post, full text, for feed readers:
+ *
+ *   feed.xml  → RSS 2.0
+ *   atom.xml  → Atom
+ *
+ * Written into dist/ by the markdown-posts plugin (vite.config.js), and linked
+ * from the writing pages' <head> so browsers and readers find them.
+ */
+
+import { site } from '../portfolio.js';
+import { siteUrl } from '../prerender/meta.js';
+import { escapeHtml } from '../prerender/markup.js';
+import { DEFAULT_LOCALE, getLocale } from '../i18n/locales.js';
+import { WRITING_PATH } from './load.js';
+
+export const FEEDS = { rss: 'feed.xml', atom: 'atom.xml' };
+
+const title = `${getLocale(DEFAULT_LOCALE).writing.title} - ${site.name}`;
+
+const timestamp = (date) => `${date}T00:00:00Z`;
+
+/**
+ * A post's HTML with site-relative links and images made absolute -
+ * readers show it away from the site
+ */
+export function absoluteUrls(html) {
+  return html.replace(/\b(href|src)="\/(?!\/)/g, (match, attribute) => `${attribute}="${site.url}/`);
+}
+
+export function rssFeed(posts) {
+  const items = posts.map((post) => [
+    '    <item>',
+    `      <title>${escapeHtml(post.title)}</title>`,
+    `      <link>${escapeHtml(siteUrl(post.path))}</link>`,
+    `      <guid isPermaLink="true">${escapeHtml(siteUrl(post.path))}</guid>`,
+    `      <pubDate>${new Date(timestamp(post.date)).toUTCString()}</pubDate>`,
+    ...post.tags.map((tag) => `      <category>${escapeHtml(tag)}</category>`),
+    `      <description>${escapeHtml(absoluteUrls(post.html))}</description>`,
+    '    </item>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeHtml(title)}</title>`,
+    `    <link>${escapeHtml(siteUrl(WRITING_PATH))}</link>`,
+    `    <description>${escapeHtml(site.description)}</description>`,
+    `    <language>${DEFAULT_LOCALE}</language>`,
+    `    <atom:link href="${escapeHtml(siteUrl(`/${FEEDS.rss}`))}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * @param {object[]} posts - newest first
+ * @param {object} [options]
+ * @param {function} [options.now] - when an empty feed was updated
+ */
+export function atomFeed(posts, { now = () => new Date() } = {}) {
+  const updated = posts.length
+    ? timestamp(posts.map((post) => post.updated).sort().pop())
+    : now().toISOString();
+
+  const entries = posts.map((post) => [
+    '  <entry>',
+    `    <title>${escapeHtml(post.title)}</title>`,
+    `    <link href="${escapeHtml(siteUrl(post.path))}"/>`,
+    `    <id>${escapeHtml(siteUrl(post.path))}</id>`,
+    `    <published>${timestamp(post.date)}</published>`,
+    `    <updated>${timestamp(post.updated)}</updated>`,
+    ...post.tags.map((tag) => `    <category term="${escapeHtml(tag)}"/>`),
+    post.summary && `    <summary>${escapeHtml(post.summary)}</summary>`,
+    `    <content type="html">${escapeHtml(absoluteUrls(post.html))}</content>`,
+    '  </entry>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${DEFAULT_LOCALE}">`,
+    `  <title>${escapeHtml(title)}</title>`,
+    `  <subtitle>${escapeHtml(site.description)}</subtitle>`,
+    `  <link href="${escapeHtml(siteUrl(`/${FEEDS.atom}`))}" rel="self"/>`,
+    `  <link href="${escapeHtml(siteUrl(WRITING_PATH))}"/>`,
+    `  <id>${escapeHtml(siteUrl(WRITING_PATH))}</id>`,
+    `  <updated>${updated}</updated>`,
+    `  <author><name>${escapeHtml(site.name)}</name></author>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Every feed by its path in the build
+ */
+export function feedFiles(posts) {
+  return {
+    [FEEDS.rss]: rssFeed(posts),
+    [FEEDS.atom]: atomFeed(posts),
+  };
+}
+
+/**
+ * <link rel="alternate"> tags pointing at the feeds
+ */
+export function feedLinks() {
+  return [
+    `<link rel="alternate" type="application/rss+xml" title="${escapeHtml(title)}" href="/${FEEDS.rss}">`,
+    `<link rel="alternate" type="application/atom+xml" title="${escapeHtml(title)}" href="/${FEEDS.atom}">`,
+  ].join('\n    ');
+}
@@ -0,0 +1,21 @@
+/**
+ * Post dates and reading times in a locale's words
+ *
+ * Shared by the pre-rendered pages (markup.js), which use the default
+ * locale, and writing.js, which retells them in the visitor's.
+ */
+
+/**
+ * A YYYY-MM-DD date, e.g. "March 2, 2026" in en
+ */
+export function formatDate(date, code) {
+  return new Intl.DateTimeFormat(code, { dateStyle: 'long', timeZone: 'UTC' })
+    .format(new Date(`${date}T00:00:00Z`));
+}
+
+/**
+ * The locale's reading time copy, e.g. "4 min read"
+ */
+export function readingTime(copy, minutes, code) {
+  return copy.readingTime.replace('{minutes}', new Intl.NumberFormat(code).format(minutes));
+}
@@ -0,0 +1,46 @@
+/**
+ * Frontmatter
+ *
+ * The YAML block at the top of a post, read with the yaml package:
+ *
+ *   ---
+ *   title: "Typing a wordmark"
+ *   date: 2026-03-02
+ *   tags: [motion, gsap]
+ *   draft: true
+ *   ---
+ *
+ * YAML 1.2's core schema, so dates stay strings. What the values must be
+ * is load.js's to check.
+ */
+
+import { parse } from 'yaml';
+
+const FENCE = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// The reason without the position and excerpt yaml adds to its messages
+const reasonOf = (error) => error.message.replace(/ at line \d+, column \d+:[\s\S]*$/, '');
+
+/**
+ * Split a post into its attributes and markdown body. A post without
+ * frontmatter has none. Throws when the block isn't YAML "key: value"
+ * pairs, naming the line.
+ */
+export function parseFrontmatter(source) {
+  const match = source.match(FENCE);
+  if (!match) return { attributes: {}, body: source };
+
+  let attributes;
+  try {
+    attributes = parse(match[1]) ?? {};
+  } catch (error) {
+    const line = error.linePos?.[0].line;
+    throw new Error(line ? `frontmatter line ${line}: ${reasonOf(error)}` : `frontmatter: ${reasonOf(error)}`);
+  }
+
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new Error('frontmatter isn\'t "key: value" pairs');
+  }
+
+  return { attributes, body: source.slice(match[0].length) };
+}
@@ -0,0 +1,60 @@
+/**
+ * Code highlighting
+ *
+ * Colours fenced code blocks at build time with highlight.js, so article
+ * pages ship no highlighter. Its scopes come out as
+ * <span class="tok-<scope>">, coloured per theme by writing.html.
+ *
+ * Languages: js (jsx, mjs, cjs), ts (tsx), json, css, html (xml, svg),
+ * bash (sh, zsh), yaml and diff. Anything else is escaped and left plain.
+ */
+
+import hljs from 'highlight.js/lib/core';
+import javascript from 'highlight.js/lib/languages/javascript';
+import typescript from 'highlight.js/lib/languages/typescript';
+import json from 'highlight.js/lib/languages/json';
+import css from 'highlight.js/lib/languages/css';
+import xml from 'highlight.js/lib/languages/xml';
+import bash from 'highlight.js/lib/languages/bash';
+import yaml from 'highlight.js/lib/languages/yaml';
+import diff from 'highlight.js/lib/languages/diff';
+import { escapeHtml } from '../prerender/markup.js';
+
+// By the name code blocks are labelled with, class="language-<name>";
+// each language brings its own aliases
+const LANGUAGES = {
+  js: javascript,
+  ts: typescript,
+  json,
+  css,
+  html: xml,
+  bash,
+  yaml,
+  diff,
+};
+
+// Its own instance, so the settings stay out of anyone else's hljs
+const highlighter = hljs.newInstance();
+highlighter.configure({ classPrefix: 'tok-' });
+Object.entries(LANGUAGES).forEach(([name, language]) => highlighter.registerLanguage(name, language));
+
+/**
+ * The highlighter for a fence's language, or null when there is none -
+ * including for a fence without one
+ */
+export function languageOf(name) {
+  const language = highlighter.getLanguage(name ?? '');
+  if (!language) return null;
+
+  return Object.keys(LANGUAGES).find((key) => highlighter.getLanguage(key) === language);
+}
+
+/**
+ * Highlighted, escaped HTML for a code block
+ */
+export function highlight(code, language) {
+  const name = languageOf(language);
+  if (!name) return escapeHtml(code);
+
+  return highlighter.highlight(code, { language: name, ignoreIllegals: true }).value;
+}
@@ -0,0 +1,99 @@
+/**
+ * Post files
+ *
+ * Reads content/posts/*.md and checks their frontmatter. A post's slug
+ * is its file name, so content/posts/typing-a-wordmark.md is published
+ * at /writing/typing-a-wordmark:
+ *
+ *   title    → required
+ *   date     → required, YYYY-MM-DD
+ *   updated  → YYYY-MM-DD, when it was last revised
+ *   summary  → for the index, feeds and link previews - defaults to the
+ *              first paragraph
+ *   tags     → list of tags
+ *   lang     → language the post is written in (default: en)
+ *   draft    → true keeps it out of the build; the dev server shows it
+ *
+ * Plain Node, so the content validator and the pre-render can read
+ * posts too. Rendering them is posts.js.
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { parseFrontmatter } from './frontmatter.js';
+
+export const POSTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../content/posts');
+
+export const WRITING_PATH = '/writing';
+
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const KEYS = ['title', 'date', 'updated', 'summary', 'tags', 'lang', 'draft'];
+
+/**
+ * Path of a post's page, e.g. /writing/typing-a-wordmark
+ */
+export function postPath(slug) {
+  return `${WRITING_PATH}/${slug}`;
+}
+
+const isDate = (value) => DATE.test(value) && !Number.isNaN(Date.parse(value));
+
+// What's wrong with one post, if anything
+const problems = ({ slug, attributes }) => {
+  const errors = [];
+  const { title, date, updated, summary, tags, lang, draft } = attributes;
+
+  if (!SLUG.test(slug)) errors.push('file name must be lowercase words joined by hyphens');
+  if (typeof title !== 'string' || !title) errors.push('needs a title');
+  if (!isDate(date)) errors.push('needs a date as YYYY-MM-DD');
+  if (updated !== undefined && !isDate(updated)) errors.push('updated must be a date as YYYY-MM-DD');
+  if (summary !== undefined && typeof summary !== 'string') errors.push('summary must be text');
+  if (tags !== undefined && !(Array.isArray(tags) && tags.every((tag) => typeof tag === 'string' && tag))) {
+    errors.push('tags must be a list of words');
+  }
+  if (lang !== undefined && typeof lang !== 'string') errors.push('lang must be a language code');
+  if (draft !== undefined && typeof draft !== 'boolean') errors.push('draft must be true or false');
+
+  Object.keys(attributes).forEach((key) => {
+    if (!KEYS.includes(key)) errors.push(`unknown frontmatter key "${key}"`);
+  });
+
+  return errors;
+};
+
+// Every .md file, parsed as far as it goes
+const readFiles = (dir) => {
+  if (!existsSync(dir)) return [];
+
+  return readdirSync(dir).filter((file) => file.endsWith('.md')).sort().map((file) => {
+    const slug = file.slice(0, -'.md'.length);
+
+    try {
+      const { attributes, body } = parseFrontmatter(readFileSync(path.join(dir, file), 'utf8'));
+      return { file, slug, attributes, body, errors: problems({ slug, attributes }) };
+    } catch (error) {
+      return { file, slug, attributes: {}, body: '', errors: [error.message] };
+    }
+  });
+};
+
+/**
+ * Problems with the posts in a folder, each starting with the file name
+ */
+export function validatePosts(dir = POSTS_DIR) {
+  return readFiles(dir).flatMap(({ file, errors }) => errors.map((error) => `posts/${file}: ${error}`));
+}
+
+/**
+ * Valid posts as written - { slug, attributes, body } - newest first.
+ * Drafts are left out unless asked for.
+ */
+export function readPosts(dir = POSTS_DIR, { drafts = false } = {}) {
+  return readFiles(dir)
+    .filter(({ errors, attributes }) => !errors.length && (drafts || attributes.draft !== true))
+    .sort((a, b) => b.attributes.date.localeCompare(a.attributes.date) || a.slug.localeCompare(b.slug))
+    .map(({ slug, attributes, body }) => ({ slug, attributes, body }));
+}
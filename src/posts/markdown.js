@@ -0,0 +1,115 @@
+/**
+ * Markdown
+ *
+ * Renders posts with markdown-it at build time - CommonMark plus
+ * ~~deleted~~ text - with this site's touches:
+ *
+ *   - headings get ids to link to, unique within the post
+ *   - fenced code is highlighted by language (highlight.js)
+ *   - images load lazily
+ *
+ * HTML in a post is escaped, not passed through, and links or images
+ * to anything but http(s), mailto and relative URLs are dropped - a
+ * link keeps its text, an image its alt text.
+ */
+
+import MarkdownIt from 'markdown-it';
+import { highlight, languageOf } from './highlight.js';
+
+const SAFE_URL = /^(?:https?:|mailto:|[^:]*$)/i;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"' };
+
+/**
+ * Text of an HTML fragment, tags dropped and entities decoded
+ */
+export function plainText(html) {
+  return html
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(?:(amp|lt|gt|quot)|#(\d+)|#x([\da-f]+));/gi, (entity, name, decimal, hex) => (
+      name ? ENTITIES[name] : String.fromCodePoint(decimal ? Number(decimal) : parseInt(hex, 16))
+    ))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * URL-safe id for a heading, e.g. "Why GSAP?" → "why-gsap"
+ */
+export function slugify(text) {
+  return plainText(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const md = new MarkdownIt({ html: false, linkify: false, typographer: false });
+
+// markdown-it stops parsing a link at a URL it refuses, leaving its
+// label, URL and brackets as text; let every link parse and drop the
+// unsafe ones whole below
+md.validateLink = () => true;
+
+md.core.ruler.push('safe_urls', (state) => {
+  state.tokens.filter((token) => token.type === 'inline').forEach((inline) => {
+    let dropping = false;
+
+    inline.children = inline.children.flatMap((token) => {
+      if (token.type === 'link_open' && !SAFE_URL.test(token.attrGet('href'))) {
+        dropping = true;
+        return [];
+      }
+      if (token.type === 'link_close' && dropping) {
+        dropping = false;
+        return [];
+      }
+      if (token.type === 'image' && !SAFE_URL.test(token.attrGet('src'))) {
+        return token.children;
+      }
+      return [token];
+    });
+  });
+});
+
+md.core.ruler.push('heading_ids', (state) => {
+  const ids = new Set();
+
+  state.tokens.forEach((token, index) => {
+    if (token.type !== 'heading_open') return;
+
+    const content = md.renderer.renderInline(state.tokens[index + 1].children, md.options, state.env);
+    let id = slugify(content) || 'section';
+    const base = id;
+    for (let count = 1; ids.has(id); count += 1) id = `${base}-${count}`;
+    ids.add(id);
+
+    token.attrSet('id', id);
+  });
+});
+
+// Struck-out text is deleted text, as the feeds and readers have it
+md.renderer.rules.s_open = () => '<del>';
+md.renderer.rules.s_close = () => '</del>';
+
+const { image } = md.renderer.rules;
+md.renderer.rules.image = (tokens, index, options, env, self) => {
+  tokens[index].attrSet('loading', 'lazy');
+  return image(tokens, index, options, env, self);
+};
+
+const code = (content, language) => {
+  const name = languageOf(language);
+  const attributes = name ? ` class="language-${name}"` : '';
+
+  return `<pre class="code"><code${attributes}>${highlight(content.replace(/\n$/, ''), language)}</code></pre>\n`;
+};
+
+md.renderer.rules.fence = (tokens, index) => code(tokens[index].content, tokens[index].info.trim().split(/\s+/)[0]);
+md.renderer.rules.code_block = (tokens, index) => code(tokens[index].content, null);
+
+/**
+ * HTML for a markdown document
+ */
+export function renderMarkdown(source) {
+  return md.render(source).trimEnd();
+}
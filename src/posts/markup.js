@@ -0,0 +1,78 @@
+/**
+ * Writing page markup
+ *
+ * What fills <main class="writing"> of writing.html: the index of posts
+ * at /writing, or one article. Copy is in the default locale and marked
+ * for writing.js to retell - data-writing-text with a key of the
+ * locale's `writing` block, <time datetime> and data-minutes. Rows
+ * enter on the overlay's stagger; a [data-stagger] element's children
+ * enter one by one rather than together.
+ */
+
+import { escapeHtml } from '../prerender/markup.js';
+import { DEFAULT_LOCALE, getLocale } from '../i18n/locales.js';
+import { WRITING_PATH } from './load.js';
+import { FEEDS } from './feed.js';
+import { formatDate, readingTime } from './format.js';
+
+const locale = getLocale(DEFAULT_LOCALE);
+const copy = locale.writing;
+
+// An element whose text writing.js retells
+const retold = (tag, attributes, key) => (
+  `<${tag} ${attributes} data-writing-text="${key}">${escapeHtml(copy[key])}</${tag}>`
+);
+
+// The post's own words, in its own language
+const written = (post) => `lang="${escapeHtml(post.lang)}" dir="auto"`;
+
+/**
+ * Date, reading time and tags of a post
+ */
+export function postMetaMarkup(post) {
+  const meta = `<p class="post-meta"><time datetime="${post.date}">${escapeHtml(formatDate(post.date, locale.code))}</time>`
+    + ` · <span data-minutes="${post.minutes}">${escapeHtml(readingTime(copy, post.minutes, locale.code))}</span></p>`;
+  if (!post.tags.length) return meta;
+
+  const tags = post.tags.map((tag) => `<li>${escapeHtml(tag)}</li>`).join('');
+  return `${meta}<ul class="post-tags" aria-label="${escapeHtml(copy.tags)}" data-writing-label="tags">${tags}</ul>`;
+}
+
+const postItemMarkup = (post) => [
+  '<li class="post-item">',
+  `<h2 class="post-title" ${written(post)}><a href="${post.path}">${escapeHtml(post.title)}</a></h2>`,
+  postMetaMarkup(post),
+  post.summary ? `<p class="post-summary" ${written(post)}>${escapeHtml(post.summary)}</p>` : '',
+  '</li>',
+].join('');
+
+/**
+ * The index: every post, newest first
+ */
+export function writingIndexMarkup(posts) {
+  const list = posts.length
+    ? `<ul class="post-list" data-stagger>${posts.map(postItemMarkup).join('')}</ul>`
+    : retold('p', 'class="writing-empty"', 'empty');
+
+  return [
+    retold('h1', 'class="writing-title"', 'title'),
+    list,
+    `<p class="writing-feed">${retold('a', `href="/${FEEDS.rss}" type="application/rss+xml"`, 'feed')}</p>`,
+  ].join('');
+}
+
+/**
+ * One article, with a link back to the index
+ */
+export function articleMarkup(post) {
+  return [
+    retold('a', `class="writing-back" href="${WRITING_PATH}"`, 'back'),
+    '<article class="post" data-stagger>',
+    '<header class="post-header" data-stagger>',
+    `<h1 class="post-title" ${written(post)}>${escapeHtml(post.title)}</h1>`,
+    postMetaMarkup(post),
+    '</header>',
+    `<div class="post-body" ${written(post)}>${post.html}</div>`,
+    '</article>',
+  ].join('');
+}
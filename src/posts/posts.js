@@ -0,0 +1,58 @@
+/**
+ * Posts
+ *
+ * Turns the post files read by load.js into what the writing pages and
+ * feeds show:
+ *
+ *   { slug, path, title, date, updated, summary, tags[], lang, draft,
+ *     html, words, minutes }
+ *
+ * `minutes` is the reading time, at WORDS_PER_MINUTE, never under one.
+ */
+
+import { readPosts, postPath, POSTS_DIR } from './load.js';
+import { renderMarkdown, plainText } from './markdown.js';
+import { DEFAULT_LOCALE } from '../i18n/locales.js';
+
+export const WORDS_PER_MINUTE = 200;
+
+export function readingMinutes(words) {
+  return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+}
+
+// The first paragraph, for posts without a summary
+const firstParagraph = (html) => {
+  const paragraph = html.match(/<p>([\s\S]*?)<\/p>/);
+  return paragraph ? plainText(paragraph[1]) : '';
+};
+
+/**
+ * A post from its file (see readPosts)
+ */
+export function renderPost({ slug, attributes, body }) {
+  const html = renderMarkdown(body);
+  const text = plainText(html);
+  const words = text ? text.split(' ').length : 0;
+
+  return {
+    slug,
+    path: postPath(slug),
+    title: attributes.title,
+    date: attributes.date,
+    updated: attributes.updated || attributes.date,
+    summary: attributes.summary || firstParagraph(html),
+    tags: attributes.tags || [],
+    lang: attributes.lang || DEFAULT_LOCALE,
+    draft: attributes.draft === true,
+    html,
+    words,
+    minutes: readingMinutes(words),
+  };
+}
+
+/**
+ * Every valid post in a folder, rendered, newest first
+ */
+export function loadPosts(dir = POSTS_DIR, options) {
+  return readPosts(dir, options).map(renderPost);
+}
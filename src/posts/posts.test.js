@@ -0,0 +1,246 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { site } from '../portfolio.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { renderMarkdown, slugify, plainText } from './markdown.js';
+import { highlight, languageOf } from './highlight.js';
+import { validatePosts, readPosts } from './load.js';
+import { loadPosts, renderPost, readingMinutes, WORDS_PER_MINUTE } from './posts.js';
+import { formatDate, readingTime } from './format.js';
+import { rssFeed, atomFeed, absoluteUrls } from './feed.js';
+import { getLocale } from '../i18n/locales.js';
+
+const post = (attributes, body = 'Some words.') => renderPost({ slug: 'a-post', attributes, body });
+
+describe('frontmatter', () => {
+  it('reads strings, booleans, dates and both kinds of list', () => {
+    const { attributes, body } = parseFrontmatter([
+      '---',
+      'title: "Colons: allowed when quoted"',
+      'date: 2026-03-02',
+      'draft: false',
+      'tags: [motion, "gsap"]',
+      'aliases:',
+      '  - one',
+      '  - two',
+      '---',
+      '# Hello',
+    ].join('\n'));
+
+    expect(attributes).toEqual({
+      title: 'Colons: allowed when quoted',
+      date: '2026-03-02',
+      draft: false,
+      tags: ['motion', 'gsap'],
+      aliases: ['one', 'two'],
+    });
+    expect(body).toBe('# Hello');
+  });
+
+  it('leaves a post without frontmatter alone and rejects lines it cannot read', () => {
+    expect(parseFrontmatter('Just text')).toEqual({ attributes: {}, body: 'Just text' });
+    expect(() => parseFrontmatter('---\ntitle: A\nnot a pair\n---\n')).toThrow('frontmatter line 2: Implicit map keys need to be followed by map values');
+  });
+});
+
+describe('markdown', () => {
+  it('renders headings with unique ids, paragraphs and inline styles', () => {
+    const html = renderMarkdown([
+      '## Why *motion*?',
+      '',
+      'Text with **strong**, _emphasis_, ~~struck~~ and `<code>`.',
+      'Same paragraph.',
+      '',
+      '## Why motion?',
+    ].join('\n'));
+
+    expect(html).toBe([
+      '<h2 id="why-motion">Why <em>motion</em>?</h2>',
+      '<p>Text with <strong>strong</strong>, <em>emphasis</em>, <del>struck</del> and <code>&lt;code&gt;</code>.\nSame paragraph.</p>',
+      '<h2 id="why-motion-1">Why motion?</h2>',
+    ].join('\n'));
+    expect(slugify('தமிழ் எழுத்து')).toBe('தமிழ்-எழுத்து');
+  });
+
+  it('nests lists and keeps numbering', () => {
+    const html = renderMarkdown([
+      '3. three',
+      '4. four',
+      '   - nested',
+      '',
+      '- loose',
+      '',
+      '- items',
+    ].join('\n'));
+
+    expect(html).toBe([
+      '<ol start="3">',
+      '<li>three</li>',
+      '<li>four',
+      '<ul>',
+      '<li>nested</li>',
+      '</ul>',
+      '</li>',
+      '</ol>',
+      '<ul>',
+      '<li>',
+      '<p>loose</p>',
+      '</li>',
+      '<li>',
+      '<p>items</p>',
+      '</li>',
+      '</ul>',
+    ].join('\n'));
+  });
+
+  it('escapes HTML and only links to safe URLs', () => {
+    const html = renderMarkdown([
+      '<script>alert(1)</script>',
+      '',
+      '[site](/about) [mail](mailto:a@example.com) [bad](javascript:alert) ![A tower](/tower.jpg)',
+      '',
+      '> quoted',
+    ].join('\n'));
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).toContain('<a href="/about">site</a>');
+    expect(html).toContain('<a href="mailto:a@example.com">mail</a>');
+    expect(html).toContain('</a> bad <img');
+    expect(html).toContain('<img src="/tower.jpg" alt="A tower" loading="lazy">');
+    expect(html).toContain('<blockquote>\n<p>quoted</p>\n</blockquote>');
+    expect(plainText('<p>Fish &amp; <em>chips</em> &#x27;n&#39; peas</p>')).toBe('Fish & chips \'n\' peas');
+  });
+
+  it('keeps balanced parentheses in URLs and drops unsafe links whole', () => {
+    expect(renderMarkdown('See [Foo](https://en.wikipedia.org/wiki/Foo_(bar)).'))
+      .toBe('<p>See <a href="https://en.wikipedia.org/wiki/Foo_(bar)">Foo</a>.</p>');
+    expect(renderMarkdown('A [*bad* link](javascript:alert(1)) and ![a cat](data:text/html,x) here.'))
+      .toBe('<p>A <em>bad</em> link and a cat here.</p>');
+  });
+
+  it('highlights fenced code by language', () => {
+    const html = renderMarkdown('```js\nconst a = Array.from("x"); // list\n```');
+
+    expect(html).toBe([
+      '<pre class="code"><code class="language-js">',
+      '<span class="tok-keyword">const</span> a = <span class="tok-title class_">Array</span>.<span class="tok-title function_">from</span>',
+      '(<span class="tok-string">&quot;x&quot;</span>); <span class="tok-comment">// list</span>',
+      '</code></pre>',
+    ].join(''));
+  });
+});
+
+describe('highlight', () => {
+  it('colours each language and leaves unknown ones plain', () => {
+    expect(highlight('{"on": true}', 'json'))
+      .toBe([
+        '<span class="tok-punctuation">{</span><span class="tok-attr">&quot;on&quot;</span><span class="tok-punctuation">:</span> ',
+        '<span class="tok-literal"><span class="tok-keyword">true</span></span><span class="tok-punctuation">}</span>',
+      ].join(''));
+    expect(highlight('<a href="/">', 'html'))
+      .toBe('<span class="tok-tag">&lt;<span class="tok-name">a</span> <span class="tok-attr">href</span>=<span class="tok-string">&quot;/&quot;</span>&gt;</span>');
+    expect(highlight('echo $HOME # home', 'sh'))
+      .toBe('<span class="tok-built_in">echo</span> <span class="tok-variable">$HOME</span> <span class="tok-comment"># home</span>');
+    expect(languageOf('tsx')).toBe('ts');
+    expect(languageOf('SVG')).toBe('html');
+    expect(highlight('if <b>', 'cobol')).toBe('if &lt;b&gt;');
+    expect(highlight('if <b>', null)).toBe('if &lt;b&gt;');
+  });
+
+  it('leaves unlabelled and unknown fences as escaped plain text', () => {
+    expect(renderMarkdown('```\nif (a < b) {}\n```'))
+      .toBe('<pre class="code"><code>if (a &lt; b) {}</code></pre>');
+    expect(renderMarkdown('```text\nplain & simple\n```\n\n~~~foo\nconst x = 1;\n~~~'))
+      .toBe('<pre class="code"><code>plain &amp; simple</code></pre>\n<pre class="code"><code>const x = 1;</code></pre>');
+  });
+});
+
+describe('posts', () => {
+  let dir;
+
+  const write = (file, source) => writeFileSync(path.join(dir, file), source);
+
+  beforeAll(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'posts-'));
+    write('older.md', '---\ntitle: Older\ndate: 2026-01-05\n---\nFirst.');
+    write('newer.md', '---\ntitle: Newer\ndate: 2026-04-01\ntags: [motion]\n---\nSecond.');
+    write('unfinished.md', '---\ntitle: Unfinished\ndate: 2026-05-01\ndraft: true\n---\nThird.');
+    write('Bad_Name.md', '---\ndate: 2026-13-01\ncolour: red\n---\n');
+    write('notes.txt', 'Not a post');
+  });
+
+  afterAll(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('reports what is wrong with each post', () => {
+    expect(validatePosts(dir)).toEqual([
+      'posts/Bad_Name.md: file name must be lowercase words joined by hyphens',
+      'posts/Bad_Name.md: needs a title',
+      'posts/Bad_Name.md: needs a date as YYYY-MM-DD',
+      'posts/Bad_Name.md: unknown frontmatter key "colour"',
+    ]);
+    expect(validatePosts(path.join(dir, 'missing'))).toEqual([]);
+  });
+
+  it('publishes valid posts newest first, drafts only when asked', () => {
+    expect(readPosts(dir).map(({ slug }) => slug)).toEqual(['newer', 'older']);
+    expect(readPosts(dir, { drafts: true }).map(({ slug }) => slug)).toEqual(['unfinished', 'newer', 'older']);
+
+    const [newer] = loadPosts(dir);
+    expect(newer).toMatchObject({
+      slug: 'newer',
+      path: '/writing/newer',
+      title: 'Newer',
+      date: '2026-04-01',
+      updated: '2026-04-01',
+      summary: 'Second.',
+      tags: ['motion'],
+      lang: 'en',
+      draft: false,
+      html: '<p>Second.</p>',
+      words: 1,
+      minutes: 1,
+    });
+  });
+
+  it('works out the reading time in the reader\'s language', () => {
+    const words = Array.from({ length: WORDS_PER_MINUTE * 3 }, () => 'word').join(' ');
+
+    expect(post({ title: 'Long', date: '2026-01-01' }, words).minutes).toBe(3);
+    expect(readingMinutes(0)).toBe(1);
+    expect(readingTime(getLocale('en').writing, 3, 'en')).toBe('3 min read');
+    expect(readingTime(getLocale('hi').writing, 3, 'hi')).toBe('3 मिनट में पढ़ें');
+    expect(formatDate('2026-03-02', 'en')).toBe('March 2, 2026');
+  });
+});
+
+describe('feeds', () => {
+  const posts = [
+    post({ title: 'Newer & better', date: '2026-04-01', updated: '2026-06-01', tags: ['motion'] }, '[Home](/about)'),
+    post({ title: 'Older', date: '2026-01-05', summary: 'Short' }),
+  ];
+
+  it('writes an RSS feed with every post in full', () => {
+    const rss = rssFeed(posts);
+
+    expect(rss).toContain(`<atom:link href="${site.url}/feed.xml" rel="self" type="application/rss+xml"/>`);
+    expect(rss.match(/<item>/g)).toHaveLength(2);
+    expect(rss).toContain('<title>Newer &amp; better</title>');
+    expect(rss).toContain('<pubDate>Wed, 01 Apr 2026 00:00:00 GMT</pubDate>');
+    expect(rss).toContain('<category>motion</category>');
+    expect(rss).toContain(`&lt;a href=&quot;${site.url}/about&quot;&gt;Home&lt;/a&gt;`);
+  });
+
+  it('writes an Atom feed updated with its latest post', () => {
+    const atom = atomFeed(posts);
+
+    expect(atom).toContain('<updated>2026-06-01T00:00:00Z</updated>');
+    expect(atom).toContain(`<id>${site.url}/writing/a-post</id>`);
+    expect(atom).toContain('<summary>Short</summary>');
+    expect(atomFeed([], { now: () => new Date('2026-02-03T04:05:06Z') }))
+      .toContain('<updated>2026-02-03T04:05:06.000Z</updated>');
+    expect(absoluteUrls('<a href="//cdn.example/x"></a>')).toBe('<a href="//cdn.example/x"></a>');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Preference - a setting that follows the system unless overridden
+ *
+ * The store behind the motion, theme and locale preferences
+ * (motion/preference.js, theme/preference.js, i18n/preference.js).
+ * Each passes its storage key, the values it allows, how to read the
+ * system's value and the events that may change it:
+ *
+ *   const preference = createPreference({
+ *     key: 'motion-preference',
+ *     values: ['full', 'reduced', 'none'],
+ *     system: () => (media.matches ? 'reduced' : 'full'),
+ *     sources: [[media, 'change']],
+ *     mirror: (mode) => { document.documentElement.dataset.motion = mode; },
+ *   });
+ *
+ * The value follows the system live until the visitor picks one; that
+ * override persists in storage.
+ */
+
+/**
+ * @param {object} options
+ * @param {string} options.key - storage key of the override
+ * @param {string[]} options.values - what an override may be
+ * @param {() => string} options.system - the value while following the system
+ * @param {Array<[EventTarget|null, string]>} [options.sources] - events after
+ *   which the system's value may differ; missing targets are skipped
+ * @param {(value: string) => void} [options.mirror] - shows the active value,
+ *   e.g. on <html>; called on creation and every update
+ * @param {Storage|null} [options.storage]
+ */
+export function createPreference({
+  key,
+  values,
+  system,
+  sources = [],
+  mirror = () => {},
+  storage = typeof localStorage !== 'undefined' ? localStorage : null,
+}) {
+  const listeners = new Set();
+  const watched = sources.filter(([target]) => target);
+
+  const readOverride = () => {
+    try {
+      const stored = storage?.getItem(key);
+      return values.includes(stored) ? stored : null;
+    } catch {
+      // Storage can throw in private modes - behave as if nothing is stored
+      return null;
+    }
+  };
+
+  let override = readOverride();
+  const current = () => override || system();
+
+  let value = current();
+
+  const update = () => {
+    const next = current();
+    mirror(next);
+    if (next === value) return;
+
+    value = next;
+    listeners.forEach((listener) => listener(value));
+  };
+
+  watched.forEach(([target, type]) => target.addEventListener(type, update));
+  mirror(value);
+
+  return {
+    /**
+     * Active value: the override if set, otherwise the system's
+     */
+    get value() {
+      return value;
+    },
+
+    get system() {
+      return system();
+    },
+
+    /**
+     * The visitor's choice, or null when following the system
+     */
+    get override() {
+      return override;
+    },
+
+    /**
+     * Pin a value, or pass null to follow the system again
+     */
+    setOverride(next) {
+      override = values.includes(next) ? next : null;
+
+      try {
+        if (override) storage?.setItem(key, override);
+        else storage?.removeItem(key);
+      } catch {
+        // Not persisted, but still applies for this visit
+      }
+
+      update();
+    },
+
+    /**
+     * Listen for value changes. Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    destroy() {
+      listeners.clear();
+      watched.forEach(([target, type]) => target.removeEventListener(type, update));
+    },
+  };
+}
@@ -0,0 +1,97 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi } from 'vitest';
+import { createPreference } from './preference.js';
+import { createCycle, PreferenceToggle } from './preferenceToggle.js';
+import { createMotionPreference } from './motion/preference.js';
+import { cycleMotion, toggleLabel } from './motion/toggle.js';
+import { createLocalePreference } from './i18n/preference.js';
+
+const throwingStorage = {
+  getItem: () => { throw new Error('denied'); },
+  setItem: () => { throw new Error('denied'); },
+  removeItem: () => { throw new Error('denied'); },
+};
+
+describe('createPreference', () => {
+  it('ignores stored values it does not allow and storage that throws', () => {
+    const stale = createPreference({
+      key: 'size',
+      values: ['s', 'm'],
+      system: () => 'm',
+      storage: { getItem: () => 'xl' },
+    });
+    expect(stale.value).toBe('m');
+    expect(stale.override).toBe(null);
+
+    const denied = createPreference({
+      key: 'size',
+      values: ['s', 'm'],
+      system: () => 'm',
+      storage: throwingStorage,
+    });
+    denied.setOverride('s');
+    expect(denied.value).toBe('s');
+  });
+
+  it('mirrors every update and listens to the sources it is given', () => {
+    const target = new EventTarget();
+    const mirror = vi.fn();
+    let system = 's';
+    const preference = createPreference({
+      key: 'size',
+      values: ['s', 'm'],
+      system: () => system,
+      // A missing target (no matchMedia, say) is skipped
+      sources: [[target, 'resize'], [null, 'change']],
+      mirror,
+      storage: null,
+    });
+    const seen = [];
+    preference.subscribe((value) => seen.push(value));
+
+    system = 'm';
+    target.dispatchEvent(new Event('resize'));
+    expect(seen).toEqual(['m']);
+    expect(mirror.mock.calls.map(([value]) => value)).toEqual(['s', 'm']);
+
+    preference.destroy();
+    system = 's';
+    target.dispatchEvent(new Event('resize'));
+    expect(preference.value).toBe('m');
+  });
+});
+
+describe('createCycle', () => {
+  it('steps from the system through each value and back', () => {
+    const { nextOverride, cycle } = createCycle(['s', 'm']);
+    const preference = { override: 'm', setOverride: vi.fn() };
+
+    expect([null, 's', 'm'].map(nextOverride)).toEqual(['s', 'm', null]);
+    cycle(preference);
+    expect(preference.setOverride).toHaveBeenCalledWith(null);
+  });
+});
+
+describe('PreferenceToggle', () => {
+  it('cycles on press and re-labels when the mode or the language changes', () => {
+    const button = document.createElement('button');
+    const preference = createMotionPreference({ storage: null, media: null, root: null });
+    const locales = createLocalePreference({ storage: null, languages: () => ['en'], target: null, root: null });
+    const toggle = new PreferenceToggle(button, preference, { cycle: cycleMotion, label: toggleLabel, locales });
+
+    expect(button.textContent).toBe('Motion: Auto (Full)');
+    button.click();
+    expect(button.textContent).toBe('Motion: Full');
+    button.click();
+    expect(button.textContent).toBe('Motion: Reduced');
+
+    locales.setOverride('ar');
+    expect(button.textContent).toBe('الحركة: مخفّفة');
+
+    toggle.destroy();
+    button.click();
+    locales.setOverride('en');
+    expect(preference.override).toBe('reduced');
+    expect(button.textContent).toBe('الحركة: مخفّفة');
+  });
+});
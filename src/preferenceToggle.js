@@ -0,0 +1,76 @@
+/**
+ * Preference toggles
+ *
+ * The motion, theme and language toggles are one button each. A press
+ * moves a preference (preference.js) to its next setting - the system's
+ * first, then each value in turn - and the button names the setting it
+ * is on, in the active language. Each toggle brings its values and
+ * label:
+ *
+ *   const { nextOverride, cycle } = createCycle(MOTION_MODES);
+ *   new PreferenceToggle(button, preference, { cycle, label: toggleLabel });
+ *
+ * The React twin is PreferenceToggle.jsx.
+ */
+
+import { getLocalePreference } from './i18n/preference.js';
+import { getLocale } from './i18n/locales.js';
+
+/**
+ * Steps through following the system, then each of `values`
+ */
+export function createCycle(values) {
+  const settings = [null, ...values];
+
+  const nextOverride = (override) => settings[(settings.indexOf(override) + 1) % settings.length];
+
+  return {
+    /**
+     * The override that follows the current one
+     */
+    nextOverride,
+
+    /**
+     * Apply the next setting to a preference
+     */
+    cycle(preference) {
+      preference.setOverride(nextOverride(preference.override));
+    },
+  };
+}
+
+/**
+ * Turns a button into a toggle for a preference: its text follows
+ * label(preference, copy) - copy being the active locale's (see
+ * i18n/locales.js) - and each press cycles the setting
+ */
+export class PreferenceToggle {
+  constructor(button, preference, { cycle, label, locales = getLocalePreference() }) {
+    this.button = button;
+    this.preference = preference;
+    this.locales = locales;
+    this.label = label;
+
+    // Pinning the active setting (Auto (Full) → Full) changes the label,
+    // not the value subscribers hear about
+    this.handleClick = () => {
+      cycle(this.preference);
+      this.render();
+    };
+    this.button.addEventListener('click', this.handleClick);
+
+    // The language switcher's own preference is the locale one
+    this.unsubscribers = [...new Set([preference, locales])]
+      .map((source) => source.subscribe(() => this.render()));
+    this.render();
+  }
+
+  render() {
+    this.button.textContent = this.label(this.preference, getLocale(this.locales.locale));
+  }
+
+  destroy() {
+    this.button.removeEventListener('click', this.handleClick);
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+}
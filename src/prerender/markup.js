@@ -0,0 +1,140 @@
+/**
+ * Static overlay markup for the pre-render
+ *
+ * HTML strings matching what content-reveal.js and scroll-story.js build
+ * in the DOM, so a pre-rendered page already holds the content for crawlers and
+ * visitors without JavaScript. Where the script renders buttons, these
+ * are links to the matching pre-rendered pages - the script swaps the
+ * buttons in when it starts. Project rows mirror src/projectElement.js.
+ * Copy is in the default locale - the scripts retell it in the
+ * visitor's language.
+ */
+
+import { disciplines } from '../portfolio.js';
+import { routeToPath } from '../router.js';
+import { DEFAULT_LOCALE, getLocale } from '../i18n/locales.js';
+import { FIELDS, HONEYPOT, MAX_LENGTH } from '../contact/form.js';
+import { getContactAdapter } from '../contact/adapters.js';
+
+const copy = getLocale(DEFAULT_LOCALE);
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ENTITIES[char]);
+}
+
+// Items of an overlay pre-rendered open start where the entrance ends
+const SHOWN = ' style="opacity: 1; transform: none"';
+
+export function projectMarkup(project) {
+  const year = project.year ? `<span class="project-year">${escapeHtml(project.year)}</span>` : '';
+  const parts = [`<h3 class="project-title">${escapeHtml(project.title)}${year}</h3>`];
+
+  if (project.summary) {
+    parts.push(`<p class="project-summary">${escapeHtml(project.summary)}</p>`);
+  }
+
+  if (project.images?.length) {
+    const images = project.images
+      .map(({ src, alt }) => `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}" loading="lazy">`);
+    parts.push(`<div class="project-images">${images.join('')}</div>`);
+  }
+
+  if (project.links?.length) {
+    const links = project.links.map(({ label, href }) => (
+      `<li><a href="${escapeHtml(href)}" target="_blank" rel="noreferrer">${escapeHtml(label)}</a></li>`
+    ));
+    parts.push(`<ul class="project-links">${links.join('')}</ul>`);
+  }
+
+  return parts.join('');
+}
+
+/**
+ * <li> rows of .content-list, linking to each discipline's page, the
+ * contact form and the writing pages
+ */
+export function listMarkup({ open = false } = {}) {
+  const shown = open ? SHOWN : '';
+  const items = disciplines.map(({ slug, title }) => {
+    const href = routeToPath({ name: 'work', slug });
+    return `<li data-slug="${escapeHtml(slug)}"${shown}><a class="content-link" href="${href}">${escapeHtml(title)}</a></li>`;
+  });
+
+  items.push(`<li data-level="contact"${shown}><a class="content-link" href="/contact">${escapeHtml(copy.contact.title)}</a></li>`);
+  items.push(`<li data-level="writing"${shown}><a class="content-link" href="/writing">${escapeHtml(copy.writing.title)}</a></li>`);
+  return items.join('');
+}
+
+/**
+ * Children of .content-detail for one discipline
+ */
+export function detailMarkup(discipline, { open = false } = {}) {
+  const shown = open ? SHOWN : '';
+  const rows = discipline.projects.length
+    ? discipline.projects.map((project) => `<article class="project"${shown}>${projectMarkup(project)}</article>`)
+    : [`<p class="project-empty"${shown}>${escapeHtml(copy.projectsComingSoon)}</p>`];
+
+  return [
+    `<a class="content-back" href="/about"${shown}>${escapeHtml(copy.back)}</a>`,
+    `<h2 class="content-header"${shown}>${escapeHtml(discipline.title)}</h2>`,
+    ...rows,
+  ].join('');
+}
+
+/**
+ * <section>s of the scroll story (index-scroll.html), one per
+ * discipline, as scroll-story.js renders them
+ */
+export function storyMarkup() {
+  return disciplines.map(({ slug, title, projects }) => {
+    const rows = projects.length
+      ? projects.map((project) => `<article class="project">${projectMarkup(project)}</article>`)
+      : [`<p class="project-empty">${escapeHtml(copy.projectsComingSoon)}</p>`];
+    const id = `story-${escapeHtml(slug)}`;
+
+    return `<section class="story-section" aria-labelledby="${id}" data-slug="${escapeHtml(slug)}"><h2 class="content-header" id="${id}">${escapeHtml(title)}</h2>${rows.join('')}</section>`;
+  }).join('');
+}
+
+/**
+ * Children of .content-detail for the contact form. Without JavaScript
+ * the form posts natively to the adapter's action, checked by the
+ * browser; the script swaps in its own form when it starts.
+ */
+export function contactMarkup({ open = false } = {}) {
+  const shown = open ? SHOWN : '';
+  const { action, method, enctype } = getContactAdapter();
+
+  const fields = FIELDS.map((name) => {
+    const id = `contact-${name}`;
+    const attributes = `id="${id}" name="${name}" maxlength="${MAX_LENGTH[name]}" required`;
+    const control = name === 'message'
+      ? `<textarea ${attributes} rows="5"></textarea>`
+      : `<input ${attributes} type="${name === 'email' ? 'email' : 'text'}" autocomplete="${name}">`;
+    return `<div class="contact-field"${shown}><label for="${id}">${escapeHtml(copy.contact[name])}</label>${control}</div>`;
+  });
+
+  const honeypot = `<div class="contact-honeypot" aria-hidden="true"><label>Website<input name="${HONEYPOT}" tabindex="-1" autocomplete="off"></label></div>`;
+  const actions = `<div class="contact-actions"${shown}><button type="submit" class="contact-send">${escapeHtml(copy.contact.send)}</button></div>`;
+
+  return [
+    `<a class="content-back" href="/about"${shown}>${escapeHtml(copy.back)}</a>`,
+    `<h2 class="content-header"${shown}>${escapeHtml(copy.contact.title)}</h2>`,
+    `<form class="contact-form" action="${escapeHtml(action)}" method="${method}" enctype="${enctype}">${fields.join('')}${honeypot}${actions}</form>`,
+  ].join('');
+}
+
+/**
+ * Links to every discipline for visitors without JavaScript, who can't
+ * tap the wordmark open
+ */
+export function noscriptNavMarkup() {
+  const links = disciplines.map(({ slug, title }) => (
+    `<a href="${routeToPath({ name: 'work', slug })}">${escapeHtml(title)}</a>`
+  ));
+  links.push(`<a href="/contact">${escapeHtml(copy.contact.title)}</a>`);
+  links.push(`<a href="/writing">${escapeHtml(copy.writing.title)}</a>`);
+  return `<noscript><nav class="noscript-nav" aria-label="Work">${links.join('')}</nav></noscript>`;
+}
@@ -0,0 +1,199 @@
+/**
+ * Page metadata for the pre-render
+ *
+ * Everything crawlers and link previews read, per route, from the
+ * `site` block of content/portfolio.json:
+ * - title, description and canonical URL
+ * - Open Graph and Twitter cards
+ * - a JSON-LD Person schema for the portfolio's owner, or a
+ *   BlogPosting for an article
+ * - sitemap.xml and robots.txt for the whole site
+ *
+ * scripts/prerender.js writes these into every pre-rendered page, and
+ * the markdown-posts plugin (vite.config.js) into the writing pages.
+ */
+
+import { site, disciplines } from '../portfolio.js';
+import { routeToPath } from '../router.js';
+import { escapeHtml } from './markup.js';
+import { WRITING_PATH } from '../posts/load.js';
+
+const listFormat = new Intl.ListFormat('en', { type: 'conjunction' });
+
+/**
+ * Every route with a page of its own: home, the disciplines list,
+ * each discipline's projects and the contact form
+ */
+export function prerenderRoutes() {
+  return [
+    { name: 'home' },
+    { name: 'about' },
+    ...disciplines.map(({ slug }) => ({ name: 'work', slug })),
+    { name: 'contact' },
+  ];
+}
+
+/**
+ * Absolute URL for a path on the site
+ */
+export function siteUrl(path = '/') {
+  return `${site.url}${path}`;
+}
+
+/**
+ * Title, description and canonical URL for a route
+ */
+export function pageMeta(route) {
+  const url = siteUrl(routeToPath(route));
+  const discipline = route.name === 'work'
+    ? disciplines.find(({ slug }) => slug === route.slug)
+    : null;
+
+  if (discipline) {
+    const projects = discipline.projects.map(({ title }) => title);
+    return {
+      title: `${discipline.title} - ${site.name}`,
+      description: projects.length
+        ? `${discipline.title} by ${site.name}: ${listFormat.format(projects)}.`
+        : `${discipline.title} by ${site.name}.`,
+      url,
+    };
+  }
+
+  if (route.name === 'about') {
+    return {
+      title: `About - ${site.name}`,
+      description: `${site.name}: ${listFormat.format(disciplines.map(({ title }) => title))}.`,
+      url,
+    };
+  }
+
+  if (route.name === 'contact') {
+    return {
+      title: `Contact - ${site.name}`,
+      description: `Get in touch with ${site.name}.`,
+      url,
+    };
+  }
+
+  return { title: site.name, description: site.description, url };
+}
+
+/**
+ * Title, description and canonical URL for the writing index, or for
+ * one post (see src/posts/posts.js) with the article itself
+ */
+export function writingMeta(post) {
+  if (!post) {
+    return {
+      title: `Writing - ${site.name}`,
+      description: `Notes by ${site.name}.`,
+      url: siteUrl(WRITING_PATH),
+    };
+  }
+
+  return {
+    title: `${post.title} - ${site.name}`,
+    description: post.summary || site.description,
+    url: siteUrl(post.path),
+    article: post,
+  };
+}
+
+/**
+ * schema.org Person for the portfolio's owner
+ */
+export function personSchema() {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name: site.name,
+    url: siteUrl('/'),
+    description: site.description,
+    knowsAbout: disciplines.map(({ title }) => title),
+    ...(site.image && { image: new URL(site.image, site.url).href }),
+    ...(site.sameAs?.length && { sameAs: site.sameAs }),
+  };
+}
+
+/**
+ * schema.org BlogPosting for a post, by the portfolio's owner
+ */
+export function postSchema(post) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: post.title,
+    description: post.summary,
+    url: siteUrl(post.path),
+    datePublished: post.date,
+    dateModified: post.updated,
+    inLanguage: post.lang,
+    ...(post.tags.length && { keywords: post.tags.join(', ') }),
+    author: { '@type': 'Person', name: site.name, url: siteUrl('/') },
+  };
+}
+
+/**
+ * <head> markup for a page's metadata (pageMeta, writingMeta) - replaces
+ * the page's own title and description
+ */
+export function metaTags({ title, description, url, article }) {
+  const image = site.image && new URL(site.image, site.url).href;
+
+  const meta = [
+    ['name', 'description', description],
+    ['property', 'og:type', article ? 'article' : 'website'],
+    ['property', 'og:site_name', site.name],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    image && ['property', 'og:image', image],
+    ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+    site.twitter && ['name', 'twitter:site', site.twitter],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    image && ['name', 'twitter:image', image],
+    article && ['property', 'article:published_time', article.date],
+    article && ['property', 'article:modified_time', article.updated],
+    ...(article ? article.tags.map((tag) => ['property', 'article:tag', tag]) : []),
+  ].filter(Boolean);
+
+  // "</" can't appear inside the script element
+  const schema = JSON.stringify(article ? postSchema(article) : personSchema()).replace(/<\//g, '<\\/');
+
+  return [
+    `<title>${escapeHtml(title)}</title>`,
+    ...meta.map(([attribute, key, value]) => `<meta ${attribute}="${key}" content="${escapeHtml(value)}">`),
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    `<script type="application/ld+json">${schema}</script>`,
+  ].join('\n    ');
+}
+
+/**
+ * <head> markup for a route
+ */
+export function headTags(route) {
+  return metaTags(pageMeta(route));
+}
+
+/**
+ * @param {object[]} [routes] - routes pre-rendered to pages
+ * @param {string[]} [paths] - other pages, such as the writing pages
+ */
+export function sitemapXml(routes = prerenderRoutes(), paths = []) {
+  const urls = [...routes.map((route) => pageMeta(route).url), ...paths.map((path) => siteUrl(path))]
+    .map((url) => `  <url><loc>${escapeHtml(url)}</loc></url>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    '',
+  ].join('\n');
+}
+
+export function robotsTxt() {
+  return `User-agent: *\nAllow: /\n\nSitemap: ${siteUrl('/sitemap.xml')}\n`;
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { site, disciplines } from '../portfolio.js';
+import { routeToPath } from '../router.js';
+import { prerenderRoutes, pageMeta, headTags, writingMeta, sitemapXml, robotsTxt } from './meta.js';
+
+const [discipline] = disciplines;
+const work = { name: 'work', slug: discipline.slug };
+
+describe('pre-render metadata', () => {
+  it('gives home, the list, every discipline and the contact form a page', () => {
+    expect(prerenderRoutes().map(routeToPath)).toEqual([
+      '/',
+      '/about',
+      ...disciplines.map(({ slug }) => `/work/${slug}`),
+      '/contact',
+    ]);
+  });
+
+  it('titles each route and points its canonical URL at the site', () => {
+    expect(pageMeta({ name: 'home' })).toEqual({
+      title: site.name,
+      description: site.description,
+      url: `${site.url}/`,
+    });
+    expect(pageMeta(work).title).toBe(`${discipline.title} - ${site.name}`);
+    expect(pageMeta(work).url).toBe(`${site.url}/work/${discipline.slug}`);
+  });
+
+  it('writes social cards and a Person schema into the head', () => {
+    const head = headTags(work);
+    const { title, description, url } = pageMeta(work);
+
+    expect(head).toContain(`<title>${title}</title>`);
+    expect(head).toContain(`<meta name="description" content="${description}">`);
+    expect(head).toContain(`<meta property="og:url" content="${url}">`);
+    expect(head).toContain(`<meta name="twitter:title" content="${title}">`);
+    expect(head).toContain(`<link rel="canonical" href="${url}">`);
+
+    const schema = JSON.parse(head.match(/<script type="application\/ld\+json">(.*)<\/script>/)[1]);
+    expect(schema).toMatchObject({
+      '@context': 'https://schema.org',
+      '@type': 'Person',
+      name: site.name,
+      knowsAbout: disciplines.map(({ title }) => title),
+    });
+  });
+
+  it('describes the writing index and each post', () => {
+    const post = {
+      title: 'Typing',
+      summary: 'How it types',
+      path: '/writing/typing',
+      date: '2026-03-02',
+      updated: '2026-03-02',
+      tags: [],
+    };
+
+    expect(writingMeta()).toMatchObject({ title: `Writing - ${site.name}`, url: `${site.url}/writing` });
+    expect(writingMeta(post)).toEqual({
+      title: `Typing - ${site.name}`,
+      description: 'How it types',
+      url: `${site.url}/writing/typing`,
+      article: post,
+    });
+  });
+
+  it('lists every page in the sitemap', () => {
+    const locations = Array.from(sitemapXml().matchAll(/<loc>(.*?)<\/loc>/g), ([, loc]) => loc);
+
+    expect(locations).toEqual(prerenderRoutes().map((route) => pageMeta(route).url));
+    expect(sitemapXml([], ['/writing', '/writing/typing'])).toContain([
+      `  <url><loc>${site.url}/writing</loc></url>`,
+      `  <url><loc>${site.url}/writing/typing</loc></url>`,
+    ].join('\n'));
+    expect(robotsTxt()).toContain(`Sitemap: ${site.url}/sitemap.xml`);
+  });
+});
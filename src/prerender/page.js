@@ -0,0 +1,137 @@
+/**
+ * Pre-rendered pages
+ *
+ * Fills a built HTML page with everything for one route, for
+ * scripts/prerender.js:
+ * - vanillaPage: the GSAP page (index.html) with the overlay content in
+ *   place, already open on /about, /work/<slug> and /contact pages. content-reveal.js
+ *   takes an open overlay over as it is instead of replaying the reveal.
+ * - scrollPage: the scroll story (index-scroll.html) with its sections in
+ *   place, which scroll-story.js renders over
+ * - reactPage: index-react.html with the app rendered into #root, for
+ *   main.jsx to hydrate
+ * - writingPage: writing.html with the index of posts or one post, for
+ *   the markdown-posts plugin (vite.config.js)
+ *
+ * All get the route's metadata (meta.js) and styles that make the page
+ * readable without JavaScript.
+ */
+
+import { disciplines } from '../portfolio.js';
+import { reveal } from '../motion/tokens.js';
+import { headTags, metaTags, writingMeta } from './meta.js';
+import { DEFAULT_LOCALE, getLocale } from '../i18n/locales.js';
+import {
+  escapeHtml,
+  listMarkup,
+  detailMarkup,
+  contactMarkup,
+  storyMarkup,
+  noscriptNavMarkup,
+} from './markup.js';
+import { feedLinks } from '../posts/feed.js';
+import { writingIndexMarkup, articleMarkup } from '../posts/markup.js';
+
+// Runs before the first paint, so the static wordmark text doesn't show
+// before AnimatedWordmark hides it to type it in. Should the script never
+// run, the text shows after a moment anyway.
+const HYDRATION_GUARD = `<script>document.documentElement.classList.add('js');</script>
+    <style>
+        .js [data-animated-wordmark] { visibility: hidden; animation: show-wordmark 0s 3s forwards; }
+        @keyframes show-wordmark { to { visibility: visible; } }
+    </style>`;
+
+// Without JavaScript: the wordmark as plain text, no tap target or
+// toggles, and links to the disciplines instead
+const NOSCRIPT_STYLE = `<noscript>
+        <style>
+            .click-capture, .tap-hint, .motion-toggle, .theme-toggle, .locale-toggle { display: none; }
+            .wordmark, .wordmark > span:not(.cursor) { opacity: 1 !important; transform: none !important; }
+            .noscript-nav { position: fixed; left: 0; right: 0; bottom: 40px; display: flex; justify-content: center; gap: 1.5rem; font-size: 0.875rem; }
+            .noscript-nav a { color: inherit; }
+        </style>
+    </noscript>`;
+
+/**
+ * Replace exactly one match, failing the build if the page has changed shape
+ */
+const replaceOnce = (html, pattern, replacement, what) => {
+  if (!pattern.test(html)) throw new Error(`Can't pre-render: no ${what} in the page`);
+  return html.replace(pattern, replacement);
+};
+
+const withHead = (html, head, extra) => {
+  const page = replaceOnce(html, /\s*<meta name="description"[^>]*>/, '', 'description meta tag');
+  return replaceOnce(page, /<title>[\s\S]*?<\/title>/, () => `${head}\n    ${extra}`, '<title>');
+};
+
+// Name of the open dialog, as content-reveal.js sets it
+const overlayLabel = (discipline, contact) => {
+  const copy = getLocale(DEFAULT_LOCALE);
+  if (discipline) return discipline.title;
+  return contact ? copy.contact.title : copy.about;
+};
+
+export function vanillaPage(html, route) {
+  const open = route.name !== 'home';
+  const discipline = route.name === 'work'
+    ? disciplines.find(({ slug }) => slug === route.slug)
+    : null;
+
+  let page = withHead(html, headTags(route), `${HYDRATION_GUARD}\n    ${NOSCRIPT_STYLE}`);
+
+  const contact = route.name === 'contact';
+  const level = (discipline && detailMarkup(discipline, { open })) || (contact && contactMarkup({ open }));
+  const content = level
+    ? `<ul class="content-list" hidden>${listMarkup({ open })}</ul><div class="content-detail">${level}</div>`
+    : `<ul class="content-list">${listMarkup({ open })}</ul>`;
+  page = replaceOnce(page, /<ul class="content-list"><\/ul>/, () => content, 'empty .content-list');
+
+  if (!open) {
+    return replaceOnce(page, /<\/main>/, () => `</main>\n\n    ${noscriptNavMarkup()}`, '<main>');
+  }
+
+  // The state the reveal ends in: wordmark faded back, dialog open
+  page = replaceOnce(page, /<main>/, `<main style="opacity: 0; transform: scale(${reveal.mainScale})">`, '<main>');
+  page = replaceOnce(page, /(<button\s+class="click-capture"[^>]*?)aria-expanded="false"/, '$1tabindex="-1"\n        aria-expanded="true"', 'trigger');
+
+  return replaceOnce(page, /<div\s+id="content-overlay"[^>]*>/, (overlay) => overlay
+    .replace('class="content-overlay"', 'class="content-overlay visible"')
+    .replace(/aria-label="[^"]*"/, () => `aria-label="${escapeHtml(overlayLabel(discipline, contact))}"`)
+    .replace(/\s+inert/, ''), 'overlay');
+}
+
+/**
+ * The scroll story is one page, so it carries the home page's metadata
+ * (its canonical URL included)
+ */
+export function scrollPage(html) {
+  const page = withHead(html, headTags({ name: 'home' }), `${HYDRATION_GUARD}\n    ${NOSCRIPT_STYLE}`);
+
+  return replaceOnce(page, /(<main class="scroll-story">[\s\S]*?<\/section>)/, (intro) => `${intro}${storyMarkup()}`, 'main.scroll-story intro');
+}
+
+export function reactPage(html, route, appHtml) {
+  const page = withHead(html, headTags(route), NOSCRIPT_STYLE);
+
+  // The <noscript> stays outside #root, which must hold only what React rendered
+  return replaceOnce(
+    page,
+    /<div id="root"><\/div>/,
+    () => `<div id="root">${appHtml}</div>\n    ${noscriptNavMarkup()}`,
+    'empty #root',
+  );
+}
+
+/**
+ * @param {string} html - writing.html
+ * @param {object} [options]
+ * @param {object} [options.post] - the post to show (src/posts/posts.js)
+ * @param {object[]} [options.posts] - or the posts to list, newest first
+ */
+export function writingPage(html, { post, posts = [] } = {}) {
+  const page = withHead(html, `${metaTags(writingMeta(post))}\n    ${feedLinks()}`, `${HYDRATION_GUARD}\n    ${NOSCRIPT_STYLE}`);
+  const content = post ? articleMarkup(post) : writingIndexMarkup(posts);
+
+  return replaceOnce(page, /<main class="writing"><\/main>/, () => `<main class="writing">${content}</main>`, 'empty main.writing');
+}
@@ -0,0 +1,154 @@
+// @vitest-environment jsdom
+import { readFileSync } from 'node:fs';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { disciplines } from '../portfolio.js';
+import { createRouter } from '../router.js';
+import { createMotionPreference } from '../motion/preference.js';
+import { projectElement } from '../projectElement.js';
+import { installFakeTicker } from '../../test/gsapTicker.js';
+import { projectMarkup } from './markup.js';
+import { renderPost } from '../posts/posts.js';
+import { vanillaPage, scrollPage, reactPage, writingPage } from './page.js';
+
+const template = readFileSync('index.html', 'utf8');
+const [discipline] = disciplines;
+
+// Put a pre-rendered page's body in the document, without its scripts
+const loadBody = (html) => {
+  document.body.innerHTML = html
+    .match(/<body>([\s\S]*)<\/body>/)[1]
+    .replace(/<script[\s\S]*?<\/script>/g, '');
+};
+
+let ticker;
+
+describe('pre-rendered pages', () => {
+  beforeAll(() => {
+    ticker = installFakeTicker();
+  });
+
+  afterAll(() => ticker.uninstall());
+
+  it('renders projects exactly as the vanilla script does', () => {
+    const project = {
+      slug: 'tower',
+      title: 'Tower & <Garden>',
+      year: 2024,
+      summary: 'A "green" tower',
+      images: [{ src: '/tower.jpg', alt: 'The tower' }],
+      links: [{ label: 'Case study', href: 'https://example.com/?a=1&b=2' }],
+    };
+
+    const staticRow = document.createElement('article');
+    staticRow.innerHTML = projectMarkup(project);
+    const scriptRow = projectElement(project);
+    scriptRow.querySelector('img').setAttribute('loading', 'lazy');
+
+    expect(staticRow.innerHTML).toBe(scriptRow.innerHTML);
+  });
+
+  it('links every discipline, the contact form and the writing from the home page, for crawlers and no-JS visitors', () => {
+    const page = vanillaPage(template, { name: 'home' });
+    loadBody(page);
+
+    const paths = [...disciplines.map(({ slug }) => `/work/${slug}`), '/contact', '/writing'];
+    const listed = Array.from(document.querySelectorAll('.content-list a'), (link) => link.getAttribute('href'));
+    expect(listed).toEqual(paths);
+    expect(page).toContain('<nav class="noscript-nav" aria-label="Work">');
+
+    // Closed, as the script expects
+    expect(document.querySelector('.content-overlay').hasAttribute('inert')).toBe(true);
+    expect(document.querySelector('main').getAttribute('style')).toBeNull();
+  });
+
+  it('pre-renders a discipline page open, and the script takes it over without replaying the reveal', async () => {
+    const page = vanillaPage(template, { name: 'work', slug: discipline.slug });
+    expect(page).toContain(`<title>${discipline.title} - `);
+    loadBody(page);
+
+    const overlay = document.querySelector('.content-overlay');
+    expect(overlay.classList.contains('visible')).toBe(true);
+    expect(overlay.hasAttribute('inert')).toBe(false);
+    expect(document.querySelector('.content-detail .content-header').textContent).toBe(discipline.title);
+
+    const { default: ContentReveal } = await import('../../content-reveal.js');
+    const reveal = new ContentReveal({ router: createRouter({ mode: 'memory', path: `/work/${discipline.slug}` }) });
+
+    expect(reveal.isRevealed).toBe(true);
+    expect(reveal.timeline).toBeUndefined();
+    expect(document.querySelectorAll('.content-detail')).toHaveLength(1);
+
+    // Buttons in place of the links, already shown
+    const items = reveal.getVisibleItems();
+    expect(items[0].tagName).toBe('BUTTON');
+    expect(items.map((item) => item.style.opacity)).toEqual(items.map(() => '1'));
+    expect(overlay.contains(document.activeElement)).toBe(true);
+
+    reveal.destroy();
+  });
+
+  it('pre-renders the scroll story\'s sections, and the script renders over them', async () => {
+    // jsdom has no matchMedia (needed to register ScrollTrigger) or scrollTo
+    window.scrollTo = () => {};
+    window.matchMedia ??= (media) => ({
+      media,
+      matches: false,
+      addListener() {},
+      removeListener() {},
+      addEventListener() {},
+      removeEventListener() {},
+    });
+    const { default: ScrollStory } = await import('../../scroll-story.js');
+
+    const page = scrollPage(readFileSync('index-scroll.html', 'utf8'));
+    expect(page).toContain('<link rel="canonical"');
+    loadBody(page);
+
+    const headings = () => Array.from(document.querySelectorAll('.story-section h2'), (heading) => `${heading.id} ${heading.textContent}`);
+    const prerendered = headings();
+    expect(prerendered).toEqual(disciplines.map(({ slug, title }) => `story-${slug} ${title}`));
+
+    const preference = createMotionPreference({ storage: null, media: null, root: null });
+    preference.setOverride('none');
+    const story = new ScrollStory({ preference });
+
+    expect(headings()).toEqual(prerendered);
+    story.destroy();
+  });
+
+  it('puts the React app into the root, with the no-JS links outside it', () => {
+    const page = reactPage(readFileSync('index-react.html', 'utf8'), { name: 'home' }, '<div class="app"></div>');
+
+    expect(page).toContain('<div id="root"><div class="app"></div></div>\n    <noscript>');
+    expect(page).toContain('<link rel="canonical"');
+    expect(() => vanillaPage('<html></html>', { name: 'home' })).toThrow(/Can't pre-render/);
+  });
+
+  it('fills the writing pages with the index or one article', () => {
+    const writing = readFileSync('writing.html', 'utf8');
+    const post = renderPost({
+      slug: 'typing',
+      attributes: { title: 'Typing <it>', date: '2026-03-02', tags: ['motion'] },
+      body: 'A wordmark types in.',
+    });
+
+    const index = writingPage(writing, { posts: [post] });
+    expect(index).toContain('<title>Writing - ');
+    expect(index).toContain('<link rel="alternate" type="application/rss+xml"');
+    loadBody(index);
+    expect(document.querySelector('.post-item a').getAttribute('href')).toBe('/writing/typing');
+    expect(document.querySelector('.post-summary').textContent).toBe('A wordmark types in.');
+
+    const article = writingPage(writing, { post });
+    expect(article).toContain('<title>Typing &lt;it&gt; - ');
+    expect(article).toContain('<meta property="og:type" content="article">');
+    expect(article).toContain('"@type":"BlogPosting"');
+    loadBody(article);
+    expect(document.querySelector('.post-title').textContent).toBe('Typing <it>');
+    expect(document.querySelector('.post-meta time').getAttribute('datetime')).toBe('2026-03-02');
+    expect(document.querySelector('.post-body').innerHTML).toBe('<p>A wordmark types in.</p>');
+
+    // The wordmark carries over, linking home
+    expect(document.querySelector('a[href="/"] [data-animated-wordmark]')).not.toBeNull();
+  });
+});
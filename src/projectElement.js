@@ -0,0 +1,72 @@
+/**
+ * Project markup for the vanilla builds
+ *
+ * Builds one project as an <article class="project">, shared by the
+ * detail view of content-reveal.js and the sections of scroll-story.js.
+ * The React equivalent is ProjectContent.jsx.
+ */
+
+export function projectElement(project) {
+  const article = document.createElement('article');
+  article.className = 'project';
+
+  const title = document.createElement('h3');
+  title.className = 'project-title';
+  title.textContent = project.title;
+  if (project.year) {
+    const year = document.createElement('span');
+    year.className = 'project-year';
+    year.textContent = project.year;
+    title.appendChild(year);
+  }
+  article.appendChild(title);
+
+  if (project.summary) {
+    const summary = document.createElement('p');
+    summary.className = 'project-summary';
+    summary.textContent = project.summary;
+    article.appendChild(summary);
+  }
+
+  if (project.images?.length) {
+    const images = document.createElement('div');
+    images.className = 'project-images';
+    project.images.forEach(({ src, alt }) => {
+      const img = document.createElement('img');
+      img.src = src;
+      img.alt = alt;
+      img.loading = 'lazy';
+      images.appendChild(img);
+    });
+    article.appendChild(images);
+  }
+
+  if (project.links?.length) {
+    const links = document.createElement('ul');
+    links.className = 'project-links';
+    project.links.forEach(({ label, href }) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = href;
+      link.target = '_blank';
+      link.rel = 'noreferrer';
+      link.textContent = label;
+      item.appendChild(link);
+      links.appendChild(item);
+    });
+    article.appendChild(links);
+  }
+
+  return article;
+}
+
+/**
+ * Placeholder row for a discipline without projects, with its text in
+ * the active language (src/i18n/locales.js)
+ */
+export function emptyProjectsElement(text) {
+  const empty = document.createElement('p');
+  empty.className = 'project-empty';
+  empty.textContent = text;
+  return empty;
+}
@@ -0,0 +1,102 @@
+/**
+ * Web app manifest and icons
+ *
+ * What makes the portfolio installable, generated from the content and
+ * theme tokens (see the webApp plugin in vite.config.js):
+ *
+ *   manifest.webmanifest  → name and description from content/portfolio.json,
+ *                           colours from the light theme
+ *   icons/icon.svg        → the wordmark's first letter on the page background
+ *   icons/maskable.svg    → the same, inside the safe zone of launchers
+ *                           that crop icons to a shape
+ */
+
+import { site as portfolioSite } from '../portfolio.js';
+import { themes } from '../theme/themes.js';
+import { DEFAULT_LOCALE, getLocale } from '../i18n/locales.js';
+import { splitGraphemes } from '../i18n/graphemes.js';
+import { escapeHtml } from '../prerender/markup.js';
+
+export const MANIFEST_FILE = 'manifest.webmanifest';
+
+export const ICONS = [
+  { file: 'icons/icon.svg', purpose: 'any' },
+  { file: 'icons/maskable.svg', purpose: 'maskable' },
+];
+
+// Same face as the wordmark (styles.css)
+const FONT = "'SF Pro Rounded', ui-rounded, -apple-system, BlinkMacSystemFont, system-ui, sans-serif";
+
+/**
+ * The wordmark's first letter as a square SVG icon. Maskable icons fill
+ * the square and keep the letter inside the centre circle launchers
+ * may crop to.
+ */
+export function wordmarkIcon({
+  maskable = false,
+  text = getLocale(DEFAULT_LOCALE).wordmark,
+  theme = themes.light,
+} = {}) {
+  const [letter] = splitGraphemes(text);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512">
+  <rect width="512" height="512" rx="${maskable ? 0 : 112}" fill="${theme.background}"/>
+  <text x="256" y="256" text-anchor="middle" dominant-baseline="central" font-family="${FONT}" font-size="${maskable ? 256 : 320}" font-weight="400" fill="${theme.text}">${escapeHtml(letter)}</text>
+</svg>
+`;
+}
+
+export function webManifest({
+  site = portfolioSite,
+  theme = themes.light,
+  locale = getLocale(DEFAULT_LOCALE),
+} = {}) {
+  return {
+    name: site.name,
+    short_name: site.name,
+    description: site.description,
+    lang: locale.code,
+    dir: locale.dir,
+    start_url: '/',
+    scope: '/',
+    display: 'standalone',
+    background_color: theme.background,
+    theme_color: theme.background,
+    icons: ICONS.map(({ file, purpose }) => ({
+      src: `/${file}`,
+      sizes: 'any',
+      type: 'image/svg+xml',
+      purpose,
+    })),
+  };
+}
+
+/**
+ * Every generated file by its path in the build
+ */
+export function webAppFiles() {
+  return {
+    [MANIFEST_FILE]: `${JSON.stringify(webManifest(), null, 2)}\n`,
+    [ICONS[0].file]: wordmarkIcon(),
+    [ICONS[1].file]: wordmarkIcon({ maskable: true }),
+  };
+}
+
+/**
+ * <head> tags pointing at the manifest and icon, with the browser UI
+ * coloured to match the light and dark themes
+ */
+export function webAppTags() {
+  return [
+    { tag: 'link', attrs: { rel: 'manifest', href: `/${MANIFEST_FILE}` } },
+    { tag: 'link', attrs: { rel: 'icon', type: 'image/svg+xml', href: `/${ICONS[0].file}` } },
+    ...['light', 'dark'].map((name) => ({
+      tag: 'meta',
+      attrs: {
+        name: 'theme-color',
+        content: themes[name].background,
+        media: `(prefers-color-scheme: ${name})`,
+      },
+    })),
+  ];
+}
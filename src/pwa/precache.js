@@ -0,0 +1,20 @@
+/**
+ * Precache list
+ *
+ * Which files from dist/ the service worker caches on install
+ * (scripts/service-worker.js) - everything a visit can need offline,
+ * minus files only crawlers, feed readers and debuggers ask for.
+ */
+
+const SKIPPED = [/\.map$/, /^sw\.js$/, /^sitemap\.xml$/, /^robots\.txt$/, /^(feed|atom)\.xml$/];
+
+/**
+ * URLs to precache, from file paths relative to dist/
+ */
+export function precacheFiles(paths) {
+  return paths
+    .map((file) => file.split('\\').join('/'))
+    .filter((file) => !SKIPPED.some((pattern) => pattern.test(file)))
+    .sort()
+    .map((file) => `/${file}`);
+}
@@ -0,0 +1,210 @@
+// @vitest-environment jsdom
+import { readFileSync } from 'node:fs';
+import { describe, it, expect, vi } from 'vitest';
+import { webManifest, wordmarkIcon, webAppFiles, webAppTags, MANIFEST_FILE } from './manifest.js';
+import { pageUrl, requestStrategy } from './routes.js';
+import { precacheFiles } from './precache.js';
+import { createServiceWorkerUpdates } from './register.js';
+import { createLocalePreference } from '../i18n/preference.js';
+import { loadPage } from '../../test/page.js';
+import UpdatePrompt from '../../update-prompt.js';
+
+// A service worker in a given state
+const fakeWorker = (state = 'installing') => {
+  const worker = new EventTarget();
+  worker.state = state;
+  worker.postMessage = vi.fn();
+  worker.install = () => {
+    worker.state = 'installed';
+    worker.dispatchEvent(new Event('statechange'));
+  };
+  return worker;
+};
+
+// navigator.serviceWorker, with the registration it resolves to
+const fakeContainer = ({ controller = {}, waiting = null } = {}) => {
+  const registration = new EventTarget();
+  registration.waiting = waiting;
+  registration.installing = null;
+  registration.update = vi.fn(() => Promise.resolve());
+
+  const container = new EventTarget();
+  container.controller = controller;
+  container.register = vi.fn(() => Promise.resolve(registration));
+
+  // A deploy being downloaded
+  registration.deploy = () => {
+    const worker = fakeWorker();
+    registration.installing = worker;
+    registration.dispatchEvent(new Event('updatefound'));
+    return worker;
+  };
+
+  return { container, registration };
+};
+
+const flush = () => new Promise((resolve) => {
+  setTimeout(resolve, 0);
+});
+
+describe('web app manifest', () => {
+  it('describes the site with its name, colours and icons', () => {
+    const manifest = webManifest({
+      site: { name: 'goutham', description: 'Designer' },
+      theme: { background: '#fafafa', text: '#000000' },
+      locale: { code: 'ar', dir: 'rtl' },
+    });
+
+    expect(manifest).toMatchObject({
+      name: 'goutham',
+      description: 'Designer',
+      lang: 'ar',
+      dir: 'rtl',
+      start_url: '/',
+      display: 'standalone',
+      theme_color: '#fafafa',
+    });
+    expect(manifest.icons.map(({ src, purpose }) => [src, purpose])).toEqual([
+      ['/icons/icon.svg', 'any'],
+      ['/icons/maskable.svg', 'maskable'],
+    ]);
+  });
+
+  it('draws icons from the first grapheme of the wordmark', () => {
+    const icon = wordmarkIcon({ text: 'கௌதம்', theme: { background: '#000', text: '#fff' } });
+    expect(icon).toContain('>கௌ</text>');
+    expect(icon).toContain('rx="112" fill="#000"');
+
+    const maskable = wordmarkIcon({ maskable: true, text: '<g>' });
+    expect(maskable).toContain('>&lt;</text>');
+    expect(maskable).toContain('rx="0"');
+  });
+
+  it('ships every file the tags point at', () => {
+    const files = webAppFiles();
+    expect(JSON.parse(files[MANIFEST_FILE]).icons).toHaveLength(2);
+
+    webAppTags()
+      .filter(({ tag }) => tag === 'link')
+      .forEach(({ attrs }) => expect(files).toHaveProperty([attrs.href.slice(1)]));
+  });
+});
+
+describe('service worker routing', () => {
+  const origin = 'https://example.com';
+  const precached = new Set(['/index.html', '/about.html', '/404.html', '/work/design.html', '/assets/main.js']);
+  const strategy = (url, init = {}) => requestStrategy({ method: 'GET', url: `${origin}${url}`, ...init }, { origin, precached });
+
+  it('finds pages the way GitHub Pages does', () => {
+    expect(pageUrl('/', precached)).toBe('/index.html');
+    expect(pageUrl('/about', precached)).toBe('/about.html');
+    expect(pageUrl('/work/design', precached)).toBe('/work/design.html');
+    expect(pageUrl('/work/nope', precached)).toBe(null);
+  });
+
+  it('serves the build from the precache and the rest stale-while-revalidate', () => {
+    expect(strategy('/about?from=home', { mode: 'navigate' })).toEqual({ cache: 'precache', url: '/about.html' });
+    expect(strategy('/missing', { mode: 'navigate' })).toEqual({ cache: 'precache', url: '/404.html' });
+    expect(strategy('/assets/main.js')).toEqual({ cache: 'precache', url: '/assets/main.js' });
+    expect(strategy('/projects/design.json')).toEqual({ cache: 'content', url: `${origin}/projects/design.json` });
+  });
+
+  it('leaves other origins and writes to the network', () => {
+    expect(requestStrategy({ method: 'GET', url: 'https://fonts.example/a.woff2' }, { origin, precached })).toBe(null);
+    expect(strategy('/__analytics', { method: 'POST' })).toBe(null);
+  });
+
+  it('precaches the build without source maps, crawler files or feeds', () => {
+    expect(precacheFiles([
+      'index.html', 'sw.js', 'robots.txt', 'sitemap.xml', 'feed.xml', 'atom.xml', 'assets/main.js', 'assets/main.js.map', 'work\\design.html',
+    ])).toEqual(['/assets/main.js', '/index.html', '/work/design.html']);
+  });
+});
+
+describe('createServiceWorkerUpdates', () => {
+  it('reports a downloaded deploy and reloads onto it when applied', async () => {
+    const { container, registration } = fakeContainer();
+    const reload = vi.fn();
+    const updates = createServiceWorkerUpdates({ container, target: null, reload });
+    const listener = vi.fn();
+    updates.subscribe(listener);
+    await flush();
+
+    expect(container.register).toHaveBeenCalledWith('/sw.js');
+    expect(updates.updateReady).toBe(false);
+
+    const worker = registration.deploy();
+    worker.install();
+    expect(updates.updateReady).toBe(true);
+    expect(listener).toHaveBeenCalledWith(true);
+
+    updates.apply();
+    expect(worker.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+    container.dispatchEvent(new Event('controllerchange'));
+    expect(reload).toHaveBeenCalledTimes(1);
+    updates.destroy();
+  });
+
+  it('picks up a version already waiting, but not the first install', async () => {
+    const waiting = fakeContainer({ waiting: fakeWorker('installed') });
+    const updates = createServiceWorkerUpdates({ container: waiting.container, target: null });
+    await flush();
+    expect(updates.updateReady).toBe(true);
+
+    const first = fakeContainer({ controller: null });
+    const reload = vi.fn();
+    const firstUpdates = createServiceWorkerUpdates({ container: first.container, target: null, reload });
+    await flush();
+    first.registration.deploy().install();
+    first.container.dispatchEvent(new Event('controllerchange'));
+
+    expect(firstUpdates.updateReady).toBe(false);
+    expect(reload).not.toHaveBeenCalled();
+  });
+
+  it('checks for a deploy when the visitor comes back', async () => {
+    const { container, registration } = fakeContainer();
+    const target = new EventTarget();
+    target.visibilityState = 'visible';
+    const updates = createServiceWorkerUpdates({ container, target });
+    await flush();
+
+    target.dispatchEvent(new Event('visibilitychange'));
+    expect(registration.update).toHaveBeenCalledTimes(1);
+
+    updates.destroy();
+    target.dispatchEvent(new Event('visibilitychange'));
+    expect(registration.update).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('UpdatePrompt', () => {
+  it('appears for a new deploy in the active language, until dismissed', async () => {
+    loadPage();
+    const { container, registration } = fakeContainer();
+    const updates = createServiceWorkerUpdates({ container, target: null });
+    const preference = createLocalePreference({ storage: null, languages: () => ['hi'], target: null, root: null });
+    const element = document.querySelector('[data-update-prompt]');
+    const prompt = new UpdatePrompt(element, updates, preference);
+    await flush();
+
+    expect(element.hidden).toBe(true);
+    registration.deploy().install();
+    expect(element.hidden).toBe(false);
+    expect(element.textContent).toContain('नया संस्करण उपलब्ध है');
+
+    preference.setOverride('en');
+    expect(element.querySelector('[data-update-reload]').textContent).toBe('Reload');
+
+    element.querySelector('[data-update-later]').click();
+    expect(element.hidden).toBe(true);
+    prompt.destroy();
+  });
+
+  // index-react.html renders it from App.jsx
+  it.each(['index.html', 'index-vanilla.html', 'index-scroll.html', 'writing.html'])('is on %s', (file) => {
+    loadPage(file);
+    expect(document.querySelector('[data-update-prompt]').hidden).toBe(true);
+    expect(readFileSync(file, 'utf8')).toMatch(/<script type="module" src="\/?update-prompt\.js"><\/script>/);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Service worker updates
+ *
+ * Registers the service worker (sw.js) in production builds and tells
+ * the update prompt when a new deploy has been downloaded. The new
+ * version waits until the visitor applies it, then the page reloads
+ * onto it.
+ *
+ * Deploys are noticed when the browser checks on navigation, and each
+ * time the visitor comes back to the tab.
+ */
+
+export function createServiceWorkerUpdates({
+  container = typeof navigator !== 'undefined' ? navigator.serviceWorker ?? null : null,
+  url = '/sw.js',
+  target = typeof document !== 'undefined' ? document : null,
+  reload = () => window.location.reload(),
+} = {}) {
+  const listeners = new Set();
+  let registration = null;
+  let waiting = null;
+  let applying = false;
+  let destroyed = false;
+
+  const setWaiting = (worker) => {
+    // The first install has nothing to update
+    if (!worker || !container.controller) return;
+
+    waiting = worker;
+    listeners.forEach((listener) => listener(true));
+  };
+
+  const handleUpdateFound = () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed') setWaiting(worker);
+    });
+  };
+
+  const handleControllerChange = () => {
+    if (applying) reload();
+  };
+
+  const handleVisibility = () => {
+    if (target.visibilityState === 'visible') registration?.update().catch(() => {});
+  };
+
+  if (container) {
+    container.register(url).then((registered) => {
+      if (destroyed) return;
+
+      registration = registered;
+      setWaiting(registration.waiting);
+      registration.addEventListener('updatefound', handleUpdateFound);
+    }).catch(() => {
+      // No offline support, the page works as before
+    });
+
+    container.addEventListener('controllerchange', handleControllerChange);
+    target?.addEventListener('visibilitychange', handleVisibility);
+  }
+
+  return {
+    /**
+     * True once a new version is waiting to take over
+     */
+    get updateReady() {
+      return waiting !== null;
+    },
+
+    /**
+     * Switch to the waiting version; the page reloads once it has
+     */
+    apply() {
+      if (!waiting) return;
+
+      applying = true;
+      waiting.postMessage({ type: 'SKIP_WAITING' });
+    },
+
+    /**
+     * Listen for an update becoming ready. Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    destroy() {
+      destroyed = true;
+      listeners.clear();
+      registration?.removeEventListener('updatefound', handleUpdateFound);
+      container?.removeEventListener('controllerchange', handleControllerChange);
+      target?.removeEventListener('visibilitychange', handleVisibility);
+    },
+  };
+}
+
+let sharedUpdates = null;
+
+/**
+ * Updates shared by every update prompt on the page. The service worker
+ * only exists in production builds, so the dev server registers nothing.
+ */
+export function getServiceWorkerUpdates() {
+  if (!sharedUpdates) {
+    sharedUpdates = createServiceWorkerUpdates(import.meta.env.PROD ? {} : { container: null });
+  }
+  return sharedUpdates;
+}
@@ -0,0 +1,49 @@
+/**
+ * Service worker routing
+ *
+ * Which cache answers a request (see sw.js), kept free of the worker
+ * globals so it can be tested:
+ *
+ *   'precache'  → the build output, cached on install and served cache
+ *                 first; pages are looked up the way GitHub Pages does
+ *                 (/about → /about.html), unknown ones get /404.html
+ *   'content'   → anything else from this origin - project images and
+ *                 content data - served stale-while-revalidate
+ *   null        → left to the network: other origins, and anything but GET
+ */
+
+export const PRECACHE_PREFIX = 'precache-';
+
+export const CONTENT_CACHE = 'content';
+
+/**
+ * The precached file for a page: / → /index.html, /about → /about.html
+ */
+export function pageUrl(pathname, precached) {
+  const candidates = pathname.endsWith('/')
+    ? [`${pathname}index.html`]
+    : [pathname, `${pathname}.html`];
+
+  return candidates.find((candidate) => precached.has(candidate)) || null;
+}
+
+/**
+ * How to answer a request: { cache, url } with the URL to look up, or null
+ *
+ * @param {object} request - { method, url, mode }
+ * @param {object} scope - { origin, precached } with the set of precached URLs
+ */
+export function requestStrategy({ method, url, mode }, { origin, precached }) {
+  if (method !== 'GET') return null;
+
+  const { origin: requestOrigin, pathname } = new URL(url);
+  if (requestOrigin !== origin) return null;
+
+  if (mode === 'navigate') {
+    return { cache: 'precache', url: pageUrl(pathname, precached) || '/404.html' };
+  }
+
+  if (precached.has(pathname)) return { cache: 'precache', url: pathname };
+
+  return { cache: 'content', url };
+}
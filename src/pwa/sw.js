@@ -0,0 +1,76 @@
+/**
+ * Service worker
+ *
+ * Makes the built site work offline. Bundled after the build by
+ * scripts/service-worker.js, which fills in __PRECACHE__ with the build
+ * output and a version that changes whenever any of it does:
+ *
+ * - install: caches the build output under precache-<version>
+ * - activate: drops the caches of earlier deploys
+ * - fetch: see routes.js
+ *
+ * A new version waits until the page asks it to take over
+ * ({ type: 'SKIP_WAITING' }, from the update prompt - see register.js).
+ */
+
+import { PRECACHE_PREFIX, CONTENT_CACHE, requestStrategy } from './routes.js';
+
+/* global __PRECACHE__ */
+const { version, files } = __PRECACHE__;
+
+const PRECACHE = `${PRECACHE_PREFIX}${version}`;
+const precached = new Set(files);
+
+self.addEventListener('install', (event) => {
+  // Past the HTTP cache, so a deploy never caches the one before it
+  event.waitUntil(
+    caches.open(PRECACHE).then((cache) => cache.addAll(files.map((url) => new Request(url, { cache: 'reload' })))),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith(PRECACHE_PREFIX) && key !== PRECACHE)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+const fromPrecache = async (request, url) => {
+  const cached = await caches.match(url, { cacheName: PRECACHE });
+  return cached || fetch(request);
+};
+
+// Answer from the cache when it can, and refresh it for next time
+const staleWhileRevalidate = async (event) => {
+  const cache = await caches.open(CONTENT_CACHE);
+  const cached = await cache.match(event.request);
+
+  const refresh = fetch(event.request).then((response) => {
+    if (response.ok) return cache.put(event.request, response.clone()).then(() => response);
+    return response;
+  });
+
+  if (!cached) return refresh;
+
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+};
+
+self.addEventListener('fetch', (event) => {
+  const strategy = requestStrategy(event.request, {
+    origin: self.location.origin,
+    precached,
+  });
+  if (!strategy) return;
+
+  event.respondWith(strategy.cache === 'precache'
+    ? fromPrecache(event.request, strategy.url)
+    : staleWhileRevalidate(event));
+});
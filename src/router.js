@@ -0,0 +1,143 @@
+/**
+ * Router - URL ↔ reveal state
+ *
+ * Tiny, framework-agnostic router shared by the React and vanilla
+ * ContentReveal implementations. Maps URLs onto overlay states:
+ *
+ *   /             → overlay closed
+ *   /about        → overlay open, disciplines list
+ *   /work/<slug>  → overlay open, detail view for a discipline
+ *   /contact      → overlay open, contact form
+ *
+ * Both history paths (/work/design) and hash paths (#/work/design) are
+ * understood. New URLs are written in the router's mode:
+ * - 'history': pushState paths - deep links survive a refresh on
+ *   GitHub Pages through the 404.html fallback emitted by the build
+ * - 'hash': #/ paths - for pages served from a file such as
+ *   index-react.html, where rewriting the path would lose the entry
+ * - 'auto' (default): 'hash' when the page is an explicit .html file,
+ *   'history' otherwise
+ * - 'memory': the route lives only in the router and the URL is left
+ *   alone - for widgets embedded in someone else's page, and for
+ *   pre-rendering a route at build time (pass `path`)
+ */
+
+const WORK_PATTERN = /^\/work\/([a-z0-9-]+)\/?$/;
+
+/**
+ * Turn a path into a route object.
+ * Unknown paths resolve to the home route.
+ */
+export function parseRoute(path = '/') {
+  const clean = path.replace(/\/+$/, '') || '/';
+
+  if (clean === '/about') return { name: 'about' };
+  if (clean === '/contact') return { name: 'contact' };
+
+  const work = clean.match(WORK_PATTERN);
+  if (work) return { name: 'work', slug: work[1] };
+
+  return { name: 'home' };
+}
+
+/**
+ * Turn a route object back into a path.
+ */
+export function routeToPath(route) {
+  switch (route.name) {
+    case 'about':
+      return '/about';
+    case 'contact':
+      return '/contact';
+    case 'work':
+      return `/work/${route.slug}`;
+    default:
+      return '/';
+  }
+}
+
+export function createRouter({ mode = 'auto', path = '/' } = {}) {
+  const resolvedMode = mode === 'auto'
+    ? (/\.html?$/.test(window.location.pathname) ? 'hash' : 'history')
+    : mode;
+
+  const listeners = new Set();
+  const inMemory = resolvedMode === 'memory';
+  let memoryPath = path;
+
+  const readPath = () => {
+    if (inMemory) return memoryPath;
+
+    const { hash, pathname } = window.location;
+
+    // A hash route always wins so #/about links work in either mode
+    if (hash.startsWith('#/')) return hash.slice(1);
+    return resolvedMode === 'history' ? pathname : '/';
+  };
+
+  let current = parseRoute(readPath());
+
+  const update = () => {
+    const next = parseRoute(readPath());
+    if (routeToPath(next) === routeToPath(current)) return;
+
+    current = next;
+    listeners.forEach((listener) => listener(current));
+  };
+
+  if (!inMemory) {
+    window.addEventListener('popstate', update);
+    window.addEventListener('hashchange', update);
+  }
+
+  return {
+    mode: resolvedMode,
+
+    current: () => current,
+
+    /**
+     * Navigate to a route object or a path string.
+     * Pass { replace: true } to avoid adding a history entry.
+     */
+    navigate(target, { replace = false } = {}) {
+      const path = typeof target === 'string' ? target : routeToPath(target);
+
+      if (inMemory) {
+        memoryPath = path;
+        update();
+        return;
+      }
+
+      // The query stays either way - ?debug=motion outlives a route change
+      const { pathname, search } = window.location;
+      const url = resolvedMode === 'hash' ? `${pathname}${search}#${path}` : `${path}${search}`;
+
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+      update();
+    },
+
+    /**
+     * Listen for route changes. Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    destroy() {
+      listeners.clear();
+      window.removeEventListener('popstate', update);
+      window.removeEventListener('hashchange', update);
+    },
+  };
+}
+
+let sharedRouter = null;
+
+/**
+ * Router shared by every ContentReveal on the page
+ */
+export function getRouter() {
+  if (!sharedRouter) sharedRouter = createRouter();
+  return sharedRouter;
+}
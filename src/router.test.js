@@ -0,0 +1,40 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach } from 'vitest';
+import { createRouter, parseRoute, routeToPath } from './router.js';
+
+let router;
+
+afterEach(() => {
+  router?.destroy();
+  window.history.replaceState(null, '', '/');
+});
+
+describe('router', () => {
+  it('maps paths to routes and back', () => {
+    expect(parseRoute('/work/design/')).toEqual({ name: 'work', slug: 'design' });
+    expect(parseRoute('/nowhere')).toEqual({ name: 'home' });
+    expect(routeToPath({ name: 'work', slug: 'design' })).toBe('/work/design');
+  });
+
+  it('keeps the query when it writes a history path', () => {
+    window.history.replaceState(null, '', '/?debug=motion');
+    router = createRouter({ mode: 'history' });
+
+    router.navigate({ name: 'about' });
+    expect(`${window.location.pathname}${window.location.search}`).toBe('/about?debug=motion');
+
+    router.navigate('/work/design', { replace: true });
+    expect(`${window.location.pathname}${window.location.search}`).toBe('/work/design?debug=motion');
+    expect(router.current()).toEqual({ name: 'work', slug: 'design' });
+  });
+
+  it('keeps the query when it writes a hash path', () => {
+    window.history.replaceState(null, '', '/index-react.html?debug=analytics');
+    router = createRouter();
+
+    router.navigate({ name: 'contact' });
+    expect(router.mode).toBe('hash');
+    expect(window.location.search).toBe('?debug=analytics');
+    expect(window.location.hash).toBe('#/contact');
+  });
+});
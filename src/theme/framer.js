@@ -0,0 +1,51 @@
+/**
+ * Framer Motion adapter for themes
+ *
+ * Same contract as gsap.js, for the React build: crossfades the theme's
+ * CSS custom properties on <html>.
+ */
+
+import { animate } from 'framer-motion';
+import { getTheme, themeVariables, themeTransition } from './themes.js';
+import { getThemePreference } from './preference.js';
+import { getMotionPreference, timingForMode } from '../motion/preference.js';
+
+// Running crossfade per root, so a new theme replaces it
+const animations = new WeakMap();
+
+/**
+ * Animate root's custom properties to a theme. The first call, and
+ * every call in 'none' motion, sets them instantly.
+ * Returns the animation controls, or null when nothing animates.
+ */
+export function applyTheme(root, name, { motion } = {}) {
+  const variables = themeVariables(getTheme(name));
+  const { themeDuration } = timingForMode(themeTransition, motion);
+  const applied = root.style.getPropertyValue('--color-background');
+
+  animations.get(root)?.stop();
+  animations.delete(root);
+
+  if (!applied || !themeDuration) {
+    Object.entries(variables).forEach(([variable, value]) => root.style.setProperty(variable, value));
+    return null;
+  }
+
+  const animation = animate(root, variables, { duration: themeDuration, ease: 'easeInOut' });
+  animations.set(root, animation);
+  return animation;
+}
+
+/**
+ * Apply the active theme now and crossfade on every change.
+ * Returns an unsubscribe function.
+ */
+export function followTheme({
+  preference = getThemePreference(),
+  motion = getMotionPreference(),
+  root = document.documentElement,
+} = {}) {
+  applyTheme(root, preference.theme, { motion: motion.mode });
+
+  return preference.subscribe((name) => applyTheme(root, name, { motion: motion.mode }));
+}
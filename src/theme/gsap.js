@@ -0,0 +1,45 @@
+/**
+ * GSAP adapter for themes
+ *
+ * Crossfades the theme's CSS custom properties on <html>. Used by
+ * theme-toggle.js; the React build uses framer.js instead.
+ */
+
+import gsap from 'gsap';
+import { getTheme, themeVariables, themeTransition } from './themes.js';
+import { getThemePreference } from './preference.js';
+import { getMotionPreference, timingForMode } from '../motion/preference.js';
+
+/**
+ * Tween root's custom properties to a theme. The first call, and every
+ * call in 'none' motion, sets them instantly.
+ * Returns the tween, or null when nothing animates.
+ */
+export function applyTheme(root, name, { motion } = {}) {
+  const variables = themeVariables(getTheme(name));
+  const { themeDuration } = timingForMode(themeTransition, motion);
+  const applied = root.style.getPropertyValue('--color-background');
+
+  gsap.killTweensOf(root);
+
+  if (!applied || !themeDuration) {
+    gsap.set(root, variables);
+    return null;
+  }
+
+  return gsap.to(root, { ...variables, duration: themeDuration, ease: 'power1.inOut' });
+}
+
+/**
+ * Apply the active theme now and crossfade on every change.
+ * Returns an unsubscribe function.
+ */
+export function followTheme({
+  preference = getThemePreference(),
+  motion = getMotionPreference(),
+  root = document.documentElement,
+} = {}) {
+  applyTheme(root, preference.theme, { motion: motion.mode });
+
+  return preference.subscribe((name) => applyTheme(root, name, { motion: motion.mode }));
+}
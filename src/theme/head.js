@@ -0,0 +1,53 @@
+/**
+ * Themes before JavaScript
+ *
+ * The theme layer (gsap.js, framer.js) only runs once the page's
+ * modules load. Until then - and for visitors without JavaScript - the
+ * <head> of every page carries (see vite.config.js):
+ *
+ * - a stylesheet with each theme's custom properties, for the system's
+ *   theme through media queries and for <html data-theme>
+ * - a script that sets data-theme from a saved override before the
+ *   first paint, as the theme preference will once it runs
+ *
+ * Both come from themes.js, so they can't drift from the tokens.
+ */
+
+import { themes, themeVariables, THEME_NAMES } from './themes.js';
+import { STORAGE_KEY, DARK_QUERY, CONTRAST_QUERY } from './preference.js';
+
+const declarations = (name) => [
+  `color-scheme: ${name === 'dark' ? 'dark' : 'light'};`,
+  ...Object.entries(themeVariables(themes[name])).map(([variable, value]) => `${variable}: ${value};`),
+].join(' ');
+
+/**
+ * Custom properties per theme. A saved or toggled theme (data-theme)
+ * wins; without one, contrast beats dark, as in the preference.
+ */
+export function themeStyle() {
+  return [
+    ...THEME_NAMES.map((name) => `html[data-theme="${name}"] { ${declarations(name)} }`),
+    `@media ${DARK_QUERY} { html:not([data-theme]) { ${declarations('dark')} } }`,
+    `@media ${CONTRAST_QUERY} { html:not([data-theme]) { ${declarations('contrast')} } }`,
+  ].join('\n');
+}
+
+/**
+ * Applies a saved override. Storage can throw in private modes - the
+ * system's theme shows then, through the media queries.
+ */
+export function themeScript() {
+  return `try { var theme = localStorage.getItem(${JSON.stringify(STORAGE_KEY)}); `
+    + `if (${JSON.stringify(THEME_NAMES)}.indexOf(theme) >= 0) document.documentElement.dataset.theme = theme; } catch (e) {}`;
+}
+
+/**
+ * Both, as Vite head tags
+ */
+export function themeTags() {
+  return [
+    { tag: 'style', children: themeStyle() },
+    { tag: 'script', children: themeScript() },
+  ];
+}
@@ -0,0 +1,79 @@
+/**
+ * Theme Preference
+ *
+ * Decides which theme (see themes.js) the page shows. The theme follows
+ * `prefers-contrast: more` and `prefers-color-scheme` live, unless the
+ * visitor picks one with the theme toggle; that override persists in
+ * localStorage. The active theme is mirrored to <html data-theme> so
+ * CSS can follow it too. The store itself is shared with the motion
+ * and locale preferences (../preference.js).
+ *
+ * This only tracks the choice - the crossfade adapters (gsap.js,
+ * framer.js) apply the colours.
+ */
+
+import { createPreference } from '../preference.js';
+import { THEME_NAMES } from './themes.js';
+
+export const STORAGE_KEY = 'theme-preference';
+export const DARK_QUERY = '(prefers-color-scheme: dark)';
+export const CONTRAST_QUERY = '(prefers-contrast: more)';
+
+const matchMedia = (query) => (typeof window !== 'undefined' && window.matchMedia
+  ? window.matchMedia(query)
+  : null);
+
+export function createThemePreference({
+  storage = typeof localStorage !== 'undefined' ? localStorage : null,
+  media = { dark: matchMedia(DARK_QUERY), contrast: matchMedia(CONTRAST_QUERY) },
+  root = typeof document !== 'undefined' ? document.documentElement : null,
+} = {}) {
+  const preference = createPreference({
+    key: STORAGE_KEY,
+    values: THEME_NAMES,
+    system: () => {
+      if (media.contrast?.matches) return 'contrast';
+      return media.dark?.matches ? 'dark' : 'light';
+    },
+    sources: [[media.dark, 'change'], [media.contrast, 'change']],
+    mirror: (theme) => {
+      if (root) root.dataset.theme = theme;
+    },
+    storage,
+  });
+  const { setOverride, subscribe, destroy } = preference;
+
+  return {
+    /**
+     * Active theme: the override if set, otherwise the system preference
+     */
+    get theme() {
+      return preference.value;
+    },
+
+    get systemTheme() {
+      return preference.system;
+    },
+
+    /**
+     * The visitor's choice, or null when following the system
+     */
+    get override() {
+      return preference.override;
+    },
+
+    setOverride,
+    subscribe,
+    destroy,
+  };
+}
+
+let sharedPreference = null;
+
+/**
+ * Preference shared by every themed widget on the page
+ */
+export function getThemePreference() {
+  if (!sharedPreference) sharedPreference = createThemePreference();
+  return sharedPreference;
+}
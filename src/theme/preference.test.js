@@ -0,0 +1,132 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach } from 'vitest';
+import { createThemePreference } from './preference.js';
+import { nextOverride, toggleLabel } from './toggle.js';
+import { getLocale } from '../i18n/locales.js';
+import { applyTheme } from './gsap.js';
+import { themes } from './themes.js';
+import { themeStyle, themeScript } from './head.js';
+import { installFakeTicker } from '../../test/gsapTicker.js';
+
+const memoryStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => values.set(key, value),
+    removeItem: (key) => values.delete(key),
+  };
+};
+
+const fakeMedia = (matches) => ({
+  matches,
+  listeners: new Set(),
+  addEventListener(type, listener) { this.listeners.add(listener); },
+  removeEventListener(type, listener) { this.listeners.delete(listener); },
+  change(next) {
+    this.matches = next;
+    this.listeners.forEach((listener) => listener());
+  },
+});
+
+describe('createThemePreference', () => {
+  it('follows the colour scheme and contrast preferences live', () => {
+    const media = { dark: fakeMedia(false), contrast: fakeMedia(false) };
+    const root = document.createElement('div');
+    const preference = createThemePreference({ storage: memoryStorage(), media, root });
+    const seen = [];
+    preference.subscribe((theme) => seen.push(theme));
+
+    expect(root.dataset.theme).toBe('light');
+    media.dark.change(true);
+    media.contrast.change(true);
+    expect(preference.theme).toBe('contrast');
+    expect(root.dataset.theme).toBe('contrast');
+    expect(seen).toEqual(['dark', 'contrast']);
+  });
+
+  it('persists an override over the system preference', () => {
+    const storage = memoryStorage();
+    const media = { dark: fakeMedia(true), contrast: fakeMedia(false) };
+    createThemePreference({ storage, media, root: null }).setOverride('light');
+
+    const restored = createThemePreference({ storage, media, root: null });
+    expect(restored.theme).toBe('light');
+
+    restored.setOverride(null);
+    expect(restored.theme).toBe('dark');
+    expect(storage.getItem('theme-preference')).toBe(null);
+  });
+
+  it('cycles the toggle through every override and back to auto', () => {
+    expect([null, 'light', 'dark', 'contrast'].map(nextOverride)).toEqual(['light', 'dark', 'contrast', null]);
+  });
+
+  it('labels the toggle in the active language', () => {
+    expect(toggleLabel({ override: 'contrast', theme: 'contrast' })).toBe('Theme: High contrast');
+    expect(toggleLabel({ override: null, theme: 'dark' }, getLocale('ta'))).toBe('தோற்றம்: தானியங்கு (இருள்)');
+  });
+});
+
+describe('applyTheme', () => {
+  let ticker;
+
+  afterEach(() => {
+    ticker?.uninstall();
+    ticker = null;
+    document.body.replaceChildren();
+  });
+
+  it('sets the first theme and crossfades the next', () => {
+    ticker = installFakeTicker();
+    const root = document.body.appendChild(document.createElement('div'));
+
+    expect(applyTheme(root, 'light')).toBe(null);
+    expect(root.style.getPropertyValue('--overlay-blur')).toBe(`${themes.light.overlayBlur}px`);
+
+    applyTheme(root, 'contrast');
+    ticker.advance(0.2);
+    expect(parseFloat(root.style.getPropertyValue('--overlay-blur'))).toBeGreaterThan(0);
+
+    ticker.advance(1);
+    expect(root.style.getPropertyValue('--overlay-blur')).toBe('0px');
+    expect(root.style.getPropertyValue('--overlay-backdrop')).toBe(themes.contrast.overlayBackdrop);
+  });
+
+  it('switches instantly with motion off', () => {
+    const root = document.body.appendChild(document.createElement('div'));
+    applyTheme(root, 'light');
+
+    expect(applyTheme(root, 'dark', { motion: 'none' })).toBe(null);
+    expect(root.style.getPropertyValue('--color-background')).toBe(themes.dark.background);
+  });
+});
+
+describe('themes before JavaScript', () => {
+  afterEach(() => {
+    localStorage.clear();
+    delete document.documentElement.dataset.theme;
+  });
+
+  it('styles the system theme through media queries, contrast over dark', () => {
+    const css = themeStyle();
+    const dark = css.indexOf('@media (prefers-color-scheme: dark)');
+    const contrast = css.indexOf('@media (prefers-contrast: more)');
+
+    expect(dark).toBeGreaterThan(-1);
+    expect(contrast).toBeGreaterThan(dark);
+    expect(css.slice(dark, contrast)).toContain(`--color-background: ${themes.dark.background};`);
+    expect(css.slice(contrast)).toContain('--overlay-blur: 0px;');
+    expect(css).toContain('html[data-theme="dark"] { color-scheme: dark;');
+  });
+
+  it('applies a saved theme, and only a known one', () => {
+    localStorage.setItem('theme-preference', 'contrast');
+    new Function(themeScript())();
+    expect(document.documentElement.dataset.theme).toBe('contrast');
+
+    delete document.documentElement.dataset.theme;
+    localStorage.setItem('theme-preference', 'sepia');
+    new Function(themeScript())();
+    expect(document.documentElement.dataset.theme).toBeUndefined();
+  });
+});
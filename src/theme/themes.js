@@ -0,0 +1,67 @@
+/**
+ * Theme tokens
+ *
+ * Colour layer shared by both builds. Each theme is applied to <html>
+ * as CSS custom properties, which every stylesheet (and the Shadow DOM
+ * styles of the web components) reads through var():
+ *
+ *   --color-background, --color-text, --overlay-backdrop, --overlay-blur
+ *
+ * Each page's <head> carries them as CSS too (head.js), so it renders
+ * in its theme before the theme layer runs. Elsewhere the stylesheets
+ * fall back to the light values.
+ */
+
+export const themes = {
+  light: {
+    background: '#fafafa',
+    text: '#000000',
+    overlayBackdrop: 'rgba(250, 250, 250, 0)',  // the blur alone separates the layers
+    overlayBlur: 20,                             // px of backdrop blur
+  },
+
+  dark: {
+    background: '#0a0a0a',
+    text: '#f2f2f2',
+    overlayBackdrop: 'rgba(10, 10, 10, 0.4)',
+    overlayBlur: 20,
+  },
+
+  // Solid backdrop and no blur - nothing shows through behind the text
+  contrast: {
+    background: '#ffffff',
+    text: '#000000',
+    overlayBackdrop: 'rgba(255, 255, 255, 1)',
+    overlayBlur: 0,
+  },
+};
+
+export const THEME_NAMES = Object.keys(themes);
+
+export const themeTransition = {
+  themeDuration: 0.4,        // crossfade between themes
+};
+
+const VARIABLES = {
+  background: '--color-background',
+  text: '--color-text',
+  overlayBackdrop: '--overlay-backdrop',
+  overlayBlur: '--overlay-blur',
+};
+
+/**
+ * Token set for a theme name. Unknown names resolve to light.
+ */
+export function getTheme(name) {
+  return themes[name] || themes.light;
+}
+
+/**
+ * CSS custom properties for a theme, e.g. { '--color-text': '#000000' }
+ */
+export function themeVariables(theme) {
+  return Object.fromEntries(Object.entries(VARIABLES).map(([key, variable]) => [
+    variable,
+    typeof theme[key] === 'number' ? `${theme[key]}px` : theme[key],
+  ]));
+}
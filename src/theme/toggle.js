@@ -0,0 +1,26 @@
+/**
+ * Theme toggle helpers
+ *
+ * Shared by the React ThemeToggle component and the vanilla
+ * theme-toggle.js (both through ../preferenceToggle.js). Each press
+ * moves to the next setting: system → light → dark → contrast → system.
+ * Labels are in the active language (content/locales/).
+ */
+
+import { createCycle } from '../preferenceToggle.js';
+import { DEFAULT_LOCALE, getLocale } from '../i18n/locales.js';
+import { THEME_NAMES } from './themes.js';
+
+export const { nextOverride, cycle: cycleTheme } = createCycle(THEME_NAMES);
+
+/**
+ * Visible label in a locale's words, e.g. "Theme: Auto (Dark)" or
+ * "Theme: High contrast"
+ */
+export function toggleLabel(preference, copy = getLocale(DEFAULT_LOCALE)) {
+  const { theme: labels, auto } = copy;
+
+  return preference.override
+    ? `${labels.title}: ${labels[preference.override]}`
+    : `${labels.title}: ${auto} (${labels[preference.theme]})`;
+}
@@ -0,0 +1,28 @@
+import { useEffect, useId } from 'react';
+import { getMotionTelemetry } from './debug/telemetry';
+
+/**
+ * useAnimationTelemetry Hook
+ *
+ * Props for one motion element that report it to the debug telemetry
+ * (see debug/telemetry.js) between animation start and complete.
+ * Variant children animate as part of their parent, so one animating
+ * parent stands for its whole sequence. Without ?debug=motion the
+ * props are empty.
+ */
+
+const useAnimationTelemetry = (name, telemetry = getMotionTelemetry()) => {
+  const key = `${name}:${useId()}`;
+
+  // An element unmounted mid-animation never completes
+  useEffect(() => () => telemetry?.setAnimating('framer', key, false), [telemetry, key]);
+
+  if (!telemetry) return {};
+
+  return {
+    onAnimationStart: () => telemetry.setAnimating('framer', key, true),
+    onAnimationComplete: () => telemetry.setAnimating('framer', key, false),
+  };
+};
+
+export default useAnimationTelemetry;
@@ -0,0 +1,30 @@
+import { useEffect, useRef } from 'react';
+import { createFocusTrap } from './focusTrap';
+
+/**
+ * useFocusTrap Hook
+ *
+ * Traps focus inside `ref` while `active` is true (see focusTrap.js).
+ * Focus goes back to `returnFocusRef` - or to whatever was focused
+ * before - when it turns false or the component unmounts.
+ */
+
+const useFocusTrap = (ref, active, { onEscape, returnFocusRef } = {}) => {
+  // Latest handler, without re-creating the trap on every render
+  const onEscapeRef = useRef(onEscape);
+  onEscapeRef.current = onEscape;
+
+  useEffect(() => {
+    if (!active || !ref.current) return;
+
+    const trap = createFocusTrap(ref.current, {
+      onEscape: () => onEscapeRef.current?.(),
+      returnFocus: returnFocusRef?.current,
+    });
+
+    trap.activate();
+    return () => trap.deactivate();
+  }, [active]);
+};
+
+export default useFocusTrap;
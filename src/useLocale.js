@@ -0,0 +1,20 @@
+import { useSyncExternalStore } from 'react';
+import { getLocalePreference } from './i18n/preference';
+import { DEFAULT_LOCALE, getLocale } from './i18n/locales';
+
+/**
+ * useLocale Hook
+ *
+ * Returns the active locale's copy (see i18n/locales.js) and re-renders
+ * when the browser's languages or the visitor's choice change.
+ * Pre-rendered markup is in the default locale, as useTheme uses the
+ * light theme.
+ */
+
+const useLocale = (preference = getLocalePreference()) => getLocale(useSyncExternalStore(
+  preference.subscribe,
+  () => preference.locale,
+  () => DEFAULT_LOCALE,
+));
+
+export default useLocale;
@@ -0,0 +1,19 @@
+import { useSyncExternalStore } from 'react';
+import { getMotionPreference } from './motion/preference';
+
+/**
+ * useMotionPreference Hook
+ *
+ * Returns the active motion mode ('full' | 'reduced' | 'none') and
+ * re-renders when the system setting or the visitor's override changes.
+ * Pre-rendered markup is built with full motion, so hydration starts
+ * from 'full' and switches to the visitor's mode straight after.
+ */
+
+const useMotionPreference = (preference = getMotionPreference()) => useSyncExternalStore(
+  preference.subscribe,
+  () => preference.mode,
+  () => 'full',
+);
+
+export default useMotionPreference;
@@ -0,0 +1,14 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * useRoute Hook
+ *
+ * Subscribes a component to a router (see router.js) and returns the
+ * current route object. Re-renders on navigation and browser back/forward.
+ * The router's route is also the server snapshot, so a page pre-rendered
+ * for a path hydrates with the route it was rendered for.
+ */
+
+const useRoute = (router) => useSyncExternalStore(router.subscribe, router.current, router.current);
+
+export default useRoute;
@@ -0,0 +1,20 @@
+import { useSyncExternalStore } from 'react';
+import { getThemePreference } from './theme/preference';
+import { getTheme } from './theme/themes';
+
+/**
+ * useTheme Hook
+ *
+ * Returns the active theme's tokens (see theme/themes.js) and
+ * re-renders when the system setting or the visitor's override changes.
+ * Pre-rendered markup uses the light theme, as useMotionPreference
+ * does full motion.
+ */
+
+const useTheme = (preference = getThemePreference()) => getTheme(useSyncExternalStore(
+  preference.subscribe,
+  () => preference.theme,
+  () => 'light',
+));
+
+export default useTheme;
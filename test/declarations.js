@@ -0,0 +1,25 @@
+/**
+ * Declaration fixtures
+ *
+ * Reads a hand-written declaration file (src/lib/*.d.ts) with the
+ * TypeScript compiler, so tests can hold the library entries to it.
+ */
+
+import ts from 'typescript';
+
+/**
+ * Values (not types) a declaration file says its entry exports
+ */
+export function declaredValues(fileName) {
+  const program = ts.createProgram([fileName], { noEmit: true });
+  const checker = program.getTypeChecker();
+  const source = program.getSourceFile(fileName);
+
+  return checker.getExportsOfModule(checker.getSymbolAtLocation(source))
+    .filter((symbol) => {
+      const target = symbol.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(symbol) : symbol;
+      return target.flags & ts.SymbolFlags.Value;
+    })
+    .map((symbol) => symbol.name)
+    .sort();
+}
@@ -0,0 +1,59 @@
+/**
+ * Fake GSAP ticker
+ *
+ * Unhooks GSAP's root timeline from requestAnimationFrame so tests can
+ * step animations deterministically. advance(seconds) renders every
+ * frame in between, so timeline callbacks fire in order just as they
+ * would in a browser.
+ *
+ *   const ticker = installFakeTicker();
+ *   ticker.advance(0.5);
+ *   ticker.uninstall();
+ */
+
+import gsap from 'gsap';
+
+const FRAME = 1 / 60;
+
+export function installFakeTicker() {
+  let now = gsap.ticker.time;
+  gsap.ticker.remove(gsap.updateRoot);
+
+  // jsdom does no layout, so offsetParent is always null. GSAP reads that
+  // as "not rendered" and briefly re-inserts the element to measure it,
+  // which drops focus - report the parent instead.
+  if (typeof HTMLElement !== 'undefined') {
+    Object.defineProperty(HTMLElement.prototype, 'offsetParent', {
+      configurable: true,
+      get() {
+        return this.parentElement;
+      },
+    });
+  }
+
+  return {
+    get time() {
+      return now;
+    },
+
+    /**
+     * Move GSAP's clock forward, one frame at a time
+     */
+    advance(seconds) {
+      const end = now + seconds;
+      while (now < end - 1e-9) {
+        now = Math.min(end, now + FRAME);
+        gsap.updateRoot(now);
+      }
+    },
+
+    uninstall() {
+      gsap.ticker.add(gsap.updateRoot);
+    },
+  };
+}
+
+/**
+ * Let pending promise callbacks (e.g. wordmark.finished) run
+ */
+export const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
@@ -0,0 +1,16 @@
+/**
+ * Page fixtures
+ *
+ * Loads the body of one of the real HTML pages into jsdom, minus its
+ * script tags, so the vanilla scripts can be imported against the
+ * markup they ship with.
+ */
+
+import { readFileSync } from 'node:fs';
+
+export function loadPage(file = 'index.html') {
+  const html = readFileSync(file, 'utf8');
+  document.body.innerHTML = html
+    .match(/<body>([\s\S]*)<\/body>/)[1]
+    .replace(/<script[\s\S]*?<\/script>/g, '');
+}
@@ -0,0 +1,20 @@
+/**
+ * Exercises the custom elements' declarations (src/lib/elements.d.ts) the
+ * way another site would use them - `npm run typecheck` compiles it.
+ */
+
+import { AnimatedWordmarkElement, ContentRevealElement } from '../../src/lib/elements';
+
+const wordmark = document.querySelector('animated-wordmark');
+if (wordmark) {
+  const element: AnimatedWordmarkElement = wordmark;
+  element.replay();
+  element.finished.then(() => element.wordmark?.pause());
+  element.addEventListener('charrevealed', (event) => {
+    console.log((event as CustomEvent<{ index: number; char: string }>).detail.char);
+  });
+}
+
+const reveal: ContentRevealElement | null = document.querySelector('content-reveal');
+const revealed: boolean = reveal?.isRevealed ?? false;
+console.log(revealed, reveal?.reveal, AnimatedWordmarkElement.observedAttributes, customElements.get('content-reveal') === ContentRevealElement);
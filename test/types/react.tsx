@@ -0,0 +1,52 @@
+/**
+ * Exercises the React build's declarations (src/lib/react.d.ts) the way
+ * another site would use them - `npm run typecheck` compiles it.
+ */
+
+import {
+  AnimatedWordmark,
+  ContentReveal,
+  ScrollStory,
+  MotionToggle,
+  ThemeToggle,
+  LocaleToggle,
+  UpdatePrompt,
+  useMotionPreference,
+  useTheme,
+  useLocale,
+  followTheme,
+  createRouter,
+  getServiceWorkerUpdates,
+  jsonAdapter,
+} from '../../src/lib/react';
+import type { MotionMode, Theme, Locale } from '../../src/lib/react';
+
+export function Intro() {
+  const mode: MotionMode = useMotionPreference();
+  const theme: Theme = useTheme();
+  const locale: Locale = useLocale();
+
+  return (
+    <>
+      <ScrollStory ready={mode !== 'none'}>
+        <AnimatedWordmark
+          text={locale.wordmark}
+          effect="blur"
+          phrases={['goutham', { text: 'designer', phraseHold: 2 }]}
+          onCharReveal={({ index, char }) => `${index}${char}`}
+          onComplete={() => followTheme()()}
+        />
+      </ScrollStory>
+      <ContentReveal
+        ready
+        router={createRouter({ mode: 'memory' })}
+        contactAdapter={jsonAdapter({ endpoint: '/__contact' })}
+        onToggle={(isRevealed) => isRevealed && theme.background}
+      />
+      <MotionToggle />
+      <ThemeToggle />
+      <LocaleToggle />
+      <UpdatePrompt updates={getServiceWorkerUpdates()} />
+    </>
+  );
+}
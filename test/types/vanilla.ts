@@ -0,0 +1,113 @@
+/**
+ * Exercises the GSAP build's declarations (src/lib/vanilla.d.ts) the way
+ * another site would use them - `npm run typecheck` compiles it.
+ */
+
+import {
+  AnimatedWordmark,
+  ContentReveal,
+  ScrollStory,
+  createRouter,
+  parseRoute,
+  routeToPath,
+  createMotionPreference,
+  getMotionPreference,
+  MOTION_MODES,
+  createThemePreference,
+  getThemePreference,
+  themes,
+  THEME_NAMES,
+  followTheme,
+  registerEffect,
+  getEffect,
+  effectNames,
+  createLocalePreference,
+  getLocalePreference,
+  locales,
+  LOCALE_CODES,
+  DEFAULT_LOCALE,
+  getLocale,
+  splitGraphemes,
+  textDirection,
+  createAnalytics,
+  getAnalytics,
+  doNotTrack,
+  createConsoleSink,
+  createBeaconSink,
+  createServiceWorkerUpdates,
+  getServiceWorkerUpdates,
+  createContactAdapter,
+  getContactAdapter,
+  mailtoAdapter,
+  jsonAdapter,
+  formspreeAdapter,
+} from '../../src/lib/vanilla';
+import type { MotionMode, Route, ThemeName, EffectPreset } from '../../src/lib/vanilla';
+
+const element = document.querySelector<HTMLElement>('h1')!;
+
+const motion = createMotionPreference({ storage: null, root: document.documentElement });
+const mode: MotionMode = motion.mode;
+motion.setOverride(MOTION_MODES[0]);
+motion.subscribe((next: MotionMode) => next === mode);
+
+const analytics = createAnalytics({ sinks: [createConsoleSink({ limit: 10 })], enabled: !doNotTrack() });
+analytics.track('wordmark_start', { effect: 'blur' });
+createBeaconSink({ endpoint: '/__analytics', batchSize: 5 }).flush();
+
+const fade: EffectPreset = { name: 'fade', from: { opacity: 0 }, to: { opacity: 1 } };
+registerEffect(fade);
+const effects: string[] = effectNames();
+
+const wordmark = new AnimatedWordmark(element, {
+  effect: getEffect('blur'),
+  phrases: ['goutham', { text: 'designer', phraseHold: 2 }],
+  loop: false,
+  autoplay: false,
+  preference: motion,
+  analytics,
+});
+wordmark.on('charRevealed', ({ index, char, phrase }) => `${index}${char}${phrase}`);
+wordmark.once('complete', () => wordmark.destroy());
+wordmark.play().pause().seek('end').seek(1.5).reverse();
+wordmark.setText(getLocale(DEFAULT_LOCALE).wordmark);
+const finished: Promise<void> = wordmark.finished;
+AnimatedWordmark.for(element)?.replay();
+
+const router = createRouter({ mode: 'memory' });
+const route: Route = parseRoute('/work/design');
+router.navigate(route.name === 'work' ? { name: 'work', slug: route.slug } : '/about', { replace: true });
+routeToPath(router.current());
+
+const reveal = new ContentReveal({
+  wordmark,
+  router,
+  analytics,
+  contactAdapter: createContactAdapter({ adapter: 'mailto', email: 'hi@example.com' }),
+  onToggle: (isRevealed) => isRevealed,
+});
+if (!reveal.animationInProgress) reveal.toggleContent();
+new ScrollStory({ wordmark, root: document, preference: getMotionPreference() }).destroy();
+
+const theme: ThemeName = createThemePreference({ storage: null }).theme;
+themes[theme].overlayBlur.toFixed();
+THEME_NAMES.includes(getThemePreference().theme);
+const unfollow: () => void = followTheme({ motion });
+unfollow();
+
+const localePreference = createLocalePreference({ languages: () => navigator.languages });
+getLocalePreference().setOverride(LOCALE_CODES[1]);
+getLocale(localePreference.locale).contact.rateLimited.trim();
+getLocale('ar').writing.readingTime.replace('{minutes}', '3');
+Object.keys(locales);
+textDirection(splitGraphemes('goutham').join(''));
+
+getServiceWorkerUpdates().subscribe((ready) => ready && createServiceWorkerUpdates({ container: null }).apply());
+
+const message = { name: 'Ada', email: 'ada@example.com', message: 'Hello' };
+getContactAdapter().send(message).then((status: 'sent' | 'handoff') => status);
+[jsonAdapter({ endpoint: '/__contact' }), formspreeAdapter({ endpoint: 'https://formspree.io/f/x' }), mailtoAdapter({ email: 'a@example.com' })]
+  .map((adapter) => adapter.action);
+
+getAnalytics().destroy();
+export { effects, finished };
@@ -0,0 +1,39 @@
+/**
+ * Theme Toggle - visitor override for the theme preference
+ *
+ * Applies the active theme to the page and crossfades on every change,
+ * then turns any button with a data-theme-toggle attribute into a
+ * toggle that cycles Auto → Light → Dark → High contrast. The choice
+ * persists.
+ *
+ * Usage:
+ * <button class="theme-toggle" type="button" data-theme-toggle>Theme</button>
+ */
+
+import { getThemePreference } from './src/theme/preference.js';
+import { cycleTheme, toggleLabel } from './src/theme/toggle.js';
+import { followTheme } from './src/theme/gsap.js';
+import { PreferenceToggle } from './src/preferenceToggle.js';
+
+class ThemeToggle extends PreferenceToggle {
+  constructor(button, preference = getThemePreference()) {
+    super(button, preference, { cycle: cycleTheme, label: toggleLabel });
+  }
+}
+
+// Auto-initialize when DOM is ready
+const autoInit = () => {
+  followTheme();
+
+  document.querySelectorAll('[data-theme-toggle]').forEach((button) => {
+    new ThemeToggle(button);
+  });
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', autoInit);
+} else {
+  autoInit();
+}
+
+export default ThemeToggle;
@@ -0,0 +1,251 @@
+/**
+ * Timeline Inspector - dev-only choreography tuning
+ *
+ * A panel listing the GSAP timelines AnimatedWordmark and ContentReveal
+ * register under the dev server (see src/dev/timelines.js). For the
+ * selected timeline it can:
+ * - scrub to any point, pausing it there
+ * - slow everything down, through GSAP's global timeline
+ * - loop it until unticked
+ * - live-edit its timing tokens, rebuilding and replaying it
+ * - copy the tuned tokens as tokens.js source (src/dev/tuning.js)
+ *
+ * The dev server injects this script (vite.config.js); production
+ * builds never load it.
+ */
+
+import gsap from 'gsap';
+import { registeredTimelines, subscribeTimelines } from './src/dev/timelines.js';
+import { configSnippet, isTuned } from './src/dev/tuning.js';
+import { panelStyle, rowStyle, buttonStyle } from './src/debug/report.js';
+
+const SPEEDS = [0.1, 0.25, 0.5, 1];
+
+const create = (tag, properties = {}, style = {}) => {
+  const element = Object.assign(document.createElement(tag), properties);
+  Object.assign(element.style, style);
+  return element;
+};
+
+const labelled = (text, control) => {
+  const label = create('label', {}, rowStyle);
+  label.append(text, control);
+  return label;
+};
+
+class TimelineInspector {
+  /**
+   * @param {Element} [container] - where the panel goes (default: <body>)
+   */
+  constructor(container = document.body) {
+    this.entries = [];
+    this.current = null;
+    this.originalRepeat = new WeakMap();
+
+    // The telemetry panel sits bottom right
+    this.element = create('aside', { className: 'timeline-inspector' }, {
+      ...panelStyle,
+      left: '20px',
+      right: 'auto',
+      maxHeight: 'calc(100vh - 40px)',
+      overflowY: 'auto',
+    });
+    this.element.setAttribute('aria-label', 'Timeline inspector');
+
+    this.select = create('select', {}, { font: 'inherit' });
+    this.select.addEventListener('change', () => this.selectEntry());
+
+    this.readout = create('output', {}, { fontVariantNumeric: 'tabular-nums' });
+
+    this.scrubber = create('input', { type: 'range', min: 0, max: 1, step: 0.001, value: 0 }, { width: '100%' });
+    this.scrubber.setAttribute('aria-label', 'Scrub');
+    this.scrubber.addEventListener('input', () => this.scrub(Number(this.scrubber.value)));
+
+    this.playButton = create('button', { type: 'button', textContent: 'Play' }, buttonStyle);
+    this.playButton.addEventListener('click', () => this.togglePlay());
+
+    this.replayButton = create('button', { type: 'button', textContent: 'Replay' }, { ...buttonStyle, marginLeft: '6px' });
+    this.replayButton.addEventListener('click', () => this.replay());
+
+    this.speed = create('select', {}, { font: 'inherit' });
+    this.speed.append(...SPEEDS.map((speed) => create('option', { value: speed, textContent: `${speed}×` })));
+    this.speed.value = String(gsap.globalTimeline.timeScale());
+    this.speed.addEventListener('change', () => gsap.globalTimeline.timeScale(Number(this.speed.value)));
+
+    this.loop = create('input', { type: 'checkbox' });
+    this.loop.addEventListener('change', () => this.applyLoop(this.current));
+
+    this.params = create('fieldset', {}, { margin: '8px 0 0', padding: '4px 8px', border: '1px solid currentColor' });
+
+    this.copyButton = create('button', { type: 'button', textContent: 'Copy config' }, buttonStyle);
+    this.copyButton.addEventListener('click', () => this.copyConfig());
+
+    this.config = create('textarea', { readOnly: true, rows: 6 }, {
+      display: 'block',
+      width: '100%',
+      marginTop: '8px',
+      font: 'inherit',
+    });
+    this.config.setAttribute('aria-label', 'Config');
+
+    const transport = create('div');
+    transport.append(this.playButton, this.replayButton);
+
+    this.element.append(
+      labelled('Timeline', this.select),
+      labelled('Time', this.readout),
+      this.scrubber,
+      transport,
+      labelled('Speed', this.speed),
+      labelled('Loop', this.loop),
+      this.params,
+      this.copyButton,
+      this.config,
+    );
+    container.appendChild(this.element);
+
+    this.unsubscribe = subscribeTimelines(() => this.renderEntries());
+    this.tick = () => this.update();
+    gsap.ticker.add(this.tick);
+
+    this.renderEntries();
+  }
+
+  get entry() {
+    return this.entries[this.select.selectedIndex] || null;
+  }
+
+  get timeline() {
+    return this.entry?.timeline() || null;
+  }
+
+  renderEntries() {
+    const selected = this.entry;
+    this.entries = registeredTimelines();
+
+    this.select.replaceChildren(...this.entries.map((entry) => create('option', { textContent: entry.name })));
+    this.select.selectedIndex = Math.max(0, this.entries.indexOf(selected));
+    if (this.entry !== selected) this.selectEntry();
+  }
+
+  selectEntry() {
+    this.renderParams();
+    this.renderConfig();
+    this.update();
+  }
+
+  renderParams() {
+    const { entry } = this;
+    this.params.replaceChildren(create('legend', { textContent: 'Tokens' }));
+    if (!entry) return;
+
+    Object.entries(entry.params()).forEach(([key, value]) => {
+      const input = create('input', { type: 'number', step: 0.01, value }, { width: '5em', font: 'inherit' });
+      input.name = key;
+      input.addEventListener('change', () => {
+        if (input.value === '' || Number.isNaN(Number(input.value))) return;
+        this.setParam(key, Number(input.value));
+      });
+      this.params.append(labelled(key, input));
+    });
+  }
+
+  renderConfig() {
+    const { entry } = this;
+    this.config.value = entry ? configSnippet(entry.group, entry.params()) : '';
+    this.copyButton.textContent = entry && isTuned(entry.group, entry.params()) ? 'Copy config (tuned)' : 'Copy config';
+  }
+
+  /**
+   * Change one param and replay with it, so the edit shows straight away
+   */
+  setParam(key, value) {
+    const { entry } = this;
+    entry.setParams({ ...entry.params(), [key]: value });
+    entry.replay();
+    this.renderConfig();
+    this.update();
+  }
+
+  scrub(progress) {
+    const tl = this.timeline;
+    if (!tl) return;
+    tl.pause();
+    tl.progress(progress);
+    this.update();
+  }
+
+  togglePlay() {
+    const tl = this.timeline;
+    if (!tl) return;
+    // Play from the start once the end is reached
+    if (tl.paused() || !tl.isActive()) tl.play(tl.progress() === 1 ? 0 : undefined);
+    else tl.pause();
+    this.update();
+  }
+
+  replay() {
+    this.entry?.replay();
+    this.update();
+  }
+
+  /**
+   * Loop a timeline while the box is ticked, restoring its own repeat after
+   */
+  applyLoop(tl) {
+    if (!tl) return;
+    if (!this.originalRepeat.has(tl)) this.originalRepeat.set(tl, tl.repeat());
+    tl.repeat(this.loop.checked ? -1 : this.originalRepeat.get(tl));
+    if (this.loop.checked && !tl.isActive() && !tl.paused()) tl.restart();
+  }
+
+  update() {
+    const tl = this.timeline;
+
+    // Replays build new timelines, which pick up the loop setting
+    if (tl !== this.current) {
+      this.current = tl;
+      if (this.loop.checked) this.applyLoop(tl);
+    }
+
+    this.scrubber.disabled = !tl;
+    this.playButton.disabled = !tl;
+    this.replayButton.disabled = !this.entry;
+    this.copyButton.disabled = !this.entry;
+
+    if (!tl) {
+      this.readout.textContent = '—';
+      return;
+    }
+
+    this.scrubber.value = String(tl.progress());
+    this.readout.textContent = `${tl.time().toFixed(2)}s / ${tl.duration().toFixed(2)}s`;
+    this.playButton.textContent = tl.paused() || !tl.isActive() ? 'Play' : 'Pause';
+  }
+
+  copyConfig() {
+    this.renderConfig();
+    this.config.select();
+    // The textarea stays as a fallback where the clipboard is off limits
+    navigator.clipboard?.writeText(this.config.value).catch(() => {});
+  }
+
+  destroy() {
+    this.unsubscribe();
+    gsap.ticker.remove(this.tick);
+    this.element.remove();
+  }
+}
+
+// Auto-initialize when DOM is ready, after the animations have registered
+const autoInit = () => {
+  new TimelineInspector();
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', autoInit);
+} else {
+  autoInit();
+}
+
+export default TimelineInspector;
@@ -0,0 +1,85 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { wordmarkSchedule } from './src/motion/schedule.js';
+import { installFakeTicker, flushPromises } from './test/gsapTicker.js';
+import { loadPage } from './test/page.js';
+
+let ticker;
+let AnimatedWordmark;
+let panel;
+
+const field = (name) => panel.querySelector(`input[name="${name}"]`);
+
+const select = (name) => {
+  const timelines = panel.querySelector('select');
+  timelines.selectedIndex = Array.from(timelines.options).findIndex((option) => option.textContent === name);
+  timelines.dispatchEvent(new Event('change'));
+};
+
+describe('TimelineInspector', () => {
+  beforeAll(async () => {
+    ticker = installFakeTicker();
+    loadPage();
+
+    // Under the dev server the animations register, then the inspector loads
+    ({ default: AnimatedWordmark } = await import('./vanilla-animation.js'));
+    await import('./content-reveal.js');
+    await import('./timeline-inspector.js');
+
+    panel = document.querySelector('.timeline-inspector');
+  });
+
+  afterAll(() => ticker.uninstall());
+
+  it('lists the registered timelines', () => {
+    const names = Array.from(panel.querySelectorAll('select')[0].options, (option) => option.textContent);
+    expect(names).toEqual(['AnimatedWordmark "goutham"', 'ContentReveal']);
+  });
+
+  it('scrubs the selected timeline', () => {
+    select('AnimatedWordmark "goutham"');
+    const { timeline } = AnimatedWordmark.for(document.querySelector('[data-animated-wordmark]'));
+
+    const scrubber = panel.querySelector('input[type="range"]');
+    scrubber.value = '0.5';
+    scrubber.dispatchEvent(new Event('input'));
+
+    expect(timeline.paused()).toBe(true);
+    expect(timeline.progress()).toBeCloseTo(0.5);
+    expect(panel.querySelector('output').textContent).toBe(
+      `${timeline.time().toFixed(2)}s / ${timeline.duration().toFixed(2)}s`,
+    );
+  });
+
+  it('rebuilds the timeline from edited params and copies the config', () => {
+    const wordmark = AnimatedWordmark.for(document.querySelector('[data-animated-wordmark]'));
+    const before = wordmark.timeline;
+
+    field('staggerDelay').value = '0.3';
+    field('staggerDelay').dispatchEvent(new Event('change'));
+
+    expect(wordmark.timeline).not.toBe(before);
+    expect(wordmark.timeline.duration()).toBeGreaterThan(before.duration());
+
+    const config = panel.querySelector('textarea').value;
+    expect(config).toMatch(/^export const wordmark = \{/);
+    expect(config).toContain('  staggerDelay: 0.3,\n');
+    expect(panel.querySelector('textarea').previousElementSibling.textContent).toBe('Copy config (tuned)');
+  });
+
+  it('replays the reveal with tuned phases', async () => {
+    ticker.advance(wordmarkSchedule('goutham'.length, { staggerDelay: 0.3 }).revealedAt);
+    await flushPromises();
+
+    select('ContentReveal');
+    field('revealPhases.overlay').value = '1';
+    field('revealPhases.overlay').dispatchEvent(new Event('change'));
+    await flushPromises();
+
+    const overlay = document.querySelector('.content-overlay');
+    ticker.advance(0.5);
+    expect(overlay.classList.contains('visible')).toBe(false);
+    ticker.advance(0.6);
+    expect(overlay.classList.contains('visible')).toBe(true);
+  });
+});
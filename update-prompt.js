@@ -0,0 +1,76 @@
+/**
+ * Update Prompt - new deploy notice
+ *
+ * Shows an element with a data-update-prompt attribute once a new
+ * version of the site has been downloaded by the service worker (see
+ * src/pwa/register.js). Reload switches to it; Later hides the prompt
+ * until the next visit. The copy follows the active locale.
+ *
+ * Usage:
+ * <div class="update-prompt" data-update-prompt role="status" hidden>
+ *     <span data-update-message>A new version is available</span>
+ *     <button type="button" data-update-reload>Reload</button>
+ *     <button type="button" data-update-later>Later</button>
+ * </div>
+ */
+
+import { getServiceWorkerUpdates } from './src/pwa/register.js';
+import { getLocalePreference } from './src/i18n/preference.js';
+import { getLocale } from './src/i18n/locales.js';
+
+class UpdatePrompt {
+  constructor(element, updates = getServiceWorkerUpdates(), preference = getLocalePreference()) {
+    this.element = element;
+    this.updates = updates;
+    this.preference = preference;
+    this.dismissed = false;
+
+    this.message = element.querySelector('[data-update-message]');
+    this.reloadButton = element.querySelector('[data-update-reload]');
+    this.laterButton = element.querySelector('[data-update-later]');
+
+    this.handleReload = () => this.updates.apply();
+    this.handleLater = () => {
+      this.dismissed = true;
+      this.render();
+    };
+
+    this.reloadButton?.addEventListener('click', this.handleReload);
+    this.laterButton?.addEventListener('click', this.handleLater);
+    this.unsubscribe = [
+      this.updates.subscribe(() => this.render()),
+      this.preference.subscribe(() => this.render()),
+    ];
+    this.render();
+  }
+
+  render() {
+    const locale = getLocale(this.preference.locale);
+    if (this.message) this.message.textContent = locale.updateAvailable;
+    if (this.reloadButton) this.reloadButton.textContent = locale.reload;
+    if (this.laterButton) this.laterButton.textContent = locale.later;
+
+    this.element.hidden = !this.updates.updateReady || this.dismissed;
+  }
+
+  destroy() {
+    this.reloadButton?.removeEventListener('click', this.handleReload);
+    this.laterButton?.removeEventListener('click', this.handleLater);
+    this.unsubscribe.forEach((unsubscribe) => unsubscribe());
+  }
+}
+
+// Auto-initialize when DOM is ready
+const autoInit = () => {
+  document.querySelectorAll('[data-update-prompt]').forEach((element) => {
+    new UpdatePrompt(element);
+  });
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', autoInit);
+} else {
+  autoInit();
+}
+
+export default UpdatePrompt;
@@ -4,66 +4,189 @@
  * Character-by-character reveal animation using GSAP
  * for premium, smooth animations with spring physics.
  *
- * Animation characteristics:
+ * Animation characteristics (values live in src/motion/tokens.js):
  * - Staggered character reveal (150ms offset)
  * - Spring-inspired easing with GSAP
  * - Animated cursor tracking
  * - GPU-accelerated transforms
+ *
+ * Effects (src/motion/effects/): typewriter (default), scramble, mask,
+ * blur, flip, weight - via the `effect` option or a data-effect attribute.
+ *
+ * Sequence mode: pass `phrases` (e.g. ['goutham', 'designer', 'engineer'])
+ * to type each phrase, hold it, backspace it and type the next.
+ * `loop: false` stops on the last phrase. Phrases may be objects with
+ * per-phrase timing: { text, staggerDelay, phraseHold, deleteStagger }.
+ *
+ * Motion preference (src/motion/preference.js): 'reduced' turns every
+ * effect into a crossfade, 'none' shows the text at once. The cursor
+ * only appears with full motion. A preference change mid-reveal
+ * restarts the reveal in the new mode.
+ *
+ * Scripts (src/i18n/graphemes.js): one span per grapheme cluster, so
+ * emoji, combining marks and scripts like Devanagari or Tamil stay
+ * whole; Arabic letters keep their joined forms. Right-to-left text gets
+ * dir="rtl" - it types from the right, with the cursor on its left.
+ * A data-i18n="wordmark" element types the active locale's wordmark
+ * and retypes it when the language changes (src/i18n/).
+ *
+ * Analytics (src/analytics/): each run reports whether it completed or
+ * was interrupted - by replay(), destroy() or the visitor leaving.
+ *
+ * Accessibility (src/a11y.js): the full text is exposed once through a
+ * visually hidden label; character spans and the cursor are aria-hidden.
+ * A polite status region next to the element announces the finished reveal.
+ *
+ * Lifecycle:
+ * - play() / pause() / seek(seconds) / reverse()
+ * - replay() restarts from scratch, setText(text) replays with new text,
+ *   destroy() stops everything and puts the original text back
+ * - finished: promise that resolves when every character is revealed
+ * - events via on(): 'start', 'charRevealed' ({ index, char, phrase }), 'complete'
+ *   (in a looping sequence, 'complete' fires once the first phrase is typed)
  */
 
 import gsap from 'gsap';
+import { wordmark } from './src/motion/tokens.js';
+import { wordmarkSchedule, sequenceSchedule } from './src/motion/schedule.js';
+import { addWordmarkReveal } from './src/motion/gsap.js';
+import { getEffect } from './src/motion/effects/index.js';
+import Emitter from './src/emitter.js';
+import { getMotionPreference } from './src/motion/preference.js';
+import { visuallyHidden, wordmarkLabel, revealAnnouncement } from './src/a11y.js';
+import { registerTimeline } from './src/dev/timelines.js';
+import { splitGraphemes, joinGraphemes, textDirection } from './src/i18n/graphemes.js';
+import { getLocalePreference } from './src/i18n/preference.js';
+import { getLocale } from './src/i18n/locales.js';
+import { getAnalytics } from './src/analytics/analytics.js';
+import { wordmarkRun } from './src/analytics/events.js';
 
-class AnimatedWordmark {
+// Instances by element, so other scripts can hook into the lifecycle
+const instances = new WeakMap();
+
+class AnimatedWordmark extends Emitter {
   constructor(element, options = {}) {
+    super();
     this.element = element;
-    this.text = options.text || element.textContent;
-    this.staggerDelay = options.staggerDelay || 0.15; // seconds between characters
-    this.charDuration = options.charDuration || 0.5; // seconds per character
-    this.initialDelay = options.initialDelay || 0.3; // seconds before start
-    this.cursorBlinkDuration = options.cursorBlinkDuration || 0.53; // seconds
+    this.originalText = element.textContent;
+    this.originalDir = element.getAttribute('dir');
+    this.text = options.text || this.originalText;
+    this.staggerDelay = options.staggerDelay ?? wordmark.staggerDelay; // seconds between characters
+    this.charDuration = options.charDuration ?? wordmark.charDuration; // seconds per character
+    this.initialDelay = options.initialDelay ?? wordmark.initialDelay; // seconds before start
+    this.cursorBlinkDuration = options.cursorBlinkDuration ?? wordmark.cursorBlinkDuration; // seconds
     this.showCursor = options.showCursor !== false;
+    this.phrases = options.phrases?.length ? options.phrases : null;
+    this.loop = options.loop !== false;
+    this.phraseHold = options.phraseHold ?? wordmark.phraseHold; // seconds a typed phrase stays
+    this.deleteStagger = options.deleteStagger ?? wordmark.deleteStagger; // seconds per backspace
+    this.phraseGap = options.phraseGap ?? wordmark.phraseGap; // seconds before the next phrase
+    this.effect = getEffect(options.effect);
+    this.autoplay = options.autoplay !== false;
+    this.preference = options.preference || getMotionPreference();
+    this.analytics = options.analytics || getAnalytics();
+
+    // Live region - a sibling, so it never becomes part of the heading text
+    this.status = document.createElement('span');
+    this.status.setAttribute('role', 'status');
+    this.status.setAttribute('aria-live', 'polite');
+    Object.assign(this.status.style, visuallyHidden);
+    element.after(this.status);
 
-    // GSAP timeline for coordinated animations
-    this.timeline = gsap.timeline({ paused: true });
+    // Re-run an unfinished (or looping) reveal in the new motion mode
+    this.unsubscribePreference = this.preference.subscribe(() => {
+      if (!this.isComplete || (this.phrases && this.loop)) this.replay();
+    });
 
+    instances.set(element, this);
     this.init();
+
+    // Dev server only - lists the timeline in timeline-inspector.js
+    if (import.meta.env.DEV) {
+      const tunable = ['initialDelay', 'staggerDelay', 'charDuration', 'cursorBlinkDuration',
+        'phraseHold', 'deleteStagger', 'phraseGap'];
+
+      this.unregisterTimeline = registerTimeline({
+        name: `AnimatedWordmark "${this.text}"`,
+        group: 'wordmark',
+        timeline: () => this.timeline,
+        params: () => Object.fromEntries(tunable.map((key) => [key, this[key]])),
+        setParams: (params) => tunable.forEach((key) => {
+          if (key in params) this[key] = params[key];
+        }),
+        replay: () => this.replay(),
+      });
+    }
+  }
+
+  /**
+   * The instance animating an element, if any
+   */
+  static for(element) {
+    return instances.get(element);
   }
 
   init() {
-    // Clear element and prepare for animation
+    this.motion = this.preference.mode;
+
+    // Clear element and prepare for animation. Pre-rendered pages hide
+    // the static text until now (src/prerender/page.js)
     this.element.textContent = '';
     gsap.set(this.element, {
       display: 'inline-flex',
-      position: 'relative'
+      position: 'relative',
+      visibility: 'visible'
     });
 
-    // Create character spans
-    this.characters = this.text.split('').map((char, index) => {
-      const span = document.createElement('span');
-      span.textContent = char;
+    // Whole text for assistive tech - the spans below are decoration
+    this.label = document.createElement('span');
+    this.label.className = 'wordmark-label';
+    this.label.textContent = wordmarkLabel(this.text, this.phrases);
+    Object.assign(this.label.style, visuallyHidden);
+    this.element.appendChild(this.label);
+    this.status.textContent = '';
 
-      gsap.set(span, {
-        display: 'inline-block',
-        opacity: 0,
-        y: 8,
-        minWidth: char === ' ' ? '0.25em' : 'auto'
+    // Inline-flex lays the spans out in reading order, so right-to-left
+    // text types from the right and the cursor trails on its left
+    this.dir = textDirection(this.label.textContent);
+    this.element.dir = this.dir;
+
+    if (this.phrases) {
+      // Sequence mode - one hidden group of character spans per phrase
+      this.phraseGroups = this.phrases.map((phrase) => {
+        const text = typeof phrase === 'string' ? phrase : phrase.text;
+        const group = document.createElement('span');
+        group.className = 'wordmark-phrase';
+        group.dir = textDirection(text);
+        gsap.set(group, { display: 'none' });
+
+        this.element.appendChild(group);
+        return { element: group, text, characters: this.createCharacters(text, group) };
       });
+      this.characters = this.phraseGroups[0].characters;
+    } else {
+      this.characters = this.createCharacters(this.text, this.element);
+    }
 
-      this.element.appendChild(span);
-      return { element: span, index };
+    this.run = wordmarkRun(this.analytics, {
+      effect: this.effect.name,
+      motion: this.motion,
+      chars: this.characters.length,
     });
 
-    // Create cursor if enabled
-    if (this.showCursor) {
+    // Create cursor if enabled (full motion only)
+    this.cursor = null;
+    if (this.showCursor && this.motion === 'full') {
       this.cursor = document.createElement('span');
       this.cursor.className = 'animated-cursor';
+      this.cursor.setAttribute('aria-hidden', 'true');
 
       gsap.set(this.cursor, {
         display: 'inline-block',
         width: '2px',
         height: '0.85em',
         backgroundColor: 'currentColor',
-        marginLeft: '0.05em',
+        [this.dir === 'rtl' ? 'marginRight' : 'marginLeft']: '0.05em',
         opacity: 0,
         y: '0.08em',
         scale: 0.8
@@ -72,76 +195,224 @@ class AnimatedWordmark {
       this.element.appendChild(this.cursor);
     }
 
-    // Start animation after initial delay
-    setTimeout(() => this.animate(), this.initialDelay * 1000);
+    // Fresh promise for every run - resolved by the 'complete' event. A
+    // run restarted before it completed keeps the promise already handed out.
+    if (this.isComplete !== false) {
+      this.finished = new Promise((resolve) => {
+        this.resolveFinished = resolve;
+      });
+    }
+    this.isComplete = false;
+
+    // GSAP timeline for coordinated animations (includes the initial delay)
+    this.timeline = this.animate();
+    if (this.autoplay) this.play();
+  }
+
+  /**
+   * Create one span per character (grapheme cluster) inside a parent
+   * element. `char` is the character, `glyph` what its span shows.
+   */
+  createCharacters(text, parent) {
+    const chars = splitGraphemes(text);
+    const glyphs = joinGraphemes(chars);
+
+    return chars.map((char, index) => {
+      const span = document.createElement('span');
+      span.textContent = glyphs[index];
+      span.setAttribute('aria-hidden', 'true');
+
+      // The effect's start state is applied when the timeline is built
+      gsap.set(span, {
+        display: 'inline-block',
+        minWidth: char === ' ' ? '0.25em' : 'auto',
+        ...this.effect.style
+      });
+
+      parent.appendChild(span);
+      return { element: span, index, char, glyph: glyphs[index] };
+    });
+  }
+
+  getSchedule() {
+    const timing = {
+      motion: this.motion,
+      staggerDelay: this.staggerDelay,
+      charDuration: this.charDuration,
+      initialDelay: this.initialDelay,
+      cursorBlinkDuration: this.cursorBlinkDuration,
+    };
+
+    if (this.phrases) {
+      return sequenceSchedule(this.phrases, {
+        ...timing,
+        loop: this.loop,
+        phraseHold: this.phraseHold,
+        deleteStagger: this.deleteStagger,
+        phraseGap: this.phraseGap,
+      });
+    }
+
+    return wordmarkSchedule(this.characters.length, timing);
   }
 
   animate() {
-    // Master timeline for all animations
-    const tl = gsap.timeline();
+    const schedule = this.getSchedule();
+
+    // Master timeline for all animations - driven by play()/pause()/seek()
+    const tl = gsap.timeline({
+      paused: true,
+      repeat: schedule.loop ? -1 : 0,
+      onStart: () => this.emit('start')
+    });
 
     // Show cursor at the start
     if (this.showCursor && this.cursor) {
       // Position cursor before first character
-      this.element.insertBefore(this.cursor, this.characters[0].element);
+      tl.add(() => this.updateCursorPosition(-1), 0);
 
       tl.to(this.cursor, {
         opacity: 1,
         scale: 1,
-        duration: 0.2,
+        duration: schedule.timing.cursorFadeIn,
         ease: 'power2.out'
-      }, 0);
+      }, schedule.cursor.showAt);
 
       // Start cursor blink after it appears
-      tl.add(() => this.startCursorBlink(), 0.2);
+      tl.add(() => this.startCursorBlink(), schedule.cursor.blinkAt);
+    }
+
+    if (this.phrases) {
+      this.addSequence(tl, schedule);
+    } else {
+      this.addReveal(tl, schedule);
     }
 
-    // Animate each character with stagger
-    this.characters.forEach(({ element, index }) => {
-      const startTime = index * this.staggerDelay;
+    // Every character is in place - the cursor fade below is decoration
+    tl.add(() => {
+      if (tl.reversed() || this.isComplete) return;
+      this.isComplete = true;
+      this.status.textContent = revealAnnouncement(this.label.textContent);
+      this.run.complete();
+      this.emit('complete');
+      this.resolveFinished();
+    }, schedule.revealedAt);
 
-      tl.to(element, {
-        opacity: 1,
-        y: 0,
-        duration: this.charDuration,
-        ease: 'expo.out', // GSAP's spring-inspired easing
-        onStart: () => {
+    // Hide cursor after animation completes (never, for a looping sequence)
+    if (this.showCursor && this.cursor && schedule.cursor.hideAt !== null) {
+      tl.add(() => this.stopCursorBlink(), schedule.cursor.hideAt);
+      tl.to(this.cursor, {
+        opacity: 0,
+        duration: schedule.timing.cursorFadeOut,
+        ease: 'power2.out'
+      }, schedule.cursor.hideAt);
+    }
+
+    return tl;
+  }
+
+  /**
+   * Single text: reveal each character at its scheduled time
+   */
+  addReveal(tl, schedule) {
+    addWordmarkReveal(tl, schedule, this.characters.map(({ element }) => element), {
+      effect: this.effect,
+      characters: this.characters.map(({ glyph }) => glyph),
+      dir: this.dir,
+      onCharStart: (index) => {
+        if (this.showCursor && this.cursor) {
+          this.updateCursorPosition(index);
+        }
+        this.run.reveal(index);
+        this.emit('charRevealed', { index, char: this.characters[index].char, phrase: 0 });
+      }
+    });
+  }
+
+  /**
+   * Sequence mode: type each phrase, hold, backspace, move on
+   */
+  addSequence(tl, schedule) {
+    const groups = this.phraseGroups.map(({ element }) => element);
+
+    schedule.phrases.forEach((phrase) => {
+      const { element: group, characters } = this.phraseGroups[phrase.index];
+      const elements = characters.map(({ element }) => element);
+
+      // Swap this phrase in, with every character back in the flow
+      tl.set(groups, { display: 'none' }, phrase.start);
+      tl.set(group, { display: 'inline-flex' }, phrase.start);
+      tl.set(elements, { display: 'inline-block' }, phrase.start);
+      tl.add(() => {
+        this.characters = characters;
+        if (this.showCursor && this.cursor) this.updateCursorPosition(-1);
+      }, phrase.start);
+
+      // Type
+      addWordmarkReveal(tl, phrase, elements, {
+        effect: this.effect,
+        characters: characters.map(({ glyph }) => glyph),
+        dir: group.dir,
+        onCharStart: (index) => {
           if (this.showCursor && this.cursor) {
             this.updateCursorPosition(index);
           }
+          if (phrase.index === 0) this.run.reveal(index);
+          this.emit('charRevealed', { index, char: characters[index].char, phrase: phrase.index });
+        }
+      });
+
+      // Backspace - characters leave the flow and the cursor steps back
+      phrase.deletes.forEach(({ index, at }) => {
+        tl.set(elements[index], { display: 'none' }, at);
+        if (this.showCursor && this.cursor) {
+          tl.add(() => this.updateCursorPosition(index - 1), at);
         }
-      }, startTime);
+      });
     });
+  }
 
-    // Hide cursor after animation completes
-    if (this.showCursor && this.cursor) {
-      const hideTime = (this.characters.length * this.staggerDelay) + this.charDuration + 1;
+  play() {
+    this.timeline.play();
+    return this;
+  }
 
-      tl.add(() => this.stopCursorBlink(), hideTime);
-      tl.to(this.cursor, {
-        opacity: 0,
-        duration: 0.3,
-        ease: 'power2.out'
-      }, hideTime);
-    }
+  pause() {
+    this.timeline.pause();
+    return this;
+  }
 
-    return tl;
+  /**
+   * Jump to a time in seconds (or a timeline label). Callbacks on the way
+   * still fire, so skipping to the end completes the run and resolves
+   * `finished`.
+   */
+  seek(position) {
+    this.timeline.seek(position, false);
+    return this;
+  }
+
+  reverse() {
+    this.timeline.reverse();
+    return this;
   }
 
   updateCursorPosition(charIndex) {
-    // Move cursor to appear after the currently revealed character
-    const nextIndex = charIndex + 1;
+    if (!this.characters.length) return;
 
-    if (nextIndex < this.characters.length) {
-      // Insert cursor before the next character
-      this.element.insertBefore(this.cursor, this.characters[nextIndex].element);
+    if (charIndex < 0) {
+      // Nothing revealed yet - cursor sits before the first character
+      this.characters[0].element.before(this.cursor);
     } else {
-      // Last character - append cursor at the end
-      this.element.appendChild(this.cursor);
+      // Move cursor to appear after the currently revealed character
+      this.characters[charIndex].element.after(this.cursor);
     }
   }
 
   startCursorBlink() {
+    // A looping sequence passes this point on every cycle
+    this.stopCursorBlink();
+
     // Create infinite blink animation with GSAP
     this.blinkAnimation = gsap.to(this.cursor, {
       opacity: 0,
@@ -155,15 +426,59 @@ class AnimatedWordmark {
   stopCursorBlink() {
     if (this.blinkAnimation) {
       this.blinkAnimation.kill();
+      this.blinkAnimation = null;
     }
   }
 
+  /**
+   * Stop the current run - timeline, cursor blink and any tween
+   * still holding on to the old spans. An unfinished run is reported
+   * as interrupted for `reason`.
+   */
+  teardown(reason) {
+    this.run?.interrupt(reason);
+    this.timeline?.kill();
+    this.timeline = null;
+    this.stopCursorBlink();
+    gsap.killTweensOf([this.element, ...this.element.querySelectorAll('span')]);
+  }
+
   // Public method to replay animation
   replay() {
-    this.stopCursorBlink();
-    gsap.killTweensOf([this.element, ...this.characters.map(c => c.element), this.cursor]);
+    if (this.isDestroyed) return;
+    this.teardown('replay');
     this.init();
   }
+
+  /**
+   * Type a different text, e.g. the wordmark in another language
+   */
+  setText(text) {
+    if (this.isDestroyed || text === this.text) return;
+    this.text = text;
+    this.replay();
+  }
+
+  /**
+   * Stop animating and give the element back as it was found.
+   * Safe to call more than once.
+   */
+  destroy() {
+    if (this.isDestroyed) return;
+    this.isDestroyed = true;
+
+    this.teardown('destroy');
+    this.unsubscribePreference();
+    this.unregisterTimeline?.();
+    this.listeners.clear();
+    this.status.remove();
+
+    this.element.textContent = this.originalText;
+    if (this.originalDir === null) this.element.removeAttribute('dir');
+    else this.element.dir = this.originalDir;
+    gsap.set(this.element, { clearProps: 'display,position' });
+    instances.delete(this.element);
+  }
 }
 
 /**
@@ -171,19 +486,40 @@ class AnimatedWordmark {
  *
  * Usage:
  * <h1 class="wordmark" data-animated-wordmark>goutham</h1>
+ * <h1 class="wordmark" data-animated-wordmark data-effect="scramble">goutham</h1>
+ * <h1 class="wordmark" data-animated-wordmark data-phrases="goutham|designer|engineer"
+ *     data-loop="false">goutham</h1>
+ * <h1 class="wordmark" data-animated-wordmark data-i18n="wordmark">goutham</h1>
  */
-document.addEventListener('DOMContentLoaded', () => {
+const autoInit = () => {
   const elements = document.querySelectorAll('[data-animated-wordmark]');
+  const locales = getLocalePreference();
 
   elements.forEach(element => {
-    new AnimatedWordmark(element, {
-      staggerDelay: 0.15,
-      charDuration: 0.5,
-      initialDelay: 0.3,
+    const { effect, phrases, loop, i18n } = element.dataset;
+    const localized = () => i18n && getLocale(locales.locale)[i18n];
+
+    const wordmark = new AnimatedWordmark(element, {
+      text: localized(),
+      effect,
+      phrases: phrases && phrases.split('|'),
+      loop: loop !== 'false',
       showCursor: true
     });
+
+    if (i18n) locales.subscribe(() => wordmark.setText(localized() || wordmark.originalText));
   });
-});
+};
+
+// Module scripts run after parsing, so the DOM may already be ready - or
+// there may be none at all, with the library entry imported under SSR or in Node
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', autoInit);
+  } else {
+    autoInit();
+  }
+}
 
 /**
  * Manual initialization example:
@@ -194,11 +530,22 @@ document.addEventListener('DOMContentLoaded', () => {
  *   staggerDelay: 0.15,
  *   charDuration: 0.5,
  *   initialDelay: 0.3,
+ *   effect: 'blur',
  *   showCursor: true
  * });
  *
+ * // Wait for the reveal
+ * animation.on('charRevealed', ({ index, char }) => { ... });
+ * await animation.finished;
+ *
+ * // Scrub
+ * animation.pause().seek(0.5);
+ *
  * // Replay animation
  * animation.replay();
+ *
+ * // Tear down (e.g. when a SPA view unmounts)
+ * animation.destroy();
  */
 
 // Export for module usage
@@ -0,0 +1,211 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import gsap from 'gsap';
+import AnimatedWordmark from './vanilla-animation.js';
+import { createMotionPreference } from './src/motion/preference.js';
+import { wordmarkSchedule } from './src/motion/schedule.js';
+import { createAnalytics } from './src/analytics/analytics.js';
+import { installFakeTicker } from './test/gsapTicker.js';
+
+const schedule = wordmarkSchedule('goutham'.length);
+
+let ticker;
+let element;
+
+const create = (options) => new AnimatedWordmark(element, {
+  preference: createMotionPreference({ storage: null, media: null, root: null }),
+  ...options,
+});
+
+// Character spans, in order
+const charSpans = () => Array.from(element.querySelectorAll('span[aria-hidden="true"]:not(.animated-cursor)'));
+
+describe('AnimatedWordmark (vanilla)', () => {
+  beforeAll(() => {
+    ticker = installFakeTicker();
+  });
+
+  afterAll(() => ticker.uninstall());
+
+  beforeEach(() => {
+    document.body.innerHTML = '<h1 class="wordmark">goutham</h1>';
+    element = document.querySelector('h1');
+  });
+
+  it('creates one span per character', () => {
+    const wordmark = create();
+
+    expect(charSpans().map((span) => span.textContent)).toEqual('goutham'.split(''));
+    expect(wordmark.characters.map(({ index }) => index)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    expect(AnimatedWordmark.for(element)).toBe(wordmark);
+  });
+
+  it('types whole grapheme clusters', () => {
+    const wordmark = create({ text: 'गौतम 👩\u200D💻' });
+    const revealed = vi.fn();
+    wordmark.on('charRevealed', revealed);
+
+    const graphemes = ['गौ', 'त', 'म', ' ', '👩\u200D💻'];
+    expect(charSpans().map((span) => span.textContent)).toEqual(graphemes);
+    expect(element.dir).toBe('ltr');
+
+    ticker.advance(wordmarkSchedule(graphemes.length).revealedAt);
+    expect(revealed.mock.calls.map(([event]) => event.char)).toEqual(graphemes);
+  });
+
+  it('retypes right-to-left text with setText(), keeping its finished promise', async () => {
+    const wordmark = create();
+    const { finished } = wordmark;
+    ticker.advance(schedule.chars[2].start);
+
+    wordmark.setText('غوتام');
+    const arabic = wordmarkSchedule(5);
+
+    // Laid out from the right, with joined letter forms and the cursor
+    // spaced off the left of each character
+    expect(element.dir).toBe('rtl');
+    expect(charSpans().map((span) => span.textContent))
+      .toEqual(['غ\u200D', '\u200Dو', 'ت\u200D', '\u200Dا', 'م']);
+    expect(wordmark.cursor.style.marginRight).toBe('0.05em');
+    expect(wordmark.finished).toBe(finished);
+
+    ticker.advance(arabic.chars[1].start + 0.01);
+    expect(wordmark.cursor.previousElementSibling).toBe(charSpans()[1]);
+
+    ticker.advance(arabic.revealedAt);
+    await expect(finished).resolves.toBeUndefined();
+    expect(wordmark.label.textContent).toBe('غوتام');
+  });
+
+  it('leaves out the cursor when asked', () => {
+    create({ showCursor: false });
+    expect(element.querySelector('.animated-cursor')).toBeNull();
+  });
+
+  it('moves the cursor with updateCursorPosition', () => {
+    const wordmark = create({ autoplay: false });
+    const spans = charSpans();
+
+    wordmark.updateCursorPosition(-1);
+    expect(wordmark.cursor.nextElementSibling).toBe(spans[0]);
+
+    wordmark.updateCursorPosition(3);
+    expect(wordmark.cursor.previousElementSibling).toBe(spans[3]);
+
+    wordmark.updateCursorPosition(6);
+    expect(wordmark.cursor.previousElementSibling).toBe(spans[6]);
+  });
+
+  it('tracks the cursor and events through the reveal', async () => {
+    const wordmark = create();
+    const revealed = vi.fn();
+    const complete = vi.fn();
+    wordmark.on('charRevealed', revealed);
+    wordmark.on('complete', complete);
+
+    ticker.advance(schedule.chars[2].start + 0.01);
+    expect(wordmark.cursor.previousElementSibling).toBe(charSpans()[2]);
+    expect(revealed).toHaveBeenCalledTimes(3);
+    expect(revealed).toHaveBeenLastCalledWith({ index: 2, char: 'u', phrase: 0 });
+
+    ticker.advance(schedule.revealedAt);
+    expect(complete).toHaveBeenCalledTimes(1);
+    await expect(wordmark.finished).resolves.toBeUndefined();
+    expect(wordmark.isComplete).toBe(true);
+  });
+
+  it('completes when seeked to the end, as a skipped intro', async () => {
+    const wordmark = create();
+    const complete = vi.fn();
+    wordmark.on('complete', complete);
+
+    wordmark.pause().seek(wordmark.timeline.duration());
+    expect(complete).toHaveBeenCalledTimes(1);
+    expect(wordmark.isComplete).toBe(true);
+    expect(charSpans().map((span) => span.style.opacity)).toEqual(charSpans().map(() => '1'));
+    await expect(wordmark.finished).resolves.toBeUndefined();
+  });
+
+  it('cleans up the previous run on replay()', () => {
+    const wordmark = create();
+    ticker.advance(schedule.cursor.blinkAt + 0.1);
+
+    const { timeline } = wordmark;
+    const previousTargets = [...charSpans(), wordmark.cursor];
+    expect(gsap.getTweensOf(wordmark.cursor).length).toBeGreaterThan(0);
+
+    wordmark.replay();
+
+    // Old timeline detached from the root, old elements left untweened
+    expect(wordmark.timeline).not.toBe(timeline);
+    expect(timeline.parent).toBeNull();
+    expect(gsap.getTweensOf(previousTargets)).toHaveLength(0);
+
+    // One fresh set of spans and a single cursor
+    expect(charSpans()).toHaveLength('goutham'.length);
+    expect(element.querySelectorAll('.animated-cursor')).toHaveLength(1);
+    expect(wordmark.isComplete).toBe(false);
+  });
+
+  it('stays a single run across repeated replays', () => {
+    const wordmark = create();
+    const complete = vi.fn();
+    wordmark.on('complete', complete);
+
+    for (let run = 0; run < 3; run++) {
+      ticker.advance(schedule.chars[2].start);
+      wordmark.replay();
+    }
+
+    ticker.advance(schedule.duration + 1);
+    expect(complete).toHaveBeenCalledTimes(1);
+    expect(charSpans()).toHaveLength('goutham'.length);
+  });
+
+  it('reports each run as completed or interrupted', () => {
+    const events = [];
+    const analytics = createAnalytics({ sinks: [{ send: (event) => events.push(event) }], enabled: true });
+    const wordmark = create({ analytics, effect: 'blur' });
+
+    ticker.advance(schedule.chars[2].start + 0.05);
+    wordmark.replay();
+    ticker.advance(schedule.duration + 1);
+    wordmark.replay();
+    ticker.advance(schedule.chars[0].start + 0.05);
+    wordmark.destroy();
+
+    expect(events.map(({ name, props }) => [name, props.revealed, props.reason])).toEqual([
+      ['wordmark_interrupted', 3, 'replay'],
+      ['wordmark_complete', undefined, undefined],
+      ['wordmark_interrupted', 1, 'destroy'],
+    ]);
+    expect(events[1].props).toMatchObject({ effect: 'blur', motion: 'full', chars: 'goutham'.length });
+  });
+
+  it('puts the element back on destroy()', () => {
+    const preference = createMotionPreference({ storage: null, media: null, root: null });
+    const wordmark = create({ preference });
+    const complete = vi.fn();
+    wordmark.on('complete', complete);
+    ticker.advance(schedule.cursor.blinkAt + 0.1);
+
+    wordmark.destroy();
+    wordmark.destroy();
+
+    expect(element.textContent).toBe('goutham');
+    expect(element.hasAttribute('dir')).toBe(false);
+    expect(element.children).toHaveLength(0);
+    expect(document.querySelector('[role="status"]')).toBeNull();
+    expect(gsap.getTweensOf(element)).toHaveLength(0);
+    expect(AnimatedWordmark.for(element)).toBeUndefined();
+
+    // No longer listening to anything
+    preference.setOverride('none');
+    ticker.advance(schedule.duration + 1);
+    expect(element.children).toHaveLength(0);
+    expect(complete).not.toHaveBeenCalled();
+
+    wordmark.replay();
+    expect(element.children).toHaveLength(0);
+  });
+});
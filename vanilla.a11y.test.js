@@ -0,0 +1,47 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll } from 'vitest';
+import axe from 'axe-core';
+import { loadPage } from './test/page.js';
+
+// jsdom can't compute colours, so contrast is checked by hand
+const AXE_OPTIONS = {
+  runOnly: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'],
+  rules: { 'color-contrast': { enabled: false } },
+};
+
+let wordmark;
+
+describe('vanilla entry point accessibility', () => {
+  beforeAll(async () => {
+    // The real page markup, with its scripts auto-initialising on it
+    loadPage();
+
+    const { default: AnimatedWordmark } = await import('./vanilla-animation.js');
+    await import('./content-reveal.js');
+    await import('./motion-toggle.js');
+
+    wordmark = AnimatedWordmark.for(document.querySelector('[data-animated-wordmark]'));
+  });
+
+  it('has no axe violations', async () => {
+    const results = await axe.run(document.body, AXE_OPTIONS);
+    expect(results.violations).toEqual([]);
+  });
+
+  it('names the heading with the whole word', () => {
+    const heading = document.querySelector('h1');
+    const visible = Array.from(heading.children).filter((child) => child.getAttribute('aria-hidden') !== 'true');
+
+    expect(visible.map((child) => child.textContent)).toEqual(['goutham']);
+    expect(heading.querySelector('.animated-cursor').getAttribute('aria-hidden')).toBe('true');
+  });
+
+  it('announces the finished reveal politely', () => {
+    const status = document.querySelector('[role="status"]');
+    expect(status.getAttribute('aria-live')).toBe('polite');
+    expect(status.textContent).toBe('');
+
+    wordmark.timeline.progress(1);
+    expect(status.textContent).toBe('goutham revealed');
+  });
+});
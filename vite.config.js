@@ -1,23 +1,303 @@
+import { copyFileSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { validateContent, CONTENT_FILE, LOCALES_DIR } from './scripts/validate-content.js';
+import { webAppFiles, webAppTags, MANIFEST_FILE } from './src/pwa/manifest.js';
+import { themeTags } from './src/theme/head.js';
+import { contactStub } from './src/contact/stub.js';
+import { loadPosts } from './src/posts/posts.js';
+import { POSTS_DIR, WRITING_PATH } from './src/posts/load.js';
+import { feedFiles, FEEDS } from './src/posts/feed.js';
+import { writingPage } from './src/prerender/page.js';
+import { terserOptions } from './scripts/minify.js';
+
+/**
+ * Fails the build (and warns in dev) when content/portfolio.json, a
+ * locale in content/locales/ or a post in content/posts/ does not match
+ * its schema.
+ */
+function portfolioContent() {
+  const check = (fail) => {
+    const errors = validateContent();
+    if (!errors.length) return;
+
+    const message = `Portfolio content is invalid:\n  - ${errors.join('\n  - ')}`;
+    if (fail) throw new Error(message);
+    console.warn(message);
+  };
+
+  return {
+    name: 'portfolio-content',
+    buildStart() {
+      check(this.meta.watchMode === false);
+    },
+    handleHotUpdate({ file }) {
+      if (file === CONTENT_FILE || file.startsWith(LOCALES_DIR) || file.startsWith(POSTS_DIR)) check(false);
+    },
+  };
+}
+
+/**
+ * GitHub Pages serves 404.html for unknown paths. Shipping a copy of
+ * index.html under that name lets deep links such as /work/design load
+ * the app, which then reads the route from the URL (see src/router.js).
+ */
+function spaFallback() {
+  let outDir;
+
+  return {
+    name: 'spa-fallback',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir);
+    },
+    closeBundle() {
+      copyFileSync(path.join(outDir, 'index.html'), path.join(outDir, '404.html'));
+    },
+  };
+}
+
+/**
+ * Adds the timeline inspector (timeline-inspector.js) to the GSAP pages
+ * under the dev server only, so production builds never see it.
+ */
+function timelineInspector() {
+  return {
+    name: 'timeline-inspector',
+    apply: 'serve',
+    transformIndexHtml(html) {
+      if (!/<script type="module" src="\/?(vanilla-animation|content-reveal)\.js"/.test(html)) return html;
+
+      return [{
+        tag: 'script',
+        attrs: { type: 'module', src: '/timeline-inspector.js' },
+        injectTo: 'body',
+      }];
+    },
+  };
+}
+
+/**
+ * Stands in for an analytics collector on the dev and preview servers,
+ * so the beacon sink (src/analytics/sinks.js) can be tried locally:
+ *
+ *   VITE_ANALYTICS_ENDPOINT=/__analytics npm run dev
+ *
+ * Each batch is logged to the terminal.
+ */
+function analyticsCollector() {
+  const collect = (server) => {
+    server.middlewares.use('/__analytics', (req, res) => {
+      if (req.method !== 'POST') {
+        res.statusCode = 405;
+        res.end();
+        return;
+      }
+
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const { logger } = server.config;
+
+        try {
+          JSON.parse(body).events.forEach(({ name, t, props }) => {
+            logger.info(`[analytics] ${t}ms ${name} ${JSON.stringify(props)}`);
+          });
+        } catch {
+          logger.warn('[analytics] unreadable batch');
+        }
+
+        res.statusCode = 204;
+        res.end();
+      });
+    });
+  };
+
+  return {
+    name: 'analytics-collector',
+    configureServer: collect,
+    configurePreviewServer: collect,
+  };
+}
+
+/**
+ * Stands in for a contact endpoint on the dev and preview servers, so
+ * the contact form can be tried end to end (src/contact/stub.js):
+ *
+ *   VITE_CONTACT_ENDPOINT=/__contact npm run dev
+ *
+ * Each message is logged to the terminal.
+ */
+function contactEndpoint() {
+  const mount = (server) => {
+    server.middlewares.use('/__contact', contactStub({
+      log: (message) => server.config.logger.info(message),
+    }));
+  };
+
+  return {
+    name: 'contact-endpoint',
+    configureServer: mount,
+    configurePreviewServer: mount,
+  };
+}
+
+/**
+ * Makes the site installable: serves the web app manifest and icons
+ * (src/pwa/manifest.js) and links them from every page. The service
+ * worker itself is built after pre-rendering, by
+ * scripts/service-worker.js.
+ */
+function webApp() {
+  const files = webAppFiles();
+
+  return {
+    name: 'web-app',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const file = files[req.url.split('?')[0].slice(1)];
+        if (!file) {
+          next();
+          return;
+        }
+
+        res.setHeader('Content-Type', req.url.startsWith(`/${MANIFEST_FILE}`) ? 'application/manifest+json' : 'image/svg+xml');
+        res.end(file);
+      });
+    },
+    generateBundle() {
+      Object.entries(files).forEach(([fileName, source]) => {
+        this.emitFile({ type: 'asset', fileName, source });
+      });
+    },
+    transformIndexHtml() {
+      return webAppTags().map((tag) => ({ ...tag, injectTo: 'head' }));
+    },
+  };
+}
+
+/**
+ * Puts the themes in every page's <head> (src/theme/head.js), so the
+ * system's or saved theme shows before the theme layer runs, and
+ * without JavaScript.
+ */
+function themeHead() {
+  return {
+    name: 'theme-head',
+    transformIndexHtml() {
+      return themeTags().map((tag) => ({ ...tag, injectTo: 'head' }));
+    },
+  };
+}
+
+/**
+ * Publishes content/posts/*.md (src/posts/) as the writing pages, filled
+ * into writing.html: /writing lists the posts and /writing/<slug> shows
+ * one. The build writes a page per post plus the RSS and Atom feeds; the
+ * dev server renders them on request, drafts included, and reloads when
+ * a post changes.
+ */
+function markdownPosts() {
+  const feedTypes = { [FEEDS.rss]: 'application/rss+xml', [FEEDS.atom]: 'application/atom+xml' };
+  let root;
+  let outDir;
+  let command;
+
+  // The page for a path, or null when it isn't a writing page
+  const pageFor = (pathname, posts) => {
+    const page = pathname.replace(/\.html$/, '');
+    if (page === WRITING_PATH) return { posts };
+
+    const post = posts.find((entry) => entry.path === page);
+    return post ? { post } : null;
+  };
+
+  return {
+    name: 'markdown-posts',
+    configResolved(config) {
+      root = config.root;
+      outDir = path.resolve(config.root, config.build.outDir);
+      command = config.command;
+    },
+    configureServer(server) {
+      server.watcher.add(POSTS_DIR);
+      server.watcher.on('all', (event, file) => {
+        if (file.startsWith(POSTS_DIR)) server.ws.send({ type: 'full-reload' });
+      });
+
+      server.middlewares.use(async (req, res, next) => {
+        const pathname = req.url.split('?')[0];
+        const feed = pathname.slice(1);
+
+        try {
+          if (Object.hasOwn(feedTypes, feed)) {
+            res.setHeader('Content-Type', feedTypes[feed]);
+            res.end(feedFiles(loadPosts())[feed]);
+            return;
+          }
+
+          const page = pathname.startsWith(WRITING_PATH) && pageFor(pathname, loadPosts(POSTS_DIR, { drafts: true }));
+          if (!page) {
+            next();
+            return;
+          }
+
+          const template = readFileSync(path.join(root, 'writing.html'), 'utf8');
+          res.setHeader('Content-Type', 'text/html');
+          res.end(await server.transformIndexHtml(req.url, writingPage(template, page)));
+        } catch (error) {
+          next(error);
+        }
+      });
+    },
+    generateBundle() {
+      Object.entries(feedFiles(loadPosts())).forEach(([fileName, source]) => {
+        this.emitFile({ type: 'asset', fileName, source });
+      });
+    },
+    closeBundle() {
+      if (command !== 'build') return;
+
+      const template = readFileSync(path.join(outDir, 'writing.html'), 'utf8');
+      const posts = loadPosts();
+
+      writeFileSync(path.join(outDir, 'writing.html'), writingPage(template, { posts }));
+      posts.forEach((post) => {
+        const file = path.join(outDir, `${post.path.slice(1)}.html`);
+        mkdirSync(path.dirname(file), { recursive: true });
+        writeFileSync(file, writingPage(template, { post }));
+      });
+    },
+  };
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), portfolioContent(), spaFallback(), timelineInspector(), analyticsCollector(), contactEndpoint(), webApp(), themeHead(), markdownPosts()],
   base: '/',
   build: {
     outDir: 'dist',
     assetsDir: 'assets',
     sourcemap: false,
-    // Optimize for production
+    // Optimize for production. Terser rather than the default esbuild to
+    // drop console calls but console.info (scripts/minify.js); Vite doesn't
+    // ship it, hence the terser devDependency - without it `vite build`
+    // stops before writing 404.html.
     minify: 'terser',
-    terserOptions: {
-      compress: {
-        drop_console: true,
-        drop_debugger: true,
-      },
-    },
+    terserOptions,
     rollupOptions: {
+      // Every page - scripts/prerender.js fills them in afterwards - and
+      // the writing pages' template, filled by markdownPosts()
+      input: {
+        main: 'index.html',
+        vanilla: 'index-vanilla.html',
+        scroll: 'index-scroll.html',
+        react: 'index-react.html',
+        writing: 'writing.html',
+      },
       output: {
         // Manual chunk splitting for better caching
         manualChunks: {
@@ -0,0 +1,498 @@
+/**
+ * Web Components - <animated-wordmark> and <content-reveal>
+ *
+ * Custom elements around the vanilla AnimatedWordmark and ContentReveal
+ * classes, for embedding on other sites. Markup and styles live in
+ * Shadow DOM, so the host page needs no matching class names, <main>
+ * or data attributes.
+ *
+ * <animated-wordmark text="goutham" stagger="0.1" cursor="false" effect="blur">
+ * </animated-wordmark>
+ *
+ * Attributes (changing one restarts the reveal):
+ * - text: defaults to the element's own text
+ * - stagger: seconds between characters
+ * - cursor: "false" hides the cursor
+ * - effect: any preset from src/motion/effects/
+ * - phrases / loop: sequence mode, phrases separated by |
+ * Events: start, charrevealed (detail: { index, char, phrase }), complete
+ *
+ * <content-reveal hint="Tap anywhere">
+ *   <animated-wordmark>goutham</animated-wordmark>
+ * </content-reveal>
+ *
+ * Fades its children out and opens the disciplines overlay on tap.
+ * Waits for a nested <animated-wordmark> before responding.
+ * Attributes:
+ * - hint: tap hint text
+ * - url: keep the overlay state in the page URL (/about, /work/<slug>);
+ *   without it the state stays in memory and the URL is left alone
+ * Events: toggle (detail: { revealed })
+ *
+ * Every event bubbles and crosses shadow boundaries.
+ */
+
+import AnimatedWordmark from './vanilla-animation.js';
+import ContentReveal from './content-reveal.js';
+import { createRouter, getRouter } from './src/router.js';
+import { getMotionPreference } from './src/motion/preference.js';
+
+const wordmarkStyles = `
+  :host {
+    display: inline-block;
+  }
+
+  .wordmark {
+    font: inherit;
+    color: inherit;
+  }
+`;
+
+const revealStyles = `
+  * {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+  }
+
+  :host {
+    display: block;
+  }
+
+  .main {
+    display: block;
+  }
+
+  /* Full-screen trigger - tap anywhere to open the overlay */
+  .click-capture {
+    position: fixed;
+    inset: 0;
+    width: 100%;
+    background: none;
+    border: 0;
+    padding: 0;
+    cursor: pointer;
+    -webkit-tap-highlight-color: transparent;
+    /* Swipes and pinches are handled in JS, not by the browser */
+    touch-action: none;
+  }
+
+  .click-capture:focus-visible {
+    outline: 2px solid currentColor;
+    outline-offset: -12px;
+  }
+
+  .content-overlay {
+    position: fixed;
+    inset: 0;
+    display: flex;
+    flex-direction: column;
+    justify-content: center;
+    align-items: center;
+    padding: 40px;
+    opacity: 0;
+    pointer-events: none;
+    transition: opacity 0.6s cubic-bezier(0.16, 1, 0.3, 1);
+    backdrop-filter: blur(0px);
+    -webkit-backdrop-filter: blur(0px);
+    background-color: var(--overlay-backdrop, transparent);
+    touch-action: none;
+  }
+
+  .content-overlay.visible {
+    opacity: 1;
+    pointer-events: auto;
+    backdrop-filter: blur(var(--overlay-blur, 20px));
+    -webkit-backdrop-filter: blur(var(--overlay-blur, 20px));
+  }
+
+  .content-overlay:focus {
+    outline: none;
+  }
+
+  .content-text {
+    max-width: 800px;
+    max-height: 100%;
+    overflow-y: auto;
+    text-align: center;
+    /* Vertical swipes scroll the content rather than close it */
+    touch-action: pan-y;
+  }
+
+  .content-header {
+    font-size: clamp(2rem, 5vw, 3.5rem);
+    font-weight: 400;
+    margin-bottom: 3rem;
+    line-height: 1.3;
+  }
+
+  .content-list {
+    list-style: none;
+  }
+
+  .content-list li {
+    font-size: clamp(1.5rem, 3vw, 2.5rem);
+    font-weight: 400;
+    line-height: 1.5;
+    opacity: 0;
+  }
+
+  .content-detail[hidden],
+  .content-list[hidden] {
+    display: none;
+  }
+
+  .content-link,
+  .content-back {
+    font: inherit;
+    color: inherit;
+    background: none;
+    border: 0;
+    cursor: pointer;
+  }
+
+  .content-back {
+    display: inline-block;
+    font-size: 0.875rem;
+    opacity: 0.6;
+    margin-bottom: 2rem;
+  }
+
+  .project {
+    margin-bottom: 2.5rem;
+  }
+
+  .project-title {
+    font-size: clamp(1.25rem, 2.5vw, 2rem);
+    font-weight: 400;
+    line-height: 1.3;
+  }
+
+  .project-year {
+    margin-left: 0.5em;
+    opacity: 0.4;
+  }
+
+  .project-summary,
+  .project-empty {
+    margin-top: 0.5rem;
+    font-size: 1rem;
+    line-height: 1.5;
+    opacity: 0.7;
+  }
+
+  .project-images {
+    display: flex;
+    gap: 12px;
+    justify-content: center;
+    flex-wrap: wrap;
+    margin-top: 1rem;
+  }
+
+  .project-images img {
+    max-width: min(100%, 360px);
+    height: auto;
+    border-radius: 4px;
+  }
+
+  .project-links {
+    list-style: none;
+    display: flex;
+    gap: 1.5rem;
+    justify-content: center;
+    margin-top: 1rem;
+  }
+
+  .project-links a {
+    color: inherit;
+  }
+
+  /* Contact form */
+  .contact-form,
+  .contact-result {
+    width: min(100%, 420px);
+    margin: 0 auto;
+  }
+
+  .contact-field {
+    display: flex;
+    flex-direction: column;
+    gap: 0.375rem;
+    margin-bottom: 1.25rem;
+    text-align: start;
+  }
+
+  .contact-field label {
+    font-size: 0.875rem;
+    opacity: 0.6;
+  }
+
+  .contact-field input,
+  .contact-field textarea {
+    font: inherit;
+    font-size: 1rem;
+    color: inherit;
+    background: none;
+    border: 0;
+    border-bottom: 1px solid currentColor;
+    border-radius: 0;
+    padding: 0.5rem 0;
+    resize: vertical;
+  }
+
+  .contact-field input:focus-visible,
+  .contact-field textarea:focus-visible {
+    outline: none;
+    border-bottom-width: 2px;
+  }
+
+  .contact-error {
+    font-size: 0.8125rem;
+    color: var(--color-error, #c62828);
+  }
+
+  .contact-error[hidden] {
+    display: none;
+  }
+
+  /* Honeypot - left for bots to fill in */
+  .contact-honeypot {
+    position: absolute;
+    left: -10000px;
+    width: 1px;
+    height: 1px;
+    overflow: hidden;
+  }
+
+  .contact-actions {
+    margin-top: 0.5rem;
+  }
+
+  .contact-send {
+    font: inherit;
+    font-size: 1rem;
+    color: var(--color-background, #fafafa);
+    background: var(--color-text, #000000);
+    border: 0;
+    border-radius: 999px;
+    padding: 0.625rem 1.75rem;
+    cursor: pointer;
+  }
+
+  .contact-send:disabled {
+    opacity: 0.5;
+    cursor: progress;
+  }
+
+  .contact-status {
+    font-size: clamp(1.125rem, 2vw, 1.5rem);
+    line-height: 1.5;
+    margin-bottom: 1.5rem;
+  }
+
+  .contact-status:focus {
+    outline: none;
+  }
+
+  .tap-hint {
+    position: fixed;
+    bottom: 40px;
+    left: 50%;
+    transform: translateX(-50%);
+    font-size: 0.875rem;
+    opacity: 0;
+    pointer-events: none;
+  }
+
+  /* The page-level motion rules can't reach into Shadow DOM */
+  :host([data-motion="none"]) .content-overlay {
+    transition: none;
+  }
+
+  :host([data-motion="reduced"]) .content-overlay {
+    backdrop-filter: blur(var(--overlay-blur, 20px));
+    -webkit-backdrop-filter: blur(var(--overlay-blur, 20px));
+  }
+
+  @media (max-width: 768px) {
+    .content-overlay {
+      padding: 24px;
+    }
+
+    .content-header {
+      margin-bottom: 2rem;
+    }
+  }
+`;
+
+// Lifecycle events escape the shadow root so page scripts can listen
+const dispatch = (element, type, detail) => {
+  element.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+};
+
+const style = (css) => {
+  const element = document.createElement('style');
+  element.textContent = css;
+  return element;
+};
+
+export class AnimatedWordmarkElement extends HTMLElement {
+  static observedAttributes = ['text', 'stagger', 'cursor', 'effect', 'phrases', 'loop'];
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+
+    // Resolves on the first completed reveal - lets <content-reveal>
+    // treat this element like an AnimatedWordmark instance
+    this.finished = new Promise((resolve) => {
+      this.resolveFinished = resolve;
+    });
+  }
+
+  connectedCallback() {
+    this.render();
+  }
+
+  disconnectedCallback() {
+    this.wordmark?.destroy();
+    this.wordmark = null;
+  }
+
+  attributeChangedCallback() {
+    // Before the first connect, connectedCallback renders anyway
+    if (this.wordmark) this.render();
+  }
+
+  render() {
+    this.wordmark?.destroy();
+
+    const element = document.createElement('span');
+    element.className = 'wordmark';
+    element.setAttribute('part', 'wordmark');
+    element.textContent = this.getAttribute('text') || this.textContent.trim();
+    this.shadowRoot.replaceChildren(style(wordmarkStyles), element);
+
+    const stagger = parseFloat(this.getAttribute('stagger'));
+    const phrases = this.getAttribute('phrases');
+
+    this.wordmark = new AnimatedWordmark(element, {
+      staggerDelay: Number.isFinite(stagger) ? stagger : undefined,
+      showCursor: this.getAttribute('cursor') !== 'false',
+      effect: this.getAttribute('effect') || undefined,
+      phrases: phrases ? phrases.split('|') : undefined,
+      loop: this.getAttribute('loop') !== 'false',
+    });
+
+    this.wordmark.on('start', () => dispatch(this, 'start'));
+    this.wordmark.on('charRevealed', (detail) => dispatch(this, 'charrevealed', detail));
+    this.wordmark.on('complete', () => {
+      this.resolveFinished();
+      dispatch(this, 'complete');
+    });
+  }
+
+  play() {
+    this.wordmark?.play();
+  }
+
+  pause() {
+    this.wordmark?.pause();
+  }
+
+  replay() {
+    this.wordmark?.replay();
+  }
+}
+
+// Module scripts may run before the children of an element are parsed
+const whenParsed = () => (document.readyState === 'loading'
+  ? new Promise((resolve) => document.addEventListener('DOMContentLoaded', resolve, { once: true }))
+  : Promise.resolve());
+
+export class ContentRevealElement extends HTMLElement {
+  static observedAttributes = ['hint'];
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+  }
+
+  connectedCallback() {
+    whenParsed().then(() => {
+      if (this.isConnected && !this.reveal) this.render();
+    });
+  }
+
+  disconnectedCallback() {
+    this.reveal?.destroy();
+    this.reveal = null;
+    this.unsubscribeMotion?.();
+    if (this.router !== getRouter()) this.router?.destroy();
+  }
+
+  attributeChangedCallback() {
+    const hint = this.shadowRoot.querySelector('.tap-hint');
+    if (hint) hint.textContent = this.getAttribute('hint') || 'Tap anywhere';
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>${revealStyles}</style>
+      <div class="main" part="main"><slot></slot></div>
+      <div class="tap-hint" part="hint"></div>
+      <button
+        class="click-capture"
+        type="button"
+        aria-label="About"
+        aria-haspopup="dialog"
+        aria-expanded="false"
+        aria-controls="content-overlay"
+      ></button>
+      <div
+        id="content-overlay"
+        class="content-overlay"
+        part="overlay"
+        role="dialog"
+        aria-modal="true"
+        aria-label="About"
+        tabindex="-1"
+        inert
+      >
+        <div class="content-text">
+          <ul class="content-list"></ul>
+        </div>
+      </div>
+    `;
+    this.attributeChangedCallback();
+
+    // Mirror the motion mode so the shadow styles can follow it
+    const preference = getMotionPreference();
+    this.dataset.motion = preference.mode;
+    this.unsubscribeMotion = preference.subscribe((mode) => {
+      this.dataset.motion = mode;
+    });
+
+    this.router = this.hasAttribute('url') ? getRouter() : createRouter({ mode: 'memory' });
+    this.reveal = new ContentReveal({
+      root: this.shadowRoot,
+      main: this.shadowRoot.querySelector('.main'),
+      wordmark: this.querySelector('animated-wordmark') || undefined,
+      router: this.router,
+      onToggle: (revealed) => dispatch(this, 'toggle', { revealed }),
+    });
+  }
+
+  get isRevealed() {
+    return Boolean(this.reveal?.isRevealed);
+  }
+}
+
+// Wordmark first, so a nested one is upgraded before <content-reveal> looks for it
+if (!customElements.get('animated-wordmark')) {
+  customElements.define('animated-wordmark', AnimatedWordmarkElement);
+}
+
+if (!customElements.get('content-reveal')) {
+  customElements.define('content-reveal', ContentRevealElement);
+}
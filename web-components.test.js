@@ -0,0 +1,138 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { wordmarkSchedule } from './src/motion/schedule.js';
+import { installFakeTicker, flushPromises } from './test/gsapTicker.js';
+import './web-components.js';
+
+const SETTLE = 3;
+
+let ticker;
+
+const mount = (html) => {
+  document.body.innerHTML = html;
+  return document.body.firstElementChild;
+};
+
+// Character spans inside a wordmark's shadow root
+const charSpans = (element) => element.shadowRoot.querySelectorAll('.wordmark > span[aria-hidden="true"]:not(.animated-cursor)');
+
+describe('web components', () => {
+  beforeAll(() => {
+    ticker = installFakeTicker();
+  });
+
+  afterAll(() => ticker.uninstall());
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('registers both elements', () => {
+    expect(customElements.get('animated-wordmark')).toBeDefined();
+    expect(customElements.get('content-reveal')).toBeDefined();
+  });
+
+  describe('<animated-wordmark>', () => {
+    it('renders its text into Shadow DOM', () => {
+      const element = mount('<animated-wordmark>goutham</animated-wordmark>');
+
+      expect(Array.from(charSpans(element), (span) => span.textContent).join('')).toBe('goutham');
+      expect(element.shadowRoot.querySelector('.animated-cursor')).not.toBeNull();
+      expect(element.shadowRoot.querySelector('style')).not.toBeNull();
+    });
+
+    it('reads its options from attributes', () => {
+      const element = mount('<animated-wordmark text="hey" stagger="0.05" cursor="false" effect="blur"></animated-wordmark>');
+
+      expect(charSpans(element)).toHaveLength(3);
+      expect(element.shadowRoot.querySelector('.animated-cursor')).toBeNull();
+      expect(element.wordmark.staggerDelay).toBe(0.05);
+      expect(element.wordmark.effect.name).toBe('blur');
+    });
+
+    it('restarts when an attribute changes', () => {
+      const element = mount('<animated-wordmark text="hey"></animated-wordmark>');
+      const first = element.wordmark;
+
+      element.setAttribute('text', 'hello');
+      expect(element.wordmark).not.toBe(first);
+      expect(first.isDestroyed).toBe(true);
+      expect(charSpans(element)).toHaveLength(5);
+    });
+
+    it('dispatches lifecycle events on the element', async () => {
+      const events = [];
+      document.addEventListener('charrevealed', (e) => events.push(e.detail.char));
+      const element = mount('<animated-wordmark text="hey"></animated-wordmark>');
+      const complete = vi.fn();
+      element.addEventListener('complete', complete);
+
+      ticker.advance(wordmarkSchedule(3).revealedAt + 0.1);
+
+      expect(events).toEqual(['h', 'e', 'y']);
+      expect(complete).toHaveBeenCalledTimes(1);
+      await expect(element.finished).resolves.toBeUndefined();
+    });
+
+    it('stops when removed', () => {
+      const element = mount('<animated-wordmark text="hey"></animated-wordmark>');
+      const complete = vi.fn();
+      element.addEventListener('complete', complete);
+      const { wordmark } = element;
+
+      element.remove();
+      ticker.advance(SETTLE);
+
+      expect(wordmark.isDestroyed).toBe(true);
+      expect(complete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('<content-reveal>', () => {
+    it('opens its own overlay once the nested wordmark is done', async () => {
+      const element = mount('<content-reveal hint="Press"><animated-wordmark text="hey"></animated-wordmark></content-reveal>');
+      await flushPromises();
+
+      const { shadowRoot } = element;
+      const trigger = shadowRoot.querySelector('.click-capture');
+      const overlay = shadowRoot.querySelector('.content-overlay');
+      const toggle = vi.fn();
+      element.addEventListener('toggle', (e) => toggle(e.detail.revealed));
+
+      expect(shadowRoot.querySelector('.tap-hint').textContent).toBe('Press');
+      expect(overlay.querySelectorAll('.content-link').length).toBeGreaterThan(0);
+
+      // Not yet - the wordmark is still revealing
+      trigger.click();
+      expect(toggle).not.toHaveBeenCalled();
+
+      ticker.advance(SETTLE);
+      await flushPromises();
+
+      trigger.click();
+      ticker.advance(SETTLE);
+      expect(toggle).toHaveBeenLastCalledWith(true);
+      expect(element.isRevealed).toBe(true);
+      expect(overlay.classList.contains('visible')).toBe(true);
+      expect(shadowRoot.activeElement.className).toBe('content-link');
+
+      // State stays out of the page URL unless asked for
+      expect(window.location.pathname).toBe('/');
+
+      document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, composed: true }));
+      ticker.advance(SETTLE);
+      expect(toggle).toHaveBeenLastCalledWith(false);
+      expect(shadowRoot.activeElement).toBe(trigger);
+    });
+
+    it('tears down when removed', async () => {
+      const element = mount('<content-reveal></content-reveal>');
+      await flushPromises();
+      const { reveal } = element;
+
+      element.remove();
+      expect(reveal.isDestroyed).toBe(true);
+      expect(element.shadowRoot.querySelectorAll('.content-link')).toHaveLength(0);
+    });
+  });
+});
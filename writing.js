@@ -0,0 +1,101 @@
+/**
+ * Writing - the index and article pages
+ *
+ * Brings the pages the markdown-posts plugin fills in (writing.html,
+ * src/posts/markup.js) to life:
+ * - Rows enter on the overlay's stagger (itemsEnter, the GSAP twin of
+ *   the React build's itemVariants), following the motion preference
+ * - The page's own copy - headings, dates, reading times - is retold
+ *   in the active language; the posts keep their words
+ * - destroy() removes the listener and the entrance styles
+ *
+ * Usage:
+ * <main class="writing"><!-- filled at build time --></main>
+ */
+
+import gsap from 'gsap';
+import { itemsEnter } from './src/motion/gsap.js';
+import { getMotionPreference } from './src/motion/preference.js';
+import { getLocalePreference } from './src/i18n/preference.js';
+import { getLocale } from './src/i18n/locales.js';
+import { formatDate, readingTime } from './src/posts/format.js';
+
+class WritingPage {
+  /**
+   * @param {Element} element - the filled <main class="writing">
+   * @param {object} [options]
+   * @param {object} [options.preference] - defaults to the shared motion preference
+   * @param {object} [options.locales] - defaults to the shared locale preference
+   */
+  constructor(element, { preference = getMotionPreference(), locales = getLocalePreference() } = {}) {
+    this.element = element;
+    this.preference = preference;
+    this.locales = locales;
+
+    this.unsubscribeLocale = this.locales.subscribe(() => this.applyLocale());
+    this.applyLocale();
+    this.enter();
+  }
+
+  /**
+   * Rows in the order they enter. A [data-stagger] element's children
+   * enter one by one instead of the element as a whole.
+   */
+  items(container = this.element) {
+    return Array.from(container.children).flatMap((child) => (
+      child.hasAttribute('data-stagger') ? this.items(child) : [child]
+    ));
+  }
+
+  enter() {
+    const items = this.items();
+    if (!items.length) return;
+
+    // The page's CSS keeps rows hidden until this runs
+    gsap.set(items, { visibility: 'visible' });
+    this.timeline = itemsEnter(items, { motion: this.preference.mode });
+  }
+
+  /**
+   * Retell the page's copy in the active language
+   */
+  applyLocale() {
+    const locale = getLocale(this.locales.locale);
+    const copy = locale.writing;
+
+    this.element.querySelectorAll('[data-writing-text]').forEach((element) => {
+      element.textContent = copy[element.dataset.writingText];
+    });
+    this.element.querySelectorAll('[data-writing-label]').forEach((element) => {
+      element.setAttribute('aria-label', copy[element.dataset.writingLabel]);
+    });
+    this.element.querySelectorAll('.post-meta time').forEach((time) => {
+      time.textContent = formatDate(time.dateTime, locale.code);
+    });
+    this.element.querySelectorAll('.post-meta [data-minutes]').forEach((element) => {
+      element.textContent = readingTime(copy, Number(element.dataset.minutes), locale.code);
+    });
+  }
+
+  destroy() {
+    this.unsubscribeLocale();
+    this.timeline?.kill();
+
+    const items = this.items();
+    if (items.length) gsap.set(items, { clearProps: 'all' });
+  }
+}
+
+// Auto-initialize when DOM is ready
+const autoInit = () => {
+  const element = document.querySelector('main.writing');
+  if (element) new WritingPage(element);
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', autoInit);
+} else {
+  autoInit();
+}
+
+export default WritingPage;
@@ -0,0 +1,92 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { itemsSchedule } from './src/motion/schedule.js';
+import { getLocalePreference } from './src/i18n/preference.js';
+import { getLocale } from './src/i18n/locales.js';
+import { renderPost } from './src/posts/posts.js';
+import { writingIndexMarkup, articleMarkup } from './src/posts/markup.js';
+import { formatDate, readingTime } from './src/posts/format.js';
+import { installFakeTicker, flushPromises } from './test/gsapTicker.js';
+import { loadPage } from './test/page.js';
+
+const posts = [
+  renderPost({ slug: 'newer', attributes: { title: 'Newer', date: '2026-04-01', tags: ['motion'] }, body: 'Second.' }),
+  renderPost({ slug: 'older', attributes: { title: 'Older', date: '2026-01-05' }, body: 'First.' }),
+];
+
+let ticker;
+let WritingPage;
+let main;
+let page;
+
+// Fill <main class="writing"> as the markdown-posts plugin does
+const show = (markup, preference = { mode: 'full' }) => {
+  main.innerHTML = markup;
+  page = new WritingPage(main, { preference });
+  return page;
+};
+
+describe('WritingPage', () => {
+  beforeAll(async () => {
+    ticker = installFakeTicker();
+    loadPage('writing.html');
+    main = document.querySelector('main.writing');
+
+    ({ default: WritingPage } = await import('./writing.js'));
+  });
+
+  afterEach(() => page?.destroy());
+
+  afterAll(() => ticker.uninstall());
+
+  it('staggers the index in row by row, on the overlay schedule', () => {
+    const items = show(writingIndexMarkup(posts)).items();
+    const { enter } = itemsSchedule(items.length);
+
+    expect(items.map((item) => item.className)).toEqual(['writing-title', 'post-item', 'post-item', 'writing-feed']);
+    expect(items.map((item) => item.style.visibility)).toEqual(items.map(() => 'visible'));
+
+    ticker.advance(enter[1].start - 0.02);
+    expect(Number(items[0].style.opacity)).toBeGreaterThan(0);
+    expect(items[1].style.opacity).toBe('0');
+
+    ticker.advance(enter[3].start + enter[3].duration);
+    expect(items.map((item) => item.style.opacity)).toEqual(items.map(() => '1'));
+  });
+
+  it('enters an article a line at a time, and shows it at once with motion off', () => {
+    const items = show(articleMarkup(posts[0]), { mode: 'none' }).items();
+
+    expect(items.map((item) => item.className))
+      .toEqual(['writing-back', 'post-title', 'post-meta', 'post-tags', 'post-body']);
+
+    ticker.advance(0.02);
+    expect(items.map((item) => item.style.opacity)).toEqual(items.map(() => '1'));
+  });
+
+  it('retells the page in the active language, leaving the posts as written', async () => {
+    const locales = getLocalePreference();
+    const hindi = getLocale('hi');
+    show(articleMarkup(posts[0]));
+
+    locales.setOverride('hi');
+    await flushPromises();
+
+    expect(main.querySelector('.writing-back').textContent).toBe(hindi.writing.back);
+    expect(main.querySelector('.post-meta time').textContent).toBe(formatDate('2026-04-01', 'hi'));
+    expect(main.querySelector('[data-minutes]').textContent).toBe(readingTime(hindi.writing, 1, 'hi'));
+    expect(main.querySelector('.post-tags').getAttribute('aria-label')).toBe(hindi.writing.tags);
+    expect(main.querySelector('.post-title').textContent).toBe('Newer');
+
+    locales.setOverride(null);
+    expect(main.querySelector('.writing-back').textContent).toBe(getLocale('en').writing.back);
+  });
+
+  it('clears its entrance styles on destroy', () => {
+    const items = show(writingIndexMarkup([])).items();
+    page.destroy();
+
+    expect(main.querySelector('.writing-empty').textContent).toBe(getLocale('en').writing.empty);
+    expect(items.map((item) => item.style.cssText)).toEqual(items.map(() => ''));
+  });
+});